@@ -15,35 +15,67 @@
  *   node claude-patching.js --native --check      # Target native install explicitly
  *   node claude-patching.js --bare --apply        # Target bare install explicitly
  *   node claude-patching.js --bare --restore      # Restore bare install from .bak
+ *   node claude-patching.js --resume              # Finish an interrupted --apply
+ *   node claude-patching.js --abort               # Roll back an interrupted --apply
+ *   node claude-patching.js --verify              # Check patched installs against the ledger
+ *   node claude-patching.js --path <file> --check # Target any Bun binary or cli.js
+ *   node claude-patching.js --file <cli.js> --apply  # Patch a plain cli.js in place
+ *   node claude-patching.js --native --all-versions --apply  # Every installed native build
+ *   node claude-patching.js --watch               # Re-apply patches after CC updates
+ *   node claude-patching.js --install-shim        # Check patch state on every launch
+ *   node claude-patching.js --cache-prune         # Drop cached bundles of removed builds
+ *   node claude-patching.js --native --inspect    # Every module embedded in the binary
+ *   node claude-patching.js --native --exec-argv append --smol  # Bun runtime flags baked in
+ *   node claude-patching.js --native --all-versions --selftest-repack  # Round-trip the repacker
+ *   node claude-patching.js --check --archived 2.1.200  # Check against an archived build
+ *   node claude-patching.js --matrix --versions 2.1.209..2.1.222  # Patch × version table
+ *   node claude-patching.js --bisect spinner --good 2.1.200 --bad 2.1.222  # First failing build
  */
 
 const fs = require('fs');
 const path = require('path');
 
 const {
-  PATCHES_DIR,
-  detectInstalls,
   readPatchMetadata,
   isPatched,
   formatBytes,
   listAvailableVersions,
+  hasPatchSet,
   findFallbackVersion,
 } = require('./lib/shared');
 
 const { isJsonMode, emitJson, log, logError } = require('./lib/output');
+const { detectInstalls } = require('./lib/detectors');
 
-const { applyPatches } = require('./lib/patch-runner');
+const { applyPatches, removePatch, resumeApply, abortApply, describeBinary } = require('./lib/patch-runner');
+const { USER_CONFIG_PATH } = require('./lib/user-config');
+const { parseSetFlags } = require('./lib/patch-settings');
 const { doInit } = require('./lib/init');
 const { runPort } = require('./lib/port');
 const { printStatus } = require('./lib/status');
+const { forgetInstall } = require('./lib/ledger');
 
 // ============ Help ============
 
 function printHelp() {
+  const { listManifestVersions } = require('./lib/manifest');
   const versions = listAvailableVersions();
-  const versionInfo = versions.length > 0
-    ? versions.join(', ')
-    : '(none found)';
+  let coverage = [];
+  try {
+    coverage = listManifestVersions();
+  } catch {
+    coverage = null;
+  }
+  const versionLines = [];
+  if (coverage === null) {
+    versionLines.push('patches/manifest.json: invalid (--check shows why)');
+  } else if (coverage.length > 0) {
+    versionLines.push(`patches/manifest.json: ${coverage.join(', ')}`);
+  }
+  if (versions.length > 0) {
+    versionLines.push(`${coverage?.length ? 'Own index.json (overrides): ' : ''}${versions.join(', ')}`);
+  }
+  const versionInfo = versionLines.length > 0 ? versionLines.join('\n  ') : '(none found)';
 
   console.log(`
 claude-patching.js - Unified Claude Code patcher
@@ -52,22 +84,83 @@ USAGE
   node claude-patching.js [target] <action>
 
 TARGETS (optional if only one install detected)
-  --bare       Target pnpm/npm installation (Bun binary, since 2.1.117)
-  --native     Target native installation (Bun binary)
+  --bare         Target pnpm/npm installation (Bun binary, since 2.1.117)
+  --native       Target native installation (Bun binary)
+  --path <file>  Target this Bun binary or cli.js instead of a detected install.
+                 The version is read from its JS; --bare/--native pick the index
+                 section (default: bare under node_modules/@anthropic-ai, else native)
+  --file <cli.js>  Same as --path, for a plain JS file only (an extracted bundle, a
+                 workspace .original, a pre-2.1.117 npm install); patched in place
+                 with a .bak, no extraction or repack
+  --all-versions With --native: every build in ~/.local/share/claude/versions/
+                 (--check, --apply, --status; per-version result matrix)
 
 ACTIONS
-  --status     Show detected installations and workspace artifact versions
+  --status     Show every detected installation and workspace artifact versions
   --setup      Prepare patching environment (backups, prettify, repos)
-  --init       Create index.json for installed version from latest existing index
+  --init       Create the installed version's patch set: extend the manifest ranges
+               that end at the newest version, else copy the latest index.json
   --port       Full porting pipeline: setup + init + check (condensed output)
   --check      Dry run - verify patch patterns match
   --apply      Apply patches
   --restore    Restore from .bak backup (undo patches)
+  --remove <id>  Drop one applied patch: replay the others onto the clean .bak
+  --resume     Finish an --apply that was interrupted (see --status)
+  --abort      Roll back an interrupted --apply: temp files, partial .bak, binary
+  --verify     Check installs against the hashes recorded by --apply
+               (exit 0 clean/as recorded, 1 modified, 2 unknown)
+  --watch      Watch the install locations; after an update, --check the new build
+               and --apply only if every patch passes, else write a work order
+               (log: watch-log.ndjson; --once for a single pass)
+  --install-watcher  Install and start a systemd user service running --watch
+  --install-shim     Put a \`claude\` launcher ahead of the real one on PATH that
+                     checks the binary against the ledger on every start and
+                     patches a new build first (config "shim": "apply" | "warn")
+  --cache-prune  Remove extracted bundles (bundle-cache/) of binaries no longer installed
+  --inspect    List every module embedded in the Bun binary (name, size, loader, format,
+               encoding, bytecode/sourcemap), its entry point, compile execArgv and format
+  --exec-argv [set <args> | append <args> | clear]
+               Show or edit the runtime flags baked into the Bun binary (--smol, memory
+               limits, --inspect...); <args> is one value. Fits in the old argv or the
+               padding a patched JS left; --remove/--restore/updates drop it
+  --selftest-repack  Repack the binary in a temp dir (unchanged, shrunk, non-ASCII, grown JS)
+                     and compare it with the original: re-extracted JS, module table,
+                     OFFSETS, trailer and size (with --native --all-versions: every build)
+  --build-manifest  Write patches/manifest.json (version ranges per patch file) from
+                    the per-version index.json files
+  --matrix     Check every patch file variant (patches/*/patch-<id>.js) against every
+               archived build, in worker threads; prints a patch × version table
+  --bisect <id>  With --good/--bad: binary-search the archived builds for the first one
+                 the patch fails on; shows the code diff there and the changelog entries
 
 OPTIONS
   --help                     Show this help
   --verbose, -v              Show full patch output (discoveries, modifications)
   --patches-from <version>   Use patches from a different version (with --check only)
+  --only <id1,id2>           Run only these patches (overrides user-config disabled list)
+  --skip <id1,id2>           Leave out these patches for this run
+  --set <id>.<key>=<value>   Override a patch setting for this run (repeatable)
+  --input <path>             Same as --path
+  --output <path>            With --apply: write the patched binary (or JS) here and leave the
+                             target untouched (no .bak)
+  --shim-dir <dir>           With --install-shim: write the launcher here
+  --archived <version>       With --check: target the build --setup archived for this
+                             version (archive/<version>/; --bare/--native pick the type)
+  --versions <a..b>          With --matrix: only these archived builds (a..b, a.., ..b or a,b,c)
+  --extract-all <dir>        With --inspect: write every embedded module (and its
+                             sourcemap/bytecode) under <dir>, with a modules.json table
+  --write-index              With --port: point index.json at the other variants of
+                             failed patches that pass (patches/*/patch-<id>.js)
+  --good <version>           With --bisect: a version the patch passes on
+  --bad <version>            With --bisect: a version it fails on
+
+USER CONFIG
+  ${USER_CONFIG_PATH}
+  Per-machine patch selection merged over index.json for --check/--apply:
+    { "disabled": ["spinner"], "extra": [{ "id": "...", "file": "...", "after": "..." }],
+      "settings": { "spinner": { "chars": ["·", "*"], "loop": false } },
+      "bare": { ... }, "native": { ... }, "shim": "apply" }
+  Settings are checked against each patch's declared schema before any patch runs.
 
 AUTO-FALLBACK (--check only)
   When checking a version without its own patches folder, the tool automatically
@@ -81,9 +174,27 @@ EXAMPLES
   node claude-patching.js --native --port       # Full port pipeline for native
   node claude-patching.js --check               # Check patches (auto-select)
   node claude-patching.js --native --apply      # Apply to native install
+  node claude-patching.js --native --all-versions --check  # Check every installed build
   node claude-patching.js --bare --check        # Check bare install
   node claude-patching.js --restore --apply     # Restore from .bak, then re-apply patches
+  node claude-patching.js --native --remove spinner  # Drop one patch, keep the rest
+  node claude-patching.js --native --resume     # Finish an apply that was killed part-way
+  node claude-patching.js --verify || echo "claude binary changed since --apply"
+  node claude-patching.js --install-watcher     # Keep patches applied across updates
+  node claude-patching.js --native --install-shim  # ...or check on every claude launch
   node claude-patching.js --check -v            # Check with full diagnostic output
+  node claude-patching.js --apply --skip spinner,auto-color
+  node claude-patching.js --apply --set spinner.loop=false --set 'spinner.chars=·,✢,✳'
+  node claude-patching.js --native --apply --output /tmp/claude-patched
+  node claude-patching.js --path ./claude-2.1.222 --apply --output ./claude-2.1.222-patched
+  node claude-patching.js --bare --path ~/.bun/install/global/node_modules/@anthropic-ai/claude-code/bin/claude.exe --check
+  node claude-patching.js --file ./cli.js.native.original --apply --output /tmp/cli-patched.js
+  node claude-patching.js --check --archived 2.1.200 --patches-from 2.1.222
+  node claude-patching.js --matrix --versions 2.1.209..2.1.222 --only spinner,auto-color
+  node claude-patching.js --native --bisect spinner --good 2.1.200 --bad 2.1.222
+  node claude-patching.js --native --inspect --extract-all /tmp/claude-modules
+  node claude-patching.js --native --exec-argv set '--smol --inspect=127.0.0.1:9229'
+  node claude-patching.js --native --all-versions --selftest-repack
 
   # Test which 2.1.14 patches work on 2.1.19
   node claude-patching.js --native --check --patches-from 2.1.14
@@ -91,17 +202,20 @@ EXAMPLES
 SUPPORTED VERSIONS
   ${versionInfo}
 
-Patches are loaded from patches/<version>/index.json
+Patches are loaded from patches/<version>/index.json, else from the version
+ranges in patches/manifest.json (--build-manifest writes it from the indexes)
 `);
 }
 
 // ============ Target Resolution ============
 
 /**
- * Resolve target install from flags and detected installs.
+ * Resolve target install from flags and detected installs (the --path target
+ * when there is one).
  * Exits with error if resolution fails.
  */
 function resolveTarget(installs, wantBare, wantNative) {
+  if (installs.path) return installs.path;
   if (wantBare) {
     if (!installs.bare) {
       console.error('Error: No bare (pnpm/npm) installation detected');
@@ -127,7 +241,7 @@ function resolveTarget(installs, wantBare, wantNative) {
   }
 
   if (available.length > 1) {
-    console.error('Error: Multiple installations detected. Specify --bare or --native');
+    console.error('Error: Multiple installations detected. Specify --bare, --native or --path <file>');
     console.error('');
     printStatus(installs);
     process.exit(1);
@@ -138,11 +252,51 @@ function resolveTarget(installs, wantBare, wantNative) {
   return target;
 }
 
+/**
+ * Describe the --path target as an install. Without --bare/--native the type
+ * follows the location: inside an npm package it's a bare install.
+ * Exits if it can't be read.
+ */
+function resolvePathTarget(targetPath, wantBare, wantNative) {
+  const installType = wantBare ? 'bare'
+    : wantNative ? 'native'
+      : targetPath.includes(`${path.sep}node_modules${path.sep}@anthropic-ai${path.sep}`) ? 'bare' : 'native';
+  try {
+    const target = describeBinary(targetPath, installType);
+    log(`Target: ${target.path} (${target.type}, ${target.version})`);
+    return target;
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
 // ============ CLI ============
 
 // Parse arguments
 const args = process.argv.slice(2);
 
+// Parse --exec-argv [set|append <args> | clear] first and take its value out
+// of args: the value is Bun runtime flags (--smol, --inspect...), not ours
+const wantExecArgv = args.includes('--exec-argv');
+let execArgvEdit = null;
+if (wantExecArgv) {
+  const idx = args.indexOf('--exec-argv');
+  const mode = args[idx + 1];
+  if (mode === 'clear') {
+    execArgvEdit = { mode };
+    args.splice(idx + 1, 1);
+  } else if (mode === 'set' || mode === 'append') {
+    const value = args[idx + 2];
+    if (value === undefined || (mode === 'append' && !value.trim())) {
+      console.error(`Error: --exec-argv ${mode} requires the runtime arguments, as one (quoted) value`);
+      process.exit(1);
+    }
+    execArgvEdit = { mode, value };
+    args.splice(idx + 1, 2);
+  }
+}
+
 if (args.includes('--help') || args.includes('-h')) {
   printHelp();
   process.exit(0);
@@ -155,8 +309,24 @@ const wantCheck = args.includes('--check');
 const wantApply = args.includes('--apply');
 const wantRestore = args.includes('--restore');
 const wantPort = args.includes('--port');
+const wantRemove = args.includes('--remove');
+const wantResume = args.includes('--resume');
+const wantAbort = args.includes('--abort');
+const wantVerify = args.includes('--verify');
+const wantWatch = args.includes('--watch');
+const wantInstallWatcher = args.includes('--install-watcher');
+const wantInstallShim = args.includes('--install-shim');
+const wantCachePrune = args.includes('--cache-prune');
+const wantBuildManifest = args.includes('--build-manifest');
+const wantInspect = args.includes('--inspect');
+const wantSelftestRepack = args.includes('--selftest-repack');
+const wantMatrix = args.includes('--matrix');
+const wantBisect = args.includes('--bisect');
+const wantWriteIndex = args.includes('--write-index');
+const wantOnce = args.includes('--once');
 const wantBare = args.includes('--bare');
 const wantNative = args.includes('--native');
+const wantAllVersions = args.includes('--all-versions');
 const wantVerbose = args.includes('--verbose') || args.includes('-v');
 
 // Parse --patches-from <version>
@@ -170,15 +340,128 @@ if (patchesFromIdx !== -1) {
   }
 }
 
+// Parse --versions <spec> (--matrix)
+let versionsSpec = null;
+const versionsIdx = args.indexOf('--versions');
+if (versionsIdx !== -1) {
+  versionsSpec = args[versionsIdx + 1];
+  if (!versionsSpec || versionsSpec.startsWith('--')) {
+    console.error('Error: --versions requires a range (a..b) or a list (a,b,c)');
+    process.exit(1);
+  }
+}
+
+// Parse --archived <version>
+let archivedVersion = null;
+const archivedIdx = args.indexOf('--archived');
+if (archivedIdx !== -1) {
+  archivedVersion = args[archivedIdx + 1];
+  if (!archivedVersion || archivedVersion.startsWith('--')) {
+    console.error('Error: --archived requires a version argument');
+    process.exit(1);
+  }
+}
+
+/**
+ * Parse a flag that takes a path. Exits on a missing value.
+ */
+function parsePathFlag(flag) {
+  const idx = args.indexOf(flag);
+  if (idx === -1) return null;
+  const value = args[idx + 1];
+  if (!value || value.startsWith('--')) {
+    console.error(`Error: ${flag} requires a path`);
+    process.exit(1);
+  }
+  return path.resolve(value);
+}
+
+// --input is the older spelling of --path; --file is --path for plain JS only
+const targetFlags = ['--path', '--input', '--file'].filter(f => args.includes(f));
+const targetFlag = targetFlags[0] || '--path';
+const targetPath = parsePathFlag('--path') ?? parsePathFlag('--input') ?? parsePathFlag('--file');
+const outputPath = parsePathFlag('--output');
+const shimDir = parsePathFlag('--shim-dir');
+const extractAllDir = parsePathFlag('--extract-all');
+
+/**
+ * Parse a comma-separated ID list flag (--only / --skip). Exits on a missing value.
+ */
+function parseIdListFlag(flag) {
+  const idx = args.indexOf(flag);
+  if (idx === -1) return null;
+  const value = args[idx + 1];
+  if (!value || value.startsWith('--')) {
+    console.error(`Error: ${flag} requires a comma-separated list of patch IDs`);
+    process.exit(1);
+  }
+  return value.split(',').map(id => id.trim()).filter(Boolean);
+}
+
+// Parse --bisect <patch-id> --good <version> --bad <version>
+let bisectId = null;
+let bisectGood = null;
+let bisectBad = null;
+if (wantBisect) {
+  bisectId = args[args.indexOf('--bisect') + 1];
+  if (!bisectId || bisectId.startsWith('--')) {
+    console.error('Error: --bisect requires a patch ID');
+    process.exit(1);
+  }
+}
+for (const flag of ['--good', '--bad']) {
+  const idx = args.indexOf(flag);
+  if (idx === -1) continue;
+  const value = args[idx + 1];
+  if (!value || value.startsWith('--')) {
+    console.error(`Error: ${flag} requires a version argument`);
+    process.exit(1);
+  }
+  if (flag === '--good') bisectGood = value;
+  else bisectBad = value;
+}
+
+// Parse --remove <patch-id>
+let removeId = null;
+if (wantRemove) {
+  removeId = args[args.indexOf('--remove') + 1];
+  if (!removeId || removeId.startsWith('--')) {
+    console.error('Error: --remove requires a patch ID');
+    process.exit(1);
+  }
+}
+
+const onlyIds = parseIdListFlag('--only');
+const skipIds = parseIdListFlag('--skip');
+
+// --set may repeat: collect every value that follows it
+const setAssignments = [];
+args.forEach((arg, i) => {
+  if (arg !== '--set') return;
+  const value = args[i + 1];
+  if (!value || value.startsWith('--')) {
+    console.error('Error: --set requires <patch-id>.<key>=<value>');
+    process.exit(1);
+  }
+  setAssignments.push(value);
+});
+let setSettings = null;
+try {
+  setSettings = setAssignments.length > 0 ? parseSetFlags(setAssignments) : null;
+} catch (err) {
+  console.error(`Error: ${err.message}`);
+  process.exit(1);
+}
+
 // Validate arguments
 if (wantBare && wantNative) {
   console.error('Error: Cannot specify both --bare and --native');
   process.exit(1);
 }
 
-const actionCount = [wantStatus, wantSetup, wantInit, wantCheck, wantApply, wantRestore, wantPort].filter(Boolean).length;
+const actionCount = [wantStatus, wantSetup, wantInit, wantCheck, wantApply, wantRestore, wantPort, wantRemove, wantResume, wantAbort, wantVerify, wantWatch, wantInstallWatcher, wantInstallShim, wantCachePrune, wantMatrix, wantBisect, wantBuildManifest, wantInspect, wantExecArgv, wantSelftestRepack].filter(Boolean).length;
 if (actionCount === 0) {
-  console.error('Error: No action specified. Use --status, --setup, --init, --port, --check, --apply, or --restore');
+  console.error('Error: No action specified. Use --status, --setup, --init, --port, --check, --apply, --restore, --remove, --resume, --abort, --verify, --watch, --install-watcher, --install-shim, --cache-prune, --matrix, --bisect, --build-manifest, --inspect, --exec-argv, or --selftest-repack');
   console.error('Run with --help for usage information.');
   process.exit(1);
 }
@@ -195,15 +478,293 @@ if (patchesFromVersion && !wantCheck) {
   process.exit(1);
 }
 
-// Detect installations
-const installs = detectInstalls();
+if (((onlyIds && !wantMatrix) || skipIds) && !wantCheck && !wantApply) {
+  console.error('Error: --only/--skip can only be used with --check or --apply (--only also with --matrix)');
+  process.exit(1);
+}
+
+if (setSettings && !wantCheck && !wantApply) {
+  console.error('Error: --set can only be used with --check or --apply');
+  process.exit(1);
+}
+
+if (targetPath) {
+  if (targetFlags.length > 1) {
+    console.error(`Error: ${targetFlags.join(' and ')} both name the target; give one of them`);
+    process.exit(1);
+  }
+  if (wantSetup || wantInit || wantPort) {
+    console.error(`Error: ${targetFlag} can't be used with --setup, --init or --port (they work on detected installs)`);
+    process.exit(1);
+  }
+  if (!fs.existsSync(targetPath)) {
+    console.error(`Error: ${targetPath} does not exist`);
+    process.exit(1);
+  }
+}
+
+if (wantOnce && !wantWatch) {
+  console.error('Error: --once can only be used with --watch');
+  process.exit(1);
+}
+
+if (targetPath && (wantWatch || wantInstallWatcher)) {
+  console.error(`Error: --watch follows detected installs; it can't be used with ${targetFlag}`);
+  process.exit(1);
+}
+
+if (targetPath && wantInstallShim) {
+  console.error(`Error: the launcher shim follows detected installs; it can't be used with ${targetFlag}`);
+  process.exit(1);
+}
+
+if (archivedVersion && (!wantCheck || wantAllVersions || targetPath)) {
+  console.error(`Error: --archived can only be used with --check on a single target (not with ${targetFlag})`);
+  process.exit(1);
+}
+
+if (versionsSpec && !wantMatrix) {
+  console.error('Error: --versions can only be used with --matrix');
+  process.exit(1);
+}
+
+if (wantMatrix && (targetPath || wantAllVersions)) {
+  console.error(`Error: --matrix runs on archived builds; it can't be used with ${targetFlag} or --all-versions`);
+  process.exit(1);
+}
+
+if (wantWriteIndex && !wantPort) {
+  console.error('Error: --write-index can only be used with --port');
+  process.exit(1);
+}
+
+if ((bisectGood || bisectBad) && !wantBisect) {
+  console.error('Error: --good/--bad can only be used with --bisect');
+  process.exit(1);
+}
+
+if (wantBisect) {
+  if (!bisectGood || !bisectBad) {
+    console.error('Error: --bisect needs --good <version> and --bad <version>');
+    process.exit(1);
+  }
+  if (targetPath || wantAllVersions) {
+    console.error(`Error: --bisect runs on archived builds; it can't be used with ${targetFlag} or --all-versions`);
+    process.exit(1);
+  }
+}
+
+if (targetPath && wantBuildManifest) {
+  console.error(`Error: --build-manifest works on patches/; it can't be used with ${targetFlag}`);
+  process.exit(1);
+}
+
+if (targetPath && wantCachePrune) {
+  console.error(`Error: --cache-prune keeps the bundles of detected installs; it can't be used with ${targetFlag}`);
+  process.exit(1);
+}
+
+if (extractAllDir && !wantInspect) {
+  console.error('Error: --extract-all can only be used with --inspect');
+  process.exit(1);
+}
+
+if (wantInspect && (wantAllVersions || archivedVersion)) {
+  console.error('Error: --inspect reads one Bun binary; it can\'t be used with --all-versions or --archived');
+  process.exit(1);
+}
+
+if (wantExecArgv && (wantAllVersions || archivedVersion)) {
+  console.error('Error: --exec-argv edits one Bun binary; it can\'t be used with --all-versions or --archived');
+  process.exit(1);
+}
+
+if (shimDir && !wantInstallShim) {
+  console.error('Error: --shim-dir can only be used with --install-shim');
+  process.exit(1);
+}
+
+if (wantAllVersions) {
+  if (!wantNative) {
+    console.error('Error: --all-versions needs --native (the installer keeps one build per version)');
+    process.exit(1);
+  }
+  if (!wantCheck && !wantApply && !wantStatus && !wantSelftestRepack) {
+    console.error('Error: --all-versions can only be used with --check, --apply, --status or --selftest-repack');
+    process.exit(1);
+  }
+  if (targetPath || wantRestore) {
+    console.error(`Error: --all-versions can't be combined with ${targetFlag} or --restore`);
+    process.exit(1);
+  }
+}
+
+if (outputPath) {
+  if (!wantApply || wantRestore || wantAllVersions) {
+    console.error('Error: --output can only be used with --apply on a single target');
+    process.exit(1);
+  }
+  if (!fs.existsSync(path.dirname(outputPath))) {
+    console.error(`Error: ${path.dirname(outputPath)} does not exist`);
+    process.exit(1);
+  }
+  if (outputPath.endsWith('.bak')) {
+    console.error('Error: --output must not be a .bak file');
+    process.exit(1);
+  }
+}
+
+// Detect installations. --path and --archived replace detection with the one target.
+let pathTarget = targetPath ? resolvePathTarget(targetPath, wantBare, wantNative) : null;
+if (archivedVersion) {
+  const { findArchived, listArchive } = require('./lib/archive');
+  const type = wantBare ? 'bare' : wantNative ? 'native' : null;
+  pathTarget = findArchived(archivedVersion, type);
+  if (!pathTarget) {
+    const available = listArchive().map(a => `${a.version} (${a.types.join(', ')})`);
+    console.error(`Error: No archived ${type ? `${type} ` : ''}build of ${archivedVersion}`);
+    console.error(available.length > 0 ? `Archived: ${available.join(', ')}` : 'The archive is empty — run --setup to fill it');
+    process.exit(1);
+  }
+}
+if (targetFlag === '--file' && pathTarget.kind !== 'js') {
+  console.error(`Error: ${pathTarget.path} is a Bun binary — --file takes plain JS; use --path`);
+  process.exit(1);
+}
+const installs = pathTarget
+  ? { bare: null, native: null, all: [pathTarget], path: pathTarget }
+  : detectInstalls();
+
+// Every native build, active first (--all-versions)
+const allNatives = installs.all.filter(i => i.type === 'native');
 
 // Handle --status
 if (wantStatus) {
-  printStatus(installs);
+  if (wantAllVersions) {
+    const { printVersionStatus } = require('./lib/all-versions');
+    printVersionStatus(allNatives);
+  } else {
+    printStatus(installs);
+  }
   process.exit(0);
 }
 
+// Handle --verify: every detected install unless one is named
+if (wantVerify) {
+  const { runVerify } = require('./lib/verify');
+  const targets = wantBare || wantNative || pathTarget
+    ? [resolveTarget(installs, wantBare, wantNative)]
+    : installs.all;
+  if (targets.length === 0) {
+    console.error('Error: No Claude Code installation detected');
+    process.exit(2);
+  }
+  process.exit(runVerify(targets));
+}
+
+// Handle --watch / --install-watcher
+if (wantWatch || wantInstallWatcher) {
+  const { runWatch, installWatcher } = require('./lib/watch');
+  const installType = wantBare ? 'bare' : wantNative ? 'native' : null;
+  if (wantInstallWatcher) {
+    const result = installWatcher({ installType });
+    if (!result.success) logError(result.error);
+    process.exit(result.success ? 0 : 1);
+  }
+  runWatch({ installType, once: wantOnce });
+  if (wantOnce) process.exit(0);
+  // Otherwise the watchers keep the process alive until SIGINT/SIGTERM
+}
+
+// Handle --build-manifest
+if (wantBuildManifest) {
+  const { buildManifest } = require('./lib/manifest');
+  const result = buildManifest();
+  if (!result.success) {
+    logError(result.error);
+    process.exit(1);
+  }
+  log(`✓ Wrote ${path.relative(__dirname, result.manifestPath)}: ${result.patchCount} patches, ${result.fileCount} file ranges`);
+  if (result.redundant.length > 0) {
+    log(`  ${result.redundant.length} index.json file(s) resolve the same from it and can be deleted:`);
+    log(`    ${result.redundant.join(', ')}`);
+  }
+  emitJson({ type: 'result', status: 'success', ...result });
+  process.exit(0);
+}
+
+// Handle --cache-prune
+if (wantCachePrune) {
+  const { pruneCache } = require('./lib/bundle-cache');
+  const result = pruneCache();
+  process.exit(result.success ? 0 : 1);
+}
+
+// Handle --matrix (async: the workers report back through the event loop)
+if (wantMatrix) {
+  const { runMatrix } = require('./lib/matrix');
+  runMatrix({
+    versions: versionsSpec,
+    installType: wantBare ? 'bare' : wantNative ? 'native' : null,
+    only: onlyIds,
+  }).then((result) => {
+    if (!result.success) logError(result.error);
+    process.exit(result.success ? 0 : 1);
+  }).catch((err) => {
+    logError(err.message);
+    process.exit(1);
+  });
+}
+
+// Handle --bisect
+if (wantBisect) {
+  const { runBisect } = require('./lib/bisect');
+  const result = runBisect({
+    id: bisectId,
+    good: bisectGood,
+    bad: bisectBad,
+    installType: wantBare ? 'bare' : wantNative ? 'native' : null,
+  });
+  if (!result.success) logError(result.error);
+  process.exit(result.success ? 0 : 1);
+}
+
+// Handle --install-shim
+if (wantInstallShim) {
+  const { installShim } = require('./lib/shim');
+  const result = installShim(resolveTarget(installs, wantBare, wantNative), { dir: shimDir });
+  if (!result.success) logError(result.error);
+  process.exit(result.success ? 0 : 1);
+}
+
+// Handle --inspect
+if (wantInspect) {
+  const { runInspect } = require('./lib/inspect');
+  const result = runInspect(resolveTarget(installs, wantBare, wantNative), { extractAll: extractAllDir });
+  if (!result.success) logError(result.error);
+  process.exit(result.success ? 0 : 1);
+}
+
+// Handle --exec-argv
+if (wantExecArgv) {
+  const { runExecArgv } = require('./lib/exec-argv');
+  const result = runExecArgv(resolveTarget(installs, wantBare, wantNative), execArgvEdit);
+  if (!result.success) logError(result.error);
+  process.exit(result.success ? 0 : 1);
+}
+
+// Handle --selftest-repack: one binary, or every native build
+if (wantSelftestRepack) {
+  if (wantAllVersions && allNatives.length === 0) {
+    console.error('Error: No native (Bun binary) installation detected');
+    process.exit(1);
+  }
+  const { runSelftestRepack } = require('./lib/selftest-repack');
+  const result = runSelftestRepack(wantAllVersions ? allNatives : [resolveTarget(installs, wantBare, wantNative)]);
+  if (!result.success) logError(result.error);
+  process.exit(result.success ? 0 : 1);
+}
+
 // Handle --setup
 if (wantSetup) {
   const { runSetup } = require('./lib/setup');
@@ -225,7 +786,7 @@ if (wantInit) {
   }
   log(`\nNext steps:`);
   log(`  node claude-patching.js --check    # verify patches still match`);
-  emitJson({ type: 'result', status: 'success', version: result.version, copiedFrom: result.copiedFrom });
+  emitJson({ type: 'result', status: 'success', version: result.version, copiedFrom: result.copiedFrom, extendedFrom: result.extendedFrom });
   process.exit(0);
 }
 
@@ -264,6 +825,7 @@ if (wantRestore) {
     // Perform the restore
     try {
       fs.copyFileSync(bakPath, restoreTarget.path);
+      forgetInstall(restoreTarget.path);
       log(`\n✓ Restored ${restoreTarget.type} install from .bak`);
       if (!isRestoreApply) {
         log('  Restart Claude Code to use the unpatched version.');
@@ -283,15 +845,36 @@ if (wantRestore) {
   log('');
 }
 
+// Handle --remove
+if (wantRemove) {
+  const removeTarget = resolveTarget(installs, wantBare, wantNative);
+  const result = removePatch(removeTarget, removeId, { verbose: wantVerbose });
+  process.exit(result.success ? 0 : 1);
+}
+
+// Handle --resume / --abort
+if (wantResume || wantAbort) {
+  const journalTarget = resolveTarget(installs, wantBare, wantNative);
+  const result = wantResume
+    ? resumeApply(journalTarget, { verbose: wantVerbose })
+    : abortApply(journalTarget);
+  process.exit(result.success ? 0 : 1);
+}
+
 // Handle --port
 if (wantPort) {
   const portTarget = resolveTarget(installs, wantBare, wantNative);
-  const result = runPort(installs, portTarget);
+  const result = runPort(installs, portTarget, { writeIndex: wantWriteIndex });
 
   if (result.check) {
-    const failCount = result.check.failed.length;
+    const failCount = result.variants.unresolved.length;
+    const resolvedCount = result.variants.resolved.length;
     if (failCount > 0) {
       log(`Next: Fix ${failCount} failing patch(es), then re-run --check`);
+    } else if (resolvedCount > 0 && !wantWriteIndex) {
+      log(`Next: Re-run with --port --write-index to switch ${resolvedCount} patch(es) to the variant that passes`);
+    } else if (resolvedCount > 0) {
+      log(`Next: Re-run --check with the updated index, then --apply`);
     } else {
       log(`All patches passed! Ready to --apply`);
     }
@@ -301,26 +884,50 @@ if (wantPort) {
   process.exit(result.success ? 0 : 1);
 }
 
-// Handle --check / --apply
-const target = resolveTarget(installs, wantBare, wantNative);
-const dryRun = wantCheck;
-
-// Auto-fallback (--check only): if no patches exist for current version and no explicit
-// --patches-from, automatically use the latest available patch version for testing.
-let effectivePatchVersion = patchesFromVersion;
-if (!effectivePatchVersion && dryRun) {
-  const indexPath = path.join(PATCHES_DIR, target.version, 'index.json');
-  if (!fs.existsSync(indexPath)) {
-    const fallback = findFallbackVersion(target.version);
-    if (fallback) {
-      effectivePatchVersion = fallback;
-      log(`No patches for ${target.version}, using ${fallback} (latest available)`);
-      emitJson({
-        type: 'info',
-        message: `Auto-fallback: using patches from ${fallback} for ${target.version}`
-      });
-    }
+// Handle --check / --apply across every native build
+if (wantAllVersions) {
+  if (allNatives.length === 0) {
+    console.error('Error: No native (Bun binary) installation detected');
+    process.exit(1);
   }
+  const { runAllVersions } = require('./lib/all-versions');
+  const result = runAllVersions(allNatives, wantCheck, {
+    verbose: wantVerbose,
+    patchesFrom: patchesFromVersion,
+    only: onlyIds,
+    skip: skipIds,
+    settings: setSettings,
+  });
+  process.exit(result.success ? 0 : 1);
 }
 
-const result = applyPatches(target, dryRun, effectivePatchVersion, { verbose: wantVerbose });
+// Handle --check / --apply (--watch keeps running on its watchers instead)
+if (wantCheck || wantApply) {
+  const target = resolveTarget(installs, wantBare, wantNative);
+  const dryRun = wantCheck;
+
+  // Auto-fallback (--check only): if no patches exist for current version and no explicit
+  // --patches-from, automatically use the latest available patch version for testing.
+  let effectivePatchVersion = patchesFromVersion;
+  if (!effectivePatchVersion && dryRun) {
+    if (!hasPatchSet(target.version)) {
+      const fallback = findFallbackVersion(target.version);
+      if (fallback) {
+        effectivePatchVersion = fallback;
+        log(`No patches for ${target.version}, using ${fallback} (latest available)`);
+        emitJson({
+          type: 'info',
+          message: `Auto-fallback: using patches from ${fallback} for ${target.version}`
+        });
+      }
+    }
+  }
+
+  const result = applyPatches(target, dryRun, effectivePatchVersion, {
+    verbose: wantVerbose,
+    only: onlyIds,
+    skip: skipIds,
+    settings: setSettings,
+    output: outputPath,
+  });
+}
@@ -0,0 +1,212 @@
+/**
+ * All-versions mode — --check, --apply or --status across every native
+ * build the installer keeps (`--native --all-versions`), one matrix row per
+ * version.
+ *
+ * The installer leaves older builds in ~/.local/share/claude/versions/ and
+ * moves the ~/.local/bin/claude symlink on update, so patching only the
+ * active build leaves the others (and the next switch) unpatched.
+ */
+
+const {
+  readPatchMetadata,
+  hasPatchSet,
+  findFallbackVersion,
+} = require('./shared');
+
+const { isJsonMode, emitJson, log } = require('./output');
+const { applyPatches, readTargetJs } = require('./patch-runner');
+const { readJournal, resumeHint } = require('./apply-journal');
+
+// ============ Patch Set Selection ============
+
+/**
+ * Pick the patch set for one build. A version's own index wins; --check
+ * falls back to the latest earlier set, --apply never does (same rule as a
+ * single-target run).
+ * @param {string} version
+ * @param {boolean} dryRun
+ * @param {string|null} patchesFrom - --patches-from override
+ * @returns {{ patchVersion: string|null, source: 'own'|'fallback'|'override'|null }}
+ */
+function selectPatchSet(version, dryRun, patchesFrom) {
+  if (patchesFrom) return { patchVersion: patchesFrom, source: 'override' };
+  if (hasPatchSet(version)) {
+    return { patchVersion: version, source: 'own' };
+  }
+  if (dryRun) {
+    const fallback = findFallbackVersion(version);
+    if (fallback) return { patchVersion: fallback, source: 'fallback' };
+  }
+  return { patchVersion: null, source: null };
+}
+
+function formatPatchSet(row) {
+  if (!row.patchVersion) return '—';
+  return row.patchSource === 'own' ? row.patchVersion : `${row.patchVersion} (${row.patchSource})`;
+}
+
+// ============ Check / Apply ============
+
+/**
+ * Run --check or --apply on every build and print the matrix.
+ * @param {object[]} targets - Native installs, active first
+ * @param {boolean} dryRun - --check (true) or --apply (false)
+ * @param {object} [options] - Passed through to applyPatches, plus:
+ * @param {string} [options.patchesFrom] - Use this patch version for every build (--check only)
+ * @returns {{ success: boolean, rows: object[] }}
+ */
+function runAllVersions(targets, dryRun, options = {}) {
+  const { patchesFrom = null, verbose = false, ...applyOptions } = options;
+  const mode = dryRun ? 'check' : 'apply';
+  const rows = [];
+
+  log(`\n${dryRun ? 'Checking' : 'Applying'} patches on ${targets.length} native build(s)\n`);
+  emitJson({ type: 'all_versions_start', mode, versions: targets.map(t => t.version) });
+
+  for (const target of targets) {
+    const { patchVersion, source } = selectPatchSet(target.version, dryRun, patchesFrom);
+    const row = {
+      version: target.version,
+      path: target.path,
+      active: !!target.active,
+      patchVersion,
+      patchSource: source,
+      status: 'skipped',
+      passed: [],
+      failed: [],
+      skipped: [],
+      total: 0,
+      error: null,
+    };
+
+    if (!patchVersion) {
+      row.error = dryRun ? 'no patches for this or any earlier version' : 'no patches for this version (port it first)';
+      log(`→ ${target.version}: ⊘ ${row.error}`);
+    } else {
+      if (!verbose) log(`→ ${target.version}: ${mode} with ${formatPatchSet({ patchVersion, patchSource: source })}...`);
+      // Each run prints its full output only with -v; JSON mode keeps the
+      // per-run events (they carry the version in their start event)
+      const result = applyPatches(target, dryRun, patchVersion === target.version ? null : patchVersion, {
+        ...applyOptions,
+        verbose,
+        quiet: !verbose && !isJsonMode,
+      });
+      row.passed = result.passed.map(p => p.id);
+      row.failed = result.failed.map(f => ({ id: f.id, reason: f.reason }));
+      row.skipped = result.skipped.map(s => s.id);
+      row.total = result.total;
+      row.error = result.error || null;
+      row.status = row.failed.length > 0 ? 'failed' : result.success ? 'ok' : 'error';
+    }
+
+    emitJson({ type: 'version_result', mode, ...row });
+    rows.push(row);
+  }
+
+  printMatrix(rows, mode);
+  const success = rows.every(r => r.status === 'ok' || r.status === 'skipped');
+  emitJson({ type: 'version_matrix', mode, success, rows });
+  return { success, rows };
+}
+
+/**
+ * Human matrix for --check/--apply (JSON mode gets the version_matrix event)
+ */
+function printMatrix(rows, mode) {
+  if (isJsonMode) return;
+
+  const marks = { ok: '✓', failed: '✗', error: '✗', skipped: '⊘' };
+  const width = Math.max(...rows.map(r => formatPatchSet(r).length), 'Patch set'.length);
+  console.log(`\n    ${'Version'.padEnd(8)} ${'Active'.padEnd(6)} ${'Patch set'.padEnd(width)}  Result`);
+  for (const row of rows) {
+    let result;
+    if (row.status === 'skipped') {
+      result = row.error;
+    } else if (row.status === 'error' && row.total === 0) {
+      result = row.error;
+    } else {
+      const counted = row.total - row.skipped.length;
+      result = `${row.passed.length}/${counted} ${mode === 'check' ? 'pass' : 'applied'}`;
+      if (row.skipped.length > 0) result += `, ${row.skipped.length} skipped`;
+      if (row.failed.length > 0) {
+        const ids = row.failed.map(f => f.id);
+        const more = ids.length > 5 ? ` +${ids.length - 5} more` : '';
+        result += ` — failed: ${ids.slice(0, 5).join(', ')}${more}`;
+      }
+      if (row.error) result += ` (${row.error})`;
+    }
+    const active = row.active ? '*' : '';
+    console.log(`  ${marks[row.status]} ${row.version.padEnd(8)} ${active.padEnd(6)} ${formatPatchSet(row).padEnd(width)}  ${result}`);
+  }
+  console.log();
+}
+
+// ============ Status ============
+
+/**
+ * --status for every build: patch state, patch set on hand, pending journal.
+ * @param {object[]} targets - Native installs, active first
+ */
+function printVersionStatus(targets) {
+  const rows = targets.map(target => {
+    const { patchVersion, source } = selectPatchSet(target.version, true, null);
+    const row = {
+      type: target.type,
+      version: target.version,
+      path: target.path,
+      active: !!target.active,
+      patchVersion,
+      patchSource: source,
+      patches: null,
+      appliedAt: null,
+      journal: false,
+    };
+    try {
+      const meta = readPatchMetadata(readTargetJs(target.path));
+      if (meta) {
+        row.patches = meta.patches.map(p => p.id);
+        row.appliedAt = meta.appliedAt;
+      } else {
+        row.patches = [];
+      }
+    } catch (err) {
+      row.error = err.message?.includes('node-lief') ? 'node-lief not installed' : 'unable to read';
+    }
+    try {
+      row.journal = !!readJournal(target);
+    } catch {
+      row.journal = true;
+    }
+    return row;
+  });
+
+  if (isJsonMode) {
+    emitJson({ type: 'version_status', rows });
+    return;
+  }
+
+  console.log(`\nNative builds:\n`);
+  if (rows.length === 0) {
+    console.log('  None found in ~/.local/share/claude/versions/\n');
+    return;
+  }
+  const width = Math.max(...rows.map(r => formatPatchSet(r).length), 'Patch set'.length);
+  console.log(`    ${'Version'.padEnd(8)} ${'Active'.padEnd(6)} ${'Patch set'.padEnd(width)}  Patched`);
+  for (const row of rows) {
+    let state;
+    if (row.error) state = `(${row.error})`;
+    else if (row.patches.length === 0) state = 'no';
+    else state = `${row.patches.length} patches (${row.appliedAt})`;
+    if (row.journal) state += ` ⚠ interrupted apply — ${resumeHint(row, 'resume')} or --abort`;
+    const active = row.active ? '*' : '';
+    console.log(`    ${row.version.padEnd(8)} ${active.padEnd(6)} ${formatPatchSet(row).padEnd(width)}  ${state}`);
+  }
+  console.log();
+}
+
+module.exports = {
+  selectPatchSet,
+  runAllVersions,
+  printVersionStatus,
+};
@@ -0,0 +1,187 @@
+/**
+ * Apply journal — a record of an --apply in flight, so a run killed half-way
+ * can be finished (--resume) or rolled back (--abort).
+ *
+ * One file per target in the workspace, `apply-journal.<type>.<hash>.json`
+ * (hash: first 8 hex digits of the SHA-256 of the target path), written when
+ * --apply starts and removed when it ends (success or a handled failure). A
+ * journal that outlives its process means the apply was interrupted:
+ *
+ *   {
+ *     "target": "/home/u/.local/share/claude/versions/2.1.222",
+ *     "installType": "native", "ccVersion": "2.1.222", "patchVersion": "2.1.222",
+ *     "source": "/home/u/.local/share/claude/versions/2.1.222",
+ *     "binaryHash": "<sha256 of the target before the apply>",
+ *     "bakHash": "<sha256 of the .bak, null until there is one>",
+ *     "backupCreated": true,
+ *     "patches": [{ "id": "spinner", "file": "...", "settings": { ... } }],
+ *     "done": ["ghostty-term", "system-reminders"],
+ *     "phase": "patching",
+ *     "tempPath": "/tmp/claude-cli-1760000000000.js",
+ *     "startedAt": "2026-10-19T10:00:00.000Z", "pid": 12345
+ *   }
+ *
+ * Phases: backup → patching → validating → repacking. Patching happens in
+ * memory, so `done` is a progress record rather than a checkpoint: the binary
+ * only changes in the repacking phase.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const { PROJECT_DIR } = require('./shared');
+
+const PHASES = ['backup', 'patching', 'validating', 'repacking'];
+
+// ============ Files ============
+
+const JOURNAL_FILE = /^apply-journal\.[\w-]+\.[0-9a-f]{8}\.json$/;
+
+/**
+ * @param {object} install - Installation info
+ * @returns {string}
+ */
+function journalPath(install) {
+  const key = crypto.createHash('sha256').update(install.path).digest('hex').slice(0, 8);
+  return path.join(PROJECT_DIR, `apply-journal.${install.type}.${key}.json`);
+}
+
+/**
+ * Write via a temp file and rename, so a kill mid-write never leaves a
+ * truncated journal behind.
+ */
+function writeJournalFile(filePath, data) {
+  const tmp = `${filePath}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2) + '\n');
+  fs.renameSync(tmp, filePath);
+}
+
+function parseJournalFile(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Failed to parse ${filePath}: ${err.message} (delete it by hand once the install is checked)`);
+  }
+}
+
+/**
+ * Load the leftover journal for a target. Throws on an unreadable file — it
+ * still marks an interrupted apply, and guessing past it could roll back the
+ * wrong thing.
+ * @param {object} install - Installation info
+ * @returns {object|null}
+ */
+function readJournal(install) {
+  const filePath = journalPath(install);
+  if (!fs.existsSync(filePath)) return null;
+  return parseJournalFile(filePath);
+}
+
+/**
+ * Every leftover journal in the workspace, whatever it targeted.
+ * @returns {{ file: string, journal: object|null, error?: string }[]}
+ */
+function listJournals() {
+  return fs.readdirSync(PROJECT_DIR)
+    .filter(name => JOURNAL_FILE.test(name))
+    .map(name => {
+      const file = path.join(PROJECT_DIR, name);
+      try {
+        return { file, journal: parseJournalFile(file) };
+      } catch (err) {
+        return { file, journal: null, error: err.message };
+      }
+    });
+}
+
+/**
+ * @param {object} install - Installation info
+ */
+function removeJournal(install) {
+  fs.rmSync(journalPath(install), { force: true });
+}
+
+// ============ Recording ============
+
+/**
+ * Start the journal for an apply. Refuses when one is already there — an
+ * earlier apply was interrupted and has to be resumed or aborted first.
+ * @param {object} install - Installation info
+ * @param {object} fields - Initial journal fields (see the header)
+ * @returns {{ data: object, update: (fields: object) => void, markDone: (id: string) => void, close: () => void }}
+ */
+function startJournal(install, fields) {
+  const filePath = journalPath(install);
+  if (fs.existsSync(filePath)) {
+    throw new Error(
+      `An interrupted apply is recorded in ${filePath}\n` +
+      `  Run ${resumeHint(install, 'resume')} to finish it or ${resumeHint(install, 'abort')} to roll it back`
+    );
+  }
+
+  const data = {
+    target: install.path,
+    installType: install.type,
+    ccVersion: install.version,
+    bakHash: null,
+    backupCreated: false,
+    done: [],
+    phase: PHASES[0],
+    tempPath: null,
+    ...fields,
+    startedAt: new Date().toISOString(),
+    pid: process.pid,
+  };
+  writeJournalFile(filePath, data);
+
+  let open = true;
+  const update = (changes) => {
+    if (!open) return;
+    Object.assign(data, changes);
+    writeJournalFile(filePath, data);
+  };
+
+  return {
+    data,
+    update,
+    markDone: (id) => update({ done: [...data.done, id] }),
+    close: () => {
+      if (!open) return;
+      open = false;
+      removeJournal(install);
+    },
+  };
+}
+
+// ============ Reporting ============
+
+/**
+ * The command that resumes or aborts an apply on this target
+ * @param {{ type: string, path: string }} install - Installation info (or a journal's target/type)
+ * @param {'resume'|'abort'} action
+ * @returns {string}
+ */
+function resumeHint(install, action) {
+  return `--${install.type} --path ${install.path} --${action}`;
+}
+
+/**
+ * One-line description of a leftover journal, for --status and errors.
+ * @param {object} journal
+ * @returns {string}
+ */
+function describeJournal(journal) {
+  const progress = `${journal.done.length}/${journal.patches.length} patches`;
+  return `interrupted in ${journal.phase} (${progress}, started ${journal.startedAt}, pid ${journal.pid})`;
+}
+
+module.exports = {
+  journalPath,
+  readJournal,
+  listJournals,
+  removeJournal,
+  startJournal,
+  describeJournal,
+  resumeHint,
+};
@@ -0,0 +1,153 @@
+/**
+ * Bundle archive — the pristine JS of every CC build --setup has seen, one
+ * per version and install type, so compatibility work doesn't need the
+ * build to still be installed.
+ *
+ *   archive/
+ *     2.1.222/
+ *       native.js.gz
+ *       bare.js.gz
+ *       hashes.json     { "native": { jsSha256, jsSize, binarySha256, source, archivedAt }, ... }
+ *
+ * Only clean JS (no patch marker) goes in, from the live binary or its .bak.
+ * An entry is never replaced: the first clean build of a version wins, and a
+ * different build under the same version is reported, not stored.
+ *
+ * Readers: --check --archived <version>, and the flag/env scanners, which take
+ * a .js.gz path directly.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const { PROJECT_DIR, isPatched, extractVersion, hashFile, compareVersions } = require('./shared');
+const { hashBuffer } = require('./ledger');
+
+const ARCHIVE_DIR = path.join(PROJECT_DIR, 'archive');
+const INSTALL_TYPES = ['native', 'bare'];
+
+// ============ Paths ============
+
+/**
+ * @param {string} version
+ * @param {string} type - "bare" or "native"
+ * @returns {string}
+ */
+function archivePath(version, type) {
+  return path.join(ARCHIVE_DIR, version, `${type}.js.gz`);
+}
+
+function hashesPath(version) {
+  return path.join(ARCHIVE_DIR, version, 'hashes.json');
+}
+
+function readHashes(version) {
+  try {
+    return JSON.parse(fs.readFileSync(hashesPath(version), 'utf8'));
+  } catch {
+    return {};
+  }
+}
+
+// ============ Writing ============
+
+/**
+ * Archive one build's JS.
+ * @param {string} type - "bare" or "native"
+ * @param {Buffer} jsBuffer - Extracted JS
+ * @param {string} binaryPath - Where it came from (the binary or its .bak)
+ * @returns {{ status: 'archived'|'present'|'conflict'|'patched'|'unversioned', version: string|null, path?: string }}
+ */
+function archiveBundle(type, jsBuffer, binaryPath) {
+  const content = jsBuffer.toString('utf8');
+  if (isPatched(content)) return { status: 'patched', version: null };
+  const version = extractVersion(content);
+  if (!version) return { status: 'unversioned', version: null };
+
+  const filePath = archivePath(version, type);
+  const jsSha256 = hashBuffer(jsBuffer);
+  const hashes = readHashes(version);
+  if (hashes[type] && fs.existsSync(filePath)) {
+    return { status: hashes[type].jsSha256 === jsSha256 ? 'present' : 'conflict', version, path: filePath };
+  }
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmp = `${filePath}.tmp`;
+  fs.writeFileSync(tmp, zlib.gzipSync(jsBuffer, { level: 9 }));
+  fs.renameSync(tmp, filePath);
+
+  hashes[type] = {
+    jsSha256,
+    jsSize: jsBuffer.length,
+    binarySha256: hashFile(binaryPath),
+    source: binaryPath,
+    archivedAt: new Date().toISOString(),
+  };
+  const hashesTmp = `${hashesPath(version)}.tmp`;
+  fs.writeFileSync(hashesTmp, JSON.stringify(hashes, null, 2) + '\n');
+  fs.renameSync(hashesTmp, hashesPath(version));
+  return { status: 'archived', version, path: filePath };
+}
+
+// ============ Reading ============
+
+/**
+ * Versions in the archive, oldest first, with the types each has
+ * @returns {{ version: string, types: string[] }[]}
+ */
+function listArchive() {
+  let entries = [];
+  try {
+    entries = fs.readdirSync(ARCHIVE_DIR);
+  } catch {
+    return [];
+  }
+  return entries
+    .filter(v => /^\d+\.\d+\.\d+/.test(v))
+    .map(version => ({
+      version,
+      types: INSTALL_TYPES.filter(t => fs.existsSync(archivePath(version, t))),
+    }))
+    .filter(e => e.types.length > 0)
+    .sort((a, b) => compareVersions(a.version, b.version));
+}
+
+/**
+ * Pick the archived build for a version: the given type, else native, else bare.
+ * @param {string} version
+ * @param {string|null} type
+ * @returns {{ type: string, path: string, version: string, kind: 'archive' }|null}
+ */
+function findArchived(version, type) {
+  for (const t of type ? [type] : INSTALL_TYPES) {
+    if (fs.existsSync(archivePath(version, t))) {
+      return { type: t, path: archivePath(version, t), version, kind: 'archive' };
+    }
+  }
+  return null;
+}
+
+/**
+ * Decompress an archived build, checked against its recorded hash.
+ * @param {string} version
+ * @param {string} type
+ * @returns {string}
+ */
+function readArchived(version, type) {
+  const js = zlib.gunzipSync(fs.readFileSync(archivePath(version, type)));
+  const expected = readHashes(version)[type]?.jsSha256;
+  if (expected && hashBuffer(js) !== expected) {
+    throw new Error(`${archivePath(version, type)} doesn't match its recorded hash — delete it and re-run --setup`);
+  }
+  return js.toString('utf8');
+}
+
+module.exports = {
+  ARCHIVE_DIR,
+  archivePath,
+  archiveBundle,
+  listArchive,
+  findArchived,
+  readArchived,
+};
@@ -0,0 +1,416 @@
+/**
+ * Bisect — the first archived build a patch stops matching on
+ * (--bisect <id> --good <version> --bad <version>).
+ *
+ * The patch file is the one the good version's patch set uses (its own
+ * index, else the closest older one, as --check falls back) and stays the
+ * same for every build tried. The builds are the archived ones in
+ * [good, bad] (lib/archive.js): the two ends are checked first, then the
+ * range is halved until a passing build sits next to a failing one.
+ *
+ * For that pair the report adds:
+ *   - a diff of the two builds around the last discovery the patch still made
+ *     on the failing build, prettified with js-beautify when it's installed
+ *   - the changelog between them: the patch's matches in a committed
+ *     changelog-impact.json covering the range, else a scan-changelog.js run
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { spawnSync } = require('child_process');
+
+const { PATCHES_DIR, PROJECT_DIR, compareVersions, findFallbackVersion } = require('./shared');
+const { isJsonMode, emitJson, log } = require('./output');
+
+const CHANGELOG_SCAN_SCRIPT = path.join(PROJECT_DIR, 'scan-changelog.js');
+const REGION_RADIUS = 1500;
+const DIFF_PREVIEW_LINES = 80;
+
+// ============ Checks ============
+
+/**
+ * The file the good version's patch set runs for this id. A `module:` patch
+ * is refused: the archive keeps only the entry-point JS, so its checks would
+ * run against the wrong module.
+ * @returns {{ file: string, patchVersion: string }|{ error: string }}
+ */
+function resolvePatchFile(id, goodVersion, installType) {
+  const { loadPatchIndex } = require('./patch-runner');
+  const patchVersion = findFallbackVersion(goodVersion);
+  if (!patchVersion) return { error: `No patch set at or before ${goodVersion}` };
+
+  const index = loadPatchIndex(patchVersion, installType, { userConfig: false });
+  const patch = index && [...index.patches, ...index.excluded].find(p => p.id === id);
+  if (!patch?.file) {
+    return { error: `${id} is not in the ${patchVersion} patch set (${installType})` };
+  }
+  if (patch.module) {
+    return { error: `${id} targets the embedded module ${patch.module}, and the archive only keeps the entry-point JS` };
+  }
+  return { file: patch.file, patchVersion };
+}
+
+/**
+ * --check the patch against one archived build.
+ * @returns {{ version: string, status: 'pass'|'miss'|'error', reason: string|null, discoveries: object[] }}
+ */
+function checkBuild(build, patchFile) {
+  const { readArchived } = require('./archive');
+  const { checkPatch } = require('./patch-runner');
+  const { failureReason } = require('./matrix');
+
+  const js = readArchived(build.version, build.type);
+  let tempPath = null;
+  const ensureTempFile = (data) => {
+    if (!tempPath) {
+      tempPath = path.join(os.tmpdir(), `claude-bisect-${process.pid}-${build.version}.js`);
+      fs.writeFileSync(tempPath, data);
+    }
+    return tempPath;
+  };
+
+  try {
+    const result = checkPatch(patchFile, js, ensureTempFile);
+    return {
+      version: build.version,
+      status: result.success ? 'pass' : result.notFound ? 'miss' : 'error',
+      reason: result.success ? null : failureReason(result),
+      discoveries: parseDiscoveries(result),
+    };
+  } finally {
+    if (tempPath) fs.rmSync(tempPath, { force: true });
+  }
+}
+
+/**
+ * Discovery events of a check: a module patch's own events, else the lines a
+ * legacy script printed (JSON in JSON mode, "Found <label>: <value>" otherwise)
+ * @returns {{ label: string, value: string, ok: boolean }[]}
+ */
+function parseDiscoveries(result) {
+  if (result.events) {
+    return result.events
+      .filter(e => e.type === 'discovery')
+      .map(e => ({ label: e.label, value: String(e.value ?? ''), ok: e.matches?.ok !== false }));
+  }
+  const discoveries = [];
+  for (const line of (result.output || '').split('\n')) {
+    try {
+      const event = JSON.parse(line);
+      if (event.type === 'discovery') discoveries.push({ label: event.label, value: String(event.value ?? ''), ok: true });
+      continue;
+    } catch { /* human-mode line */ }
+    const match = line.match(/^Found (.+?): (.*)$/);
+    if (match) discoveries.push({ label: match[1], value: match[2], ok: true });
+  }
+  return discoveries;
+}
+
+// ============ Region Diff ============
+
+/**
+ * Where a discovery points in the bundle: `offset N` from a module patch,
+ * else the code snippet a legacy script printed (truncated with "...").
+ * @returns {number|null}
+ */
+function locateDiscovery(discovery, content) {
+  const offset = discovery.value.match(/^offset (\d+)$/);
+  if (offset) return Number(offset[1]);
+  const snippet = discovery.value.replace(/\.\.\.$/, '');
+  if (snippet.length < 12) return null;
+  const index = content.indexOf(snippet);
+  return index === -1 ? null : index;
+}
+
+/**
+ * Map an offset in one build to the same code in another: the nearest string
+ * literal around it that occurs exactly once in both builds is the anchor.
+ * @returns {number|null}
+ */
+function correspondingOffset(fromContent, offset, toContent) {
+  const start = Math.max(0, offset - REGION_RADIUS * 2);
+  const window = fromContent.slice(start, offset + REGION_RADIUS * 2);
+  const literals = [];
+  const literalPattern = /(["'`])((?:(?!\1)[^\\\n]|\\.){8,120})\1/g;
+  let match;
+  while ((match = literalPattern.exec(window))) {
+    literals.push({ text: match[0], at: start + match.index });
+  }
+  literals.sort((a, b) => Math.abs(a.at - offset) - Math.abs(b.at - offset));
+
+  for (const literal of literals.slice(0, 40)) {
+    if (fromContent.indexOf(literal.text) !== fromContent.lastIndexOf(literal.text)) continue;
+    const at = toContent.indexOf(literal.text);
+    if (at === -1 || at !== toContent.lastIndexOf(literal.text)) continue;
+    return Math.min(toContent.length, Math.max(0, at + (offset - literal.at)));
+  }
+  return null;
+}
+
+/**
+ * js-beautify when it's on PATH (as --setup uses for the .pretty files),
+ * else a line break after every statement and brace
+ */
+function prettify(js, tempDir) {
+  const input = path.join(tempDir, 'region.js');
+  fs.writeFileSync(input, js);
+  const result = spawnSync('js-beautify', ['-f', input], { encoding: 'utf8', timeout: 60000 });
+  if (result.status === 0 && result.stdout) return result.stdout;
+  return js.replace(/([;{}])/g, '$1\n');
+}
+
+/**
+ * Unified diff of the two builds around the anchor.
+ * @returns {{ label: string, good: { version: string, offset: number }, bad: { version: string, offset: number }, diff: string }|{ error: string }}
+ */
+function diffRegion(good, bad, goodContent, badContent) {
+  // The last discovery the failing build still made is the closest point to
+  // the break that both builds share; without one, the first the passing
+  // build made, mapped over by a nearby string literal
+  const made = bad.discoveries.filter(d => d.ok);
+  let anchor = null;
+  if (made.length > 0) {
+    const last = made[made.length - 1];
+    const badOffset = locateDiscovery(last, badContent);
+    const counterpart = good.discoveries.find(d => d.label === last.label);
+    let goodOffset = counterpart ? locateDiscovery(counterpart, goodContent) : null;
+    if (goodOffset === null && badOffset !== null) goodOffset = correspondingOffset(badContent, badOffset, goodContent);
+    if (badOffset !== null && goodOffset !== null) anchor = { label: last.label, goodOffset, badOffset };
+  }
+  if (!anchor) {
+    for (const discovery of good.discoveries) {
+      const goodOffset = locateDiscovery(discovery, goodContent);
+      if (goodOffset === null) continue;
+      const badOffset = correspondingOffset(goodContent, goodOffset, badContent);
+      if (badOffset === null) continue;
+      anchor = { label: discovery.label, goodOffset, badOffset };
+      break;
+    }
+  }
+  if (!anchor) return { error: 'no discovery of the patch could be located in both builds' };
+
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-bisect-'));
+  try {
+    const write = (name, content, offset) => {
+      const region = content.slice(Math.max(0, offset - REGION_RADIUS), offset + REGION_RADIUS);
+      const file = path.join(tempDir, name);
+      fs.writeFileSync(file, prettify(region, tempDir));
+      return file;
+    };
+    const goodFile = write('good.pretty', goodContent, anchor.goodOffset);
+    const badFile = write('bad.pretty', badContent, anchor.badOffset);
+    const result = spawnSync('diff', [
+      '-u',
+      '--label', `${good.version} @${anchor.goodOffset}`,
+      '--label', `${bad.version} @${anchor.badOffset}`,
+      goodFile, badFile,
+    ], { encoding: 'utf8', timeout: 30000 });
+    if (result.status !== 0 && result.status !== 1) {
+      return { error: `diff failed: ${result.error ? result.error.message : (result.stderr || '').trim()}` };
+    }
+    return {
+      label: anchor.label,
+      good: { version: good.version, offset: anchor.goodOffset },
+      bad: { version: bad.version, offset: anchor.badOffset },
+      diff: result.stdout,
+    };
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+}
+
+// ============ Changelog ============
+
+/**
+ * Changelog bullets in (lastGood, firstBad] and the ones matched to this
+ * patch: from every committed changelog-impact.json that covers part of the
+ * range, else from a scan-changelog.js run over it.
+ * @returns {{ source: string[], entries: object[], matches: object[], error?: string }}
+ */
+function findChangelog(id, lastGood, firstBad, patchVersion, installType) {
+  const inRange = v => compareVersions(v, lastGood) > 0 && compareVersions(v, firstBad) <= 0;
+  const source = [];
+  const entries = new Map();
+  const matches = new Map();
+
+  // Any version directory may hold one, indexed or not
+  for (const version of fs.readdirSync(PATCHES_DIR)) {
+    const artifactPath = path.join(PATCHES_DIR, version, 'changelog-impact.json');
+    let artifact;
+    try {
+      artifact = JSON.parse(fs.readFileSync(artifactPath, 'utf8'));
+    } catch {
+      continue;
+    }
+    const covered = (artifact.changelog || []).filter(e => inRange(e.version));
+    if (covered.length === 0) continue;
+
+    source.push(path.relative(PROJECT_DIR, artifactPath));
+    for (const entry of covered) entries.set(entry.version, entry);
+    const impact = (artifact.patchImpacts || []).find(p => p.id === id);
+    for (const m of impact?.matches || []) {
+      if (inRange(m.version)) matches.set(`${m.version}:${m.bulletIndex}`, m);
+    }
+  }
+  if (source.length > 0) return sortChangelog(source, entries, matches);
+
+  const { CHANGELOG_PATH } = require('./setup');
+  if (!fs.existsSync(CHANGELOG_PATH)) {
+    return { source, entries: [], matches: [], error: 'no changelog-impact.json covers the range and CHANGELOG.md is missing (run --setup)' };
+  }
+  const { indexFileFor } = require('./manifest');
+  const index = indexFileFor(patchVersion, installType);
+  const result = spawnSync('node', [
+    CHANGELOG_SCAN_SCRIPT, CHANGELOG_PATH,
+    '--from', lastGood, '--to', firstBad,
+    '--index', index.indexPath, '--broken', id,
+  ], { encoding: 'utf8', timeout: 60000 });
+  index.cleanup();
+
+  const lines = (result.stdout || '').trim().split('\n');
+  if (result.status !== 0) {
+    const last = (result.stderr || '').trim().split('\n').pop() || 'scan failed';
+    let message = last;
+    try { message = JSON.parse(last).message || last; } catch {}
+    return { source, entries: [], matches: [], error: `scan-changelog.js: ${message}` };
+  }
+  for (const line of lines) {
+    try {
+      const event = JSON.parse(line);
+      if (event.type === 'changelog_entry') entries.set(event.version, { version: event.version, bullets: event.bullets });
+      if (event.type === 'impact' && event.id === id) {
+        for (const m of event.matches || []) matches.set(`${m.version}:${m.bulletIndex}`, m);
+      }
+    } catch { /* skip */ }
+  }
+  return sortChangelog([path.relative(PROJECT_DIR, CHANGELOG_PATH)], entries, matches);
+}
+
+function sortChangelog(source, entries, matches) {
+  return {
+    source,
+    entries: [...entries.values()].sort((a, b) => compareVersions(a.version, b.version)),
+    matches: [...matches.values()].sort((a, b) => a.score - b.score),
+  };
+}
+
+// ============ Main ============
+
+/**
+ * Bisect one patch over the archived builds in [good, bad].
+ * @param {object} options
+ * @param {string} options.id - Patch ID
+ * @param {string} options.good - A version the patch passes on
+ * @param {string} options.bad - A version it fails on
+ * @param {string} [options.installType] - Archived type to use (default: native, else bare)
+ * @returns {{ success: boolean, firstBad?: string, lastGood?: string, error?: string }}
+ */
+function runBisect(options) {
+  const { listArchive, findArchived, readArchived } = require('./archive');
+  const { id, good, bad } = options;
+
+  if (compareVersions(good, bad) >= 0) {
+    return { success: false, error: `--good ${good} must be older than --bad ${bad}` };
+  }
+  const inRange = listArchive().filter(a => compareVersions(a.version, good) >= 0 && compareVersions(a.version, bad) <= 0);
+  if (inRange.length === 0) {
+    return { success: false, error: listArchive().length === 0 ? 'The archive is empty — run --setup to fill it' : `No archived builds in ${good}..${bad}` };
+  }
+  const installType = options.installType
+    || (inRange.every(a => a.types.includes('native')) ? 'native' : findArchived(inRange[0].version, null).type);
+  const builds = inRange.map(a => findArchived(a.version, installType)).filter(Boolean);
+  if (builds.length < 2) {
+    return { success: false, error: `Need at least two archived ${installType} builds in ${good}..${bad} (found ${builds.length})` };
+  }
+
+  const patch = resolvePatchFile(id, good, installType);
+  if (patch.error) return { success: false, error: patch.error };
+
+  log(`\nBisecting ${id} (${patch.file}) over ${builds.length} archived ${installType} builds, ${builds[0].version} → ${builds[builds.length - 1].version}\n`);
+  emitJson({ type: 'bisect_start', id, file: patch.file, installType, versions: builds.map(b => b.version) });
+
+  const checked = new Map();
+  const check = (i) => {
+    const result = checkBuild(builds[i], patch.file);
+    checked.set(i, result);
+    const mark = result.status === 'pass' ? '✓' : result.status === 'miss' ? '✗' : '!';
+    log(`  ${mark} ${result.version}${result.reason ? `  ${result.reason}` : ''}`);
+    emitJson({ type: 'bisect_step', version: result.version, status: result.status, reason: result.reason });
+    return result;
+  };
+
+  let lo = 0;
+  let hi = builds.length - 1;
+  if (check(lo).status !== 'pass') {
+    return { success: false, error: `${id} already fails on ${builds[lo].version}, the oldest archived build in range — pick an older --good` };
+  }
+  if (check(hi).status === 'pass') {
+    return { success: false, error: `${id} passes on ${builds[hi].version}, the newest archived build in range — nothing to bisect` };
+  }
+  while (hi - lo > 1) {
+    const mid = Math.floor((lo + hi) / 2);
+    if (check(mid).status === 'pass') lo = mid;
+    else hi = mid;
+  }
+
+  const lastGood = checked.get(lo);
+  const firstBad = checked.get(hi);
+  log(`\n✗ ${id} first fails on ${firstBad.version} (last pass: ${lastGood.version}, ${checked.size} builds checked)`);
+  if (firstBad.reason) log(`  ${firstBad.reason}`);
+
+  const goodContent = readArchived(lastGood.version, installType);
+  const badContent = readArchived(firstBad.version, installType);
+  const region = diffRegion(lastGood, firstBad, goodContent, badContent);
+  const changelog = findChangelog(id, lastGood.version, firstBad.version, patch.patchVersion, installType);
+
+  if (!isJsonMode) printReport(id, lastGood, firstBad, region, changelog);
+  emitJson({
+    type: 'bisect_result',
+    id,
+    file: patch.file,
+    installType,
+    lastGood: lastGood.version,
+    firstBad: firstBad.version,
+    status: firstBad.status,
+    reason: firstBad.reason,
+    steps: [...checked.values()].map(r => ({ version: r.version, status: r.status })),
+    region,
+    changelog,
+  });
+  return { success: true, lastGood: lastGood.version, firstBad: firstBad.version };
+}
+
+function printReport(id, lastGood, firstBad, region, changelog) {
+  if (region.error) {
+    console.log(`\nRegion diff: ${region.error}`);
+  } else {
+    console.log(`\nRegion around "${region.label}" (${lastGood.version} @${region.good.offset} → ${firstBad.version} @${region.bad.offset}):\n`);
+    const lines = region.diff.trimEnd().split('\n');
+    if (lines.length === 1 && !lines[0]) {
+      console.log('  (identical — the break is outside this region)');
+    } else {
+      console.log(lines.slice(0, DIFF_PREVIEW_LINES).join('\n'));
+      if (lines.length > DIFF_PREVIEW_LINES) {
+        console.log(`... ${lines.length - DIFF_PREVIEW_LINES} more lines (CLAUDECODE=1 for the full diff)`);
+      }
+    }
+  }
+
+  console.log(`\nChangelog ${lastGood.version} → ${firstBad.version}${changelog.source.length ? ` (${changelog.source.join(', ')})` : ''}:`);
+  if (changelog.error) {
+    console.log(`  ${changelog.error}`);
+  } else if (changelog.matches.length === 0) {
+    const bullets = changelog.entries.reduce((sum, e) => sum + e.bullets.length, 0);
+    console.log(`  No entry matched to ${id} (${bullets} bullets in ${changelog.entries.length} version(s))`);
+  } else {
+    for (const m of changelog.matches) {
+      console.log(`  ${m.version}  ${m.bullet}`);
+    }
+  }
+  console.log();
+}
+
+module.exports = {
+  runBisect,
+};
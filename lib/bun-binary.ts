@@ -22,6 +22,7 @@ const BUN_TRAILER = Buffer.from('\n---- Bun! ----\n');
 const SIZEOF_STRING_POINTER = 8;  // u32 offset + u32 length
 const SIZEOF_MODULE = 36;         // 4 StringPointers (32) + 4 flags (4)
 const SIZEOF_OFFSETS = 32;
+const BUNFS_ROOT = /^(?:\/\$bunfs\/root\/|B:\/~BUN\/root\/)/;
 
 const DEBUG = process.env.DEBUG_BUN_BINARY;
 
@@ -56,6 +57,41 @@ interface BunModule {
 
 type BunFormat = 'overlay' | 'section';
 
+/** One entry of the module table, without the contents */
+interface BunModuleInfo {
+  name: string;
+  contentsLength: number;
+  sourcemapLength: number;
+  bytecodeLength: number;
+  encoding: number;
+  loader: number;
+  moduleFormat: number;
+  side: number;
+}
+
+/** One entry of the module table with its bytes (--extract-all) */
+interface BunModuleDump extends BunModuleInfo {
+  contents: Buffer;
+  sourcemap: Buffer;
+  bytecode: Buffer;
+}
+
+/** Everything the Bun data says about itself (--inspect) */
+interface BunInspection {
+  format: BunFormat;
+  entryPointId: number;
+  compileExecArgv: string;
+  modules: BunModuleInfo[] | BunModuleDump[];
+}
+
+interface ClaudeBundle {
+  js: Buffer;
+  moduleName: string;
+  format: BunFormat;
+  modules: BunModuleInfo[];
+  compileExecArgv: string;
+}
+
 interface BunData {
   bunData: Buffer;
   bunOffsets: BunOffsets;
@@ -125,6 +161,41 @@ function isClaudeModule(name: string): boolean {
   );
 }
 
+/**
+ * The table entry of a module, without the contents
+ */
+function moduleInfo(module: BunModule, moduleName: string): BunModuleInfo {
+  return {
+    name: moduleName,
+    contentsLength: module.contents.length,
+    sourcemapLength: module.sourcemap.length,
+    bytecodeLength: module.bytecode.length,
+    encoding: module.encoding,
+    loader: module.loader,
+    moduleFormat: module.moduleFormat,
+    side: module.side,
+  };
+}
+
+/**
+ * Whether a module table name is the one an index `module:` names: the full
+ * name, or its path under the Bun root (as --extract-all writes it)
+ */
+function matchesModuleName(name: string, wanted: string): boolean {
+  return name === wanted || name.replace(BUNFS_ROOT, '') === wanted.replace(BUNFS_ROOT, '');
+}
+
+/**
+ * The runtime arguments baked in at compile time (`bun build --compile
+ * --compile-exec-argv`). Builds from before that field have zeros there.
+ */
+function readCompileExecArgv(bunData: Buffer, bunOffsets: BunOffsets): string {
+  const argvPtr = bunOffsets.compileExecArgvPtr;
+  return argvPtr.offset + argvPtr.length <= bunData.length
+    ? getStringContent(bunData, argvPtr).toString('utf-8').replace(/\0+$/, '')
+    : '';
+}
+
 // ============ Module Iteration ============
 
 /**
@@ -304,21 +375,23 @@ function extractFromSection(elfBinary: LIEF.ELF.Binary, bunSection: LIEF.ELF.Sec
 }
 
 /**
- * Extract the Claude JS module content from a native binary
+ * Extract the Claude JS module content and the module table from a native
+ * binary, in one LIEF parse (lib/bundle-cache.js keeps both)
  */
-function extractClaudeJs(binaryPath: string): Buffer {
-  const { bunData, bunOffsets } = extractBunData(binaryPath);
+function extractClaudeBundle(binaryPath: string): ClaudeBundle {
+  const { bunData, bunOffsets, format } = extractBunData(binaryPath);
 
-  const moduleNames: string[] = [];
+  const modules: BunModuleInfo[] = [];
   let claudeContents: Buffer | undefined;
+  let claudeName = '';
 
   mapModules(bunData, bunOffsets, (module, moduleName) => {
-    moduleNames.push(moduleName);
+    modules.push(moduleInfo(module, moduleName));
 
-    if (isClaudeModule(moduleName)) {
+    if (!claudeContents && isClaudeModule(moduleName)) {
       claudeContents = getStringContent(bunData, module.contents);
+      claudeName = moduleName;
       debug(`Found Claude module: ${moduleName}, ${claudeContents.length} bytes`);
-      return true; // Short-circuit
     }
     return undefined;
   });
@@ -327,7 +400,7 @@ function extractClaudeJs(binaryPath: string): Buffer {
     throw new Error(
       'Claude module not found in binary.\n' +
       'Expected module named "/$bunfs/root/claude", "claude", or "/$bunfs/root/src/entrypoints/cli.js".\n' +
-      `Found ${moduleNames.length} modules: ${moduleNames.filter(n => n.length < 200).join(', ') || '(all names too long to display)'}`
+      `Found ${modules.length} modules: ${modules.map(m => m.name).filter(n => n.length < 200).join(', ') || '(all names too long to display)'}`
     );
   }
 
@@ -341,71 +414,150 @@ function extractClaudeJs(binaryPath: string): Buffer {
     throw new Error(`Unexpected JS size: ${claudeContents.length} bytes (expected ~10MB)`);
   }
 
-  return claudeContents;
+  return {
+    js: claudeContents,
+    moduleName: claudeName,
+    format,
+    modules,
+    compileExecArgv: readCompileExecArgv(bunData, bunOffsets),
+  };
+}
+
+/**
+ * Contents of the named embedded modules (index entries with `module:`).
+ * Throws if one isn't in the binary.
+ * @param names - Full module names, or relative to the Bun root
+ */
+function extractModules(binaryPath: string, names: string[]): Map<string, Buffer> {
+  const { bunData, bunOffsets } = extractBunData(binaryPath);
+
+  const found = new Map<string, Buffer>();
+  mapModules(bunData, bunOffsets, (module, moduleName) => {
+    const wanted = names.find(name => !found.has(name) && matchesModuleName(moduleName, name));
+    if (wanted) found.set(wanted, getStringContent(bunData, module.contents));
+    return found.size === names.length ? true : undefined;
+  });
+
+  const missing = names.filter(name => !found.has(name));
+  if (missing.length > 0) {
+    throw new Error(`Module(s) not found in binary: ${missing.join(', ')} (--inspect lists them)`);
+  }
+  return found;
+}
+
+/**
+ * Extract the Claude JS module content from a native binary
+ */
+function extractClaudeJs(binaryPath: string): Buffer {
+  return extractClaudeBundle(binaryPath).js;
+}
+
+/**
+ * Read every module of a Bun binary, with the entry point, the
+ * compile-time execArgv and the format. No checks on what the modules are:
+ * this is for looking at binaries the Claude extraction rejects, too.
+ */
+function inspectBunBinary(binaryPath: string, withContents = false): BunInspection {
+  const { bunData, bunOffsets, format } = extractBunData(binaryPath);
+
+  const modules: (BunModuleInfo | BunModuleDump)[] = [];
+  mapModules(bunData, bunOffsets, (module, moduleName) => {
+    const info = moduleInfo(module, moduleName);
+    modules.push(withContents
+      ? {
+        ...info,
+        contents: getStringContent(bunData, module.contents),
+        sourcemap: getStringContent(bunData, module.sourcemap),
+        bytecode: getStringContent(bunData, module.bytecode),
+      }
+      : info);
+    return undefined;
+  });
+
+  return {
+    format,
+    entryPointId: bunOffsets.entryPointId,
+    compileExecArgv: readCompileExecArgv(bunData, bunOffsets),
+    modules: modules as BunModuleInfo[] | BunModuleDump[],
+  };
 }
 
 // ============ Repacking ============
 
 /**
- * Replace the Claude JS module contents in-place within the Bun data.
+ * Replace embedded module contents in-place within the Bun data.
  *
  * The Bun binary format uses overlapping string regions (bytecode overlaps
  * source, etc.), so rebuilding the entire data region from scratch inflates
- * it massively. Instead, we do a surgical in-place replacement:
+ * it massively. Instead, we do a surgical in-place replacement per module:
  *
- * - If the new JS is smaller or equal: overwrite at the original offset,
- *   pad the remainder with spaces to preserve the original size, and
+ * - If the new contents are smaller or equal: overwrite at the original
+ *   offset, pad the remainder with spaces to preserve the original size, and
  *   update the StringPointer length in the modules table.
- * - If the new JS is larger: error out (patches should never grow the JS
+ * - If they are larger: error out (patches should never grow a module
  *   significantly; if they do, the approach needs rethinking).
+ *
+ * @param replacements - Module name (full, or relative to the Bun root) → new contents
  */
-function replaceClaudeJsInPlace(
+function replaceModulesInPlace(
   bunData: Buffer,
   bunOffsets: BunOffsets,
-  modifiedJs: Buffer
+  replacements: Map<string, Buffer>
 ): Buffer {
-  // Find the claude module
-  let claudeModule: BunModule | undefined;
-  let claudeIndex: number | undefined;
+  // Copy the entire bunData so we can modify it
+  const result = Buffer.from(bunData);
+  const pending = new Map(replacements);
 
   mapModules(bunData, bunOffsets, (module, moduleName, index) => {
-    if (isClaudeModule(moduleName)) {
-      claudeModule = module;
-      claudeIndex = index;
+    for (const [wanted, contents] of pending) {
+      if (!matchesModuleName(moduleName, wanted)) continue;
       debug(`Found ${moduleName} at module index ${index}`);
       debug(`  contents: offset=${module.contents.offset}, length=${module.contents.length}`);
-      return true;
+      replaceModuleContents(result, bunOffsets, module, moduleName, index, contents);
+      pending.delete(wanted);
+      break;
     }
-    return undefined;
+    return pending.size === 0 ? true : undefined;
   });
 
-  if (!claudeModule || claudeIndex === undefined) {
-    throw new Error('Claude module not found in binary during repack');
+  if (pending.size > 0) {
+    throw new Error(`Module(s) not found in binary during repack: ${[...pending.keys()].join(', ')}`);
   }
+  return result;
+}
 
-  const originalLength = claudeModule.contents.length;
-  const newLength = modifiedJs.length;
+/**
+ * Overwrite one module's contents in the copied Bun data, and drop its
+ * bytecode
+ */
+function replaceModuleContents(
+  result: Buffer,
+  bunOffsets: BunOffsets,
+  module: BunModule,
+  moduleName: string,
+  index: number,
+  contents: Buffer
+): void {
+  const originalLength = module.contents.length;
+  const newLength = contents.length;
   const delta = newLength - originalLength;
 
-  debug(`JS replacement: ${originalLength} -> ${newLength} (delta: ${delta})`);
+  debug(`${moduleName} replacement: ${originalLength} -> ${newLength} (delta: ${delta})`);
 
   if (delta > 0) {
     throw new Error(
-      `Patched JS is ${delta} bytes larger than original (${newLength} vs ${originalLength}).\n` +
-      'In-place replacement requires new JS to be <= original size.\n' +
+      `Patched ${moduleName} is ${delta} bytes larger than original (${newLength} vs ${originalLength}).\n` +
+      'In-place replacement requires new contents to be <= original size.\n' +
       'The patches may be adding too much code.'
     );
   }
 
-  // Copy the entire bunData so we can modify it
-  const result = Buffer.from(bunData);
-
-  // Overwrite the claude contents region with modified JS
-  modifiedJs.copy(result, claudeModule.contents.offset);
+  // Overwrite the module's contents region
+  contents.copy(result, module.contents.offset);
 
   // Pad remaining bytes with spaces (valid JS whitespace, preserves null terminator after region)
   if (delta < 0) {
-    const padStart = claudeModule.contents.offset + newLength;
+    const padStart = module.contents.offset + newLength;
     const padLength = -delta;
     result.fill(0x20, padStart, padStart + padLength); // 0x20 = space
     debug(`Padded ${padLength} bytes with spaces`);
@@ -414,7 +566,7 @@ function replaceClaudeJsInPlace(
   // Update the contents StringPointer length in the modules table.
   // The modules table is at bunOffsets.modulesPtr within bunData.
   // Each module is SIZEOF_MODULE (36) bytes, contents pointer is at offset +8.
-  const moduleEntryOffset = bunOffsets.modulesPtr.offset + (claudeIndex * SIZEOF_MODULE);
+  const moduleEntryOffset = bunOffsets.modulesPtr.offset + (index * SIZEOF_MODULE);
   const contentsLengthOffset = moduleEntryOffset + 8 + 4; // +8 for contents field, +4 for offset (to get to length)
   result.writeUInt32LE(newLength, contentsLengthOffset);
 
@@ -447,8 +599,89 @@ function replaceClaudeJsInPlace(
   result.writeUInt32LE(0, bytecodeOffsetField);
   result.writeUInt32LE(0, bytecodeLengthField);
 
-  debug(`Zeroed bytecode StringPointer (was ${oldBytecodeLen} bytes) to force source compilation`);
+  debug(`Zeroed bytecode StringPointer of ${moduleName} (was ${oldBytecodeLen} bytes) to force source compilation`);
+}
+
+/**
+ * Replace the Claude JS module contents in-place within the Bun data.
+ */
+function replaceClaudeJsInPlace(
+  bunData: Buffer,
+  bunOffsets: BunOffsets,
+  modifiedJs: Buffer
+): Buffer {
+  const claudeName = mapModules(bunData, bunOffsets, (_module, moduleName) =>
+    (isClaudeModule(moduleName) ? moduleName : undefined)
+  );
+  if (!claudeName) {
+    throw new Error('Claude module not found in binary during repack');
+  }
+  return replaceModulesInPlace(bunData, bunOffsets, new Map([[claudeName, modifiedJs]]));
+}
+
+/**
+ * Point the compile-time execArgv at a new string, in-place within the Bun
+ * data (same rule as module contents: nothing moves, nothing grows).
+ *
+ * The string goes where there is room, in this order:
+ * - the current argv slot, if the new one is no longer
+ * - the padding after the Claude module's contents: the spaces an in-place
+ *   replacement left where a patched (shorter) JS used to end. Nothing
+ *   points there, so a patched binary has room; a pristine one doesn't.
+ * An empty argv is a {0,0} pointer.
+ */
+function setExecArgvInPlace(
+  bunData: Buffer,
+  bunOffsets: BunOffsets,
+  argv: string
+): Buffer {
+  const result = Buffer.from(bunData);
+  const bytes = Buffer.from(argv, 'utf-8');
+  const oldPtr = bunOffsets.compileExecArgvPtr;
+  const oldValid = oldPtr.offset + oldPtr.length <= bunData.length;
+
+  // The old slot is zeroed either way, which also ends a shorter string
+  // written into it
+  if (oldValid && oldPtr.length > 0) {
+    result.fill(0, oldPtr.offset, oldPtr.offset + oldPtr.length);
+  }
+
+  let offset = 0;
+  if (bytes.length > 0 && oldValid && bytes.length <= oldPtr.length) {
+    offset = oldPtr.offset;
+  } else if (bytes.length > 0) {
+    const claude = mapModules(bunData, bunOffsets, (module, moduleName) =>
+      (isClaudeModule(moduleName) ? module : undefined)
+    );
+    if (!claude) {
+      throw new Error('Claude module not found in binary while placing execArgv');
+    }
+    // Keep one space after the JS and a NUL after the argv. An argv placed
+    // here before (and its NUL) is free again.
+    const freed = (i: number) => oldValid && oldPtr.length > 0 && i >= oldPtr.offset && i <= oldPtr.offset + oldPtr.length;
+    const padStart = claude.contents.offset + claude.contents.length;
+    let padEnd = padStart;
+    while (padEnd < bunData.length && (bunData[padEnd] === 0x20 || freed(padEnd))) padEnd++;
+    const room = padEnd - padStart - 2;
+    if (bytes.length > room) {
+      throw new Error(
+        `No room for a ${bytes.length}-byte execArgv: at most ${Math.max(room, oldValid ? oldPtr.length : 0, 0)} bytes fit ` +
+        '(the current slot, or the padding after a patched JS).\n' +
+        'Patches that shrink the JS make room; apply them first.'
+      );
+    }
+    offset = padStart + 1;
+    result[offset + bytes.length] = 0;
+  }
+  bytes.copy(result, offset);
 
+  // compileExecArgvPtr sits at +20 (offset u32) / +24 (length) of OFFSETS,
+  // which is the 32 bytes before the trailer
+  const offsetsStart = bunData.length - BUN_TRAILER.length - SIZEOF_OFFSETS;
+  result.writeUInt32LE(offset, offsetsStart + 20);
+  result.writeUInt32LE(bytes.length, offsetsStart + 24);
+
+  debug(`execArgv: ${JSON.stringify(readCompileExecArgv(bunData, bunOffsets))} -> ${JSON.stringify(argv)} at ${offset}`);
   return result;
 }
 
@@ -463,14 +696,57 @@ function repackWithModifiedJs(
   binaryPath: string,
   modifiedJs: Buffer,
   outputPath: string
+): void {
+  // In-place replacement: swap claude JS within the existing data layout.
+  // This preserves the Bun format's overlapping string regions.
+  repackBunData(binaryPath, outputPath, (bunData, bunOffsets) =>
+    replaceClaudeJsInPlace(bunData, bunOffsets, modifiedJs)
+  );
+}
+
+/**
+ * Replace any embedded modules (worker entry points, bundled JSON/text
+ * assets, the Claude entry point itself) and write to output path. Each
+ * changed module loses its bytecode, as the entry point does.
+ * @param modules - Module name (full, or relative to the Bun root) → new contents
+ */
+function repackWithModifiedModules(
+  binaryPath: string,
+  modules: Map<string, Buffer>,
+  outputPath: string
+): void {
+  repackBunData(binaryPath, outputPath, (bunData, bunOffsets) =>
+    replaceModulesInPlace(bunData, bunOffsets, modules)
+  );
+}
+
+/**
+ * Replace the compile-time execArgv of a native binary and write to output
+ * path (see setExecArgvInPlace for where the string can go)
+ */
+function repackWithExecArgv(
+  binaryPath: string,
+  argv: string,
+  outputPath: string
+): void {
+  repackBunData(binaryPath, outputPath, (bunData, bunOffsets) =>
+    setExecArgvInPlace(bunData, bunOffsets, argv)
+  );
+}
+
+/**
+ * Write a binary whose Bun data has been through `replace`
+ */
+function repackBunData(
+  binaryPath: string,
+  outputPath: string,
+  replace: (bunData: Buffer, bunOffsets: BunOffsets) => Buffer
 ): void {
   const { bunData, bunOffsets, elfBinary, format } = extractBunData(binaryPath);
 
   debug(`Original bunData size: ${bunData.length}, format: ${format}`);
 
-  // In-place replacement: swap claude JS within the existing data layout.
-  // This preserves the Bun format's overlapping string regions.
-  const newBunData = replaceClaudeJsInPlace(bunData, bunOffsets, modifiedJs);
+  const newBunData = replace(bunData, bunOffsets);
 
   debug(`New bunData size: ${newBunData.length}`);
 
@@ -625,9 +901,18 @@ function validateRepackedBinary(outputPath: string): void {
 
 module.exports = {
   extractClaudeJs,
+  extractClaudeBundle,
+  inspectBunBinary,
+  extractModules,
   repackWithModifiedJs,
+  repackWithModifiedModules,
+  repackWithExecArgv,
   // Expose internals for testing/debugging
   extractBunData,
+  mapModules,
   replaceClaudeJsInPlace,
+  replaceModulesInPlace,
+  setExecArgvInPlace,
   isClaudeModule,
+  BUNFS_ROOT,
 };
@@ -0,0 +1,231 @@
+/**
+ * Bundle cache — extracted JS and module table per binary, so only the first
+ * run on a build pays for the LIEF parse.
+ *
+ * Content-addressed by the SHA-256 of the binary, in the workspace:
+ *
+ *   bundle-cache/
+ *     paths.json                    { "<binary path>": { size, mtimeMs, hash } }
+ *     <sha256>/cli.js               the extracted JS
+ *     <sha256>/bundle.json          version, module table, execArgv, sizes
+ *
+ * paths.json is the fast path: a binary whose size and mtime match its entry
+ * isn't hashed again. Anything else (an update, a repack) is hashed, and a
+ * new hash is a miss. A patched binary and its .bak are two bundles.
+ *
+ * --cache-prune removes bundles no detected install (or its .bak) has.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { PROJECT_DIR, hashFile, extractVersion, formatBytes } = require('./shared');
+const { emitJson, log } = require('./output');
+
+const CACHE_DIR = path.join(PROJECT_DIR, 'bundle-cache');
+const PATHS_INDEX = path.join(CACHE_DIR, 'paths.json');
+const BUNDLE_DIR_NAME = /^[0-9a-f]{64}$/;
+
+// ============ Lazy Bun Binary Loader ============
+
+let _bunBinary = null;
+function getBunBinary() {
+  if (!_bunBinary) {
+    try {
+      _bunBinary = require('./bun-binary.ts');
+    } catch (err) {
+      if (err.code === 'MODULE_NOT_FOUND' && err.message.includes('node-lief')) {
+        throw new Error(
+          'node-lief is required for native binary operations.\n' +
+          '  Install it with: npm install\n' +
+          '  (Only needed if you want to patch the native Bun binary installation)'
+        );
+      }
+      throw err;
+    }
+  }
+  return _bunBinary;
+}
+
+// ============ Path Index ============
+
+/**
+ * A cache is never worth failing a run over: an unreadable index is empty.
+ * @returns {Object<string, { size: number, mtimeMs: number, hash: string }>}
+ */
+function loadPathIndex() {
+  try {
+    return JSON.parse(fs.readFileSync(PATHS_INDEX, 'utf8'));
+  } catch {
+    return {};
+  }
+}
+
+function savePathIndex(index) {
+  try {
+    fs.mkdirSync(CACHE_DIR, { recursive: true });
+    const tmp = `${PATHS_INDEX}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(index, null, 2) + '\n');
+    fs.renameSync(tmp, PATHS_INDEX);
+  } catch { /* next run hashes again */ }
+}
+
+/**
+ * SHA-256 of a binary, skipping the hash when size and mtime match the index.
+ * @param {string} binaryPath
+ * @param {object} index - From loadPathIndex(); updated in place
+ * @returns {{ hash: string, changed: boolean }} changed: the index needs saving
+ */
+function binaryHash(binaryPath, index) {
+  const stat = fs.statSync(binaryPath);
+  const entry = index[binaryPath];
+  if (entry && entry.size === stat.size && entry.mtimeMs === stat.mtimeMs) {
+    return { hash: entry.hash, changed: false };
+  }
+  const hash = hashFile(binaryPath);
+  index[binaryPath] = { size: stat.size, mtimeMs: stat.mtimeMs, hash };
+  return { hash, changed: true };
+}
+
+// ============ Bundles ============
+
+/**
+ * Cached bundle for a hash, or null when missing, incomplete, or written
+ * before bundle.json had the execArgv
+ */
+function readCachedBundle(hash) {
+  const dir = path.join(CACHE_DIR, hash);
+  try {
+    const meta = JSON.parse(fs.readFileSync(path.join(dir, 'bundle.json'), 'utf8'));
+    const js = fs.readFileSync(path.join(dir, 'cli.js'));
+    return js.length === meta.jsSize && 'compileExecArgv' in meta ? { js, meta } : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Store a bundle. Written to a temp dir and renamed, so a killed run never
+ * leaves half a bundle behind.
+ */
+function writeCachedBundle(hash, js, meta) {
+  const dir = path.join(CACHE_DIR, hash);
+  const tmp = `${dir}.tmp-${process.pid}`;
+  try {
+    fs.mkdirSync(tmp, { recursive: true });
+    fs.writeFileSync(path.join(tmp, 'cli.js'), js);
+    fs.writeFileSync(path.join(tmp, 'bundle.json'), JSON.stringify(meta, null, 2) + '\n');
+    fs.rmSync(dir, { recursive: true, force: true });
+    fs.renameSync(tmp, dir);
+  } catch {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Extracted JS and module table of a Bun binary, from the cache when the
+ * binary's hash is there, else through LIEF (and then cached).
+ * @param {string} binaryPath
+ * @returns {{ js: Buffer, meta: { binaryHash: string, version: string|null, format: string, moduleName: string, compileExecArgv: string, jsSize: number, modules: object[] }, cached: boolean }}
+ */
+function readBundle(binaryPath) {
+  const index = loadPathIndex();
+  const { hash, changed } = binaryHash(binaryPath, index);
+  if (changed) savePathIndex(index);
+
+  const hit = readCachedBundle(hash);
+  if (hit) return { ...hit, cached: true };
+
+  const bundle = getBunBinary().extractClaudeBundle(binaryPath);
+  const meta = {
+    binaryHash: hash,
+    binarySize: index[binaryPath].size,
+    version: extractVersion(bundle.js.toString('utf8')),
+    format: bundle.format,
+    moduleName: bundle.moduleName,
+    compileExecArgv: bundle.compileExecArgv,
+    jsSize: bundle.js.length,
+    modules: bundle.modules,
+    cachedAt: new Date().toISOString(),
+  };
+  writeCachedBundle(hash, bundle.js, meta);
+  return { js: bundle.js, meta, cached: false };
+}
+
+/**
+ * Drop-in for bun-binary's extractClaudeJs, through the cache
+ * @param {string} binaryPath
+ * @returns {Buffer}
+ */
+function extractClaudeJs(binaryPath) {
+  return readBundle(binaryPath).js;
+}
+
+// ============ Prune ============
+
+/**
+ * Remove bundles that no detected install or its .bak hashes to, and index
+ * entries for binaries that are gone. A --path target outside the detected
+ * installs counts as gone.
+ * @returns {{ success: boolean, removed: object[], kept: number, freedBytes: number }}
+ */
+function pruneCache() {
+  const { detectAllInstalls } = require('./detectors');
+  const index = loadPathIndex();
+
+  const live = new Set();
+  const livePaths = new Set();
+  for (const install of detectAllInstalls()) {
+    for (const binaryPath of [install.path, `${install.path}.bak`]) {
+      if (!fs.existsSync(binaryPath)) continue;
+      live.add(binaryHash(binaryPath, index).hash);
+      livePaths.add(binaryPath);
+    }
+  }
+
+  let entries = [];
+  try {
+    entries = fs.readdirSync(CACHE_DIR);
+  } catch { /* no cache yet */ }
+
+  const removed = [];
+  let kept = 0;
+  for (const name of entries) {
+    const dir = path.join(CACHE_DIR, name);
+    if (BUNDLE_DIR_NAME.test(name) && live.has(name)) {
+      kept++;
+      continue;
+    }
+    if (!BUNDLE_DIR_NAME.test(name) && !name.includes('.tmp-')) continue;
+
+    let bytes = 0;
+    let version = null;
+    try {
+      for (const file of fs.readdirSync(dir)) bytes += fs.statSync(path.join(dir, file)).size;
+      version = JSON.parse(fs.readFileSync(path.join(dir, 'bundle.json'), 'utf8')).version;
+    } catch {}
+    fs.rmSync(dir, { recursive: true, force: true });
+    removed.push({ hash: name, version, bytes });
+  }
+
+  for (const binaryPath of Object.keys(index)) {
+    if (!livePaths.has(binaryPath)) delete index[binaryPath];
+  }
+  savePathIndex(index);
+
+  const freedBytes = removed.reduce((sum, r) => sum + r.bytes, 0);
+  for (const r of removed) {
+    log(`  ✗ ${r.version || 'unknown'} (${r.hash.slice(0, 12)}, ${formatBytes(r.bytes)})`);
+  }
+  log(`✓ Removed ${removed.length} bundle(s), ${formatBytes(freedBytes)} freed; ${kept} kept for installed builds`);
+  emitJson({ type: 'result', status: 'success', removed, kept, freedBytes });
+  return { success: true, removed, kept, freedBytes };
+}
+
+module.exports = {
+  CACHE_DIR,
+  getBunBinary,
+  readBundle,
+  extractClaudeJs,
+  pruneCache,
+};
@@ -0,0 +1,30 @@
+/**
+ * Bun global install (bare): `bun add -g @anthropic-ai/claude-code` puts the
+ * package under $BUN_INSTALL/install/global/node_modules (~/.bun by default).
+ */
+
+const path = require('path');
+const os = require('os');
+
+const { findPackageTarget } = require('../shared');
+
+const PACKAGE = '@anthropic-ai/claude-code';
+
+function bunHome() {
+  return process.env.BUN_INSTALL || path.join(os.homedir(), '.bun');
+}
+
+module.exports = {
+  id: 'bun-global',
+  type: 'bare',
+  description: 'Bun global package ($BUN_INSTALL or ~/.bun)',
+
+  watchPaths() {
+    return [path.join(bunHome(), 'install/global/node_modules/@anthropic-ai')];
+  },
+
+  detect() {
+    const target = findPackageTarget(path.join(bunHome(), 'install/global/node_modules', PACKAGE));
+    return target ? [{ type: 'bare', ...target }] : [];
+  },
+};
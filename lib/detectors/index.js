@@ -0,0 +1,132 @@
+/**
+ * Install detector registry.
+ *
+ * A detector is a module exporting:
+ *
+ *   {
+ *     id: 'npm-global',               // unique; re-registering an id replaces it
+ *     type: 'bare',                   // install type it reports: "bare" or "native"
+ *     description: '...',            // one line, for --status
+ *     detect() { return [...] },      // [{ type, path, version, active? }]
+ *     watchPaths() { return [...] },  // optional: directories an update writes to (--watch)
+ *   }
+ *
+ * `detect()` should return [] when nothing is there and may throw on
+ * anything unexpected — a failing detector is skipped, never fatal. The
+ * built-ins below are registered in order; the first to report a path wins
+ * when two find the same file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const detectors = [];
+
+// ============ Registry ============
+
+/**
+ * Add a detector, or replace the one with the same id.
+ * @param {{ id: string, type: string, description: string, detect: () => object[] }} detector
+ */
+function registerDetector(detector) {
+  if (!detector || !detector.id || typeof detector.detect !== 'function') {
+    throw new Error('Detector needs an id and a detect() function');
+  }
+  const existing = detectors.findIndex(d => d.id === detector.id);
+  if (existing === -1) {
+    detectors.push(detector);
+  } else {
+    detectors[existing] = detector;
+  }
+}
+
+/**
+ * @returns {object[]} Registered detectors, in run order
+ */
+function listDetectors() {
+  return [...detectors];
+}
+
+registerDetector(require('./native-versions-dir'));
+registerDetector(require('./pnpm'));
+registerDetector(require('./npm-global'));
+registerDetector(require('./bun-global'));
+
+// ============ Watching ============
+
+/**
+ * Existing directories the detectors say an install or update touches, for
+ * --watch. A detector without watchPaths() (or one that throws) adds none.
+ * @returns {string[]}
+ */
+function listWatchPaths() {
+  const paths = new Set();
+  for (const detector of detectors) {
+    if (typeof detector.watchPaths !== 'function') continue;
+    let found;
+    try {
+      found = detector.watchPaths() || [];
+    } catch {
+      continue;
+    }
+    for (const dir of found) {
+      try {
+        if (fs.statSync(dir).isDirectory()) paths.add(path.resolve(dir));
+      } catch {}
+    }
+  }
+  return [...paths];
+}
+
+// ============ Detection ============
+
+/**
+ * Run every detector and merge what they find, one entry per real path.
+ * @returns {{ type: string, path: string, version: string, detector: string, active?: boolean }[]}
+ */
+function detectAllInstalls() {
+  const installs = [];
+  const seen = new Set();
+
+  for (const detector of detectors) {
+    let found;
+    try {
+      found = detector.detect() || [];
+    } catch {
+      continue;
+    }
+    for (const install of found) {
+      let key = install.path;
+      try {
+        key = fs.realpathSync(install.path);
+      } catch {}
+      if (seen.has(key)) continue;
+      seen.add(key);
+      installs.push({ ...install, detector: detector.id });
+    }
+  }
+  return installs;
+}
+
+/**
+ * Detect all installations, plus the default target per type: the active
+ * native build (else the newest), and the first bare install found.
+ * @returns {{ bare: object|null, native: object|null, all: object[] }}
+ */
+function detectInstalls() {
+  const all = detectAllInstalls();
+  const natives = all.filter(i => i.type === 'native');
+  return {
+    bare: all.find(i => i.type === 'bare') || null,
+    native: natives.find(i => i.active) || natives[0] || null,
+    all,
+  };
+}
+
+module.exports = {
+  registerDetector,
+  listDetectors,
+  listWatchPaths,
+  detectAllInstalls,
+  detectInstalls,
+};
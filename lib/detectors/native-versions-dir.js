@@ -0,0 +1,85 @@
+/**
+ * Native installer (native): every Bun binary under
+ * `~/.local/share/claude/versions/`, with the one `~/.local/bin/claude`
+ * links to marked active and listed first.
+ *
+ * The installer keeps older builds around after an update, so only the
+ * active one is what `claude` runs.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const { isElfFile, compareVersions } = require('../shared');
+
+const SYMLINK_PATH = path.join(os.homedir(), '.local/bin/claude');
+const VERSIONS_DIR = path.join(os.homedir(), '.local/share/claude/versions');
+
+// Builds are named by version; .bak copies and repack temp files sit beside them
+const BUILD_NAME = /^\d+\.\d+\.\d+(?:-[\w.]+)?$/;
+
+/**
+ * Version from a `.../versions/<version>` path
+ */
+function versionFromPath(binaryPath) {
+  const versionMatch = binaryPath.match(/versions\/([^/]+)$/);
+  return versionMatch ? versionMatch[1] : 'unknown';
+}
+
+/**
+ * The binary `claude` runs, if the symlink leads to a Bun ELF
+ */
+function activeBinary() {
+  try {
+    const realPath = fs.realpathSync(SYMLINK_PATH);
+    return isElfFile(realPath) ? realPath : null;
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  id: 'native-versions-dir',
+  type: 'native',
+  description: 'native installer builds (~/.local/share/claude/versions, active one via ~/.local/bin/claude)',
+  SYMLINK_PATH,
+  VERSIONS_DIR,
+
+  watchPaths() {
+    // A new build lands in versions/, then the symlink in bin/ moves to it
+    return [VERSIONS_DIR, path.dirname(SYMLINK_PATH)];
+  },
+
+  detect() {
+    const active = activeBinary();
+    const installs = [];
+
+    let entries = [];
+    try {
+      entries = fs.readdirSync(VERSIONS_DIR);
+    } catch {
+      // No versions dir: the symlink may still point somewhere else
+    }
+    for (const name of entries.filter(n => BUILD_NAME.test(n))) {
+      const binaryPath = path.join(VERSIONS_DIR, name);
+      let realPath;
+      try {
+        realPath = fs.realpathSync(binaryPath);
+        if (!fs.statSync(realPath).isFile() || !isElfFile(realPath)) continue;
+      } catch {
+        continue;
+      }
+      installs.push({ type: 'native', path: realPath, version: versionFromPath(binaryPath), active: realPath === active });
+    }
+
+    if (active && !installs.some(i => i.path === active)) {
+      installs.push({ type: 'native', path: active, version: versionFromPath(active), active: true });
+    }
+
+    // Active first, then newest to oldest
+    return installs.sort((a, b) =>
+      (b.active - a.active) || (a.version === 'unknown') - (b.version === 'unknown') || compareVersions(b.version, a.version)
+    );
+  },
+};
@@ -0,0 +1,47 @@
+/**
+ * npm global install (bare): `@anthropic-ai/claude-code` under one of the
+ * usual global prefixes.
+ *
+ * npm has no fixed prefix — it comes from `npm config`, which we don't shell
+ * out for. Check the prefixes people actually end up with instead: an
+ * explicit $NPM_CONFIG_PREFIX, the ~/.npm-global convention, the prefix of
+ * the node running us (nvm, fnm, volta), and the system ones.
+ */
+
+const path = require('path');
+const os = require('os');
+
+const { findPackageTarget } = require('../shared');
+
+const PACKAGE = '@anthropic-ai/claude-code';
+
+function npmPrefixes() {
+  const prefixes = [
+    process.env.NPM_CONFIG_PREFIX,
+    path.join(os.homedir(), '.npm-global'),
+    path.resolve(process.execPath, '../..'),
+    '/usr/local',
+    '/usr',
+  ].filter(Boolean);
+  return [...new Set(prefixes.map(p => path.resolve(p)))];
+}
+
+module.exports = {
+  id: 'npm-global',
+  type: 'bare',
+  description: 'npm global package ($NPM_CONFIG_PREFIX, ~/.npm-global, node\'s prefix, /usr/local, /usr)',
+
+  watchPaths() {
+    // An update replaces the package dir, so watch the scope dir around it
+    return npmPrefixes().map(prefix => path.join(prefix, 'lib/node_modules/@anthropic-ai'));
+  },
+
+  detect() {
+    const installs = [];
+    for (const prefix of npmPrefixes()) {
+      const target = findPackageTarget(path.join(prefix, 'lib/node_modules', PACKAGE));
+      if (target) installs.push({ type: 'bare', ...target });
+    }
+    return installs;
+  },
+};
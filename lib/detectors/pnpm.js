@@ -0,0 +1,109 @@
+/**
+ * pnpm global install (bare): follow the `claude` shim in the pnpm home to
+ * the package it execs.
+ *
+ * Since 2.1.117 the npm package is a wrapper: `bin/claude.exe` starts as a
+ * 500-byte stub and is replaced by the postinstall script with a platform-
+ * specific Bun ELF (hardlinked from an optional-dep package). We target that
+ * binary — the JS payload is extracted via the Bun overlay pipeline, same as
+ * the native install.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const { isElfFile, readPackageVersion, extractPnpmVersion } = require('../shared');
+
+/**
+ * pnpm homes to look in: $PNPM_HOME first, then the default location
+ */
+function pnpmHomes() {
+  const homes = [process.env.PNPM_HOME, path.join(os.homedir(), '.local/share/pnpm')].filter(Boolean);
+  return [...new Set(homes.map(h => path.resolve(h)))];
+}
+
+/**
+ * Resolve one shim to the file it runs.
+ * @returns {{ type: 'bare', path: string, version: string } | null}
+ */
+function resolveShim(wrapperPath) {
+  const wrapperContent = fs.readFileSync(wrapperPath, 'utf8');
+  const wrapperDir = path.dirname(wrapperPath);
+
+  // Resolve the exec line. pnpm shims use `$basedir/<relpath>` (legacy root
+  // shim) or `$basedir/../<relpath>` (bin/ shim). Capture either.
+  const execMatch = wrapperContent.match(
+    /exec\s+"?\$basedir\/((?:\.\.\/)?[^"\s]+\/bin\/claude\.exe)"?/
+  );
+  if (execMatch) {
+    const binaryPath = path.resolve(wrapperDir, execMatch[1]);
+    if (fs.existsSync(binaryPath) && isElfFile(binaryPath)) {
+      return {
+        type: 'bare',
+        path: binaryPath,
+        version: readPackageVersion(binaryPath) ?? extractPnpmVersion(binaryPath) ?? 'unknown',
+      };
+    }
+  }
+
+  // Legacy layout (≤2.1.116): package shipped cli.js directly. The shim
+  // exec'd it via node so the line shape differs (no `exec` prefix).
+  const legacyMatch = wrapperContent.match(
+    /\$basedir\/((?:\.\.\/)?[^"\s]+\/cli\.js)/
+  );
+  if (legacyMatch) {
+    const cliPath = path.resolve(wrapperDir, legacyMatch[1]);
+    if (fs.existsSync(cliPath)) {
+      return {
+        type: 'bare',
+        path: cliPath,
+        version: readPackageVersion(cliPath) ?? extractPnpmVersion(cliPath) ?? 'unknown',
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Directory that holds one package dir per installed version:
+ * `.pnpm/` (legacy) or `global/<vN>/` (pnpm ≥10)
+ */
+function packageParent(targetPath) {
+  const layout = targetPath.match(/^(.+\/\.pnpm)\/@anthropic-ai\+claude-code@[^/]+\//)
+    || targetPath.match(/^(.+\/global\/[^/]+)\/[^/]+\/node_modules\/@anthropic-ai\/claude-code\//);
+  return layout ? layout[1] : null;
+}
+
+module.exports = {
+  id: 'pnpm',
+  type: 'bare',
+  description: 'pnpm global shim ($PNPM_HOME or ~/.local/share/pnpm)',
+
+  watchPaths() {
+    // The shim is rewritten on update; the package lands in a new sibling dir
+    const dirs = pnpmHomes().flatMap(home => [home, path.join(home, 'bin')]);
+    for (const install of this.detect()) {
+      dirs.push(packageParent(install.path));
+    }
+    return dirs.filter(Boolean);
+  },
+
+  detect() {
+    const installs = [];
+    for (const home of pnpmHomes()) {
+      // pnpm ≥10 puts shims in bin/; older pnpm dropped them directly in the
+      // share root. Try the new location first, fall back to the legacy one.
+      const wrapperPath = [path.join(home, 'bin/claude'), path.join(home, 'claude')].find(p => fs.existsSync(p));
+      if (!wrapperPath) continue;
+      try {
+        const install = resolveShim(wrapperPath);
+        if (install) installs.push(install);
+      } catch {
+        // Unreadable shim: nothing to report for this home
+      }
+    }
+    return installs;
+  },
+};
@@ -0,0 +1,213 @@
+/**
+ * Edit ranges — which bytes of the bundle each patch changed, and where two
+ * patches (or a patch and the metadata writer) touch the same bytes.
+ *
+ * Every range is `{ start, end }` in ORIGINAL bundle coordinates (UTF-16 code
+ * units, half-open). `start === end` is a pure insertion at that offset.
+ *
+ * Patches run blind to each other, so under --check two of them can both
+ * "pass" while rewriting the same anchor — on --apply the second then fails
+ * with pattern-not-found or silently edits the first one's output.
+ */
+
+// ============ Diffing ============
+
+// Compare in blocks first: string equality on slices is native, char-by-char
+// over a 10 MB bundle per patch is not.
+const BLOCK = 4096;
+// A shared run at least this long splits one changed region into two
+const SEED = 64;
+
+function prefixLength(a, aStart, aEnd, b, bStart, bEnd) {
+  const max = Math.min(aEnd - aStart, bEnd - bStart);
+  let n = 0;
+  while (n + BLOCK <= max && a.slice(aStart + n, aStart + n + BLOCK) === b.slice(bStart + n, bStart + n + BLOCK)) {
+    n += BLOCK;
+  }
+  while (n < max && a.charCodeAt(aStart + n) === b.charCodeAt(bStart + n)) n++;
+  return n;
+}
+
+function suffixLength(a, aStart, aEnd, b, bStart, bEnd) {
+  const max = Math.min(aEnd - aStart, bEnd - bStart);
+  let n = 0;
+  while (n + BLOCK <= max && a.slice(aEnd - n - BLOCK, aEnd - n) === b.slice(bEnd - n - BLOCK, bEnd - n)) {
+    n += BLOCK;
+  }
+  while (n < max && a.charCodeAt(aEnd - n - 1) === b.charCodeAt(bEnd - n - 1)) n++;
+  return n;
+}
+
+/**
+ * Find a run of text that occurs exactly once in both regions, to split a
+ * region holding several separate edits.
+ * @returns {{ a: number, b: number } | null}
+ */
+function findAnchor(a, aStart, aEnd, b, bStart, bEnd) {
+  for (const frac of [0.5, 0.25, 0.75, 0.125, 0.875]) {
+    const pos = aStart + Math.floor((aEnd - aStart - SEED) * frac);
+    const seed = a.slice(pos, pos + SEED);
+    const first = a.indexOf(seed, aStart);
+    if (first !== pos || isBelow(a.indexOf(seed, pos + 1), aEnd - SEED)) continue;
+    const idx = b.indexOf(seed, bStart);
+    if (idx === -1 || idx > bEnd - SEED || isBelow(b.indexOf(seed, idx + 1), bEnd - SEED)) continue;
+    return { a: pos, b: idx };
+  }
+  return null;
+}
+
+function isBelow(idx, limit) {
+  return idx !== -1 && idx <= limit;
+}
+
+/**
+ * Changed ranges between two versions of the bundle, in `before` coordinates.
+ * Tuned for what patches do — a handful of local rewrites in a large file.
+ * @param {string} before
+ * @param {string} after
+ * @returns {Array<{ start: number, end: number }>}
+ */
+function diffRanges(before, after) {
+  const ranges = [];
+  const walk = (aStart, aEnd, bStart, bEnd) => {
+    const p = prefixLength(before, aStart, aEnd, after, bStart, bEnd);
+    aStart += p;
+    bStart += p;
+    const s = suffixLength(before, aStart, aEnd, after, bStart, bEnd);
+    aEnd -= s;
+    bEnd -= s;
+    if (aStart === aEnd && bStart === bEnd) return;
+
+    const anchor = aEnd - aStart >= SEED * 4 && bEnd - bStart >= SEED * 4
+      ? findAnchor(before, aStart, aEnd, after, bStart, bEnd)
+      : null;
+    if (!anchor) {
+      ranges.push({ start: aStart, end: aEnd });
+      return;
+    }
+    walk(aStart, anchor.a, bStart, anchor.b);
+    walk(anchor.a, aEnd, anchor.b, bEnd);
+  };
+
+  if (before !== after) walk(0, before.length, 0, after.length);
+  return ranges.sort((x, y) => x.start - y.start);
+}
+
+// ============ Sequential Edits ============
+
+/**
+ * Track a sequence of in-place edits so each can be reported in original
+ * coordinates — for patches that apply several sub-patches one after another
+ * (prompt-slim). An edit that lands inside an earlier edit's output maps to
+ * that earlier edit's original range, which is exactly the overlap to report.
+ */
+function createEditMap() {
+  // Sorted, non-overlapping; cur* in current coordinates, orig* in original
+  const edits = [];
+
+  // Positions strictly inside an earlier edit's output have no original
+  // offset of their own; they map to that edit's original boundaries
+  const toOriginal = (pos, side) => {
+    let shift = 0;
+    for (const e of edits) {
+      if (pos <= e.curStart) break;
+      if (pos < e.curEnd) return side === 'start' ? e.origStart : e.origEnd;
+      shift = e.origEnd - e.curEnd;
+    }
+    return pos + shift;
+  };
+
+  return {
+    /**
+     * Record replacing [start, end) of the current content with `length` chars.
+     * @returns {{ start: number, end: number }} The edit in original coordinates
+     */
+    record(start, end, length) {
+      const origStart = toOriginal(start, 'start');
+      const origEnd = Math.max(origStart, toOriginal(end, 'end'));
+      const delta = length - (end - start);
+
+      // Fold swallowed edits into the new one, shift the ones after it
+      const merged = { curStart: start, curEnd: start + length, origStart, origEnd };
+      const next = [];
+      for (const e of edits) {
+        if (e.curEnd <= start) {
+          next.push(e);
+        } else if (e.curStart >= end) {
+          next.push({ ...e, curStart: e.curStart + delta, curEnd: e.curEnd + delta });
+        } else {
+          merged.origStart = Math.min(merged.origStart, e.origStart);
+          merged.origEnd = Math.max(merged.origEnd, e.origEnd);
+        }
+      }
+      next.push(merged);
+      next.sort((x, y) => x.curStart - y.curStart);
+      edits.splice(0, edits.length, ...next);
+
+      return { start: origStart, end: origEnd };
+    },
+  };
+}
+
+// ============ Overlaps ============
+
+function rangesOverlap(x, y) {
+  const xEmpty = x.start === x.end;
+  const yEmpty = y.start === y.end;
+  if (xEmpty && yEmpty) return x.start === y.start;
+  if (xEmpty) return y.start < x.start && x.start < y.end;
+  if (yEmpty) return x.start < y.start && y.start < x.end;
+  return x.start < y.end && y.start < x.end;
+}
+
+/**
+ * Find bytes claimed by more than one owner. One entry per owner pair: the
+ * first overlap (with a snippet of the original text) and how many there are.
+ * @param {Array<{ id: string, ranges: Array<{ start: number, end: number }> }>} owners
+ * @param {string} original - Bundle the ranges refer to
+ * @returns {Array<{ ids: [string, string], start: number, end: number, count: number, snippet: string }>}
+ */
+function findOverlaps(owners, original) {
+  const flat = [];
+  for (const owner of owners) {
+    for (const r of owner.ranges) flat.push({ id: owner.id, ...r });
+  }
+  flat.sort((x, y) => x.start - y.start || x.end - y.end);
+
+  const byPair = new Map();
+  for (let i = 0; i < flat.length; i++) {
+    for (let j = i + 1; j < flat.length && flat[j].start <= flat[i].end; j++) {
+      const x = flat[i];
+      const y = flat[j];
+      if (x.id === y.id || !rangesOverlap(x, y)) continue;
+
+      const key = [x.id, y.id].sort().join('\0');
+      const existing = byPair.get(key);
+      if (existing) {
+        existing.count++;
+        continue;
+      }
+      const start = Math.max(x.start, y.start);
+      const end = Math.max(start, Math.min(x.end, y.end));
+      byPair.set(key, { ids: [x.id, y.id], start, end, count: 1, snippet: snippetAt(original, start, end) });
+    }
+  }
+  return [...byPair.values()];
+}
+
+/**
+ * Short one-line excerpt of the original text at a range (with a little
+ * context around insertions).
+ */
+function snippetAt(original, start, end, max = 80) {
+  const from = start === end ? Math.max(0, start - 20) : start;
+  const to = start === end ? start + 20 : Math.min(end, start + max);
+  const text = original.slice(from, to).replace(/\s+/g, ' ');
+  return end - start > max ? text + '…' : text;
+}
+
+module.exports = {
+  diffRanges,
+  createEditMap,
+  findOverlaps,
+};
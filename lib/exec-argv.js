@@ -0,0 +1,158 @@
+/**
+ * Compile-time execArgv — the runtime arguments Bun bakes into a standalone
+ * build (`bun build --compile --compile-exec-argv`) and passes to itself on
+ * every start: `--smol`, memory limits, inspector flags for debugging a
+ * patched build (--exec-argv).
+ *
+ *   --exec-argv                   show it (and the .bak's, if different)
+ *   --exec-argv set "<args>"      replace it
+ *   --exec-argv append "<args>"   add to it
+ *   --exec-argv clear             remove it
+ *
+ * The string is rewritten in place like a patched module (see
+ * setExecArgvInPlace in lib/bun-binary.ts): it fits in the old slot or in
+ * the padding a patched, shorter JS left, so most edits need patches
+ * applied first. The edit is recorded in the ledger of a patched binary, and
+ * an --apply or --remove that repacks from the .bak (or the shim, from a new
+ * build) sets it again (keepExecArgv). --restore drops it with the patches.
+ */
+
+const fs = require('fs');
+
+const { isElfFile, readPatchMetadata } = require('./shared');
+const { isJsonMode, emitJson, log } = require('./output');
+const { readBundle, getBunBinary } = require('./bundle-cache');
+const { recordLedger } = require('./patch-runner');
+const { getLedgerEntry, recordExecArgv } = require('./ledger');
+
+/**
+ * The execArgv of a binary, through the bundle cache
+ * @param {string} binaryPath
+ * @returns {string}
+ */
+function readExecArgv(binaryPath) {
+  return readBundle(binaryPath).meta.compileExecArgv;
+}
+
+/**
+ * The execArgv after an edit
+ * @param {string} current
+ * @param {{ mode: string, value?: string }} edit
+ * @returns {string}
+ */
+function editedArgv(current, edit) {
+  if (edit.mode === 'clear') return '';
+  const value = edit.value.trim();
+  return edit.mode === 'append' ? [current, value].filter(Boolean).join(' ') : value;
+}
+
+const quoted = (argv) => (argv ? `"${argv}"` : '(none)');
+
+/**
+ * Show or edit the compile-time execArgv of a Bun binary.
+ * @param {object} install - Installation info (a Bun binary)
+ * @param {{ mode: 'set'|'append'|'clear', value?: string }|null} edit - null to show
+ * @returns {{ success: boolean, before?: string, after?: string, error?: string }}
+ */
+function runExecArgv(install, edit = null) {
+  if (!isElfFile(install.path)) {
+    return { success: false, error: `${install.path} is plain JS — only Bun binaries have an execArgv` };
+  }
+
+  const backupPath = install.path + '.bak';
+  let before;
+  let buildDefault = null;
+  try {
+    before = readExecArgv(install.path);
+    if (fs.existsSync(backupPath)) buildDefault = readExecArgv(backupPath);
+  } catch (err) {
+    return { success: false, error: `Could not read ${install.path}: ${err.message}` };
+  }
+
+  log(`\nBinary: ${install.path}`);
+  log(`Version: ${install.version}`);
+
+  if (!edit) {
+    log(`Exec argv: ${quoted(before)}`);
+    if (buildDefault !== null && buildDefault !== before) log(`Build default (.bak): ${quoted(buildDefault)}`);
+    emitJson({ type: 'exec_argv', path: install.path, version: install.version, execArgv: before, buildDefault });
+    return { success: true, before, after: before };
+  }
+
+  const after = editedArgv(before, edit);
+  if (after === before) {
+    log(`Exec argv: ${quoted(before)} (unchanged)`);
+    emitJson({ type: 'exec_argv', path: install.path, version: install.version, execArgv: before, buildDefault, changed: false });
+    return { success: true, before, after };
+  }
+
+  // Repacked next to the binary first, so a string that doesn't fit leaves
+  // no .bak and no half-written binary behind
+  const tmpPath = `${install.path}.exec-argv.tmp`;
+  try {
+    getBunBinary().repackWithExecArgv(install.path, after, tmpPath);
+  } catch (err) {
+    fs.rmSync(tmpPath, { force: true });
+    return { success: false, before, error: `Could not set the execArgv: ${err.message}` };
+  }
+
+  // Same rule as --apply: a .bak only of a clean binary
+  const patched = !!readPatchMetadata(readBundle(install.path).js.toString('utf8'));
+  if (!fs.existsSync(backupPath)) {
+    if (patched) {
+      log(`⚠ Skipped backup: binary already has patch marker`);
+      emitJson({ type: 'warning', message: 'Skipped .bak creation: source already patched' });
+    } else {
+      fs.copyFileSync(install.path, backupPath);
+      log(`✓ Backed up to ${backupPath}`);
+      emitJson({ type: 'info', message: `Backup created: ${backupPath}` });
+    }
+  }
+
+  fs.renameSync(tmpPath, install.path);
+
+  log(`✓ Exec argv: ${quoted(before)} → ${quoted(after)}`);
+  // The binary hash changed; --verify compares it with the ledger. The edit
+  // is kept there too, for the next repack from the .bak
+  if (patched) {
+    recordLedger(install, log, emitJson);
+    recordExecArgv(install.path, after === (buildDefault ?? '') ? null : after);
+  }
+  emitJson({ type: 'exec_argv', path: install.path, version: install.version, execArgv: after, before, buildDefault, changed: true });
+  return { success: true, before, after };
+}
+
+/**
+ * Set a recorded --exec-argv edit again after a repack that started from the
+ * .bak or a new build, and so from the build's own argv (--apply, --remove,
+ * the shim). Warns and leaves the build's argv when the edit no longer fits.
+ * @param {object} install - Installation info (a Bun binary, just repacked)
+ * @param {Function} qlog
+ * @param {Function} qemit
+ */
+function keepExecArgv(install, qlog, qemit) {
+  const wanted = getLedgerEntry(install.path)?.execArgv;
+  if (wanted === undefined) return;
+
+  const tmpPath = `${install.path}.exec-argv.tmp`;
+  let current = null;
+  try {
+    current = readExecArgv(install.path);
+    if (current === wanted) return;
+    getBunBinary().repackWithExecArgv(install.path, wanted, tmpPath);
+    fs.renameSync(tmpPath, install.path);
+    qlog(`✓ Exec argv: ${quoted(wanted)} (kept from --exec-argv)`);
+    qemit({ type: 'exec_argv', path: install.path, version: install.version, execArgv: wanted, before: current, changed: true });
+  } catch (err) {
+    fs.rmSync(tmpPath, { force: true });
+    const message = `Could not keep the execArgv ${quoted(wanted)}: ${err.message.split('\n')[0]} — ${quoted(current)} is in effect`;
+    if (!isJsonMode) console.error(`Warning: ${message}`);
+    qemit({ type: 'warning', message });
+  }
+}
+
+module.exports = {
+  readExecArgv,
+  runExecArgv,
+  keepExecArgv,
+};
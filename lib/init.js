@@ -10,6 +10,7 @@ const {
   listAvailableVersions,
   compareVersions,
 } = require('./shared');
+const { listManifestVersions, coversVersion, extendManifest } = require('./manifest');
 
 const { log } = require('./output');
 
@@ -21,7 +22,10 @@ const { log } = require('./output');
  *   success: boolean,
  *   version?: string,
  *   copiedFrom?: string,
+ *   extendedFrom?: string,
+ *   extended?: string[],
  *   alreadyExists?: boolean,
+ *   source?: string,
  *   promptImport?: { count: number, source: string, targetDir: string },
  *   baseline?: { patchCount: number, charsSaved: number },
  *   error?: string
@@ -54,36 +58,49 @@ function doInit(installs, options = {}) {
   const targetDir = path.join(PATCHES_DIR, targetVersion);
   const targetIndex = path.join(targetDir, 'index.json');
 
-  if (fs.existsSync(targetIndex)) {
+  let manifestVersions;
+  try {
+    manifestVersions = listManifestVersions();
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+  if (fs.existsSync(targetIndex) || coversVersion(targetVersion)) {
+    const where = fs.existsSync(targetIndex) ? `patches/${targetVersion}/index.json` : 'patches/manifest.json';
     if (options.skipExisting) {
-      return { success: true, alreadyExists: true, version: targetVersion };
+      return { success: true, alreadyExists: true, version: targetVersion, source: where };
     }
-    return { success: false, error: `patches/${targetVersion}/index.json already exists` };
+    return { success: false, error: `${where} already has a patch set for ${targetVersion}` };
   }
 
-  // Find the most recent existing index to copy from
+  // Find the most recent existing patch set to carry forward: a manifest
+  // range gets extended, an index gets copied
   const available = listAvailableVersions();
-  if (available.length === 0) {
+  const latestIndex = available[available.length - 1]; // sorted, last is latest
+  const latestManifest = manifestVersions[manifestVersions.length - 1];
+  if (!latestIndex && !latestManifest) {
     return { success: false, error: 'No existing patch versions to copy from' };
   }
 
-  const sourceVersion = available[available.length - 1]; // sorted, last is latest
-  const sourceIndex = path.join(PATCHES_DIR, sourceVersion, 'index.json');
-  const sourceContent = JSON.parse(fs.readFileSync(sourceIndex, 'utf8'));
-
-  // Create the new index with updated version
-  const newIndex = { ...sourceContent, version: targetVersion };
+  // The directory holds the port's artifacts (flags.json, prompt patches, ...)
+  // either way
+  fs.mkdirSync(targetDir, { recursive: true });
 
-  if (!fs.existsSync(targetDir)) {
-    fs.mkdirSync(targetDir, { recursive: true });
+  let result;
+  if (latestManifest && (!latestIndex || compareVersions(latestManifest, latestIndex) >= 0)) {
+    const { extended } = extendManifest(latestManifest, targetVersion);
+    qlog(`\nExtended ${extended.length} patch range(s) in patches/manifest.json from ${latestManifest} to ${targetVersion}`);
+    result = { success: true, version: targetVersion, extendedFrom: latestManifest, extended };
+  } else {
+    const sourceIndex = path.join(PATCHES_DIR, latestIndex, 'index.json');
+    const sourceContent = JSON.parse(fs.readFileSync(sourceIndex, 'utf8'));
+
+    // Create the new index with updated version
+    const newIndex = { ...sourceContent, version: targetVersion };
+    fs.writeFileSync(targetIndex, JSON.stringify(newIndex, null, 2) + '\n');
+    qlog(`\nCreated patches/${targetVersion}/index.json (copied from ${latestIndex})`);
+    result = { success: true, version: targetVersion, copiedFrom: latestIndex };
   }
 
-  fs.writeFileSync(targetIndex, JSON.stringify(newIndex, null, 2) + '\n');
-
-  qlog(`\nCreated patches/${targetVersion}/index.json (copied from ${sourceVersion})`);
-
-  const result = { success: true, version: targetVersion, copiedFrom: sourceVersion };
-
   // Import prompt patches locally
   try {
     const {
@@ -0,0 +1,185 @@
+/**
+ * Bun binary inspector — every module embedded in a standalone build, not
+ * just the Claude entry module (--inspect, --extract-all <dir>).
+ *
+ * --inspect prints the module table: name, size, loader, module format,
+ * encoding and whether bytecode or a sourcemap is attached, plus the entry
+ * point, the compile-time execArgv and the data format (overlay vs section).
+ * --extract-all writes each module under <dir> by its path inside the
+ * binary (`/$bunfs/root/` stripped), `.map` and `.jsc` next to it for
+ * sourcemaps and bytecode, and the table as <dir>/modules.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { isElfFile, formatBytes } = require('./shared');
+const { isJsonMode, emitJson, log } = require('./output');
+const { getBunBinary } = require('./bundle-cache');
+
+// Enum values of Bun's module table (StandaloneModuleGraph, Bun 1.2+).
+// Anything outside these prints as its number.
+const LOADERS = [
+  'jsx', 'js', 'ts', 'tsx', 'css', 'file', 'json', 'jsonc', 'toml', 'wasm',
+  'napi', 'base64', 'dataurl', 'text', 'bunsh', 'sqlite', 'sqlite_embedded', 'html',
+];
+const ENCODINGS = ['binary', 'latin1', 'utf8'];
+const MODULE_FORMATS = ['none', 'esm', 'cjs'];
+
+// ============ Module Table ============
+
+function enumName(names, value) {
+  return names[value] ?? String(value);
+}
+
+/**
+ * One module table entry with its enums named
+ */
+function describeModule(module, index, entryPointId) {
+  return {
+    index,
+    name: module.name,
+    size: module.contentsLength,
+    loader: enumName(LOADERS, module.loader),
+    format: enumName(MODULE_FORMATS, module.moduleFormat),
+    encoding: enumName(ENCODINGS, module.encoding),
+    bytecode: module.bytecodeLength,
+    sourcemap: module.sourcemapLength,
+    entryPoint: index === entryPointId,
+  };
+}
+
+/**
+ * Where each module goes under the --extract-all dir, relative to it. Names
+ * are paths inside the binary; anything that would climb out of the dir is
+ * kept inside it. A path that is taken (`claude` and `/$bunfs/root/claude`
+ * both, a module named modules.json, another's .map or .jsc) or that another
+ * module needs as a directory gets `~2`, `~3`, ... before its extension.
+ * @param {string[]} names
+ * @returns {string[]}
+ */
+function dumpPaths(names) {
+  const { BUNFS_ROOT } = getBunBinary();
+  const wanted = names.map(name => path.normalize(name.replace(BUNFS_ROOT, ''))
+    .split(path.sep)
+    .filter(part => part && part !== '..' && part !== '.')
+    .join(path.sep) || 'unnamed');
+
+  const dirs = new Set(wanted.flatMap((relative) => {
+    const parts = relative.split(path.sep);
+    return parts.slice(1).map((_, i) => parts.slice(0, i + 1).join(path.sep));
+  }));
+  const taken = new Set(['modules.json']);
+  const files = (relative) => [relative, `${relative}.map`, `${relative}.jsc`];
+
+  return wanted.map((relative) => {
+    const { dir, name, ext } = path.parse(relative);
+    let candidate = relative;
+    for (let n = 2; files(candidate).some(f => taken.has(f) || dirs.has(f)); n++) {
+      candidate = path.join(dir, `${name}~${n}${ext}`);
+    }
+    for (const f of files(candidate)) taken.add(f);
+    return candidate;
+  });
+}
+
+// ============ Inspect ============
+
+/**
+ * Print the module table of a Bun binary, and optionally dump every module.
+ * @param {object} install - Installation info (a Bun binary)
+ * @param {object} [options]
+ * @param {string} [options.extractAll] - Write every module under this dir
+ * @returns {{ success: boolean, modules?: object[], written?: string[], error?: string }}
+ */
+function runInspect(install, options = {}) {
+  if (!isElfFile(install.path)) {
+    return { success: false, error: `${install.path} is plain JS — --inspect reads Bun binaries` };
+  }
+
+  let inspection;
+  try {
+    inspection = getBunBinary().inspectBunBinary(install.path, !!options.extractAll);
+  } catch (err) {
+    return { success: false, error: `Could not read ${install.path}: ${err.message}` };
+  }
+
+  const modules = inspection.modules.map((m, i) => describeModule(m, i, inspection.entryPointId));
+  const entryPoint = modules.find(m => m.entryPoint)?.name ?? null;
+
+  log(`\nBinary: ${install.path}`);
+  log(`Version: ${install.version}`);
+  log(`Format: ${inspection.format === 'section' ? '.bun ELF section' : 'ELF overlay'}`);
+  log(`Entry point: ${entryPoint ?? `#${inspection.entryPointId} (not in the table)`}`);
+  log(`Compile execArgv: ${inspection.compileExecArgv || '(none)'}`);
+  if (!isJsonMode) printModuleTable(modules);
+
+  let written = [];
+  if (options.extractAll) {
+    try {
+      written = extractAll(options.extractAll, inspection.modules, modules);
+    } catch (err) {
+      return { success: false, modules, error: `Could not write to ${options.extractAll}: ${err.message}` };
+    }
+    log(`✓ Wrote ${modules.length} module(s) to ${options.extractAll} (${written.length} files, table in modules.json)`);
+  }
+
+  emitJson({
+    type: 'inspect',
+    path: install.path,
+    version: install.version,
+    format: inspection.format,
+    entryPoint,
+    compileExecArgv: inspection.compileExecArgv,
+    modules,
+    ...(options.extractAll ? { extractedTo: options.extractAll, files: written } : {}),
+  });
+  return { success: true, modules, written };
+}
+
+function printModuleTable(modules) {
+  const nameWidth = Math.min(60, Math.max(4, ...modules.map(m => m.name.length)));
+  console.log(`\n  ${'#'.padStart(3)}  ${'Name'.padEnd(nameWidth)}  ${'Size'.padStart(10)}  Loader  Format  Encoding  Bytecode    Sourcemap`);
+  for (const m of modules) {
+    const name = m.name.length > nameWidth ? `…${m.name.slice(-(nameWidth - 1))}` : m.name;
+    const extra = (bytes) => (bytes > 0 ? formatBytes(bytes) : '-').padEnd(10);
+    console.log(
+      `${m.entryPoint ? '*' : ' '} ${String(m.index).padStart(3)}  ${name.padEnd(nameWidth)}  ${formatBytes(m.size).padStart(10)}  ` +
+      `${m.loader.padEnd(6)}  ${m.format.padEnd(6)}  ${m.encoding.padEnd(8)}  ${extra(m.bytecode)}  ${extra(m.sourcemap).trim()}`
+    );
+  }
+  console.log(`\n  ${modules.length} module(s), * entry point\n`);
+}
+
+/**
+ * Write every module (and its sourcemap and bytecode) under dir, plus
+ * modules.json with the table and where each file went
+ * @returns {string[]} Files written, relative to dir
+ */
+function extractAll(dir, dumps, modules) {
+  fs.mkdirSync(dir, { recursive: true });
+  const written = [];
+  const write = (file, bytes) => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, bytes);
+    written.push(path.relative(dir, file));
+    return path.relative(dir, file);
+  };
+
+  const paths = dumpPaths(dumps.map(dump => dump.name));
+  const table = dumps.map((dump, i) => {
+    const file = path.join(dir, paths[i]);
+    return {
+      ...modules[i],
+      file: write(file, dump.contents),
+      sourcemapFile: dump.sourcemap.length > 0 ? write(`${file}.map`, dump.sourcemap) : null,
+      bytecodeFile: dump.bytecode.length > 0 ? write(`${file}.jsc`, dump.bytecode) : null,
+    };
+  });
+  fs.writeFileSync(path.join(dir, 'modules.json'), JSON.stringify(table, null, 2) + '\n');
+  return written;
+}
+
+module.exports = {
+  runInspect,
+};
@@ -0,0 +1,150 @@
+/**
+ * Patch ledger — what each successful --apply left on disk, so --verify can
+ * tell a binary patched by us from one modified since.
+ *
+ * One workspace file, `patch-ledger.json`, keyed by binary path:
+ *
+ *   {
+ *     "/home/u/.local/share/claude/versions/2.1.222": {
+ *       "installType": "native", "ccVersion": "2.1.222",
+ *       "binaryHash": "<sha256 of the repacked binary>",
+ *       "size": 231000000, "mtimeMs": 1760868000000,
+ *       "jsHash": "<sha256 of the JS extracted back out of it>",
+ *       "patches": ["ghostty-term", "spinner"],
+ *       "execArgv": "--smol",
+ *       "recordedAt": "2026-10-19T10:00:00.000Z"
+ *     }
+ *   }
+ *
+ * `execArgv` is an --exec-argv edit, set again after every repack from the
+ * .bak or a new build, and kept when the apply is re-recorded.
+ * --restore and a rollback drop the entry; the binary is clean again.
+ * size/mtimeMs let the launcher shim skip hashing when nothing changed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const { PROJECT_DIR, hashFile } = require('./shared');
+
+const LEDGER_PATH = path.join(PROJECT_DIR, 'patch-ledger.json');
+
+// ============ Storage ============
+
+/**
+ * Load the ledger. A missing file is empty; a malformed one throws, since
+ * --verify must not report "unknown" for every install over a typo.
+ * @returns {Object<string, object>}
+ */
+function loadLedger() {
+  if (!fs.existsSync(LEDGER_PATH)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(LEDGER_PATH, 'utf8'));
+  } catch (err) {
+    throw new Error(`Failed to parse ${LEDGER_PATH}: ${err.message}`);
+  }
+}
+
+function saveLedger(ledger) {
+  const tmp = `${LEDGER_PATH}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(ledger, null, 2) + '\n');
+  fs.renameSync(tmp, LEDGER_PATH);
+}
+
+// ============ Entries ============
+
+/**
+ * SHA-256 of an in-memory buffer (the extracted JS)
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function hashBuffer(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Record a freshly repacked binary.
+ * @param {object} install - Installation info
+ * @param {Buffer} jsBuffer - JS extracted from the repacked binary
+ * @param {string[]} patches - Patch IDs in its metadata
+ */
+function recordApply(install, jsBuffer, patches) {
+  const ledger = loadLedger();
+  const stat = fs.statSync(install.path);
+  const execArgv = ledger[install.path]?.execArgv;
+  ledger[install.path] = {
+    installType: install.type,
+    ccVersion: install.version,
+    binaryHash: hashFile(install.path),
+    size: stat.size,
+    mtimeMs: stat.mtimeMs,
+    jsHash: hashBuffer(jsBuffer),
+    patches,
+    ...(execArgv !== undefined ? { execArgv } : {}),
+    recordedAt: new Date().toISOString(),
+  };
+  saveLedger(ledger);
+}
+
+/**
+ * Record an --exec-argv edit on a binary's entry, or forget it (null: the
+ * build's own argv is back)
+ * @param {string} binaryPath
+ * @param {string|null} execArgv
+ * @returns {boolean} Whether the binary has an entry to record it on
+ */
+function recordExecArgv(binaryPath, execArgv) {
+  const ledger = loadLedger();
+  const entry = ledger[binaryPath];
+  if (!entry) return false;
+  if (execArgv === null) delete entry.execArgv;
+  else entry.execArgv = execArgv;
+  saveLedger(ledger);
+  return true;
+}
+
+/**
+ * Drop the entry for a binary that is clean again. Never throws: a stale
+ * entry only makes --verify report "clean" with a note.
+ * @param {string} binaryPath
+ */
+function forgetInstall(binaryPath) {
+  try {
+    const ledger = loadLedger();
+    if (!(binaryPath in ledger)) return;
+    delete ledger[binaryPath];
+    saveLedger(ledger);
+  } catch { /* left for --verify to report */ }
+}
+
+/**
+ * @param {string} binaryPath
+ * @returns {object|null}
+ */
+function getLedgerEntry(binaryPath) {
+  return loadLedger()[binaryPath] || null;
+}
+
+/**
+ * Whether the binary on disk is still the one recorded. Same size and mtime
+ * is taken as unchanged; otherwise the hash decides.
+ * @param {string} binaryPath
+ * @param {object} entry - From getLedgerEntry()
+ * @returns {boolean}
+ */
+function matchesEntry(binaryPath, entry) {
+  const stat = fs.statSync(binaryPath);
+  if (entry.size === stat.size && entry.mtimeMs === stat.mtimeMs) return true;
+  return hashFile(binaryPath) === entry.binaryHash;
+}
+
+module.exports = {
+  LEDGER_PATH,
+  hashBuffer,
+  recordApply,
+  recordExecArgv,
+  forgetInstall,
+  getLedgerEntry,
+  matchesEntry,
+};
@@ -0,0 +1,444 @@
+/**
+ * Patch manifest — one file for every version, instead of a copied
+ * patches/<version>/index.json per release.
+ *
+ *   patches/manifest.json
+ *   {
+ *     "versions": ["2.1.14", "2.1.19", ..., "2.1.222"],
+ *     "patches": [
+ *       {
+ *         "id": "spinner",
+ *         "notes": "...",
+ *         "files": [
+ *           { "file": "2.1.14/patch-spinner.js", "minVersion": "2.1.14", "maxVersion": "2.1.208", "installTypes": ["bare", "native"] },
+ *           { "file": "2.1.209/js-patches/patch-spinner.js", "minVersion": "2.1.209", "maxVersion": "2.1.222", "requires": ["..."] }
+ *         ]
+ *       }
+ *     ],
+ *     "orders": [
+ *       { "minVersion": "2.1.14", "maxVersion": "2.1.107", "patches": ["thinking-visibility", "spinner", ...] }
+ *     ]
+ *   }
+ *
+ * `versions` lists every version whose patch set was ported and checked;
+ * only those have a patch set of their own (hasPatchSet). A range can span
+ * versions nobody indexed, and those stay unsupported: --check falls back to
+ * the newest listed version below them, --apply refuses them.
+ *
+ * A listed version's patch set is every patch with a file whose range holds
+ * it (both ends inclusive) for the install type; `installTypes` defaults to both.
+ * Where ranges overlap, the file with the highest minVersion wins. Other keys
+ * on a file (requires, supersedes, ...) are copied onto the resolved entry.
+ * Patches run in manifest order, then by `requires` as for an index. Run
+ * order matters (a patch can anchor on an earlier one's edit), so versions
+ * that ran them in another order have an `orders` entry: its `patches` is
+ * the order for the versions in its range, and an ID it doesn't name runs
+ * after the ones it does.
+ *
+ * A patches/<version>/index.json still exists as an override: when present,
+ * it is that version's whole patch set and the manifest isn't consulted.
+ *
+ * --init lists the new version and extends the ranges that end at the newest
+ * listed one instead of copying a directory; --build-manifest writes the
+ * manifest from the per-version indexes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const { PATCHES_DIR, compareVersions } = require('./shared');
+
+const MANIFEST_PATH = path.join(PATCHES_DIR, 'manifest.json');
+const INSTALL_TYPES = ['bare', 'native'];
+const VERSION_PATTERN = /^\d+\.\d+\.\d+$/;
+
+// ============ Loading ============
+
+/**
+ * Shape errors in a parsed manifest
+ * @returns {string[]}
+ */
+function validateManifest(manifest) {
+  const errors = [];
+  if (!manifest || !Array.isArray(manifest.patches)) return ['"patches" must be an array'];
+  if (!Array.isArray(manifest.versions) || manifest.versions.some(v => !VERSION_PATTERN.test(v))) {
+    errors.push('"versions" must be an array of versions (x.y.z)');
+  }
+  manifest.patches.forEach((patch, i) => {
+    const where = patch?.id ? `"${patch.id}"` : `patches[${i}]`;
+    if (!patch || typeof patch.id !== 'string') errors.push(`${where}: missing "id"`);
+    if (!Array.isArray(patch?.files)) {
+      errors.push(`${where}: "files" must be an array`);
+      return;
+    }
+    patch.files.forEach((f, j) => {
+      if (typeof f.file !== 'string') errors.push(`${where}.files[${j}]: missing "file"`);
+      for (const key of ['minVersion', 'maxVersion']) {
+        if (!VERSION_PATTERN.test(f[key] || '')) errors.push(`${where}.files[${j}]: "${key}" must be a version (x.y.z)`);
+      }
+      if (f.installTypes && (!Array.isArray(f.installTypes) || f.installTypes.some(t => !INSTALL_TYPES.includes(t)))) {
+        errors.push(`${where}.files[${j}]: "installTypes" must list "bare" and/or "native"`);
+      }
+    });
+  });
+  if (manifest.orders !== undefined && !Array.isArray(manifest.orders)) {
+    errors.push('"orders" must be an array');
+  }
+  (Array.isArray(manifest.orders) ? manifest.orders : []).forEach((o, i) => {
+    for (const key of ['minVersion', 'maxVersion']) {
+      if (!VERSION_PATTERN.test(o?.[key] || '')) errors.push(`orders[${i}]: "${key}" must be a version (x.y.z)`);
+    }
+    if (!Array.isArray(o?.patches)) errors.push(`orders[${i}]: "patches" must be an array of IDs`);
+  });
+  return errors;
+}
+
+/**
+ * The manifest, or null when there is none. Throws when it is malformed.
+ * @returns {{ patches: object[] }|null}
+ */
+function loadManifest() {
+  let content;
+  try {
+    content = fs.readFileSync(MANIFEST_PATH, 'utf8');
+  } catch {
+    return null;
+  }
+  let manifest;
+  try {
+    manifest = JSON.parse(content);
+  } catch (err) {
+    throw new Error(`Failed to parse ${MANIFEST_PATH}: ${err.message}`);
+  }
+  const errors = validateManifest(manifest);
+  if (errors.length > 0) {
+    throw new Error(`Invalid ${MANIFEST_PATH}:\n  ${errors.join('\n  ')}`);
+  }
+  return manifest;
+}
+
+function saveManifest(manifest) {
+  const tmp = `${MANIFEST_PATH}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(manifest, null, 2) + '\n');
+  fs.renameSync(tmp, MANIFEST_PATH);
+}
+
+// ============ Resolution ============
+
+function inRange(f, version) {
+  return compareVersions(version, f.minVersion) >= 0 && compareVersions(version, f.maxVersion) <= 0;
+}
+
+function appliesTo(f, installType) {
+  return !f.installTypes || f.installTypes.includes(installType);
+}
+
+/**
+ * The file a patch uses for a version and install type, or null
+ */
+function pickFile(patch, version, installType) {
+  return patch.files
+    .filter(f => inRange(f, version) && appliesTo(f, installType))
+    .reduce((best, f) => (!best || compareVersions(f.minVersion, best.minVersion) > 0 ? f : best), null);
+}
+
+/**
+ * A version's patch set from the manifest, in the shape of a flat index.json.
+ * @param {string} version
+ * @param {string} installType - "bare" or "native"
+ * @param {object} [manifest] - Already loaded (default: read it)
+ * @returns {{ version: string, patches: Array<{id: string, file: string}>, notes: object }|null} null when no file covers the version
+ */
+function resolveManifest(version, installType, manifest = loadManifest()) {
+  if (!manifest || !coversVersion(version, manifest)) return null;
+
+  const patches = [];
+  const notes = {};
+  for (const patch of manifest.patches) {
+    const f = pickFile(patch, version, installType);
+    if (!f) continue;
+    const { minVersion: _min, maxVersion: _max, installTypes: _types, ...entry } = f;
+    patches.push({ id: patch.id, ...entry });
+    if (patch.notes) notes[patch.id] = patch.notes;
+  }
+
+  const order = (manifest.orders || []).find(o => inRange(o, version))?.patches;
+  if (order) {
+    const rank = (id) => (order.includes(id) ? order.indexOf(id) : order.length);
+    patches.sort((a, b) => rank(a.id) - rank(b.id));
+  }
+  return { version, patches, notes };
+}
+
+/**
+ * Whether the manifest lists this version (a range holding it isn't enough)
+ */
+function coversVersion(version, manifest = loadManifest()) {
+  return !!manifest && manifest.versions.includes(version);
+}
+
+/**
+ * Every version the manifest lists, oldest first
+ * @returns {string[]}
+ */
+function listManifestVersions(manifest = loadManifest()) {
+  return manifest ? [...manifest.versions].sort(compareVersions) : [];
+}
+
+// ============ Editing ============
+
+/**
+ * Carry the patch set of `fromVersion` forward to `toVersion` (--init): the
+ * new version is listed, and every file in use at `fromVersion` whose range
+ * ends there now ends at `toVersion`, as does its run order.
+ * @returns {{ extended: string[] }} Patch IDs whose range grew
+ */
+function extendManifest(fromVersion, toVersion) {
+  const manifest = loadManifest();
+  const extended = [];
+  for (const patch of manifest.patches) {
+    for (const type of INSTALL_TYPES) {
+      const f = pickFile(patch, fromVersion, type);
+      if (f && f.maxVersion === fromVersion) {
+        f.maxVersion = toVersion;
+        if (!extended.includes(patch.id)) extended.push(patch.id);
+      }
+    }
+  }
+  for (const order of manifest.orders || []) {
+    if (order.maxVersion === fromVersion) order.maxVersion = toVersion;
+  }
+  if (!manifest.versions.includes(toVersion)) {
+    manifest.versions = [...manifest.versions, toVersion].sort(compareVersions);
+  }
+  saveManifest(manifest);
+  return { extended };
+}
+
+/**
+ * Switch a patch to another file from `version` on, for one install type
+ * (--port --write-index). The new range ends where the one it replaces did
+ * and wins over it by starting later; a range of this type alone that
+ * already started at the version is repointed instead.
+ * @returns {boolean} Whether the patch had a file for the version
+ */
+function setManifestFile(id, version, installType, file) {
+  const manifest = loadManifest();
+  const patch = manifest?.patches.find(p => p.id === id);
+  const current = patch && pickFile(patch, version, installType);
+  if (!current) return false;
+
+  const onlyThisType = current.installTypes?.length === 1;
+  if (current.minVersion === version && onlyThisType) {
+    current.file = file;
+  } else {
+    patch.files.push({ ...current, file, minVersion: version, installTypes: [installType] });
+  }
+  saveManifest(manifest);
+  return true;
+}
+
+/**
+ * An index.json path for tools that read one (scan-changelog.js): the
+ * version's own, else its manifest patch set written as a flat index to a
+ * temp dir. The temp dir stands in for patches/, so file paths inside are
+ * relative to it.
+ * @param {string} version
+ * @param {string} installType
+ * @returns {{ indexPath: string, cleanup: () => void }|null}
+ */
+function indexFileFor(version, installType) {
+  const own = path.join(PATCHES_DIR, version, 'index.json');
+  if (fs.existsSync(own)) return { indexPath: own, cleanup: () => {} };
+
+  const index = resolveManifest(version, installType);
+  if (!index) return null;
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-index-'));
+  const indexPath = path.join(tempDir, version, 'index.json');
+  fs.mkdirSync(path.dirname(indexPath));
+  const patches = index.patches.map(p => ({ ...p, file: path.relative(tempDir, path.join(PATCHES_DIR, p.file)) }));
+  fs.writeFileSync(indexPath, JSON.stringify({ ...index, patches }, null, 2) + '\n');
+  return { indexPath, cleanup: () => fs.rmSync(tempDir, { recursive: true, force: true }) };
+}
+
+// ============ Building ============
+
+/**
+ * Read one per-version index as a flat list for an install type
+ */
+function readIndexPatches(version, installType) {
+  const index = JSON.parse(fs.readFileSync(path.join(PATCHES_DIR, version, 'index.json'), 'utf8'));
+  const patches = Array.isArray(index.patches)
+    ? index.patches
+    : [...(index.patches.common || []), ...(index.patches[installType] || [])];
+  return { patches, notes: index.notes || {} };
+}
+
+/**
+ * Whether `order` runs the IDs of `ids` in the same order
+ */
+function keepsOrder(order, ids) {
+  return JSON.stringify(order.filter(id => ids.includes(id))) === JSON.stringify(ids);
+}
+
+/**
+ * One order that keeps each of the given ones where they don't contradict:
+ * an ID not placed yet goes right after the nearest ID before it that is
+ * @param {string[][]} sequences
+ * @returns {string[]}
+ */
+function mergeOrders(sequences) {
+  const merged = [];
+  for (const ids of sequences) {
+    ids.forEach((id, i) => {
+      if (merged.includes(id)) return;
+      const prev = ids.slice(0, i).reverse().find(p => merged.includes(p));
+      merged.splice(prev ? merged.indexOf(prev) + 1 : 0, 0, id);
+    });
+  }
+  return merged;
+}
+
+/**
+ * `orders` entries for the versions whose indexes run the patches in another
+ * order than the manifest: consecutive such versions share one while a
+ * single order keeps all of them
+ * @param {string[]} versions - Oldest first
+ * @param {string[]} manifestOrder - Patch IDs in manifest order
+ */
+function buildOrders(versions, manifestOrder) {
+  const orders = [];
+  let open = null;
+  for (const version of versions) {
+    const sequences = INSTALL_TYPES.map(type => readIndexPatches(version, type).patches.map(p => p.id));
+    if (sequences.every(ids => keepsOrder(manifestOrder, ids))) {
+      open = null;
+      continue;
+    }
+    const merged = open && mergeOrders([open.patches, ...sequences]);
+    if (merged && [...open.sequences, ...sequences].every(ids => keepsOrder(merged, ids))) {
+      Object.assign(open, { maxVersion: version, patches: merged });
+      open.sequences.push(...sequences);
+    } else {
+      open = { minVersion: version, maxVersion: version, patches: mergeOrders(sequences), sequences };
+      orders.push(open);
+    }
+  }
+  return orders.map(({ minVersion, maxVersion, patches }) => ({ minVersion, maxVersion, patches }));
+}
+
+/**
+ * Write the manifest from every patches/<version>/index.json (--build-manifest).
+ * The indexed versions are the listed ones. Consecutive indexed versions that use the same file (and the same extra
+ * keys) for a patch become one range; the two install types share a range
+ * when they agree. Patch order follows the newest index; older versions that
+ * ran the patches in another order get `orders` entries.
+ * Only indexed versions are known, so when a patch switches files, the old
+ * range runs up to the version the new one starts at (which wins there): the
+ * unindexed versions in between keep the old file. A patch that was dropped
+ * ends at the last version that indexed it.
+ * @returns {{ success: boolean, manifestPath: string, patchCount: number, fileCount: number, redundant: string[], error?: string }}
+ */
+function buildManifest() {
+  const { listAvailableVersions } = require('./shared');
+  const versions = listAvailableVersions();
+  if (fs.existsSync(MANIFEST_PATH)) {
+    return { success: false, manifestPath: MANIFEST_PATH, patchCount: 0, fileCount: 0, redundant: [], error: `${MANIFEST_PATH} exists — it may have hand edits; delete it to rebuild` };
+  }
+  if (versions.length === 0) {
+    return { success: false, manifestPath: MANIFEST_PATH, patchCount: 0, fileCount: 0, redundant: [], error: 'No patches/<version>/index.json to build from' };
+  }
+
+  const order = [];
+  const notes = {};
+  // key: id → type → [{ version, file, extra }] in version order
+  const uses = new Map();
+  for (const version of [...versions].reverse()) {
+    for (const type of INSTALL_TYPES) {
+      const index = readIndexPatches(version, type);
+      for (const { id, file, ...extra } of index.patches) {
+        if (!order.includes(id)) order.push(id);
+        if (index.notes[id] && !notes[id]) notes[id] = index.notes[id];
+        if (!uses.has(id)) uses.set(id, { bare: [], native: [] });
+        uses.get(id)[type].unshift({ version, file, extra });
+      }
+    }
+  }
+
+  const position = new Map(versions.map((v, i) => [v, i]));
+  const patches = order.map((id) => {
+    const ranges = [];
+    for (const type of INSTALL_TYPES) {
+      for (const use of uses.get(id)[type]) {
+        const last = ranges.filter(r => r.type === type).pop();
+        const key = JSON.stringify([use.file, use.extra]);
+        if (last && last.key === key && position.get(use.version) === position.get(last.maxVersion) + 1) {
+          last.maxVersion = use.version;
+        } else {
+          ranges.push({ type, key, file: use.file, extra: use.extra, minVersion: use.version, maxVersion: use.version });
+        }
+      }
+    }
+
+    // A switch leaves no gap: the old range meets the new one
+    for (const type of INSTALL_TYPES) {
+      const own = ranges.filter(r => r.type === type);
+      for (let i = 0; i + 1 < own.length; i++) {
+        if (position.get(own[i + 1].minVersion) === position.get(own[i].maxVersion) + 1) {
+          own[i].maxVersion = own[i + 1].minVersion;
+        }
+      }
+    }
+
+    // One file entry for both types where their ranges are the same
+    const files = [];
+    for (const range of ranges) {
+      const same = files.find(f => f.key === range.key && f.minVersion === range.minVersion && f.maxVersion === range.maxVersion);
+      if (same) {
+        same.installTypes.push(range.type);
+      } else {
+        files.push({ ...range, installTypes: [range.type] });
+      }
+    }
+    return {
+      id,
+      ...(notes[id] ? { notes: notes[id] } : {}),
+      files: files
+        .sort((a, b) => compareVersions(a.minVersion, b.minVersion))
+        .map(f => ({ file: f.file, minVersion: f.minVersion, maxVersion: f.maxVersion, installTypes: f.installTypes, ...f.extra })),
+    };
+  });
+
+  const orders = buildOrders(versions, order);
+  const manifest = { versions, patches, ...(orders.length > 0 ? { orders } : {}) };
+  saveManifest(manifest);
+
+  // Indexes the manifest now reproduces (the same entries in the same order),
+  // so they can be deleted
+  const redundant = versions.filter(version => INSTALL_TYPES.every((type) => {
+    const fromIndex = readIndexPatches(version, type).patches;
+    const fromManifest = resolveManifest(version, type, manifest).patches;
+    return JSON.stringify(fromIndex) === JSON.stringify(fromManifest);
+  }));
+
+  return {
+    success: true,
+    manifestPath: MANIFEST_PATH,
+    patchCount: patches.length,
+    fileCount: patches.reduce((sum, p) => sum + p.files.length, 0),
+    redundant,
+  };
+}
+
+module.exports = {
+  MANIFEST_PATH,
+  loadManifest,
+  resolveManifest,
+  coversVersion,
+  listManifestVersions,
+  extendManifest,
+  setManifestFile,
+  indexFileFor,
+  buildManifest,
+};
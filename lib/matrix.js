@@ -0,0 +1,284 @@
+/**
+ * Compatibility matrix — the --check phase of every patch file variant
+ * against every archived build (--matrix).
+ *
+ * A variant is one `patches/<version>/[js-patches/]patch-<id>.js`; files with
+ * identical contents count once. Builds come from the archive (lib/archive.js),
+ * optionally narrowed with --versions. Each build is decompressed once, in a
+ * worker thread, and every variant is checked against it there with its
+ * default settings; builds are handed out to the workers as they free up.
+ *
+ * Cells: ✓ pass, ✗ pattern not found, ! error (load failure, crash). A
+ * worker that dies marks the rest of its build `error`, and any build left
+ * when every worker has died too; the run then fails.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+
+const { PATCHES_DIR, compareVersions } = require('./shared');
+
+const PATCH_FILE = /^patch-(.+)\.js$/;
+
+// ============ Inputs ============
+
+/**
+ * Every patch file under patches/, one entry per distinct content.
+ * @param {string[]|null} onlyIds - Restrict to these patch IDs (--only)
+ * @returns {{ id: string, file: string, version: string, aliases: string[] }[]}
+ */
+function listPatchVariants(onlyIds = null) {
+  const byHash = new Map();
+  const walk = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        walk(full);
+        continue;
+      }
+      const match = entry.name.match(PATCH_FILE);
+      if (!match || (onlyIds && !onlyIds.includes(match[1]))) continue;
+
+      const file = path.relative(PATCHES_DIR, full);
+      const hash = crypto.createHash('sha256').update(fs.readFileSync(full)).digest('hex');
+      const key = `${match[1]}:${hash}`;
+      if (byHash.has(key)) {
+        byHash.get(key).aliases.push(file);
+      } else {
+        byHash.set(key, { id: match[1], file, version: file.split(path.sep)[0], aliases: [] });
+      }
+    }
+  };
+  walk(PATCHES_DIR);
+
+  // The oldest copy names the variant
+  const variants = [...byHash.values()];
+  for (const v of variants) {
+    const files = [v.file, ...v.aliases].sort((a, b) => compareVersions(a.split(path.sep)[0], b.split(path.sep)[0]));
+    v.file = files[0];
+    v.version = files[0].split(path.sep)[0];
+    v.aliases = files.slice(1);
+  }
+  return variants.sort((a, b) => a.id.localeCompare(b.id) || compareVersions(a.version, b.version));
+}
+
+/**
+ * Parse --versions: `a..b` (either end may be left open) or `a,b,c`.
+ * @param {string|null} spec
+ * @returns {(version: string) => boolean}
+ */
+function parseVersionSpec(spec) {
+  if (!spec) return () => true;
+  if (spec.includes('..')) {
+    const [from, to] = spec.split('..');
+    return v => (!from || compareVersions(v, from) >= 0) && (!to || compareVersions(v, to) <= 0);
+  }
+  const listed = spec.split(',').map(s => s.trim()).filter(Boolean);
+  return v => listed.includes(v);
+}
+
+// ============ Worker ============
+
+/**
+ * Check every variant against one archived build. Runs in a worker thread.
+ */
+function checkBuild(build, variants) {
+  const { readArchived } = require('./archive');
+  const { checkPatch } = require('./patch-runner');
+
+  const content = readArchived(build.version, build.type);
+  let tempPath = null;
+  const ensureTempFile = (js) => {
+    if (!tempPath) {
+      tempPath = path.join(os.tmpdir(), `claude-matrix-${process.pid}-${build.version}.js`);
+      fs.writeFileSync(tempPath, js);
+    }
+    return tempPath;
+  };
+
+  try {
+    for (const variant of variants) {
+      const result = checkPatch(variant.file, content, ensureTempFile);
+      const status = result.success ? 'pass' : result.notFound ? 'miss' : 'error';
+      const reason = result.success ? null : failureReason(result);
+      parentPort.postMessage({ type: 'cell', version: build.version, file: variant.file, status, reason });
+    }
+  } finally {
+    if (tempPath) fs.rmSync(tempPath, { force: true });
+  }
+}
+
+/**
+ * One line on why a check failed: a module patch's error event, else the
+ * first error-looking line a legacy script printed (or its last line)
+ */
+function failureReason(result) {
+  let reason = result.events?.find(e => e.type === 'error')?.message || result.error;
+  if (!reason) {
+    const lines = (result.output || '').split('\n').map(l => l.trim()).filter(Boolean).map((line) => {
+      try {
+        return JSON.parse(line).message || line;
+      } catch {
+        return line;
+      }
+    });
+    reason = lines.find(l => /could not find|not found|error/i.test(l)) || lines.pop() || '';
+  }
+  return reason.length > 160 ? `${reason.slice(0, 157)}...` : reason;
+}
+
+if (!isMainThread && workerData?.matrix) {
+  parentPort.on('message', (build) => {
+    try {
+      checkBuild(build, workerData.variants);
+      parentPort.postMessage({ type: 'done', version: build.version });
+    } catch (err) {
+      parentPort.postMessage({ type: 'done', version: build.version, error: err.message });
+    }
+  });
+}
+
+// ============ Main ============
+
+/**
+ * Run the matrix and print it.
+ * @param {object} [options]
+ * @param {string} [options.versions] - --versions spec
+ * @param {string} [options.installType] - Archived type to use (default: native, else bare)
+ * @param {string[]} [options.only] - Patch IDs to include
+ * @param {number} [options.jobs] - Worker threads (default: one per CPU, at most one per build)
+ * @returns {Promise<{ success: boolean, versions: string[], rows: object[], error?: string }>}
+ */
+async function runMatrix(options = {}) {
+  const { isJsonMode, emitJson, log } = require('./output');
+  const { listArchive, findArchived } = require('./archive');
+
+  const inRange = parseVersionSpec(options.versions);
+  const builds = listArchive()
+    .filter(a => inRange(a.version))
+    .map(a => findArchived(a.version, options.installType || null))
+    .filter(Boolean);
+  const variants = listPatchVariants(options.only || null);
+
+  if (builds.length === 0) {
+    const error = listArchive().length === 0
+      ? 'The archive is empty — run --setup to fill it'
+      : `No archived ${options.installType ? `${options.installType} ` : ''}builds${options.versions ? ` in ${options.versions}` : ''}`;
+    return { success: false, versions: [], rows: [], error };
+  }
+  if (variants.length === 0) {
+    return { success: false, versions: [], rows: [], error: 'No patch files to check' };
+  }
+
+  const versions = builds.map(b => b.version);
+  const rows = variants.map(v => ({ ...v, results: {} }));
+  const rowByFile = new Map(rows.map(r => [r.file, r]));
+
+  log(`\nChecking ${variants.length} patch variant(s) against ${builds.length} archived build(s)...\n`);
+  emitJson({ type: 'matrix_start', versions, variants: variants.map(v => v.file) });
+
+  const available = typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+  const jobs = Math.max(1, Math.min(options.jobs || available, builds.length));
+  const queue = [...builds];
+  const failedWorkers = [];
+  const unchecked = new Map(); // version → why its remaining cells are errors
+
+  await new Promise((resolve) => {
+    let running = jobs;
+    for (let i = 0; i < jobs; i++) {
+      const worker = new Worker(__filename, { workerData: { matrix: true, variants } });
+      let current = null;
+      let crash = null;
+      const next = () => {
+        current = queue.shift() || null;
+        if (current) worker.postMessage(current);
+        else worker.terminate();
+      };
+      worker.on('message', (msg) => {
+        if (msg.type === 'cell') {
+          const row = rowByFile.get(msg.file);
+          row.results[msg.version] = { status: msg.status, reason: msg.reason };
+          emitJson({ type: 'matrix_cell', id: row.id, file: msg.file, version: msg.version, status: msg.status, reason: msg.reason });
+          return;
+        }
+        const passed = rows.filter(r => r.results[msg.version]?.status === 'pass').length;
+        if (msg.error) {
+          log(`  ✗ ${msg.version}: ${msg.error}`);
+          emitJson({ type: 'warning', message: `${msg.version}: ${msg.error}` });
+        } else {
+          log(`  ${msg.version}: ${passed}/${variants.length} pass`);
+        }
+        next();
+      });
+      worker.on('error', (err) => {
+        crash = err.message;
+      });
+      // terminate() clears current first; any other exit is a failure
+      worker.on('exit', (code) => {
+        if (current || crash) {
+          const reason = `worker failed: ${crash || `exited with code ${code}`}`;
+          failedWorkers.push(reason);
+          if (current) unchecked.set(current.version, reason);
+          log(`  ✗ ${current ? `${current.version}: ` : ''}${reason}`);
+          emitJson({ type: 'warning', message: current ? `${current.version}: ${reason}` : reason });
+        }
+        if (--running === 0) resolve();
+      });
+      next();
+    }
+  });
+  for (const build of queue) unchecked.set(build.version, 'not checked: every worker failed');
+
+  for (const [version, reason] of unchecked) {
+    for (const row of rows.filter(r => !r.results[version])) {
+      row.results[version] = { status: 'error', reason };
+      emitJson({ type: 'matrix_cell', id: row.id, file: row.file, version, status: 'error', reason });
+    }
+  }
+
+  if (!isJsonMode) printMatrixTable(versions, rows);
+  emitJson({
+    type: 'matrix',
+    versions,
+    rows: rows.map(r => ({
+      id: r.id,
+      file: r.file,
+      aliases: r.aliases,
+      results: Object.fromEntries(versions.map(v => [v, r.results[v]?.status ?? null])),
+    })),
+  });
+  return failedWorkers.length === 0
+    ? { success: true, versions, rows }
+    : { success: false, versions, rows, error: `${failedWorkers.length} matrix worker(s) failed; their unchecked cells are marked !` };
+}
+
+/**
+ * Variant per row, build per column; version numbers run down the header.
+ */
+function printMatrixTable(versions, rows) {
+  const marks = { pass: '✓', miss: '✗', error: '!' };
+  const labels = rows.map(r => `${r.id} (${path.dirname(r.file)})`);
+  const width = Math.max(...labels.map(l => l.length));
+  const height = Math.max(...versions.map(v => v.length));
+
+  console.log();
+  for (let line = 0; line < height; line++) {
+    const chars = versions.map(v => v.padStart(height)[line]);
+    console.log(`  ${''.padEnd(width)}  ${chars.join(' ')}`);
+  }
+  rows.forEach((row, i) => {
+    const cells = versions.map(v => marks[row.results[v]?.status] || ' ');
+    console.log(`  ${labels[i].padEnd(width)}  ${cells.join(' ')}`);
+  });
+  console.log(`\n  ✓ pass   ✗ pattern not found   ! error   (variants named by their oldest copy under patches/)\n`);
+}
+
+module.exports = {
+  listPatchVariants,
+  parseVersionSpec,
+  failureReason,
+  runMatrix,
+};
@@ -29,6 +29,101 @@ function emitJson(obj) {
   }
 }
 
+// ============ Event Formatting ============
+
+/**
+ * Render a patch event as human-readable lines.
+ * Warnings and errors go to stderr; everything else to stdout.
+ * @param {{type: string}} event - A section/discovery/modification/warning/error/result/info event
+ * @returns {{ stream: 'stdout'|'stderr', lines: string[] }}
+ */
+function formatEvent(event) {
+  const lines = [];
+  let stream = 'stdout';
+
+  switch (event.type) {
+    case 'section':
+      lines.push(event.index !== undefined
+        ? `=== Patch ${event.index}: ${event.title} ===`
+        : `=== ${event.title} ===`);
+      break;
+    case 'discovery':
+      lines.push(`Found ${event.label}: ${event.value}`);
+      if (event.details) {
+        for (const [key, val] of Object.entries(event.details)) {
+          lines.push(`  ${key}: ${val}`);
+        }
+      }
+      break;
+    case 'modification':
+      lines.push(`Old: ${event.before}`);
+      lines.push(`New: ${event.after}`);
+      break;
+    case 'warning':
+    case 'error':
+      stream = 'stderr';
+      lines.push(`${event.type === 'warning' ? 'Warning' : 'Error'}: ${event.message}`);
+      if (event.details) {
+        for (const detail of event.details) {
+          lines.push(`  ${detail}`);
+        }
+      }
+      break;
+    case 'result':
+      switch (event.status) {
+        case 'success':
+          lines.push(`✓ ${event.message}`);
+          break;
+        case 'failure':
+          lines.push(`✗ ${event.message}`);
+          break;
+        case 'dry_run':
+          lines.push(`(Dry run) ${event.message}`);
+          break;
+        case 'skipped':
+          lines.push(`⊘ ${event.message}`);
+          break;
+        default:
+          lines.push(event.message);
+      }
+      break;
+    default:
+      lines.push(event.message ?? JSON.stringify(event));
+  }
+
+  return { stream, lines };
+}
+
+/**
+ * Emit a patch event — one JSON line in JSON mode, formatted text otherwise.
+ * @param {{type: string}} event
+ */
+function emitEvent(event) {
+  if (isJsonMode) {
+    emitJson(event);
+    return;
+  }
+  const { stream, lines } = formatEvent(event);
+  const write = stream === 'stderr' ? writeError : writeLine;
+  for (const line of lines) write(line);
+}
+
+/**
+ * Render a list of events the way emitEvent would have printed them, as one
+ * string (NDJSON in JSON mode). Used by the runner to present in-process patch
+ * output exactly like a patch subprocess's captured stdout+stderr.
+ * @param {Array<{type: string}>} events
+ * @returns {string}
+ */
+function formatEvents(events) {
+  if (isJsonMode) {
+    return events.map(e => JSON.stringify(e)).join('\n');
+  }
+  return events.flatMap(e => formatEvent(e).lines).join('\n');
+}
+
+// ============ Patch Events ============
+
 /**
  * Section - groups related output (like "=== Patch 1: Description ===")
  * @param {string} title - Section title
@@ -36,17 +131,9 @@ function emitJson(obj) {
  * @param {number} [opts.index] - Section index number
  */
 function section(title, opts = {}) {
-  if (isJsonMode) {
-    const event = { type: 'section', title };
-    if (opts.index !== undefined) event.index = opts.index;
-    emitJson(event);
-  } else {
-    if (opts.index !== undefined) {
-      writeLine(`=== Patch ${opts.index}: ${title} ===`);
-    } else {
-      writeLine(`=== ${title} ===`);
-    }
-  }
+  const event = { type: 'section', title };
+  if (opts.index !== undefined) event.index = opts.index;
+  emitEvent(event);
 }
 
 /**
@@ -56,16 +143,7 @@ function section(title, opts = {}) {
  * @param {Record<string, string>} [details] - Additional key-value details
  */
 function discovery(label, value, details = null) {
-  if (isJsonMode) {
-    emitJson({ type: 'discovery', label, value, details });
-  } else {
-    writeLine(`Found ${label}: ${value}`);
-    if (details) {
-      for (const [key, val] of Object.entries(details)) {
-        writeLine(`  ${key}: ${val}`);
-      }
-    }
-  }
+  emitEvent({ type: 'discovery', label, value, details });
 }
 
 /**
@@ -75,12 +153,7 @@ function discovery(label, value, details = null) {
  * @param {string} after - New code
  */
 function modification(label, before, after) {
-  if (isJsonMode) {
-    emitJson({ type: 'modification', label, before, after });
-  } else {
-    writeLine(`Old: ${before}`);
-    writeLine(`New: ${after}`);
-  }
+  emitEvent({ type: 'modification', label, before, after });
 }
 
 /**
@@ -89,16 +162,7 @@ function modification(label, before, after) {
  * @param {string[]} [details] - Additional detail lines
  */
 function warning(message, details = null) {
-  if (isJsonMode) {
-    emitJson({ type: 'warning', message, details });
-  } else {
-    writeError(`Warning: ${message}`);
-    if (details) {
-      for (const detail of details) {
-        writeError(`  ${detail}`);
-      }
-    }
-  }
+  emitEvent({ type: 'warning', message, details });
 }
 
 /**
@@ -107,16 +171,7 @@ function warning(message, details = null) {
  * @param {string[]} [details] - Additional detail lines
  */
 function error(message, details = null) {
-  if (isJsonMode) {
-    emitJson({ type: 'error', message, details });
-  } else {
-    writeError(`Error: ${message}`);
-    if (details) {
-      for (const detail of details) {
-        writeError(`  ${detail}`);
-      }
-    }
-  }
+  emitEvent({ type: 'error', message, details });
 }
 
 /**
@@ -125,26 +180,7 @@ function error(message, details = null) {
  * @param {string} message - Result message
  */
 function result(status, message) {
-  if (isJsonMode) {
-    emitJson({ type: 'result', status, message });
-  } else {
-    switch (status) {
-      case 'success':
-        writeLine(`✓ ${message}`);
-        break;
-      case 'failure':
-        writeLine(`✗ ${message}`);
-        break;
-      case 'dry_run':
-        writeLine(`(Dry run) ${message}`);
-        break;
-      case 'skipped':
-        writeLine(`⊘ ${message}`);
-        break;
-      default:
-        writeLine(message);
-    }
-  }
+  emitEvent({ type: 'result', status, message });
 }
 
 /**
@@ -152,11 +188,7 @@ function result(status, message) {
  * @param {string} message - Info message
  */
 function info(message) {
-  if (isJsonMode) {
-    emitJson({ type: 'info', message });
-  } else {
-    writeLine(message);
-  }
+  emitEvent({ type: 'info', message });
 }
 
 // ============ Raw Primitives (orchestrator modules) ============
@@ -186,6 +218,9 @@ function logError(msg) {
 module.exports = {
   isJsonMode,
   emitJson,
+  emitEvent,
+  formatEvent,
+  formatEvents,
   log,
   logError,
   section,
@@ -0,0 +1,109 @@
+/**
+ * Patch graph — `requires` / `conflicts` / `supersedes` between index entries.
+ *
+ *   { "id": "thinking-no-fold", "file": "...", "requires": ["thinking-visibility"] }
+ *   { "id": "disable-bundled-skills", "file": "...", "supersedes": ["disable-claude-api-skill"] }
+ *
+ * - requires:   these must be in the run too, and run first. A patch that
+ *               supersedes a required ID satisfies it, or the one that
+ *               supersedes that, down the chain.
+ * - conflicts:  never run together with these
+ * - supersedes: replaces these; they are dropped from the run if present
+ */
+
+// ============ Resolution ============
+
+/**
+ * Validate and order the patches selected for a run. Throws on a missing
+ * requirement, a conflict or a dependency cycle — a combination the index
+ * (or --only/--skip) should never produce.
+ * @param {Array<{id: string, file: string, requires?: string[], conflicts?: string[], supersedes?: string[]}>} patches - In index order
+ * @returns {{ patches: Array<object>, excluded: Array<{id: string, reason: string}> }}
+ */
+function resolvePatchGraph(patches) {
+  const excluded = [];
+
+  // Superseded patches drop out before anything else is checked
+  const supersededBy = new Map();
+  for (const patch of patches) {
+    for (const old of patch.supersedes || []) {
+      if (!supersededBy.has(old)) supersededBy.set(old, patch.id);
+    }
+  }
+  const selected = patches.filter(patch => {
+    const by = supersededBy.get(patch.id);
+    if (by && by !== patch.id) {
+      excluded.push({ id: patch.id, reason: `superseded by ${by}` });
+      return false;
+    }
+    return true;
+  });
+
+  const byId = new Map(selected.map(p => [p.id, p]));
+  // The patch in the run that stands for an ID, following supersedes
+  const provider = (id) => {
+    const seen = new Set();
+    while (id && !byId.has(id) && !seen.has(id)) {
+      seen.add(id);
+      id = supersededBy.get(id);
+    }
+    return id && byId.has(id) ? id : null;
+  };
+
+  const errors = [];
+  for (const patch of selected) {
+    for (const req of patch.requires || []) {
+      if (!provider(req)) errors.push(`${patch.id} requires ${req}, which is not in this run`);
+    }
+    for (const other of patch.conflicts || []) {
+      // Report each conflicting pair once
+      if (byId.has(other) && (patch.id < other || !(byId.get(other).conflicts || []).includes(patch.id))) {
+        errors.push(`${patch.id} conflicts with ${other}`);
+      }
+    }
+  }
+  if (errors.length > 0) {
+    throw new Error(`Invalid patch combination:\n  ${errors.join('\n  ')}`);
+  }
+
+  // Topological order, keeping index order wherever requires allows it
+  const ordered = [];
+  const placed = new Set();
+  const visiting = new Set();
+  const visit = (patch, chain) => {
+    if (placed.has(patch.id)) return;
+    if (visiting.has(patch.id)) {
+      throw new Error(`Patch dependency cycle: ${[...chain, patch.id].join(' -> ')}`);
+    }
+    visiting.add(patch.id);
+    for (const req of patch.requires || []) {
+      visit(byId.get(provider(req)), [...chain, patch.id]);
+    }
+    visiting.delete(patch.id);
+    placed.add(patch.id);
+    ordered.push(patch);
+  };
+  for (const patch of selected) visit(patch, []);
+
+  return { patches: ordered, excluded };
+}
+
+/**
+ * IDs a patch depends on at run time, with superseded requirements mapped to
+ * the patch that replaced them.
+ * @param {object} patch - Index entry
+ * @param {Array<object>} patches - The resolved run
+ * @returns {string[]}
+ */
+function requiredIds(patch, patches) {
+  return (patch.requires || []).map(req => {
+    if (patches.some(p => p.id === req)) return req;
+    const replacement = patches.find(p => (p.supersedes || []).includes(req));
+    return replacement ? replacement.id : req;
+  });
+}
+
+module.exports = {
+  resolvePatchGraph,
+  requiredIds,
+};
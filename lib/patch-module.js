@@ -0,0 +1,360 @@
+/**
+ * Patch module contract — lets the runner execute JS patches in-process.
+ *
+ * A patch file exports the object returned by definePatch():
+ *
+ *   function run(content, ctx) {
+ *     ...
+ *     return patchedContent;
+ *   }
+ *
+ *   module.exports = definePatch(module, { run });
+ *
+ * which exposes `check(content, ctx)` and `apply(content, ctx)`. Both run the
+ * same `run()` body against the bundle string and return the patched content
+ * plus the structured events the patch emitted; `check` only differs in
+ * `ctx.dryRun` (result wording — the runner discards its content). A patch
+ * fails by throwing (PatchError carries `details`, rendered like
+ * `output.error(message, details)`).
+ *
+ * Anchors are matched through `ctx.replaceOnce()` / `ctx.matchOnce()`, which
+ * fail the patch unless the pattern matches the expected number of times —
+ * a build that duplicates a component must not get a silent partial patch.
+ *
+ * User-tunable values are declared as a `config` schema on the spec (see
+ * lib/patch-settings.js) and read from `ctx.config`; the runner resolves them
+ * from the user config and `--set`, everything else gets the defaults.
+ *
+ * When the file is executed directly (`node patch-x.js [--check] <cli.js>`),
+ * definePatch() runs it as the old standalone script: read the file, print
+ * events live through lib/output, write the result back on apply.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const output = require('./output');
+const { validateSchema, defaultConfig } = require('./patch-settings');
+
+// ============ Errors ============
+
+/**
+ * Fatal patch failure. `details` are the hint lines shown under the message
+ * (e.g. "Expected: ...") and feed the --port work order.
+ */
+class PatchError extends Error {
+  /**
+   * @param {string} message
+   * @param {string[]|null} [details]
+   */
+  constructor(message, details = null) {
+    super(message);
+    this.name = 'PatchError';
+    this.details = details;
+  }
+}
+
+// ============ Matching ============
+
+/**
+ * @typedef {object} MatchOptions
+ * @property {string} label - Names the anchor in events and errors
+ * @property {number|{min?: number, max?: number}} [expect=1] - Required match count
+ * @property {(m: RegExpMatchArray, content: string) => boolean} [where] - Context
+ *   check (e.g. "preceded by X"); failing matches are dropped before counting
+ * @property {string[]} [details] - Hint lines for the not-found error
+ */
+
+// Longest before/after text shown in a replaceOnce() modification event
+const SNIPPET_MAX = 200;
+
+function clip(text) {
+  return text.length > SNIPPET_MAX ? text.slice(0, SNIPPET_MAX) + '...' : text;
+}
+
+/**
+ * Every match of a RegExp (run as a global copy, so the caller's lastIndex is
+ * untouched) or a literal string, as match arrays with `.index`.
+ */
+function findAllMatches(content, pattern) {
+  if (typeof pattern === 'string') {
+    const matches = [];
+    for (let i = content.indexOf(pattern); pattern && i !== -1; i = content.indexOf(pattern, i + pattern.length)) {
+      const m = [pattern];
+      m.index = i;
+      matches.push(m);
+    }
+    return matches;
+  }
+  const flags = pattern.flags.includes('g') ? pattern.flags : pattern.flags + 'g';
+  return [...content.matchAll(new RegExp(pattern.source, flags))];
+}
+
+/**
+ * How many times a pattern occurs — for patches that decide per anchor
+ * whether a count is fatal (data-driven sets like prompt-slim).
+ * @param {string} content
+ * @param {RegExp|string} pattern
+ * @returns {number}
+ */
+function countMatches(content, pattern) {
+  return findAllMatches(content, pattern).length;
+}
+
+/**
+ * Normalize `expect`: a number is an exact count, `{ min, max }` a range.
+ */
+function expectRange(expect = 1) {
+  if (typeof expect === 'number') return { min: expect, max: expect, text: String(expect) };
+  const min = expect.min ?? 1;
+  const max = expect.max ?? Infinity;
+  const text = max === Infinity ? `${min}+` : min === max ? String(min) : `${min}-${max}`;
+  return { min, max, text };
+}
+
+/**
+ * Match a pattern and check the count. Records a discovery event carrying
+ * `matches: { expected, found, ok }` (the --port work order reads it) and throws
+ * when the count is off: "Could not find" for zero (pattern-not-found), a
+ * hard failure for too many.
+ */
+function checkMatches(push, content, pattern, opts) {
+  const label = opts.label || String(pattern);
+  const range = expectRange(opts.expect);
+  const matches = findAllMatches(content, pattern)
+    .filter(m => !opts.where || opts.where(m, content));
+  const found = matches.length;
+  const ok = found >= range.min && found <= range.max;
+
+  push({
+    type: 'discovery',
+    label,
+    value: found === 1 ? `offset ${matches[0].index}` : `${found} matches`,
+    details: null,
+    matches: { expected: range.text, found, ok },
+  });
+
+  if (found === 0 && range.min > 0) {
+    throw new PatchError(`Could not find ${label}`, opts.details || null);
+  }
+  if (!ok) {
+    throw new PatchError(`${label}: matched ${found} time${found === 1 ? '' : 's'}, expected ${range.text}`, [
+      ...matches.slice(0, 3).map(m => `at ${m.index}: ${clip(m[0]).slice(0, 80)}`),
+      'The anchor is no longer unique — tighten the pattern rather than patching every copy',
+    ]);
+  }
+  return matches;
+}
+
+// ============ Context ============
+
+/**
+ * Create the `ctx` handed to a patch's run(). Its event methods mirror
+ * lib/output.js one-for-one and record events in the same shapes output.js
+ * emits in JSON mode.
+ * @param {object} [opts]
+ * @param {boolean} [opts.dryRun]
+ * @param {object} [opts.config] - Resolved patch settings (defaults when omitted)
+ * @param {(event: object) => void} [opts.onEvent] - Called for every event as it is recorded
+ */
+function createPatchContext(opts = {}) {
+  const events = [];
+  const edits = [];
+  const push = (event) => {
+    events.push(event);
+    if (opts.onEvent) opts.onEvent(event);
+  };
+
+  return {
+    dryRun: opts.dryRun ?? false,
+    config: opts.config,
+    events,
+    edits,
+    section(title, sectionOpts = {}) {
+      const event = { type: 'section', title };
+      if (sectionOpts.index !== undefined) event.index = sectionOpts.index;
+      push(event);
+    },
+    discovery(label, value, details = null) {
+      push({ type: 'discovery', label, value, details });
+    },
+    modification(label, before, after) {
+      push({ type: 'modification', label, before, after });
+    },
+    warning(message, details = null) {
+      push({ type: 'warning', message, details });
+    },
+    error(message, details = null) {
+      push({ type: 'error', message, details });
+    },
+    result(status, message) {
+      push({ type: 'result', status, message });
+    },
+    info(message) {
+      push({ type: 'info', message });
+    },
+    /**
+     * Match `pattern` exactly `expect` times (default 1) and return the first
+     * match. Throws PatchError otherwise.
+     * @param {string} content
+     * @param {RegExp|string} pattern
+     * @param {MatchOptions} matchOpts
+     * @returns {RegExpMatchArray}
+     */
+    matchOnce(content, pattern, matchOpts = {}) {
+      return checkMatches(push, content, pattern, matchOpts)[0];
+    },
+    /**
+     * Replace `pattern`, asserting it matches exactly `expect` times (default
+     * 1), and record a modification event per site. `replacement` is a
+     * String#replace-style callback or a literal string (no `$` expansion).
+     * @param {string} content
+     * @param {RegExp|string} pattern
+     * @param {Function|string} replacement
+     * @param {MatchOptions} matchOpts
+     * @returns {string} The patched content
+     */
+    replaceOnce(content, pattern, replacement, matchOpts = {}) {
+      const matches = checkMatches(push, content, pattern, matchOpts);
+      const label = matchOpts.label || String(pattern);
+      let out = '';
+      let pos = 0;
+      for (const m of matches) {
+        const args = [...m, m.index, content];
+        if (m.groups) args.push(m.groups);
+        const text = typeof replacement === 'function' ? String(replacement(...args)) : replacement;
+        push({ type: 'modification', label, before: clip(m[0]), after: clip(text) });
+        out += content.slice(pos, m.index) + text;
+        pos = m.index + m[0].length;
+      }
+      return out + content.slice(pos);
+    },
+    /**
+     * Attribute a changed range (input coordinates) to a named sub-patch, for
+     * overlap reporting. Only needed by patches that bundle several
+     * independent edits (prompt-slim); the runner diffs everyone else.
+     */
+    recordEdit(label, range) {
+      edits.push({ label, start: range.start, end: range.end });
+    },
+  };
+}
+
+// ============ Definition ============
+
+/**
+ * Run a patch body and package its outcome.
+ * @returns {{ content: string, events: object[], discoveries: object[], modifications: object[] }}
+ */
+function invoke(spec, content, ctx, dryRun) {
+  ctx.dryRun = dryRun;
+  ctx.config ??= defaultConfig(spec.config);
+  const patched = spec.run(content, ctx);
+  if (typeof patched !== 'string') {
+    throw new PatchError('Patch did not return the bundle content');
+  }
+  return {
+    content: patched,
+    events: ctx.events,
+    discoveries: ctx.events.filter(e => e.type === 'discovery'),
+    modifications: ctx.events.filter(e => e.type === 'modification'),
+  };
+}
+
+/**
+ * Define a patch module. Pass the file's own `module` so a direct `node`
+ * invocation falls through to the standalone CLI shim.
+ * @param {NodeModule} mod
+ * @param {{ run: (content: string, ctx: object) => string, config?: object }} spec
+ */
+function definePatch(mod, spec) {
+  const configSchema = spec.config || {};
+  validateSchema(configSchema, path.basename(mod.filename));
+
+  const patch = {
+    isPatchModule: true,
+    configSchema,
+    check(content, ctx = createPatchContext()) {
+      return invoke(spec, content, ctx, true);
+    },
+    apply(content, ctx = createPatchContext()) {
+      return invoke(spec, content, ctx, false);
+    },
+  };
+
+  if (require.main === mod) {
+    runStandalone(patch, path.basename(mod.filename));
+  }
+
+  return patch;
+}
+
+/**
+ * Run a patch module against a bundle string, catching failures into an
+ * `error` event so callers always get the full event log back.
+ * @param {object} patch - A definePatch() result
+ * @param {string} content
+ * @param {object} [opts]
+ * @param {boolean} [opts.dryRun]
+ * @param {object} [opts.config] - Resolved settings from resolvePatchConfig()
+ * @param {(event: object) => void} [opts.onEvent]
+ * @returns {{ success: boolean, content: string, events: object[], edits: object[], error?: string }}
+ */
+function runPatchModule(patch, content, opts = {}) {
+  const dryRun = opts.dryRun ?? false;
+  const ctx = createPatchContext({ dryRun, config: opts.config, onEvent: opts.onEvent });
+  try {
+    const res = dryRun ? patch.check(content, ctx) : patch.apply(content, ctx);
+    return { success: true, content: res.content, events: ctx.events, edits: ctx.edits };
+  } catch (err) {
+    ctx.error(err.message, err.details ?? null);
+    return { success: false, content, events: ctx.events, edits: ctx.edits, error: err.message };
+  }
+}
+
+// ============ Standalone Shim ============
+
+/**
+ * `node patch-x.js [--check] <cli.js path>` — the pre-module CLI contract.
+ * Runs with the schema defaults; settings only apply through the runner.
+ */
+function runStandalone(patch, fileName) {
+  const args = process.argv.slice(2);
+  const dryRun = args[0] === '--check';
+  const targetPath = dryRun ? args[1] : args[0];
+
+  if (!targetPath) {
+    output.error(`Usage: node ${fileName} [--check] <cli.js path>`);
+    process.exit(1);
+  }
+
+  let content;
+  try {
+    content = fs.readFileSync(targetPath, 'utf8');
+  } catch (err) {
+    output.error(`Failed to read ${targetPath}`, [err.message]);
+    process.exit(1);
+  }
+
+  const res = runPatchModule(patch, content, { dryRun, onEvent: output.emitEvent });
+  if (!res.success) {
+    process.exit(1);
+  }
+
+  if (!dryRun && res.content !== content) {
+    try {
+      fs.writeFileSync(targetPath, res.content);
+    } catch (err) {
+      output.error('Failed to write patched file', [err.message]);
+      process.exit(1);
+    }
+  }
+}
+
+module.exports = {
+  PatchError,
+  countMatches,
+  createPatchContext,
+  definePatch,
+  runPatchModule,
+};
@@ -13,40 +13,33 @@ const {
   readPatchMetadata,
   writePatchMetadata,
   isPatched,
-  listAvailableVersions,
+  listPatchSetVersions,
   findGainedNonAscii,
+  hashFile,
+  extractVersion,
+  isElfFile,
 } = require('./shared');
 
-const { isJsonMode, emitJson, log, logError } = require('./output');
+const { isJsonMode, emitJson, formatEvents, log, logError } = require('./output');
+const { runPatchModule } = require('./patch-module');
+const { loadUserConfig, applyUserConfig } = require('./user-config');
+const { defaultConfig, resolvePatchConfig } = require('./patch-settings');
+const { resolvePatchGraph, requiredIds } = require('./patch-graph');
+const { resolveManifest } = require('./manifest');
+const { diffRanges, findOverlaps } = require('./edit-ranges');
+const { startJournal, readJournal, removeJournal, describeJournal, resumeHint } = require('./apply-journal');
+const { recordApply, forgetInstall } = require('./ledger');
+const { getBunBinary, extractClaudeJs, readBundle } = require('./bundle-cache');
+const { readArchived } = require('./archive');
 
-// ============ Lazy Bun Binary Loader ============
-
-let _bunBinary = null;
-function getBunBinary() {
-  if (!_bunBinary) {
-    try {
-      _bunBinary = require('./bun-binary.ts');
-    } catch (err) {
-      if (err.code === 'MODULE_NOT_FOUND' && err.message.includes('node-lief')) {
-        throw new Error(
-          'node-lief is required for native binary operations.\n' +
-          '  Install it with: npm install\n' +
-          '  (Only needed if you want to patch the native Bun binary installation)'
-        );
-      }
-      throw err;
-    }
-  }
-  return _bunBinary;
-}
-function extractClaudeJs(...args) { return getBunBinary().extractClaudeJs(...args); }
 function repackWithModifiedJs(...args) { return getBunBinary().repackWithModifiedJs(...args); }
+function repackWithModifiedModules(...args) { return getBunBinary().repackWithModifiedModules(...args); }
 
 // ============ Bun Binary Handling ============
 
 /**
  * Extract JS from Bun binary to temp file
- * Uses proper LIEF-based extraction from lib/bun-binary.ts
+ * Uses LIEF-based extraction from lib/bun-binary.ts, through the bundle cache
  */
 function extractJsFromBinaryToTemp(binaryPath) {
   const jsBuffer = extractClaudeJs(binaryPath);
@@ -61,14 +54,34 @@ function extractJsFromBinaryToTemp(binaryPath) {
 }
 
 /**
- * Reassemble Bun binary from patched JS
+ * Read the JS of any target: extracted from a Bun binary, or a plain cli.js
+ * as is.
+ * @param {string} targetPath
+ * @returns {string}
+ */
+function readTargetJs(targetPath) {
+  return isElfFile(targetPath)
+    ? extractClaudeJs(targetPath).toString('utf8')
+    : fs.readFileSync(targetPath, 'utf8');
+}
+
+/**
+ * Reassemble Bun binary from patched JS held in memory, plus any other
+ * embedded modules patches changed (`module:` index entries)
  * Uses proper LIEF-based repacking from lib/bun-binary.ts
+ * @param {Map<string, string>} [modules] - Module name → patched contents
  */
-function reassembleBinaryFromTemp(tempPath, binaryPath, outputPath) {
-  const modifiedJs = fs.readFileSync(tempPath);
+function reassembleBinary(jsContent, binaryPath, outputPath, modules = new Map()) {
+  const modifiedJs = Buffer.from(jsContent, 'utf8');
   const originalBinarySize = fs.statSync(binaryPath).size;
 
-  repackWithModifiedJs(binaryPath, modifiedJs, outputPath);
+  if (modules.size === 0) {
+    repackWithModifiedJs(binaryPath, modifiedJs, outputPath);
+  } else {
+    const replacements = new Map([[readBundle(binaryPath).meta.moduleName, modifiedJs]]);
+    for (const [name, contents] of modules) replacements.set(name, Buffer.from(contents, 'utf8'));
+    repackWithModifiedModules(binaryPath, replacements, outputPath);
+  }
 
   const newBinarySize = fs.statSync(outputPath).size;
 
@@ -79,42 +92,112 @@ function reassembleBinaryFromTemp(tempPath, binaryPath, outputPath) {
   };
 }
 
+/**
+ * Write patched JS over (or next to) a plain cli.js target. Written to a temp
+ * file and renamed, like the repack, with the original's mode kept so an
+ * executable cli.js stays executable.
+ */
+function writePlainJs(jsContent, jsPath, outputPath) {
+  const originalSize = fs.statSync(jsPath).size;
+  const tmp = `${outputPath}.tmp-${process.pid}`;
+  try {
+    fs.writeFileSync(tmp, jsContent, { mode: fs.statSync(jsPath).mode & 0o777 });
+    fs.renameSync(tmp, outputPath);
+  } finally {
+    // Gone after a successful rename; a failed write would leave it behind
+    fs.rmSync(tmp, { force: true });
+  }
+
+  return {
+    originalSize,
+    newSize: fs.statSync(outputPath).size,
+  };
+}
+
+/**
+ * Describe a target given on the command line (--path) in the same shape as
+ * a detected install: a Bun binary, or a plain cli.js. The version comes
+ * from the JS (`VERSION:"..."`); the type only picks which index section
+ * applies.
+ * @param {string} targetPath
+ * @param {string} installType - "bare" or "native"
+ * @returns {{ type: string, path: string, version: string, kind: 'bun'|'js' }}
+ */
+function describeBinary(targetPath, installType) {
+  const kind = isElfFile(targetPath) ? 'bun' : 'js';
+  const js = readTargetJs(targetPath);
+  const version = extractVersion(js);
+  if (!version) {
+    throw new Error(`${targetPath}: no Claude Code version found in the ${kind === 'bun' ? 'embedded JS' : 'file'}`);
+  }
+  return { type: installType, path: path.resolve(targetPath), version, kind };
+}
+
 // ============ Patch Index ============
 
 /**
- * Load patch index for a specific Claude Code version and install type
+ * Load patch index for a specific Claude Code version and install type,
+ * with the user config (lib/user-config.js) and --only/--skip merged on top,
+ * then ordered by `requires` (lib/patch-graph.js).
+ * The version's own patches/<version>/index.json wins; without one, the
+ * patch set is resolved from patches/manifest.json (lib/manifest.js).
+ * Throws if the user config or the manifest is malformed, or the selection
+ * breaks a requires/conflicts rule.
  * @param {string} version - e.g., "2.1.14"
  * @param {string} installType - "bare" or "native"
- * @returns {{ version: string, patches: Array<{id: string, file: string}> } | null}
+ * @param {object} [options]
+ * @param {boolean} [options.userConfig] - Merge the user config (default true; --port checks the bare index)
+ * @param {string[]} [options.only] - Run only these patch IDs
+ * @param {string[]} [options.skip] - Leave out these patch IDs
+ * @returns {{ version: string, patches: Array<{id: string, file: string}>, excluded: Array<{id: string, reason: string}>, unknown: string[], settings: object } | null}
  */
-function loadPatchIndex(version, installType) {
+function loadPatchIndex(version, installType, options = {}) {
   const indexPath = path.join(PATCHES_DIR, version, 'index.json');
 
   if (!fs.existsSync(indexPath)) {
-    return null;
+    const index = resolveManifest(version, installType);
+    return index ? selectPatches(index, index.patches, installType, options) : null;
   }
 
+  let index;
   try {
     const content = fs.readFileSync(indexPath, 'utf8');
-    const index = JSON.parse(content);
-
-    // Support both old format (flat patches array) and new format (per-type patches)
-    if (Array.isArray(index.patches)) {
-      // Old format: patches is an array - use for all install types
-      return index;
-    }
+    index = JSON.parse(content);
+  } catch (err) {
+    logError(`Failed to parse ${indexPath}: ${err.message}`);
+    return null;
+  }
 
+  // Support both old format (flat patches array) and new format (per-type patches)
+  let patches;
+  if (Array.isArray(index.patches)) {
+    // Old format: patches is an array - use for all install types
+    patches = index.patches;
+  } else {
     // New format: patches is an object with common/bare/native keys
     const common = index.patches.common || [];
     const typeSpecific = index.patches[installType] || [];
-    return {
-      version: index.version,
-      patches: [...common, ...typeSpecific],
-    };
-  } catch (err) {
-    logError(`Failed to parse ${indexPath}: ${err.message}`);
-    return null;
+    patches = [...common, ...typeSpecific];
   }
+
+  return selectPatches(index, patches, installType, options);
+}
+
+/**
+ * Merge the user config and --only/--skip over an index's patch list, then
+ * order it by `requires`
+ */
+function selectPatches(index, patches, installType, options) {
+  const config = options.userConfig === false ? {} : loadUserConfig();
+  const selection = { only: options.only, skip: options.skip };
+  const merged = applyUserConfig(patches, installType, config, selection);
+  const graph = resolvePatchGraph(merged.patches);
+  return {
+    version: index.version,
+    ...merged,
+    patches: graph.patches,
+    excluded: [...merged.excluded, ...graph.excluded],
+  };
 }
 
 // ============ Patch Execution ============
@@ -151,17 +234,138 @@ function extractResultMessages(output) {
   return messages.length > 0 ? messages : ['ok'];
 }
 
+// Output substrings that mean "this version doesn't have the pattern" rather
+// than a crash — reported as pattern-not-found instead of a hard failure.
+const NOT_FOUND_PATTERNS = [
+  'Could not find',
+  'already patched',
+  '"Status":"already patched"',
+  'pattern not found',
+];
+
+function isNotFoundOutput(text) {
+  const lower = text.toLowerCase();
+  return NOT_FOUND_PATTERNS.some(p => lower.includes(p.toLowerCase()));
+}
+
+/**
+ * Load a patch file as a definePatch() module, or return null for a legacy
+ * standalone script. Sniffed from source rather than require()d blindly: a
+ * legacy script reads argv and exits at top level.
+ */
+function loadPatchModule(patchPath) {
+  const source = fs.readFileSync(patchPath, 'utf8');
+  if (!source.includes('definePatch(')) return null;
+  const mod = require(patchPath);
+  return mod && mod.isPatchModule ? mod : null;
+}
+
 /**
- * Run a single patch script
+ * Resolve the settings of every patch in the run, before anything is
+ * extracted or patched. User-config settings for patches outside this run are
+ * ignored (the file spans versions); `--set` for an unknown ID is an error.
+ * Load failures are left for runPatch() to report.
+ * @param {Array<{id: string, file: string}>} patches
+ * @param {object} fileSettings - `settings` from the user config, keyed by patch ID
+ * @param {object} setSettings - parseSetFlags() result
+ * @param {Array<{id: string}>} excluded - Patches left out of this run
+ * @returns {{ configs: Map<string, object>, overrides: Map<string, object>, errors: string[] }}
+ */
+function resolvePatchSettings(patches, fileSettings, setSettings, excluded) {
+  const configs = new Map();
+  const overrides = new Map();
+  const errors = [];
+
+  for (const patch of patches) {
+    const patchPath = path.join(PATCHES_DIR, patch.file);
+    let patchModule = null;
+    try {
+      if (fs.existsSync(patchPath)) patchModule = loadPatchModule(patchPath);
+    } catch { /* reported when the patch runs */ }
+
+    if (!patchModule) {
+      if (setSettings[patch.id]) errors.push(`${patch.id}: legacy patch script takes no settings (--set)`);
+      continue;
+    }
+
+    const res = resolvePatchConfig(patch.id, patchModule.configSchema, fileSettings[patch.id], setSettings[patch.id]);
+    errors.push(...res.errors);
+    configs.set(patch.id, res.values);
+
+    // Non-default values are recorded in the patch metadata
+    const defaults = defaultConfig(patchModule.configSchema);
+    const changed = Object.fromEntries(Object.entries(res.values).filter(
+      ([key, value]) => JSON.stringify(value) !== JSON.stringify(defaults[key])
+    ));
+    if (Object.keys(changed).length > 0) overrides.set(patch.id, changed);
+  }
+
+  const known = new Set([...patches, ...excluded].map(p => p.id));
+  for (const id of Object.keys(setSettings)) {
+    if (!known.has(id)) errors.push(`${id}: unknown patch ID (--set)`);
+  }
+
+  return { configs, overrides, errors };
+}
+
+/**
+ * Run a single patch against the in-memory bundle.
+ * Module patches run in-process; legacy scripts are spawned against a temp
+ * file holding the same content (written by `ensureTempFile`).
  * @param {string} patchFile - Path relative to PATCHES_DIR (e.g., "2.1.14/patch-spinner.js")
+ * @param {string} content - Current bundle JS
+ * @param {boolean} dryRun
+ * @param {(content: string) => string} ensureTempFile - Returns a temp path holding `content`
+ * @param {object} [config] - Resolved settings for a module patch
+ * @returns {{ success: boolean, notFound?: boolean, output?: string, error?: string, events?: object[], edits?: object[], content?: string }}
  */
-function runPatch(patchFile, targetPath, dryRun) {
+function runPatch(patchFile, content, dryRun, ensureTempFile, config) {
   const patchPath = path.join(PATCHES_DIR, patchFile);
 
   if (!fs.existsSync(patchPath)) {
     return { success: false, error: `Patch file not found: ${patchFile}` };
   }
 
+  let patchModule;
+  try {
+    patchModule = loadPatchModule(patchPath);
+  } catch (err) {
+    return { success: false, error: `Failed to load ${patchFile}: ${err.message}` };
+  }
+
+  if (patchModule) {
+    const res = runPatchModule(patchModule, content, { dryRun, config });
+    const output = formatEvents(res.events);
+    if (res.success) {
+      return { success: true, output, events: res.events, edits: res.edits, content: res.content };
+    }
+    return { success: false, notFound: isNotFoundOutput(output), output, events: res.events };
+  }
+
+  return runLegacyPatch(patchPath, content, dryRun, ensureTempFile(content));
+}
+
+/**
+ * --check one patch file on its own, with its default settings, outside any
+ * index (--matrix).
+ * @param {string} patchFile - Path relative to PATCHES_DIR
+ * @param {string} content - Bundle JS
+ * @param {(content: string) => string} ensureTempFile - For legacy scripts
+ * @returns {{ success: boolean, notFound?: boolean, output?: string, error?: string, events?: object[] }}
+ */
+function checkPatch(patchFile, content, ensureTempFile) {
+  let config;
+  try {
+    const patchModule = loadPatchModule(path.join(PATCHES_DIR, patchFile));
+    if (patchModule) config = defaultConfig(patchModule.configSchema);
+  } catch { /* runPatch reports it */ }
+  return runPatch(patchFile, content, true, ensureTempFile, config);
+}
+
+/**
+ * Spawn a legacy standalone patch script against a temp copy of the bundle.
+ */
+function runLegacyPatch(patchPath, content, dryRun, targetPath) {
   const args = dryRun ? ['--check', targetPath] : [targetPath];
 
   // Inherit CLAUDECODE env so patches output JSON when we're in JSON mode
@@ -173,25 +377,15 @@ function runPatch(patchFile, targetPath, dryRun) {
       stdio: ['pipe', 'pipe', 'pipe'],
       env,
     });
-    return { success: true, output: result.trim() };
+    const patched = dryRun ? content : fs.readFileSync(targetPath, 'utf8');
+    return { success: true, output: result.trim(), content: patched };
   } catch (err) {
     const stderr = err.stderr || '';
     const stdout = err.stdout || '';
     const combined = stdout + stderr;
 
     // Detect "pattern not found" or "already patched" cases
-    const notFoundPatterns = [
-      'Could not find',
-      'already patched',
-      '"Status":"already patched"',
-      'pattern not found',
-    ];
-
-    const isNotFound = notFoundPatterns.some(p =>
-      combined.toLowerCase().includes(p.toLowerCase())
-    );
-
-    if (isNotFound) {
+    if (isNotFoundOutput(combined)) {
       return { success: false, notFound: true, output: combined.trim() };
     }
 
@@ -202,18 +396,47 @@ function runPatch(patchFile, targetPath, dryRun) {
 // ============ Apply Patches ============
 
 /**
- * Apply patches to a target (bare or native)
- * @param {object} install - Installation info
+ * Edit owners for one successful --check result: prompt-slim style patches
+ * report a range per sub-patch (`id:label`); everything else is diffed whole.
+ * Legacy scripts don't hand back patched content under --check, so they
+ * contribute nothing.
+ */
+function editOwnersFor(id, result, originalContent) {
+  if (result.edits && result.edits.length > 0) {
+    const byLabel = new Map();
+    for (const e of result.edits) {
+      const ownerId = `${id}:${e.label}`;
+      if (!byLabel.has(ownerId)) byLabel.set(ownerId, { id: ownerId, ranges: [] });
+      byLabel.get(ownerId).ranges.push({ start: e.start, end: e.end });
+    }
+    return [...byLabel.values()];
+  }
+  return [{ id, ranges: diffRanges(originalContent, result.content) }];
+}
+
+/**
+ * Apply patches to a target (bare or native): a Bun binary, whose JS is
+ * extracted and repacked, or a plain cli.js, patched in place
+ * @param {object} install - Installation info; `kind: 'archive'` (lib/archive.js) is check-only
  * @param {boolean} dryRun - If true, only check without applying
  * @param {string} [patchVersionOverride] - Override which version's patches to use (for cross-version testing)
  * @param {object} [options] - Additional options
  * @param {boolean} [options.quiet] - Suppress all output (used by --port)
  * @param {boolean} [options.verbose] - Show full patch output (discoveries, modifications)
+ * @param {boolean} [options.userConfig] - Merge the user config over the index (default true)
+ * @param {string[]} [options.only] - Run only these patch IDs (--only)
+ * @param {string[]} [options.skip] - Leave out these patch IDs (--skip)
+ * @param {object} [options.settings] - `--set` values from parseSetFlags(), keyed by patch ID
+ * @param {Array<{id: string, file: string, settings?: object}>} [options.patchList] - Run exactly these patches instead of the index (--remove replay)
+ * @param {string} [options.source] - Binary (or cli.js) to read from and write over install.path (default install.path); must be unpatched
+ * @param {string} [options.output] - Write the patched binary (or cli.js) here instead of over install.path (no .bak, no journal)
+ * @param {boolean} [options.strict] - Leave the binary untouched if any patch fails
  * @returns {{ success: boolean, passed: Array, failed: Array, skipped: Array, total: number, version: string, patchVersion: string, error?: string }}
  */
 function applyPatches(install, dryRun, patchVersionOverride, options = {}) {
-  // Both bare and native targets are Bun ELFs (since 2.1.117 the pnpm wrapper
-  // also ships a binary) — extract JS, patch the temp file, then repack.
+  // Bare and native targets are Bun ELFs (since 2.1.117 the pnpm wrapper also
+  // ships a binary) — extract JS, patch it in memory, then repack. A plain
+  // cli.js (pre-2.1.117 installs, --file) is read and written as is.
   let tempPath = null;
   let existingMeta = null;
 
@@ -233,18 +456,42 @@ function applyPatches(install, dryRun, patchVersionOverride, options = {}) {
     patchVersion,
   });
 
+  // --output leaves install.path alone: nothing to back up or roll back
+  const outputPath = options.output ? path.resolve(options.output) : install.path;
+  const inPlace = outputPath === install.path;
+
   qlog(`\nTarget: ${install.type} install`);
   qlog(`Version: ${install.version}`);
   qlog(`Path: ${install.path}`);
+  if (!inPlace) qlog(`Output: ${outputPath}`);
 
   if (patchVersionOverride) {
     qlog(`\nTesting patches from: ${patchVersionOverride}`);
   }
 
   // Load patch index for this version and install type
-  const patchIndex = loadPatchIndex(patchVersion, install.type);
+  let patchIndex;
+  try {
+    patchIndex = options.patchList
+      ? {
+        patches: options.patchList.map(({ id, file, module }) => (module ? { id, file, module } : { id, file })),
+        excluded: [],
+        unknown: [],
+        settings: Object.fromEntries(options.patchList.filter(p => p.settings).map(p => [p.id, p.settings])),
+      }
+      : loadPatchIndex(patchVersion, install.type, {
+        userConfig: options.userConfig,
+        only: options.only,
+        skip: options.skip,
+      });
+  } catch (err) {
+    logError(err.message);
+    const r = { passed: [], failed: [{ id: '(runner)', reason: err.message }], skipped: [] };
+    qemit({ type: 'summary', ...buildSummary(r, 0) });
+    return { success: false, ...r, total: 0, version: install.version, patchVersion, error: 'Invalid patch selection' };
+  }
   if (!patchIndex) {
-    const available = listAvailableVersions();
+    const available = listPatchSetVersions();
     logError(`No patches available for version ${patchVersion}`);
     if (!isJsonMode) {
       if (available.length > 0) {
@@ -260,25 +507,136 @@ function applyPatches(install, dryRun, patchVersionOverride, options = {}) {
 
   const patches = patchIndex.patches;
   qlog(`Patches: ${patches.map(p => p.id).join(', ')}`);
+  if (patchIndex.excluded.length > 0) {
+    qlog(`Excluded: ${patchIndex.excluded.map(e => `${e.id} (${e.reason})`).join(', ')}`);
+    qemit({ type: 'patches_excluded', excluded: patchIndex.excluded });
+  }
+  if (patchIndex.unknown.length > 0) {
+    const message = `Unknown patch ID(s) in --only/--skip: ${patchIndex.unknown.join(', ')}`;
+    if (!quiet && !isJsonMode) console.error(`Warning: ${message}`);
+    qemit({ type: 'warning', message });
+  }
 
-  // Extract JS from the Bun binary
-  qlog(`\nExtracting JS from Bun binary...`);
+  // Validate every patch's settings before touching the binary
+  const settings = resolvePatchSettings(patches, patchIndex.settings, options.settings || {}, patchIndex.excluded);
+  if (settings.errors.length > 0) {
+    logError(`Invalid patch settings:\n${settings.errors.map(e => `  ${e}`).join('\n')}`);
+    const r = { passed: [], failed: [{ id: '(runner)', reason: settings.errors.join('; ') }], skipped: [] };
+    qemit({ type: 'summary', ...buildSummary(r, 0) });
+    return { success: false, ...r, total: 0, version: install.version, patchVersion, error: 'Invalid patch settings' };
+  }
+  for (const [id, values] of settings.overrides) {
+    qlog(`Settings: ${Object.entries(values).map(([key, value]) => `${id}.${key}=${JSON.stringify(value)}`).join(', ')}`);
+  }
+  if (settings.overrides.size > 0) {
+    qemit({ type: 'patch_settings', settings: Object.fromEntries(settings.overrides) });
+  }
+
+  // Extract JS from the Bun binary. The bundle stays in memory for the whole
+  // run; a temp file is only written for legacy script patches and the
+  // syntax check.
+  const sourcePath = options.source || install.path;
+  const archived = install.kind === 'archive';
+  const plainJs = !archived && !isElfFile(sourcePath);
+  if (archived && !dryRun) {
+    logError('Archived builds can only be checked');
+    const r = { passed: [], failed: [{ id: '(runner)', reason: 'Archived builds can only be checked' }], skipped: [] };
+    qemit({ type: 'summary', ...buildSummary(r, 0) });
+    return { success: false, ...r, total: 0, version: install.version, patchVersion, error: 'Archived build' };
+  }
+  const from = options.source ? ` (${sourcePath})` : '';
+  qlog(archived ? `\nReading archived JS...` : plainJs ? `\nReading plain JS${from}...` : `\nExtracting JS from Bun binary${from}...`);
+  let originalContent;
   try {
-    const extracted = extractJsFromBinaryToTemp(install.path);
-    tempPath = extracted.tempPath;
-    qlog(`Extracted to: ${tempPath}`);
-    qlog(`JS size: ${extracted.originalJsSize.toLocaleString()} bytes`);
+    originalContent = archived
+      ? readArchived(install.version, install.type)
+      : readTargetJs(sourcePath);
+    qlog(`JS size: ${Buffer.byteLength(originalContent).toLocaleString()} bytes`);
   } catch (err) {
     logError(`Extraction failed: ${err.message}`);
     const r = { passed: [], failed: [{ id: '(runner)', reason: `Extraction failed: ${err.message}` }], skipped: [] };
     qemit({ type: 'summary', ...buildSummary(r, 0) });
     return { success: false, ...r, total: 0, version: install.version, patchVersion, error: 'Extraction failed' };
   }
-  const targetPath = tempPath;
+  let content = originalContent;
+
+  // Patches with a `module:` run against that embedded module (a worker
+  // entry point, a bundled JSON/text asset) instead of the Claude entry
+  // point. Only a Bun binary has any; each is read once, as UTF-8.
+  const modules = new Map();
+  let moduleError = null;
+  const moduleNames = [...new Set(patches.filter(p => p.module).map(p => p.module))];
+  if (moduleNames.length > 0) {
+    if (archived || plainJs) {
+      moduleError = `${archived ? 'an archived build' : 'a plain JS target'} has no embedded modules`;
+    } else {
+      try {
+        for (const [name, contents] of getBunBinary().extractModules(sourcePath, moduleNames)) {
+          const text = contents.toString('utf8');
+          modules.set(name, { original: text, content: text });
+        }
+        qlog(`Modules: ${moduleNames.join(', ')}`);
+      } catch (err) {
+        moduleError = err.message.split('\n')[0];
+      }
+    }
+  }
+
+  // An explicit source is replayed onto from scratch — it has to be clean
+  if (options.source && isPatched(originalContent)) {
+    const message = `${sourcePath} is already patched — restore a clean source first`;
+    logError(message);
+    const r = { passed: [], failed: [{ id: '(runner)', reason: message }], skipped: [] };
+    qemit({ type: 'summary', ...buildSummary(r, 0) });
+    return { success: false, ...r, total: 0, version: install.version, patchVersion, error: 'Source already patched' };
+  }
+
+  // --apply journals its progress (lib/apply-journal.js) so a run killed
+  // half-way can be resumed or rolled back
+  let journal = null;
+  if (!dryRun && inPlace) {
+    try {
+      journal = startJournal(install, {
+        patchVersion,
+        source: sourcePath,
+        binaryHash: hashFile(install.path),
+        patches: patches.map(({ id, file, module }) => ({
+          id,
+          file,
+          ...(module ? { module } : {}),
+          ...(settings.overrides.has(id) ? { settings: settings.overrides.get(id) } : {}),
+        })),
+        strict: !!options.strict,
+      });
+    } catch (err) {
+      logError(err.message);
+      const r = { passed: [], failed: [{ id: '(runner)', reason: err.message }], skipped: [] };
+      qemit({ type: 'summary', ...buildSummary(r, 0) });
+      return { success: false, ...r, total: 0, version: install.version, patchVersion, error: 'Interrupted apply pending' };
+    }
+  }
+
+  let tempContent = null;
+  const ensureTempFile = (js) => {
+    if (!tempPath) {
+      tempPath = path.join(os.tmpdir(), `claude-cli-${Date.now()}.js`);
+      journal?.update({ tempPath });
+    }
+    if (tempContent !== js) {
+      fs.writeFileSync(tempPath, js);
+      tempContent = js;
+    }
+    return tempPath;
+  };
+  // Every exit from here on goes through cleanup(); a journal only survives a
+  // process that never got there
+  const cleanup = () => {
+    if (tempPath && fs.existsSync(tempPath)) fs.unlinkSync(tempPath);
+    journal?.close();
+  };
 
   // Check existing metadata in extracted JS
-  const content = fs.readFileSync(tempPath, 'utf8');
-  existingMeta = readPatchMetadata(content);
+  existingMeta = readPatchMetadata(originalContent);
   if (existingMeta) {
     qlog(`\nExisting patches: ${existingMeta.patches.map(p => p.id).join(', ')}`);
     qlog(`Applied: ${existingMeta.appliedAt}`);
@@ -288,17 +646,23 @@ function applyPatches(install, dryRun, patchVersionOverride, options = {}) {
   // hardlink back to pnpm's content-addressed store (bare) or any other
   // shared inode, so the .bak and live binary are independent from here.
   const backupPath = install.path + '.bak';
-  if (!dryRun) {
+  if (!dryRun && inPlace) {
     if (!fs.existsSync(backupPath)) {
-      if (isPatched(content)) {
+      if (isPatched(originalContent)) {
         qlog(`\n⚠ Skipped backup: source already has patch marker. Restore a clean source first.`);
         qemit({ type: 'warning', message: 'Skipped .bak creation: source already patched' });
       } else {
+        // Flagged before the copy: backupCreated with no bakHash is a partial .bak
+        journal?.update({ backupCreated: true });
         fs.copyFileSync(install.path, backupPath);
+        journal?.update({ bakHash: journal.data.binaryHash });
         qlog(`\n✓ Backed up to ${backupPath}`);
         qemit({ type: 'info', message: `Backup created: ${backupPath}` });
       }
+    } else {
+      journal?.update({ bakHash: hashFile(backupPath) });
     }
+    journal?.update({ phase: 'patching' });
   }
 
   // Build set of already-applied patch IDs (spinner is always re-run since symbols are configurable)
@@ -312,8 +676,14 @@ function applyPatches(install, dryRun, patchVersionOverride, options = {}) {
   let successCount = 0;
   let notFoundCount = 0;
   let skipMetaCount = 0;
+  let skipDepCount = 0;
   let failCount = 0;
+  // Patches that did not apply, so their dependents are skipped: id → why
+  const unavailable = new Map();
   const appliedPatches = [];
+  // --check: what each patch changed, in original coordinates (every patch
+  // sees the original bundle there), for overlap reporting
+  const editOwners = [];
 
   for (const patch of patches) {
     // Skip patches already recorded in metadata
@@ -327,11 +697,37 @@ function applyPatches(install, dryRun, patchVersionOverride, options = {}) {
       continue;
     }
 
+    // Skip dependents of a patch that did not apply — half a feature is worse
+    // than none
+    const blocker = requiredIds(patch, patches).find(id => unavailable.has(id));
+    if (blocker) {
+      qemit({ type: 'patch_skipped', id: patch.id, reason: 'requirement_failed', requires: blocker });
+      qlog(`→ ${patch.id}`);
+      qlog(`  ⊘ Skipped: requires ${blocker}, which ${unavailable.get(blocker)}`);
+      qlog('');
+      skipDepCount++;
+      unavailable.set(patch.id, 'was skipped');
+      resultCollector.skipped.push({ id: patch.id, reason: 'requirement_failed', requires: blocker });
+      continue;
+    }
+
     // Emit patch start event in JSON mode
-    qemit({ type: 'patch_start', id: patch.id, file: patch.file });
-    qlog(`→ ${patch.id}`);
+    qemit({ type: 'patch_start', id: patch.id, file: patch.file, ...(patch.module ? { module: patch.module } : {}) });
+    qlog(`→ ${patch.id}${patch.module ? ` (${patch.module})` : ''}`);
+
+    const target = patch.module ? modules.get(patch.module) : null;
+    if (patch.module && !target) {
+      const reason = `module ${patch.module}: ${moduleError}`;
+      qemit({ type: 'patch_failed', id: patch.id, error: reason });
+      qlog(`  ✗ Failed: ${reason}`);
+      qlog('');
+      failCount++;
+      unavailable.set(patch.id, 'failed');
+      resultCollector.failed.push({ id: patch.id, reason, output: '' });
+      continue;
+    }
 
-    const result = runPatch(patch.file, targetPath, dryRun);
+    const result = runPatch(patch.file, target ? target.content : content, dryRun, ensureTempFile, settings.configs.get(patch.id));
 
     if (result.success) {
       if (!quiet) {
@@ -354,17 +750,29 @@ function applyPatches(install, dryRun, patchVersionOverride, options = {}) {
             }
           } else {
             for (const msg of resultMsgs) {
-              const clean = msg.replaceAll(targetPath, '')
-                .replace(/\s{2,}/g, ' ')       // collapse double spaces left by path removal
-                .replace(/\s+(?:to|in)(\s|$)/, '$1') // drop dangling preposition
-                .trim();
+              // Legacy scripts name the temp file they patched
+              const clean = tempPath && msg.includes(tempPath)
+                ? msg.replaceAll(tempPath, '')
+                  .replace(/\s{2,}/g, ' ')       // collapse double spaces left by path removal
+                  .replace(/\s+(?:to|in)(\s|$)/, '$1') // drop dangling preposition
+                  .trim()
+                : msg;
               console.log(`  ✓ ${clean}`);
             }
           }
         }
       }
+      if (!dryRun) {
+        if (target) target.content = result.content;
+        else content = result.content;
+        journal?.markDone(patch.id);
+      }
+      if (dryRun && !target) editOwners.push(...editOwnersFor(patch.id, result, originalContent));
       successCount++;
-      appliedPatches.push({ id: patch.id, file: patch.file });
+      const applied = { id: patch.id, file: patch.file };
+      if (patch.module) applied.module = patch.module;
+      if (settings.overrides.has(patch.id)) applied.settings = settings.overrides.get(patch.id);
+      appliedPatches.push(applied);
       resultCollector.passed.push({ id: patch.id, output: result.output });
     } else if (result.notFound) {
       qemit({ type: 'patch_skipped', id: patch.id, reason: 'pattern_not_found', output: result.output || undefined });
@@ -374,32 +782,62 @@ function applyPatches(install, dryRun, patchVersionOverride, options = {}) {
         qlog(lines);
       }
       notFoundCount++;
-      resultCollector.failed.push({ id: patch.id, reason: 'pattern not found', output: result.output || '' });
+      unavailable.set(patch.id, 'did not match');
+      resultCollector.failed.push({ id: patch.id, reason: 'pattern not found', output: result.output || '', events: result.events });
     } else {
       qemit({ type: 'patch_failed', id: patch.id, error: result.output || result.error });
       qlog(`  ✗ Failed: ${result.output || result.error}`);
       failCount++;
-      resultCollector.failed.push({ id: patch.id, reason: result.output || result.error, output: result.output || '' });
+      unavailable.set(patch.id, 'failed');
+      resultCollector.failed.push({ id: patch.id, reason: result.output || result.error, output: result.output || '', events: result.events });
     }
     qlog('');
   }
 
+  // Overlapping edits — fine in --check, where every patch sees the original
+  // bundle, but on --apply the later patch would miss its anchor or rewrite
+  // the earlier one's output
+  if (dryRun) {
+    const probe = writePatchMetadata(originalContent, { patches: [] });
+    editOwners.push({ id: '(metadata)', ranges: diffRanges(originalContent, probe) });
+    resultCollector.overlaps = findOverlaps(editOwners, originalContent);
+    if (resultCollector.overlaps.length > 0) {
+      qlog(`Overlapping edits:`);
+      for (const o of resultCollector.overlaps) {
+        const more = o.count > 1 ? ` (+${o.count - 1} more)` : '';
+        qlog(`  ⚠ ${o.ids.join(' ↔ ')} at offset ${o.start}${more}: ${JSON.stringify(o.snippet)}`);
+      }
+      qlog('');
+    }
+  }
+
   // Summary
-  const skipTotal = notFoundCount + skipMetaCount;
+  const skipTotal = notFoundCount + skipMetaCount + skipDepCount;
   const summaryParts = [`${successCount} applied`, `${skipTotal} skipped`];
-  if (skipMetaCount > 0) summaryParts[1] += ` (${skipMetaCount} already applied)`;
+  const skipNotes = [];
+  if (skipMetaCount > 0) skipNotes.push(`${skipMetaCount} already applied`);
+  if (skipDepCount > 0) skipNotes.push(`${skipDepCount} missing a requirement`);
+  if (skipNotes.length > 0) summaryParts[1] += ` (${skipNotes.join(', ')})`;
   if (failCount > 0) summaryParts.push(`${failCount} failed`);
   qlog(`Results: ${summaryParts.join(', ')}`);
   qemit({ type: 'summary', ...buildSummary(resultCollector, patches.length) });
 
+  if (options.strict && !dryRun && resultCollector.failed.length > 0) {
+    cleanup();
+    const failedIds = resultCollector.failed.map(f => f.id).join(', ');
+    logError(`\n${failedIds} failed to apply — binary untouched`);
+    emitJson({ type: 'result', status: 'failure', message: `Failed to apply: ${failedIds}` });
+    return { success: false, ...resultCollector, total: patches.length, version: install.version, patchVersion, error: 'Patches failed' };
+  }
+
   if (dryRun) {
-    if (tempPath) fs.unlinkSync(tempPath);
+    cleanup();
     qlog(`\n✓ Dry run complete`);
     return { success: resultCollector.failed.length === 0, ...resultCollector, total: patches.length, version: install.version, patchVersion };
   }
 
   if (successCount === 0) {
-    if (tempPath) fs.unlinkSync(tempPath);
+    cleanup();
     qlog(`\nNo patches were applied.`);
     return { success: notFoundCount === patches.length, ...resultCollector, total: patches.length, version: install.version, patchVersion };
   }
@@ -416,21 +854,24 @@ function applyPatches(install, dryRun, patchVersionOverride, options = {}) {
       patches: [...keptPatches, ...appliedPatches],
     };
 
-    const patchedContent = fs.readFileSync(tempPath, 'utf8');
-    const updatedContent = writePatchMetadata(patchedContent, metadata);
-    fs.writeFileSync(tempPath, updatedContent);
+    content = writePatchMetadata(content, metadata);
   }
 
+  journal?.update({ phase: 'validating' });
+  const changedModules = [...modules].filter(([, m]) => m.content !== m.original);
+
   // Encoding check: a patch must never raise the bundle's non-ASCII count.
   // Raw UTF-8 in injected source is decoded as latin1 further down CC's module
   // loading and surfaces as mojibake — silently, since it parses fine. Runs
   // before the syntax check so a bad byte never reaches the binary.
   {
-    const patchedJs = fs.readFileSync(tempPath, 'utf8');
-    const gained = findGainedNonAscii(content, patchedJs);
+    const gained = [
+      ...findGainedNonAscii(originalContent, content),
+      ...changedModules.flatMap(([name, m]) => findGainedNonAscii(m.original, m.content).map(g => ({ ...g, module: name }))),
+    ];
     if (gained.length > 0) {
       const details = gained.map(g =>
-        `  ${g.char} (${g.code}) ×${g.added}${g.context ? `  …${g.context}…` : ''}`
+        `  ${g.module ? `${g.module}: ` : ''}${g.char} (${g.code}) ×${g.added}${g.context ? `  …${g.context}…` : ''}`
       );
       logError(
         `\nPatched JS gained raw non-ASCII characters — these will render as mojibake.\n` +
@@ -442,7 +883,7 @@ function applyPatches(install, dryRun, patchVersionOverride, options = {}) {
         message: `Raw non-ASCII injected: ${gained.map(g => `${g.char} (${g.code}) x${g.added}`).join(', ')}`,
       });
 
-      if (tempPath && fs.existsSync(tempPath)) fs.unlinkSync(tempPath);
+      cleanup();
       qlog(`Binary untouched (validation failed before reassembly)`);
       return { success: false, ...resultCollector, total: patches.length, version: install.version, patchVersion, error: 'Raw non-ASCII injected' };
     }
@@ -454,19 +895,20 @@ function applyPatches(install, dryRun, patchVersionOverride, options = {}) {
   // Prefer Bun when available — the patched JS targets Bun (the native binary
   // is a Bun-compiled ELF), and Bun's parser handles stage-3 features like
   // `using` declarations that node <24 rejects. Fall back to `node --check`.
+  const checkPath = ensureTempFile(content);
   let checker;
   try {
     execSync('bun --version', { stdio: 'pipe' });
     // Bun.Transpiler().scan() parses and throws on syntax errors — no output written.
     checker = {
-      cmd: `bun -e "new Bun.Transpiler({loader:'js'}).scan(require('fs').readFileSync('${tempPath}','utf8'))"`,
+      cmd: file => `bun -e "new Bun.Transpiler({loader:'js'}).scan(require('fs').readFileSync('${file}','utf8'))"`,
       name: 'bun',
     };
   } catch {
-    checker = { cmd: `node --check "${tempPath}"`, name: 'node' };
+    checker = { cmd: file => `node --check "${file}"`, name: 'node' };
   }
   try {
-    execSync(checker.cmd, { stdio: 'pipe' });
+    execSync(checker.cmd(checkPath), { stdio: 'pipe' });
     qlog(`\n✓ Syntax check passed (${checker.name})`);
     qemit({ type: 'info', message: `Syntax check passed (${checker.name})` });
   } catch (err) {
@@ -475,44 +917,373 @@ function applyPatches(install, dryRun, patchVersionOverride, options = {}) {
     emitJson({ type: 'result', status: 'failure', message: `Syntax error in patched JS: ${stderr}` });
 
     // Binary hasn't been touched yet — just clean up the temp file
-    if (tempPath && fs.existsSync(tempPath)) fs.unlinkSync(tempPath);
+    cleanup();
     qlog(`Binary untouched (validation failed before reassembly)`);
     return { success: false, ...resultCollector, total: patches.length, version: install.version, patchVersion, error: 'Syntax check failed' };
   }
 
-  // Reassemble the binary by repacking the patched JS into the overlay.
-  // fs.renameSync inside repackWithModifiedJs writes a fresh inode, which
-  // naturally breaks any hardlink (e.g. bare's link to pnpm's CAS store).
+  // Changed embedded modules get the same check by their extension: JS
+  // parsed by the same checker, JSON as JSON, anything else as is
+  for (const [name, m] of changedModules) {
+    let problem = null;
+    if (/\.json$/.test(name)) {
+      try {
+        JSON.parse(m.content);
+      } catch (err) {
+        problem = err.message;
+      }
+    } else if (/\.[cm]?js$/.test(name)) {
+      const modulePath = path.join(os.tmpdir(), `claude-module-${Date.now()}${path.extname(name)}`);
+      try {
+        fs.writeFileSync(modulePath, m.content);
+        execSync(checker.cmd(modulePath), { stdio: 'pipe' });
+      } catch (err) {
+        problem = err.stderr?.toString().trim() || err.message;
+      } finally {
+        fs.rmSync(modulePath, { force: true });
+      }
+    }
+    if (problem) {
+      logError(`\nPatched module ${name} doesn't parse:\n${problem}`);
+      emitJson({ type: 'result', status: 'failure', message: `Syntax error in patched module ${name}: ${problem}` });
+      cleanup();
+      qlog(`Binary untouched (validation failed before reassembly)`);
+      return { success: false, ...resultCollector, total: patches.length, version: install.version, patchVersion, error: 'Syntax check failed' };
+    }
+  }
+  if (changedModules.length > 0) {
+    qlog(`✓ Modules checked: ${changedModules.map(([name]) => name).join(', ')}`);
+  }
+
+  journal?.update({ phase: 'repacking' });
+
+  // Reassemble the binary by repacking the in-memory patched JS (or write
+  // the plain JS). Both rename a fresh inode into place, which naturally
+  // breaks any hardlink (e.g. bare's link to pnpm's CAS store).
   try {
-    const result = reassembleBinaryFromTemp(tempPath, install.path, install.path);
-    qlog(`\n✓ Reassembled binary`);
+    const result = plainJs
+      ? writePlainJs(content, sourcePath, outputPath)
+      : reassembleBinary(content, sourcePath, outputPath, new Map(changedModules.map(([name, m]) => [name, m.content])));
+    qlog(plainJs ? `\n✓ Wrote patched JS` : `\n✓ Reassembled binary`);
     qlog(`  Original: ${result.originalSize.toLocaleString()} bytes`);
     qlog(`  Patched: ${result.newSize.toLocaleString()} bytes`);
     qlog(`  Delta: ${(result.newSize - result.originalSize).toLocaleString()} bytes`);
     qemit({
       type: 'info',
-      message: `Binary reassembled: ${result.originalSize} -> ${result.newSize} bytes`,
+      message: `${plainJs ? 'JS written' : 'Binary reassembled'}: ${result.originalSize} -> ${result.newSize} bytes`,
     });
   } catch (err) {
-    logError(`Reassembly failed: ${err.message}`);
-    if (fs.existsSync(backupPath)) {
-      fs.copyFileSync(backupPath, install.path);
-      qlog('Restored from backup');
-    }
+    logError(`${plainJs ? 'Write' : 'Reassembly'} failed: ${err.message}`);
+    // Both write a temp file and rename it, so the target never saw the
+    // failed write; the .bak would drop every earlier patch with it
+    if (inPlace) qlog('Binary untouched');
     return { success: false, ...resultCollector, total: patches.length, version: install.version, patchVersion, error: 'Reassembly failed' };
   } finally {
-    if (fs.existsSync(tempPath)) fs.unlinkSync(tempPath);
+    cleanup();
   }
 
   if (appliedPatches.length > 0) {
     qlog(`\n✓ Metadata updated`);
   }
 
+  // The repack started from the source's execArgv; an --exec-argv edit
+  // recorded for this binary goes back on
+  if (inPlace && !plainJs) require('./exec-argv').keepExecArgv(install, qlog, qemit);
+
+  recordLedger(inPlace ? install : { ...install, path: outputPath }, qlog, qemit);
+
+  if (!inPlace) {
+    const what = plainJs ? 'JS' : 'binary';
+    qlog(`\n✓ Done! Patched ${what} written to ${outputPath} (${install.path} untouched)`);
+    qemit({ type: 'result', status: 'success', message: `Patched ${what} written to ${outputPath}`, output: outputPath });
+    return { success: true, ...resultCollector, total: patches.length, version: install.version, patchVersion, output: outputPath };
+  }
+
   qlog(`\n✓ Done! Restart Claude Code to see changes.`);
   qemit({ type: 'result', status: 'success', message: 'Patches applied successfully' });
   return { success: true, ...resultCollector, total: patches.length, version: install.version, patchVersion };
 }
 
+/**
+ * Record the repacked binary in the ledger for --verify. Hashes the JS as
+ * extracted back out of the binary (or read back from a plain cli.js), which
+ * is exactly what --verify sees.
+ * A failure here costs only the ledger entry, not the apply.
+ */
+function recordLedger(install, qlog, qemit) {
+  try {
+    const js = readTargetJs(install.path);
+    const meta = readPatchMetadata(js);
+    recordApply(install, Buffer.from(js, 'utf8'), (meta?.patches || []).map(p => p.id));
+    qlog(`✓ Recorded in ledger (--verify)`);
+  } catch (err) {
+    const message = `Could not record the apply in the ledger: ${err.message}`;
+    if (!isJsonMode) console.error(`Warning: ${message}`);
+    qemit({ type: 'warning', message });
+  }
+}
+
+// ============ Remove Patch ============
+
+/**
+ * Put the .bak back over a binary: copied next to it and renamed, so a
+ * failed or killed copy leaves the binary as it was
+ * @param {string} backupPath
+ * @param {string} binaryPath
+ */
+function restoreBackup(backupPath, binaryPath) {
+  const tmp = `${binaryPath}.restore.tmp`;
+  try {
+    fs.copyFileSync(backupPath, tmp);
+    fs.renameSync(tmp, binaryPath);
+  } catch (err) {
+    fs.rmSync(tmp, { force: true });
+    throw err;
+  }
+}
+
+/**
+ * Drop one patch from an installed binary without losing the rest: replay
+ * every other patch recorded in the live metadata (same files, same
+ * settings) onto the clean .bak, then repack over the live binary. Refuses
+ * when there is no clean .bak to replay onto, and leaves the binary alone if
+ * any replayed patch fails.
+ * @param {object} install - Installation info
+ * @param {string} patchId - ID as recorded in the patch metadata
+ * @param {object} [options] - Passed through to applyPatches (quiet, verbose)
+ * @returns {{ success: boolean, removed: string, error?: string }}
+ */
+function removePatch(install, patchId, options = {}) {
+  const quiet = options.quiet ?? false;
+  const qlog = quiet ? () => {} : log;
+  const qemit = quiet ? () => {} : emitJson;
+  const backupPath = install.path + '.bak';
+
+  const fail = (message, error) => {
+    logError(message);
+    emitJson({ type: 'result', status: 'failure', message });
+    return { success: false, removed: patchId, error };
+  };
+
+  if (!fs.existsSync(backupPath)) {
+    return fail(`No backup at ${backupPath} — nothing clean to replay onto`, 'No .bak backup found');
+  }
+
+  let liveMeta;
+  try {
+    liveMeta = readPatchMetadata(readTargetJs(install.path));
+  } catch (err) {
+    return fail(`Extraction failed: ${err.message}`, 'Extraction failed');
+  }
+
+  const recorded = liveMeta?.patches || [];
+  if (!recorded.some(p => p.id === patchId)) {
+    const applied = recorded.length > 0 ? ` (applied: ${recorded.map(p => p.id).join(', ')})` : '';
+    return fail(`Patch "${patchId}" is not applied to the ${install.type} install${applied}`, 'Patch not applied');
+  }
+
+  const remaining = recorded.filter(p => p.id !== patchId);
+
+  // Don't strand a dependent — the version's index knows what requires what
+  let indexPatches = [];
+  try {
+    indexPatches = loadPatchIndex(install.version, install.type, { userConfig: false })?.patches || [];
+  } catch { /* no usable index: nothing to check against */ }
+  const dependents = indexPatches.filter(p =>
+    remaining.some(r => r.id === p.id) && requiredIds(p, indexPatches).includes(patchId)
+  );
+  if (dependents.length > 0) {
+    const ids = dependents.map(p => p.id).join(', ');
+    return fail(`Cannot remove ${patchId}: still required by ${ids} (remove those first)`, 'Patch is required');
+  }
+
+  qlog(`\nRemoving ${patchId} from ${install.type} install`);
+  qlog(`Replaying onto ${backupPath}: ${remaining.map(p => p.id).join(', ') || '(nothing)'}`);
+  qemit({ type: 'remove_start', id: patchId, replay: remaining.map(p => p.id) });
+
+  if (remaining.length === 0) {
+    try {
+      restoreBackup(backupPath, install.path);
+    } catch (err) {
+      return fail(`Restore failed: ${err.message} — binary untouched`, 'Restore failed');
+    }
+    forgetInstall(install.path);
+    qlog(`\n✓ ${patchId} was the only patch — restored ${install.type} install from .bak`);
+    qemit({ type: 'result', status: 'success', message: `Removed ${patchId} (restored from .bak)` });
+    return { success: true, removed: patchId };
+  }
+
+  const result = applyPatches(install, false, null, {
+    ...options,
+    patchList: remaining,
+    source: backupPath,
+    strict: true,
+  });
+  return { ...result, removed: patchId };
+}
+
+// ============ Interrupted Apply ============
+
+/**
+ * Load the leftover journal for an install, plus the state of the files it
+ * names: the live binary against its pre-apply hash, and a .bak whose copy
+ * never finished.
+ * @returns {{ journal?: object, binaryChanged?: boolean, partialBak?: boolean, error?: string }}
+ */
+function inspectInterruptedApply(install) {
+  let journal;
+  try {
+    journal = readJournal(install);
+  } catch (err) {
+    return { error: err.message };
+  }
+  if (!journal) {
+    return { error: `No interrupted apply recorded for ${install.path}` };
+  }
+  if (!fs.existsSync(journal.target)) {
+    return { journal, error: `${journal.target} no longer exists` };
+  }
+  return {
+    journal,
+    binaryChanged: hashFile(journal.target) !== journal.binaryHash,
+    partialBak: journal.backupCreated && !journal.bakHash,
+  };
+}
+
+/**
+ * Drop the temp JS a killed run left behind.
+ */
+function removeStaleTemp(journal, qlog) {
+  if (journal.tempPath && fs.existsSync(journal.tempPath)) {
+    fs.unlinkSync(journal.tempPath);
+    qlog(`  Removed stale ${journal.tempPath}`);
+  }
+}
+
+/**
+ * Finish an apply that was killed part-way. Patching runs in memory and the
+ * binary only changes in the atomic repack, so as long as the live binary is
+ * still the one the journal started from, finishing means running the same
+ * plan (same patches, same settings) again.
+ * @param {object} install - Installation info
+ * @param {object} [options] - Passed through to applyPatches (quiet, verbose)
+ * @returns {{ success: boolean, error?: string }}
+ */
+function resumeApply(install, options = {}) {
+  const quiet = options.quiet ?? false;
+  const qlog = quiet ? () => {} : log;
+  const qemit = quiet ? () => {} : emitJson;
+  const backupPath = install.path + '.bak';
+
+  const fail = (message, error) => {
+    logError(message);
+    emitJson({ type: 'result', status: 'failure', message });
+    return { success: false, error };
+  };
+
+  const state = inspectInterruptedApply(install);
+  if (state.error) return fail(state.error, 'Cannot resume');
+  const { journal } = state;
+
+  qlog(`\nResuming apply on ${install.type} install: ${describeJournal(journal)}`);
+  qemit({ type: 'resume_start', phase: journal.phase, done: journal.done, patches: journal.patches.map(p => p.id) });
+  removeStaleTemp(journal, qlog);
+
+  if (state.binaryChanged) {
+    // The repack is a rename, so a changed binary in that phase is the
+    // finished result; the run died before it could clear the journal
+    let meta = null;
+    try {
+      meta = readPatchMetadata(readTargetJs(install.path));
+    } catch { /* treated as unknown below */ }
+    const recorded = new Set((meta?.patches || []).map(p => p.id));
+    if (journal.phase === 'repacking' && journal.done.every(id => recorded.has(id))) {
+      recordLedger(install, qlog, qemit);
+      removeJournal(install);
+      qlog(`\n✓ The repack had already landed — nothing left to do`);
+      qemit({ type: 'result', status: 'success', message: 'Interrupted apply had completed' });
+      return { success: true };
+    }
+    return fail(
+      `${install.path} changed since the interrupted apply started — --abort, then --apply again`,
+      'Binary changed'
+    );
+  }
+
+  if (state.partialBak) {
+    fs.rmSync(backupPath, { force: true });
+    qlog(`  Removed partial ${backupPath} (it is taken again below)`);
+  } else if (journal.bakHash && fs.existsSync(backupPath) && hashFile(backupPath) !== journal.bakHash) {
+    return fail(`${backupPath} changed since the interrupted apply started — check it, then --abort`, 'Backup changed');
+  }
+
+  removeJournal(install);
+  return applyPatches(install, false, journal.patchVersion, {
+    ...options,
+    patchList: journal.patches,
+    source: journal.source !== journal.target ? journal.source : undefined,
+    strict: journal.strict,
+  });
+}
+
+/**
+ * Roll back an apply that was killed part-way: remove its temp file and any
+ * half-copied .bak, and put the binary back the way the apply found it.
+ * A binary that was already patched before the apply has no copy of that
+ * state, so a finished repack over it is kept and reported instead.
+ * @param {object} install - Installation info
+ * @param {object} [options]
+ * @param {boolean} [options.quiet] - Suppress output
+ * @returns {{ success: boolean, rolledBack?: boolean, error?: string }}
+ */
+function abortApply(install, options = {}) {
+  const quiet = options.quiet ?? false;
+  const qlog = quiet ? () => {} : log;
+  const qemit = quiet ? () => {} : emitJson;
+
+  const fail = (message, error) => {
+    logError(message);
+    emitJson({ type: 'result', status: 'failure', message });
+    return { success: false, error };
+  };
+
+  const state = inspectInterruptedApply(install);
+  if (state.error) return fail(state.error, 'Cannot abort');
+  const { journal } = state;
+  const backupPath = journal.target + '.bak';
+
+  qlog(`\nAborting apply on ${journal.target}: ${describeJournal(journal)}`);
+  removeStaleTemp(journal, qlog);
+
+  if (state.partialBak) {
+    fs.rmSync(backupPath, { force: true });
+    qlog(`  Removed partial ${backupPath}`);
+  }
+
+  let rolledBack = false;
+  if (!state.binaryChanged) {
+    qlog(`  Binary untouched — the apply never reached it`);
+  } else if (journal.bakHash === journal.binaryHash && fs.existsSync(backupPath) && hashFile(backupPath) === journal.bakHash) {
+    try {
+      restoreBackup(backupPath, journal.target);
+    } catch (err) {
+      return fail(`Restore failed: ${err.message} — binary left as the apply did`, 'Restore failed');
+    }
+    rolledBack = true;
+    forgetInstall(journal.target);
+    qlog(`  Restored ${journal.target} from .bak`);
+  } else {
+    const message = `${journal.target} was already repacked and its pre-apply state has no copy — keeping it (--restore gives the clean .bak)`;
+    qlog(`  ⚠ ${message}`);
+    qemit({ type: 'warning', message });
+  }
+
+  removeJournal(install);
+  qlog(`\n✓ Interrupted apply aborted`);
+  qemit({ type: 'result', status: 'success', message: rolledBack ? 'Aborted apply (restored from .bak)' : 'Aborted apply' });
+  return { success: true, rolledBack };
+}
+
 /**
  * Build the canonical check/apply summary from an applyPatches result (or the
  * in-flight resultCollector). One shape, used by both the `--check` `summary`
@@ -521,12 +1292,18 @@ function applyPatches(install, dryRun, patchVersionOverride, options = {}) {
  *
  *   passed:  string[]                  — IDs that applied cleanly
  *   failed:  {id, reason}[]            — pattern-not-found AND hard failures (need fixing)
- *   skipped: string[]                  — IDs skipped intentionally (already applied per metadata)
+ *   skipped: string[]                  — IDs skipped intentionally (already applied per metadata,
+ *                                        or a required patch did not apply)
  *   total:   number                    — patches considered
  *   success: boolean                   — failed.length === 0
+ *   overlaps?: {ids, start, end, count, snippet}[] — --check only: bytes two
+ *                                        patches (or a patch and the metadata
+ *                                        writer) both rewrite
  *
- * Note `skipped` is reserved for the metadata gate; an unmatched pattern is a
- * failure, not a skip — that's what makes `success` honest for porting.
+ * Note `skipped` is reserved for the metadata and requires gates; an
+ * unmatched pattern is a failure, not a skip — that's what makes `success`
+ * honest for porting (a dependent skip always comes with its failed
+ * requirement).
  *
  * @param {{passed: Array, failed: Array, skipped: Array}} r
  * @param {number} total
@@ -538,12 +1315,20 @@ function buildSummary(r, total) {
     skipped: r.skipped.map(s => s.id),
     total,
     success: r.failed.length === 0,
+    ...(r.overlaps ? { overlaps: r.overlaps } : {}),
   };
 }
 
 module.exports = {
   extractJsFromBinaryToTemp,
+  readTargetJs,
+  describeBinary,
   loadPatchIndex,
+  checkPatch,
   applyPatches,
+  recordLedger,
+  removePatch,
+  resumeApply,
+  abortApply,
   buildSummary,
 };
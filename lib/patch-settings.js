@@ -0,0 +1,189 @@
+/**
+ * Patch settings — typed, per-patch configuration resolved outside the patch
+ * source.
+ *
+ * A patch declares its knobs in definePatch():
+ *
+ *   module.exports = definePatch(module, {
+ *     config: {
+ *       chars: { type: 'string[]', default: ['·', '✢'], description: 'Spinner frames' },
+ *       loop:  { type: 'boolean', default: true },
+ *     },
+ *     run,
+ *   });
+ *
+ * and reads the resolved values from `ctx.config`. Values are layered
+ * defaults < user config `settings` < `--set <id>.<key>=<value>`, and the
+ * runner validates every patch's settings before any patch runs.
+ *
+ * Types: string, number, boolean, string[], object. `choices` restricts a
+ * string to a fixed set.
+ */
+
+const TYPES = ['string', 'number', 'boolean', 'string[]', 'object'];
+
+// ============ Schema ============
+
+/**
+ * Check a patch's declared schema. Throws on a malformed declaration — that is
+ * a bug in the patch file, not a user error.
+ * @param {object} schema
+ * @param {string} where - Label for error messages
+ */
+function validateSchema(schema, where) {
+  for (const [key, spec] of Object.entries(schema)) {
+    if (!spec || !TYPES.includes(spec.type)) {
+      throw new Error(`${where}: config.${key} needs a type (${TYPES.join(', ')})`);
+    }
+    const err = checkValue(spec, spec.default);
+    if (err) {
+      throw new Error(`${where}: default for config.${key} ${err}`);
+    }
+  }
+}
+
+/**
+ * Default values for a schema.
+ * @param {object} [schema]
+ * @returns {object}
+ */
+function defaultConfig(schema = {}) {
+  const values = {};
+  for (const [key, spec] of Object.entries(schema)) {
+    values[key] = structuredClone(spec.default);
+  }
+  return values;
+}
+
+// ============ Values ============
+
+/**
+ * Check a value against one schema entry.
+ * @returns {string|null} Problem description, or null when valid
+ */
+function checkValue(spec, value) {
+  switch (spec.type) {
+    case 'string[]':
+      if (!Array.isArray(value) || !value.every(v => typeof v === 'string')) {
+        return 'must be an array of strings';
+      }
+      if (value.length === 0) return 'must not be empty';
+      return null;
+    case 'object':
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return 'must be an object';
+      }
+      return null;
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return 'must be a number';
+      return null;
+    default:
+      if (typeof value !== spec.type) return `must be a ${spec.type}`;
+      if (spec.choices && !spec.choices.includes(value)) {
+        return `must be one of: ${spec.choices.join(', ')}`;
+      }
+      return null;
+  }
+}
+
+/**
+ * Convert a `--set` string to the schema's type. `string[]` takes a JSON array
+ * or a comma-separated list; `object` takes JSON.
+ * @returns {{ value?: any, error?: string }}
+ */
+function coerceSetValue(spec, raw) {
+  switch (spec.type) {
+    case 'string':
+      return { value: raw };
+    case 'number': {
+      const n = Number(raw);
+      return raw.trim() !== '' && Number.isFinite(n) ? { value: n } : { error: `"${raw}" is not a number` };
+    }
+    case 'boolean':
+      if (['true', '1', 'yes', 'on'].includes(raw)) return { value: true };
+      if (['false', '0', 'no', 'off'].includes(raw)) return { value: false };
+      return { error: `"${raw}" is not a boolean (true/false)` };
+    case 'string[]':
+      if (raw.trim().startsWith('[')) break;
+      return { value: raw.split(',').map(s => s.trim()).filter(Boolean) };
+  }
+
+  try {
+    return { value: JSON.parse(raw) };
+  } catch (err) {
+    return { error: `invalid JSON: ${err.message}` };
+  }
+}
+
+// ============ Resolution ============
+
+/**
+ * Parse `--set <id>.<key>=<value>` arguments into `{ id: { key: raw } }`.
+ * Throws on a malformed assignment.
+ * @param {string[]} assignments
+ * @returns {Object<string, Object<string, string>>}
+ */
+function parseSetFlags(assignments) {
+  const settings = {};
+  for (const assignment of assignments) {
+    const m = assignment.match(/^([\w-]+)\.(\w+)=([\s\S]*)$/);
+    if (!m) {
+      throw new Error(`Invalid --set "${assignment}" (expected <patch-id>.<key>=<value>)`);
+    }
+    const [, id, key, raw] = m;
+    (settings[id] ??= {})[key] = raw;
+  }
+  return settings;
+}
+
+/**
+ * Resolve one patch's config: defaults, then the settings file, then `--set`.
+ * @param {string} id - Patch ID (for error messages)
+ * @param {object} schema - The patch's declared config
+ * @param {object} [fileValues] - `settings[id]` from the user config (typed JSON)
+ * @param {object} [setValues] - `--set` strings for this patch
+ * @returns {{ values: object, errors: string[] }}
+ */
+function resolvePatchConfig(id, schema, fileValues = {}, setValues = {}) {
+  const values = defaultConfig(schema);
+  const errors = [];
+  const known = Object.keys(schema).join(', ') || 'none';
+
+  for (const [key, value] of Object.entries(fileValues)) {
+    const spec = schema[key];
+    if (!spec) {
+      errors.push(`${id}.${key}: unknown setting (in user config; known: ${known})`);
+      continue;
+    }
+    const err = checkValue(spec, value);
+    if (err) {
+      errors.push(`${id}.${key}: ${err} (in user config)`);
+    } else {
+      values[key] = value;
+    }
+  }
+
+  for (const [key, raw] of Object.entries(setValues)) {
+    const spec = schema[key];
+    if (!spec) {
+      errors.push(`${id}.${key}: unknown setting (--set; known: ${known})`);
+      continue;
+    }
+    const coerced = coerceSetValue(spec, raw);
+    const err = coerced.error || checkValue(spec, coerced.value);
+    if (err) {
+      errors.push(`${id}.${key}: ${err} (--set)`);
+    } else {
+      values[key] = coerced.value;
+    }
+  }
+
+  return { values, errors };
+}
+
+module.exports = {
+  validateSchema,
+  defaultConfig,
+  parseSetFlags,
+  resolvePatchConfig,
+};
@@ -4,11 +4,14 @@
 
 const fs = require('fs');
 const path = require('path');
+const os = require('os');
 const { spawnSync } = require('child_process');
 
-const { listAvailableVersions, PATCHES_DIR, PROJECT_DIR, compareVersions, listRecentBaks } = require('./shared');
+const { listPatchSetVersions, PATCHES_DIR, PROJECT_DIR, compareVersions, listRecentBaks } = require('./shared');
 const { log, emitJson } = require('./output');
-const { applyPatches, buildSummary } = require('./patch-runner');
+const { applyPatches, buildSummary, readTargetJs, checkPatch, loadPatchIndex } = require('./patch-runner');
+const { indexFileFor, setManifestFile } = require('./manifest');
+const { listPatchVariants, failureReason } = require('./matrix');
 const { doInit } = require('./init');
 
 const SCAN_SCRIPT = path.join(PROJECT_DIR, 'scan-feature-flags.js');
@@ -41,16 +44,25 @@ function formatSetupCondensed(status, targetType) {
 function formatInitCondensed(result) {
   if (!result.success) {
     log(`Init: ✗ ${result.error}`);
-  } else if (result.alreadyExists) {
-    log(`Init: ✓ patches/${result.version}/ (already exists)`);
+    log('');
+    return;
+  }
+  if (result.alreadyExists) {
+    log(`Init: ✓ ${result.source} (already exists)`);
+    log('');
+    return;
+  }
+
+  if (result.extendedFrom) {
+    log(`Init: ✓ patches/manifest.json (${result.extended.length} range(s) extended from ${result.extendedFrom})`);
   } else {
     log(`Init: ✓ patches/${result.version}/index.json (from ${result.copiedFrom})`);
-    if (result.promptImport) {
-      log(`  ${result.promptImport.count} prompt patches imported from ${result.promptImport.source}`);
-    }
-    if (result.baseline) {
-      log(`  ~${result.baseline.charsSaved.toLocaleString()} chars savings across ${result.baseline.patchCount} patches`);
-    }
+  }
+  if (result.promptImport) {
+    log(`  ${result.promptImport.count} prompt patches imported from ${result.promptImport.source}`);
+  }
+  if (result.baseline) {
+    log(`  ~${result.baseline.charsSaved.toLocaleString()} chars savings across ${result.baseline.patchCount} patches`);
   }
   log('');
 }
@@ -73,7 +85,13 @@ function formatCheckCondensed(result) {
     log(`  ✓ ${result.passed.map(p => p.id).join(', ')}`);
   }
   if (skipCount > 0) {
-    log(`  ⊘ ${result.skipped.map(s => s.id).join(', ')} (already applied)`);
+    const alreadyApplied = result.skipped.filter(s => s.reason === 'already_applied');
+    if (alreadyApplied.length > 0) {
+      log(`  ⊘ ${alreadyApplied.map(s => s.id).join(', ')} (already applied)`);
+    }
+    for (const s of result.skipped.filter(s => s.reason === 'requirement_failed')) {
+      log(`  ⊘ ${s.id} (requires ${s.requires})`);
+    }
   }
 
   for (const fail of result.failed) {
@@ -101,6 +119,10 @@ function formatCheckCondensed(result) {
       }
     }
   }
+
+  for (const o of result.overlaps || []) {
+    log(`  ⚠ ${o.ids.join(' ↔ ')} edit the same bytes: ${JSON.stringify(o.snippet)}`);
+  }
   log('');
 }
 
@@ -310,13 +332,14 @@ function formatEnvScanCondensed(scanResult) {
 // ============ Changelog Impact Scan ============
 
 /**
- * The most recent indexed version (has index.json) that predates `version`.
+ * The most recent version with a patch set (an index.json, or a manifest
+ * range end) that predates `version`.
  * That's the version we're effectively porting FROM, so the changelog delta
  * (from, to] covers exactly what changed since our last working patch set.
  * Returns null when `version` is the earliest indexed version.
  */
 function findPreviousIndexedVersion(version) {
-  const prior = listAvailableVersions().filter(v => compareVersions(v, version) < 0);
+  const prior = listPatchSetVersions().filter(v => compareVersions(v, version) < 0);
   return prior.length ? prior[prior.length - 1] : null;
 }
 
@@ -337,19 +360,21 @@ function runChangelogScan(target, brokenIds) {
 
   const version = target.version;
   const versionDir = path.join(PATCHES_DIR, version);
-  const indexPath = path.join(versionDir, 'index.json');
-  if (!fs.existsSync(indexPath)) {
-    return { error: `patches/${version}/index.json not found` };
+  const index = indexFileFor(version, target.type);
+  if (!index) {
+    return { error: `No patch set for ${version} (patches/${version}/index.json or patches/manifest.json)` };
   }
 
   const from = findPreviousIndexedVersion(version);
   const artifactPath = path.join(versionDir, 'changelog-impact.json');
+  fs.mkdirSync(versionDir, { recursive: true });
 
-  const spawnArgs = [CHANGELOG_SCAN_SCRIPT, CHANGELOG_PATH, '--to', version, '--index', indexPath, '--save', artifactPath];
+  const spawnArgs = [CHANGELOG_SCAN_SCRIPT, CHANGELOG_PATH, '--to', version, '--index', index.indexPath, '--save', artifactPath];
   if (from) spawnArgs.push('--from', from);
   if (brokenIds && brokenIds.length) spawnArgs.push('--broken', brokenIds.join(','));
 
   const result = spawnSync('node', spawnArgs, { encoding: 'utf8', timeout: 60000 });
+  index.cleanup();
 
   if (result.status !== 0) {
     // A stale changelog (target newer than the cloned HEAD) is a warning, not a port failure.
@@ -385,6 +410,142 @@ function runChangelogScan(target, brokenIds) {
   };
 }
 
+// ============ Variant Resolution ============
+//
+// A patch that breaks on a new build often has another file under patches/
+// that still matches: an older variant the build went back to, or one written
+// for a newer build already. Every failed patch gets the other files for its
+// id tried against the target before it counts as broken; --write-index
+// points the target's patch set at the first one that passed.
+
+/**
+ * The other files for a patch id, in the order worth trying: newest at or
+ * below the target version first, then the newer ones, oldest first.
+ * @returns {{ file: string, version: string }[]}
+ */
+function orderVariants(id, targetVersion, currentFile) {
+  const variants = listPatchVariants([id])
+    .filter(v => v.file !== currentFile && !v.aliases.includes(currentFile));
+  const older = variants.filter(v => compareVersions(v.version, targetVersion) <= 0)
+    .sort((a, b) => compareVersions(b.version, a.version));
+  const newer = variants.filter(v => compareVersions(v.version, targetVersion) > 0)
+    .sort((a, b) => compareVersions(a.version, b.version));
+  return [...older, ...newer];
+}
+
+/**
+ * Try the other variants of every failed patch against the target, with
+ * default settings, stopping at the first that passes.
+ * @param {object} target - Installation info
+ * @param {object} checkResult - The port's check
+ * @returns {{ resolved: { id: string, from: string|null, file: string }[], unresolved: { id: string, tried: object[] }[] }}
+ */
+function resolveVariants(target, checkResult) {
+  const resolved = [];
+  const unresolved = [];
+  const failed = (checkResult && checkResult.failed) || [];
+  if (!failed.length) return { resolved, unresolved };
+
+  const fileById = loadPatchFileMap(target.version, target.type);
+  const content = readTargetJs(target.path);
+  let tempPath = null;
+  const ensureTempFile = (js) => {
+    if (!tempPath) {
+      tempPath = path.join(os.tmpdir(), `claude-variants-${process.pid}.js`);
+      fs.writeFileSync(tempPath, js);
+    }
+    return tempPath;
+  };
+
+  try {
+    for (const f of failed) {
+      const tried = [];
+      let passed = null;
+      for (const variant of orderVariants(f.id, target.version, fileById[f.id])) {
+        const result = checkPatch(variant.file, content, ensureTempFile);
+        if (result.success) {
+          passed = variant.file;
+          break;
+        }
+        // How far it got: the anchors it matched before the one that failed
+        const { found, matches } = parseDiagnostics(result);
+        const missed = new Set(matches.filter(m => !m.ok).map(m => m.label));
+        tried.push({
+          file: variant.file,
+          status: result.notFound ? 'miss' : 'error',
+          found: found.filter(f => !missed.has(f.split('=')[0])),
+          reason: failureReason(result),
+        });
+      }
+      if (passed) resolved.push({ id: f.id, from: fileById[f.id] || null, file: passed });
+      else unresolved.push({ id: f.id, tried });
+    }
+  } finally {
+    if (tempPath) fs.rmSync(tempPath, { force: true });
+  }
+  return { resolved, unresolved };
+}
+
+/**
+ * Point the target's patch set at the resolved variants (--write-index): its
+ * own index.json (the common section and the target's type), else the
+ * manifest, from the target version on for the target's type.
+ * @returns {{ indexPath: string, updated: string[] }}
+ */
+function writeIndexChoices(target, resolved) {
+  const indexPath = path.join(PATCHES_DIR, target.version, 'index.json');
+  if (!fs.existsSync(indexPath)) {
+    const { MANIFEST_PATH } = require('./manifest');
+    const updated = resolved
+      .filter(choice => setManifestFile(choice.id, target.version, target.type, choice.file))
+      .map(choice => choice.id);
+    return { indexPath: MANIFEST_PATH, updated };
+  }
+  const index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+  const sections = Array.isArray(index.patches)
+    ? [index.patches]
+    : [index.patches.common, index.patches[target.type]].filter(Boolean);
+
+  const updated = [];
+  for (const choice of resolved) {
+    for (const entry of sections.flat().filter(p => p.id === choice.id)) {
+      entry.file = choice.file;
+      updated.push(choice.id);
+    }
+  }
+  fs.writeFileSync(indexPath, JSON.stringify(index, null, 2) + '\n');
+  return { indexPath, updated };
+}
+
+/**
+ * Format variant resolution in condensed form (human mode only)
+ */
+function formatVariantsCondensed(variants, written, version) {
+  const total = variants.resolved.length + variants.unresolved.length;
+  if (!total) return;
+  log(`Variants: ${variants.resolved.length}/${total} failed patch(es) pass with another file`);
+  for (const r of variants.resolved) {
+    log(`  ✓ ${r.id} → ${r.file}${r.from ? ` (was ${r.from})` : ''}`);
+  }
+  for (const u of variants.unresolved) {
+    if (!u.tried.length) {
+      log(`  ✗ ${u.id} — no other variant`);
+      continue;
+    }
+    log(`  ✗ ${u.id} — ${u.tried.length} variant(s) tried:`);
+    for (const t of u.tried) {
+      const got = t.found.length ? `${t.found.length} found, then ` : '';
+      log(`      ${t.file}: ${got}${t.reason}`);
+    }
+  }
+  if (variants.resolved.length > 0) {
+    log(written
+      ? `  → ${path.relative(PROJECT_DIR, written.indexPath)} updated (${written.updated.length})`
+      : `  → re-run with --write-index to record them in the ${version} patch set`);
+  }
+  log('');
+}
+
 // ============ Broken-patch work order ============
 //
 // Joins everything needed to start fixing a broken patch into one record, so a
@@ -394,20 +555,30 @@ function runChangelogScan(target, brokenIds) {
 //                got — e.g. code-blocks found the hljs getter + ANSI comp but
 //                died on the wrapper, which localises the break immediately)
 //   - expected:  the patch's own "Expected: ..." diagnostic hints
+//   - matches:   anchor match counts from ctx.replaceOnce()/matchOnce() — 0
+//                means the anchor moved, >1 that the build duplicated it
 //   - changelog: top changelog matches (triage — is this a real feature change
 //                or noise? read the reasoning block in changelog-impact.json)
 
 /**
- * Parse a patch's NDJSON output into { found[], expected[] }.
+ * Parse a failed patch's events into { found[], expected[], matches[] }.
  * `found`   ← discovery events (label[=value]) — what matched before the failure.
  * `expected`← error message + details — what the patch was looking for.
+ * `matches` ← {label, expected, found} counts from replaceOnce()/matchOnce().
+ * In-process patches hand over their events; legacy scripts only have NDJSON
+ * output.
  */
-function parseDiagnostics(output) {
+function parseDiagnostics(failure) {
   const found = [];
   const expected = [];
-  for (const line of (output || '').split('\n')) {
-    let o;
-    try { o = JSON.parse(line); } catch { continue; }
+  const matches = [];
+  const events = failure.events || (failure.output || '').split('\n').map(line => {
+    try { return JSON.parse(line); } catch { return null; }
+  }).filter(Boolean);
+  for (const o of events) {
+    if (o.type === 'discovery' && o.matches) {
+      matches.push({ label: o.label, ...o.matches });
+    }
     if (o.type === 'discovery') {
       const v = o.value == null ? '' : (typeof o.value === 'string' ? o.value : JSON.stringify(o.value));
       found.push(v ? `${o.label}=${v}` : o.label);
@@ -419,19 +590,18 @@ function parseDiagnostics(output) {
       if (Array.isArray(o.details)) for (const d of o.details) expected.push(d);
     }
   }
-  return { found, expected };
+  return { found, expected, matches };
 }
 
-/** Resolve patch id → source file path from the target version's index.json. */
-function loadPatchFileMap(version) {
+/** Resolve patch id → source file path from the target version's patch set. */
+function loadPatchFileMap(version, installType) {
   const map = {};
   try {
-    const idx = JSON.parse(fs.readFileSync(path.join(PATCHES_DIR, version, 'index.json'), 'utf8'));
-    const arr = Array.isArray(idx.patches)
-      ? idx.patches
-      : Object.values(idx.patches || {}).flat();
-    for (const p of arr) map[p.id] = p.file;
-  } catch { /* index missing — file stays null */ }
+    const index = loadPatchIndex(version, installType, { userConfig: false });
+    for (const p of [...(index?.patches || []), ...(index?.excluded || [])]) {
+      if (p.file) map[p.id] = p.file;
+    }
+  } catch { /* no usable patch set — file stays null */ }
   return map;
 }
 
@@ -439,21 +609,25 @@ function loadPatchFileMap(version) {
  * Build one work-order record per broken patch, joining check diagnostics with
  * changelog triage.
  */
-function buildWorkOrders(target, checkResult, changelogScan) {
-  const failed = (checkResult && checkResult.failed) || [];
+function buildWorkOrders(target, checkResult, changelogScan, variants = null) {
+  const resolvedIds = new Set((variants?.resolved || []).map(r => r.id));
+  const triedById = Object.fromEntries((variants?.unresolved || []).map(u => [u.id, u.tried]));
+  const failed = ((checkResult && checkResult.failed) || []).filter(f => !resolvedIds.has(f.id));
   if (!failed.length) return [];
-  const fileById = loadPatchFileMap(target.version);
+  const fileById = loadPatchFileMap(target.version, target.type);
   const impacts = (changelogScan && changelogScan.brokenImpacts) || {};
   return failed.map(f => {
-    const { found, expected } = parseDiagnostics(f.output);
+    const { found, expected, matches } = parseDiagnostics(f);
     return {
       id: f.id,
       file: fileById[f.id] ? `patches/${fileById[f.id]}` : null,
       reason: f.reason,
       found,
       expected,
+      matches,
       changelog: (impacts[f.id] || []).slice(0, 2)
         .map(m => ({ version: m.version, score: m.score, bullet: m.bullet })),
+      variants: (triedById[f.id] || []).map(t => ({ file: `patches/${t.file}`, found: t.found.length, reason: t.reason })),
     };
   });
 }
@@ -467,7 +641,11 @@ function formatWorkOrdersCondensed(orders) {
   for (const o of orders) {
     log(`  ✗ ${o.id}${o.file ? `  → ${o.file}` : ''}`);
     if (o.found.length) log(`      found: ${o.found.slice(0, 5).join(' · ')}`);
+    for (const m of o.matches.filter(m => !m.ok)) {
+      log(`      matches: ${m.label} ×${m.found} (expected ${m.expected})`);
+    }
     for (const e of o.expected.slice(0, 3)) log(`      hint: ${e}`);
+    if (o.variants.length) log(`      variants: ${o.variants.length} other file(s) fail too (see Variants above)`);
     if (o.changelog.length) {
       const t = o.changelog[0];
       log(`      changelog[${t.score}] ${t.version}: ${t.bullet.slice(0, 100)}${t.bullet.length > 100 ? '…' : ''}`);
@@ -500,10 +678,12 @@ function formatChangelogScanCondensed(scanResult) {
  * Full porting pipeline: setup + init + check
  * @param {{ bare: object|null, native: object|null }} installs - Detected installations
  * @param {object} target - The target installation to check against
+ * @param {object} [options]
+ * @param {boolean} [options.writeIndex] - Point the patch set at the variants that pass (--write-index)
  * @returns {{ success: boolean, setup: object, init: object, check: object }}
  */
-function runPort(installs, target) {
-  const latestPatched = listAvailableVersions().pop() || '(none)';
+function runPort(installs, target, options = {}) {
+  const latestPatched = listPatchSetVersions().pop() || '(none)';
   const toVersion = target.version;
 
   log(`Port: ${latestPatched} → ${toVersion} (${target.type})\n`);
@@ -545,13 +725,28 @@ function runPort(installs, target) {
   formatEnvScanCondensed(envScan);
   emitJson({ type: 'port_env', ...envScan });
 
-  // Phase 3: Check (dry run, quiet — we format condensed output)
-  const checkResult = applyPatches(target, true, null, { quiet: true });
+  // Phase 3: Check (dry run, quiet — we format condensed output). Checks the
+  // committed index as-is: a patch disabled in the user config still has to be
+  // ported for everyone else.
+  const checkResult = applyPatches(target, true, null, { quiet: true, userConfig: false });
   formatCheckCondensed(checkResult);
   emitJson({ type: 'port_check', ...buildSummary(checkResult, checkResult.total) });
 
+  // Phase 3.4: Other variants of the failed patches
+  let variants = { resolved: [], unresolved: [] };
+  let written = null;
+  try {
+    variants = resolveVariants(target, checkResult);
+    if (options.writeIndex && variants.resolved.length > 0) written = writeIndexChoices(target, variants.resolved);
+  } catch (err) {
+    log(`Variants: ⚠ ${err.message.split('\n')[0]}\n`);
+  }
+  formatVariantsCondensed(variants, written, toVersion);
+  emitJson({ type: 'port_variants', ...variants, written: written ? written.updated : null });
+
   // Phase 3.5: Changelog impact scan (after check — needs the broken patch ids)
-  const brokenIds = (checkResult.failed || []).map(f => f.id);
+  const resolvedIds = new Set(variants.resolved.map(r => r.id));
+  const brokenIds = (checkResult.failed || []).filter(f => !resolvedIds.has(f.id)).map(f => f.id);
   const changelogScan = runChangelogScan(target, brokenIds);
   formatChangelogScanCondensed(changelogScan);
   // brokenImpacts is joined into the work order below — keep it out of the JSON event.
@@ -560,11 +755,14 @@ function runPort(installs, target) {
 
   // Phase 3.6: Broken-patch work order — the actionable join of check
   // diagnostics + changelog triage, one record per broken patch.
-  const workOrders = buildWorkOrders(target, checkResult, changelogScan);
+  const workOrders = buildWorkOrders(target, checkResult, changelogScan, variants);
   formatWorkOrdersCondensed(workOrders);
   emitJson({ type: 'port_broken', orders: workOrders });
 
-  return { success: checkResult.success, setup: setupStatus, init: initResult, check: checkResult, changelog: changelogScanForJson, workOrders };
+  // Broken patches that all have a passing variant are a port that's done
+  // once the index points at them
+  const success = checkResult.success || (variants.unresolved.length === 0 && written !== null);
+  return { success, setup: setupStatus, init: initResult, check: checkResult, variants, changelog: changelogScanForJson, workOrders };
 }
 
-module.exports = { runPort };
+module.exports = { runPort, buildWorkOrders };
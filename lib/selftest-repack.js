@@ -0,0 +1,312 @@
+/**
+ * Repack self-test — round-trips real builds through the Bun repacker and
+ * compares the result with the original (--selftest-repack).
+ *
+ * validateRepackedBinary() only checks that the output still starts like an
+ * ELF file. Here each binary is repacked into a temp dir, case by case:
+ *   unchanged   the extracted JS as is: byte-identical, or differing only in
+ *               the entry point's bytecode pointer, which every repack drops
+ *   shrink      4 KB cut from the middle
+ *   non-ascii   multi-byte UTF-8 up front, the tail trimmed to fit
+ *   grow        one byte more than the original: must be refused, no output
+ *
+ * Every repack that succeeds must give back exactly the JS that went in, with
+ * the file size, the Bun data size (the .bun section size on 2.1.83+), the
+ * OFFSETS, the trailer and every other module's table entry unchanged, and no
+ * byte changed outside the entry point's contents and its two table fields.
+ *
+ * Both formats need a binary to run on: the ELF overlay (≤2.1.81) and the
+ * .bun section (2.1.83+). The archive keeps only JS, not binaries, so older
+ * builds come from the installer's versions dir (--native --all-versions) or
+ * --path; a format no target has is reported as not covered. `npm test` runs
+ * the same cases on a synthetic binary of each format
+ * (test/selftest-repack.test.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const { isElfFile, formatBytes } = require('./shared');
+const { emitJson, log } = require('./output');
+const { getBunBinary } = require('./bundle-cache');
+
+const FORMAT_LABELS = {
+  overlay: 'ELF overlay (≤2.1.81)',
+  section: '.bun section (2.1.83+)',
+};
+const SIZEOF_MODULE = 36;
+const TRAILER_LENGTH = 16;
+const CHUNK = 64 * 1024;
+
+// ============ Cases ============
+
+/**
+ * The JS each case repacks, built from the binary's own
+ * @param {Buffer} js
+ * @returns {{ id: string, js: Buffer, refused?: boolean }[]}
+ */
+function buildCases(js) {
+  const mid = Math.floor(js.length / 2);
+  const cut = Math.min(4096, Math.floor(js.length / 4));
+  const marker = Buffer.from('/* selftest: ünïcödé ✓ 漢字 🙂 */', 'utf8');
+  return [
+    { id: 'unchanged', js },
+    { id: 'shrink', js: Buffer.concat([js.subarray(0, mid), js.subarray(mid + cut)]) },
+    { id: 'non-ascii', js: Buffer.concat([marker, js.subarray(0, js.length - marker.length - 1)]) },
+    { id: 'grow', js: Buffer.concat([js, Buffer.from(';')]), refused: true },
+  ];
+}
+
+// ============ Comparison ============
+
+/**
+ * The Bun data of a binary and its module table
+ */
+function readLayout(binaryPath) {
+  const bunBinary = getBunBinary();
+  const { bunData, bunOffsets, format } = bunBinary.extractBunData(binaryPath);
+  const modules = [];
+  bunBinary.mapModules(bunData, bunOffsets, (module, name) => {
+    modules.push({ moduleName: name, ...module });
+  });
+  return { bunData, bunOffsets, format, modules };
+}
+
+/**
+ * Byte ranges where two buffers of the same length differ, compared a chunk
+ * at a time so identical stretches cost one memcmp
+ * @returns {{ start: number, end: number }[]}
+ */
+function diffRanges(a, b) {
+  const ranges = [];
+  for (let chunk = 0; chunk < a.length; chunk += CHUNK) {
+    const end = Math.min(chunk + CHUNK, a.length);
+    if (a.subarray(chunk, end).equals(b.subarray(chunk, end))) continue;
+    for (let i = chunk; i < end; i++) {
+      if (a[i] === b[i]) continue;
+      const last = ranges[ranges.length - 1];
+      if (last && last.end === i) last.end = i + 1;
+      else ranges.push({ start: i, end: i + 1 });
+    }
+  }
+  return ranges;
+}
+
+const byteCount = (ranges) => ranges.reduce((sum, r) => sum + r.end - r.start, 0);
+const samePointer = (a, b) => a.offset === b.offset && a.length === b.length;
+const showPointer = (p) => `{${p.offset}, ${p.length}}`;
+
+/**
+ * Everything wrong with a repacked binary, given the original and the JS
+ * that went in
+ * @returns {{ problems: string[], identical: boolean, changedBytes: number }}
+ */
+function compareRepack(original, originalFile, outPath, js) {
+  const problems = [];
+  const outFile = fs.readFileSync(outPath);
+  if (outFile.length !== originalFile.length) {
+    return { problems: [`file size ${outFile.length} ≠ ${originalFile.length}`], identical: false, changedBytes: 0 };
+  }
+  if (outFile.equals(originalFile)) return { problems, identical: true, changedBytes: 0 };
+
+  const repacked = readLayout(outPath);
+  const { bunData, bunOffsets } = original;
+  if (repacked.format !== original.format) problems.push(`format ${repacked.format} ≠ ${original.format}`);
+  if (repacked.bunData.length !== bunData.length) {
+    problems.push(`Bun data size ${repacked.bunData.length} ≠ ${bunData.length}`);
+    return { problems, identical: false, changedBytes: 0 };
+  }
+
+  // OFFSETS and trailer
+  if (repacked.bunOffsets.byteCount !== bunOffsets.byteCount) problems.push('OFFSETS byteCount changed');
+  if (repacked.bunOffsets.entryPointId !== bunOffsets.entryPointId) problems.push('entry point id changed');
+  for (const field of ['modulesPtr', 'compileExecArgvPtr']) {
+    if (!samePointer(repacked.bunOffsets[field], bunOffsets[field])) {
+      problems.push(`${field} ${showPointer(bunOffsets[field])} → ${showPointer(repacked.bunOffsets[field])}`);
+    }
+  }
+  if (!repacked.bunData.subarray(-TRAILER_LENGTH).equals(bunData.subarray(-TRAILER_LENGTH))) {
+    problems.push('trailer changed');
+  }
+
+  // Module table: only the entry point's contents length and bytecode move
+  const { isClaudeModule } = getBunBinary();
+  const entry = original.modules.findIndex(m => isClaudeModule(m.moduleName));
+  if (repacked.modules.length !== original.modules.length) {
+    problems.push(`module count ${original.modules.length} → ${repacked.modules.length}`);
+  }
+  original.modules.forEach((before, i) => {
+    const after = repacked.modules[i];
+    if (!after) return;
+    const expected = i === entry
+      ? { ...before, contents: { offset: before.contents.offset, length: js.length }, bytecode: { offset: 0, length: 0 } }
+      : before;
+    for (const field of ['name', 'contents', 'sourcemap', 'bytecode']) {
+      if (!samePointer(after[field], expected[field])) {
+        problems.push(`${before.moduleName} ${field} ${showPointer(expected[field])} → ${showPointer(after[field])}`);
+      }
+    }
+    for (const field of ['encoding', 'loader', 'moduleFormat', 'side']) {
+      if (after[field] !== expected[field]) problems.push(`${before.moduleName} ${field} ${expected[field]} → ${after[field]}`);
+    }
+  });
+
+  // Re-extraction, the way --check and --apply read a binary
+  const extracted = getBunBinary().extractClaudeJs(outPath);
+  if (!extracted.equals(js)) {
+    const at = diffRanges(extracted.subarray(0, js.length), js.subarray(0, extracted.length))[0]?.start ?? Math.min(extracted.length, js.length);
+    problems.push(`re-extracted JS differs (${extracted.length} vs ${js.length} bytes, first at byte ${at})`);
+  }
+  if (entry !== -1) {
+    const { contents } = original.modules[entry];
+    const padding = repacked.bunData.subarray(contents.offset + js.length, contents.offset + contents.length);
+    if (padding.some(b => b !== 0x20)) problems.push('the bytes after the shorter JS are not all spaces');
+  }
+
+  // No byte outside the Bun data, and within it only the entry point's
+  // contents and its contents-length and bytecode fields
+  const changedBytes = byteCount(diffRanges(originalFile, outFile));
+  const dataRanges = diffRanges(bunData, repacked.bunData);
+  if (changedBytes !== byteCount(dataRanges)) {
+    problems.push(`${changedBytes - byteCount(dataRanges)} byte(s) changed outside the Bun data`);
+  }
+  const allowed = [];
+  if (entry !== -1) {
+    const table = bunOffsets.modulesPtr.offset + entry * SIZEOF_MODULE;
+    const { contents } = original.modules[entry];
+    allowed.push(
+      { start: table + 12, end: table + 16 },
+      { start: table + 24, end: table + 32 },
+      { start: contents.offset, end: contents.offset + contents.length }
+    );
+  }
+  const stray = dataRanges.filter(r => !allowed.some(a => r.start >= a.start && r.end <= a.end));
+  if (stray.length > 0) {
+    problems.push(`${byteCount(stray)} byte(s) changed outside the entry point, first at Bun data offset ${stray[0].start}`);
+  }
+
+  return { problems, identical: false, changedBytes };
+}
+
+// ============ Running ============
+
+/**
+ * Repack one case into dir and check it
+ * @returns {{ id: string, passed: boolean, detail: string }}
+ */
+function runCase(binaryPath, original, originalFile, testCase, dir) {
+  const outPath = path.join(dir, testCase.id);
+  const done = (passed, detail) => ({ id: testCase.id, passed, detail });
+
+  try {
+    getBunBinary().repackWithModifiedJs(binaryPath, testCase.js, outPath);
+  } catch (err) {
+    const reason = err.message.split('\n')[0];
+    if (!testCase.refused) return done(false, `repack failed: ${reason}`);
+    return fs.existsSync(outPath)
+      ? done(false, `refused, but left ${outPath} behind`)
+      : done(true, `refused: ${reason}`);
+  }
+
+  try {
+    if (testCase.refused) return done(false, 'took a JS larger than the original instead of refusing it');
+
+    const { problems, identical, changedBytes } = compareRepack(original, originalFile, outPath, testCase.js);
+    if (problems.length > 0) return done(false, problems.join('; '));
+    if (identical) return done(true, 'byte-identical');
+
+    const bytecode = original.modules.find(m => getBunBinary().isClaudeModule(m.moduleName))?.bytecode.length ?? 0;
+    if (testCase.id === 'unchanged') {
+      return done(true, `identical but the entry point's bytecode pointer (${formatBytes(bytecode)} of bytecode dropped)`);
+    }
+    return done(true, `JS ${formatBytes(testCase.js.length)} re-extracted exactly; ${changedBytes} byte(s) differ, all in the entry point`);
+  } finally {
+    fs.rmSync(outPath, { force: true });
+  }
+}
+
+/**
+ * Every case on one binary
+ * @returns {{ path: string, version: string, format: string|null, success: boolean, cases: object[], error?: string }}
+ */
+function selftestBinary(install, dir) {
+  const report = { path: install.path, version: install.version, format: null, success: false, cases: [] };
+  log(`\n${install.path} (${install.version})`);
+
+  if (!isElfFile(install.path)) {
+    report.error = 'plain JS — there is no Bun data to repack';
+    log(`  ✗ ${report.error}`);
+    return report;
+  }
+
+  let original;
+  let originalFile;
+  let js;
+  try {
+    original = readLayout(install.path);
+    originalFile = fs.readFileSync(install.path);
+    js = getBunBinary().extractClaudeJs(install.path);
+  } catch (err) {
+    report.error = `could not read it: ${err.message.split('\n')[0]}`;
+    log(`  ✗ ${report.error}`);
+    return report;
+  }
+
+  report.format = original.format;
+  log(`  Format: ${FORMAT_LABELS[original.format]}, Bun data ${formatBytes(original.bunData.length)}, ${original.modules.length} module(s), JS ${formatBytes(js.length)}`);
+
+  for (const testCase of buildCases(js)) {
+    const result = runCase(install.path, original, originalFile, testCase, dir);
+    report.cases.push(result);
+    log(`  ${result.passed ? '✓' : '✗'} ${result.id.padEnd(10)} ${result.detail}`);
+    emitJson({ type: 'selftest_case', path: install.path, version: install.version, format: original.format, ...result });
+  }
+  report.success = report.cases.every(c => c.passed);
+  return report;
+}
+
+/**
+ * Run the repack self-test on each target binary.
+ * @param {object[]} targets - Installs (Bun binaries)
+ * @returns {{ success: boolean, results: object[], error?: string }}
+ */
+function runSelftestRepack(targets) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-selftest-repack-'));
+  const results = [];
+  try {
+    for (const target of targets) results.push(selftestBinary(target, dir));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  const covered = new Set(results.filter(r => r.format).map(r => r.format));
+  const missing = Object.keys(FORMAT_LABELS).filter(format => !covered.has(format));
+  log('');
+  for (const format of missing) {
+    const message = `No ${FORMAT_LABELS[format]} binary among the targets — that format was not tested`;
+    log(`⚠ ${message}`);
+    emitJson({ type: 'warning', message });
+  }
+
+  const failed = results.filter(r => !r.success);
+  if (failed.length === 0) log(`✓ ${results.length} binary(ies) round-trip through the repacker`);
+  emitJson({
+    type: 'selftest_repack',
+    binaries: results,
+    formats: [...covered],
+    missingFormats: missing,
+    success: failed.length === 0,
+  });
+  return failed.length === 0
+    ? { success: true, results }
+    : { success: false, results, error: `${failed.length} of ${results.length} binary(ies) failed the repack self-test` };
+}
+
+module.exports = {
+  runSelftestRepack,
+  // For test/selftest-repack.test.js
+  buildCases,
+  readLayout,
+  compareRepack,
+};
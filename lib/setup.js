@@ -6,6 +6,7 @@
  * - Updates tweakcc reference
  * - Creates/updates backups (cli.js.{type}.original)
  * - Generates prettified versions (cli.js.{type}.pretty)
+ * - Archives the clean JS of every installed build (archive/<version>/)
  */
 
 const { execSync, spawnSync } = require('child_process');
@@ -13,14 +14,15 @@ const fs = require('fs');
 const path = require('path');
 
 const {
-  detectInstalls,
   readPatchMetadata,
   isPatched,
   formatBytes,
   safeStats,
 } = require('./shared');
 
-const { extractClaudeJs } = require('./bun-binary.ts');
+const { detectInstalls } = require('./detectors');
+const { extractClaudeJs } = require('./bundle-cache');
+const { archiveBundle } = require('./archive');
 
 const SCRIPT_DIR = path.dirname(__dirname);
 const TWEAKCC_PATH = '/tmp/tweakcc';
@@ -36,6 +38,7 @@ class SetupStatus {
     this.installs = { bare: null, native: null };
     this.backups = { bare: null, native: null };
     this.prettified = { bare: null, native: null };
+    this.archive = [];
     this.tweakcc = null;
     this.claudeCode = null;
     this.errors = [];
@@ -55,6 +58,7 @@ class SetupStatus {
       installs: this.installs,
       backups: this.backups,
       prettified: this.prettified,
+      archive: this.archive,
       tweakcc: this.tweakcc,
       claudeCode: this.claudeCode,
       errors: this.errors,
@@ -105,6 +109,16 @@ class SetupStatus {
       }
     }
 
+    // Archive
+    if (this.archive.length > 0) {
+      const added = this.archive.filter(a => a.status === 'archived');
+      const present = this.archive.length - added.length;
+      const details = added.length > 0
+        ? `added ${added.map(a => `${a.version} ${a.type}`).join(', ')}${present ? `; ${present} already archived` : ''}`
+        : `${present} build(s), all archived`;
+      lines.push(`| archive/ | ${added.length > 0 ? 'updated' : '✓'} | ${details} |`);
+    }
+
     // tweakcc
     if (this.tweakcc) {
       lines.push(`| tweakcc | ${this.tweakcc.status} | ${this.tweakcc.details} |`);
@@ -433,6 +447,36 @@ function processPrettified(type, status, options) {
   }
 }
 
+/**
+ * Step 4: Archive the clean JS of every detected build (lib/archive.js).
+ * A patched binary contributes its .bak instead, when that one is clean.
+ */
+function archiveInstalls(status) {
+  const seen = new Set();
+  for (const install of detectInstalls().all) {
+    for (const binaryPath of [install.path, `${install.path}.bak`]) {
+      if (!fs.existsSync(binaryPath)) continue;
+      let result;
+      try {
+        result = archiveBundle(install.type, extractClaudeJs(binaryPath), binaryPath);
+      } catch (err) {
+        status.warnings.push(`archive: ${binaryPath}: ${err.message.split('\n')[0]}`);
+        continue;
+      }
+      if (!result.version) continue;
+      if (result.status === 'conflict') {
+        status.warnings.push(
+          `archive: ${binaryPath} is a different ${install.type} build of ${result.version} than the archived one — kept ${result.path}`
+        );
+      }
+      const key = `${result.version}:${install.type}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      status.archive.push({ type: install.type, version: result.version, status: result.status, source: binaryPath });
+    }
+  }
+}
+
 // ============ Main ============
 
 /**
@@ -476,6 +520,10 @@ function runSetup(options = {}) {
     processPrettified(type, status, { quiet });
   }
 
+  // Step 4: Archive every installed build
+  log('\nArchiving clean builds...');
+  archiveInstalls(status);
+
   log('\n' + '='.repeat(40) + '\n');
 
   return status;
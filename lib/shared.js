@@ -4,7 +4,7 @@
 
 const fs = require('fs');
 const path = require('path');
-const os = require('os');
+const crypto = require('crypto');
 
 // ============ Constants ============
 
@@ -33,73 +33,6 @@ function isElfFile(filePath) {
   }
 }
 
-/**
- * Detect bare (pnpm/npm) installation.
- *
- * Since 2.1.117 the npm package is a wrapper: `bin/claude.exe` starts as a
- * 500-byte stub and is replaced by the postinstall script with a platform-
- * specific Bun ELF (hardlinked from an optional-dep package). We target that
- * binary — the JS payload is extracted via the Bun overlay pipeline, same as
- * the native install.
- *
- * @returns {{ type: 'bare', path: string, version: string } | null}
- */
-function detectBareInstall() {
-  // pnpm ≥10 puts shims in bin/; older pnpm dropped them directly in the
-  // share root. Try the new location first, fall back to the legacy one.
-  const pnpmRoot = path.join(os.homedir(), '.local/share/pnpm');
-  const candidates = [
-    path.join(pnpmRoot, 'bin/claude'),
-    path.join(pnpmRoot, 'claude'),
-  ];
-  const wrapperPath = candidates.find(p => fs.existsSync(p));
-
-  if (!wrapperPath) {
-    return null;
-  }
-
-  try {
-    const wrapperContent = fs.readFileSync(wrapperPath, 'utf8');
-    const wrapperDir = path.dirname(wrapperPath);
-
-    // Resolve the exec line. pnpm shims use `$basedir/<relpath>` (legacy root
-    // shim) or `$basedir/../<relpath>` (bin/ shim). Capture either.
-    const execMatch = wrapperContent.match(
-      /exec\s+"?\$basedir\/((?:\.\.\/)?[^"\s]+\/bin\/claude\.exe)"?/
-    );
-    if (execMatch) {
-      const binaryPath = path.resolve(wrapperDir, execMatch[1]);
-      if (fs.existsSync(binaryPath) && isElfFile(binaryPath)) {
-        return {
-          type: 'bare',
-          path: binaryPath,
-          version: readPackageVersion(binaryPath) ?? extractPnpmVersion(binaryPath) ?? 'unknown',
-        };
-      }
-    }
-
-    // Legacy layout (≤2.1.116): package shipped cli.js directly. The shim
-    // exec'd it via node so the line shape differs (no `exec` prefix).
-    const legacyMatch = wrapperContent.match(
-      /\$basedir\/((?:\.\.\/)?[^"\s]+\/cli\.js)/
-    );
-    if (legacyMatch) {
-      const cliPath = path.resolve(wrapperDir, legacyMatch[1]);
-      if (fs.existsSync(cliPath)) {
-        return {
-          type: 'bare',
-          path: cliPath,
-          version: readPackageVersion(cliPath) ?? extractPnpmVersion(cliPath) ?? 'unknown',
-        };
-      }
-    }
-  } catch (err) {
-    // Ignore errors
-  }
-
-  return null;
-}
-
 /**
  * Read the version from the nearest package.json above a binary path.
  * Used for the post-pnpm-10 layout where the version is no longer in the path.
@@ -126,53 +59,27 @@ function extractPnpmVersion(p) {
 }
 
 /**
- * Detect native (Bun binary) installation
- * @returns {{ type: 'native', path: string, version: string } | null}
+ * The patch target inside an installed `@anthropic-ai/claude-code` package
+ * directory: the platform Bun binary `bin/claude.exe` (2.1.117+, once the
+ * postinstall has replaced the stub), else the legacy `cli.js`.
+ * @param {string} pkgDir
+ * @returns {{ path: string, version: string } | null}
  */
-function detectNativeInstall() {
-  const symlinkPath = path.join(os.homedir(), '.local/bin/claude');
-
-  if (!fs.existsSync(symlinkPath)) {
-    return null;
-  }
-
+function findPackageTarget(pkgDir) {
+  let version = null;
   try {
-    const realPath = fs.realpathSync(symlinkPath);
-
-    // Check if it's an ELF binary (Bun-compiled)
-    const fd = fs.openSync(realPath, 'r');
-    const header = Buffer.alloc(4);
-    fs.readSync(fd, header, 0, 4, 0);
-    fs.closeSync(fd);
-
-    // ELF magic number: 0x7f 'E' 'L' 'F'
-    if (header[0] !== 0x7f || header[1] !== 0x45 || header[2] !== 0x4c || header[3] !== 0x46) {
-      return null;
-    }
+    version = JSON.parse(fs.readFileSync(path.join(pkgDir, 'package.json'), 'utf8')).version || null;
+  } catch {}
 
-    // Extract version from path (e.g., .../versions/2.1.17)
-    const versionMatch = realPath.match(/versions\/([^/]+)$/);
-    const version = versionMatch ? versionMatch[1] : 'unknown';
-
-    return {
-      type: 'native',
-      path: realPath,
-      version,
-    };
-  } catch (err) {
-    return null;
+  const binaryPath = path.join(pkgDir, 'bin/claude.exe');
+  if (fs.existsSync(binaryPath) && isElfFile(binaryPath)) {
+    return { path: fs.realpathSync(binaryPath), version: version ?? 'unknown' };
   }
-}
-
-/**
- * Detect all installations
- * @returns {{ bare: object|null, native: object|null }}
- */
-function detectInstalls() {
-  return {
-    bare: detectBareInstall(),
-    native: detectNativeInstall(),
-  };
+  const cliPath = path.join(pkgDir, 'cli.js');
+  if (fs.existsSync(cliPath)) {
+    return { path: fs.realpathSync(cliPath), version: version ?? 'unknown' };
+  }
+  return null;
 }
 
 // ============ Metadata ============
@@ -303,6 +210,26 @@ function safeStats(filePath) {
   }
 }
 
+/**
+ * SHA-256 of a file, read in chunks (binaries run to a few hundred MB)
+ * @param {string} filePath
+ * @returns {string} Hex digest
+ */
+function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  const buf = Buffer.alloc(4 * 1024 * 1024);
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    let n;
+    while ((n = fs.readSync(fd, buf, 0, buf.length, null)) > 0) {
+      hash.update(buf.subarray(0, n));
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+  return hash.digest('hex');
+}
+
 // ============ Patch Versions ============
 
 /**
@@ -322,6 +249,29 @@ function listAvailableVersions() {
     .sort(compareVersions);
 }
 
+/**
+ * Every version known to have a patch set: the per-version indexes and the
+ * versions patches/manifest.json lists
+ * @returns {string[]}
+ */
+function listPatchSetVersions() {
+  const { listManifestVersions } = require('./manifest');
+  return [...new Set([...listAvailableVersions(), ...listManifestVersions()])].sort(compareVersions);
+}
+
+/**
+ * Whether a version has its own patch set: a patches/<version>/index.json, or
+ * a listing in patches/manifest.json (a range that merely spans it is not
+ * enough: nobody ported or checked that build)
+ * @param {string} version
+ * @returns {boolean}
+ */
+function hasPatchSet(version) {
+  if (fs.existsSync(path.join(PATCHES_DIR, version, 'index.json'))) return true;
+  const { coversVersion } = require('./manifest');
+  return coversVersion(version);
+}
+
 /**
  * Compare two version strings: returns -1 if a < b, 0 if equal, 1 if a > b
  */
@@ -340,10 +290,11 @@ function compareVersions(a, b) {
 
 /**
  * Find the best fallback patch version for a given target version.
- * Returns the latest available version that is <= targetVersion.
+ * Returns the latest version with a patch set that is <= targetVersion.
  */
 function findFallbackVersion(targetVersion) {
-  const available = listAvailableVersions();
+  if (hasPatchSet(targetVersion)) return targetVersion;
+  const available = listPatchSetVersions();
   if (available.length === 0) return null;
 
   let best = null;
@@ -405,6 +356,9 @@ function listRecentBaks(installType, targetPath, limit = 3) {
             if (fs.existsSync(candidate)) bakPaths.push(candidate);
           }
         }
+      } else if (fs.existsSync(targetPath + '.bak')) {
+        // npm/Bun globals and --path targets: one package dir, no siblings
+        bakPaths.push(targetPath + '.bak');
       }
     }
 
@@ -515,10 +469,11 @@ module.exports = {
   TRAILER_SIZE,
   SIZE_MARKER_SIZE,
 
-  // Detection
-  detectBareInstall,
-  detectNativeInstall,
-  detectInstalls,
+  // Detection helpers (detectors live in lib/detectors/)
+  isElfFile,
+  readPackageVersion,
+  extractPnpmVersion,
+  findPackageTarget,
 
   // Metadata
   readPatchMetadata,
@@ -537,6 +492,8 @@ module.exports = {
 
   // Patch versions
   listAvailableVersions,
+  listPatchSetVersions,
+  hasPatchSet,
   compareVersions,
   findFallbackVersion,
   listRecentBaks,
@@ -544,4 +501,5 @@ module.exports = {
   // Utilities
   formatBytes,
   safeStats,
+  hashFile,
 };
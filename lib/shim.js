@@ -0,0 +1,250 @@
+/**
+ * Launcher shim — checks the claude binary against the ledger on every
+ * launch, patches a new build before it starts (--install-shim).
+ *
+ * The shim itself is a few lines of sh placed in a PATH directory ahead of
+ * the real `claude`:
+ *
+ *   #!/bin/sh
+ *   # claude-patching launcher shim
+ *   real=$('/usr/bin/node' '/path/to/lib/shim.js' native '/home/u/.local/bin/claude') || real='/home/u/.local/bin/claude'
+ *   exec "$real" "$@"
+ *
+ * This file does the work and prints the command to exec. Messages go to
+ * stderr, and the real command is printed whatever happens, so a broken
+ * patch setup never keeps claude from starting.
+ *
+ * On launch the default install of the shim's type is looked up in the
+ * ledger (lib/ledger.js). A recorded, unchanged binary starts straight away.
+ * A binary the ledger doesn't know but whose JS has the patch marker (patched
+ * before the ledger existed, or with --output and copied in) is recorded and
+ * starts too. Anything else is new (an update, a reinstall, a --restore).
+ * What happens then depends on `"shim"` in the user config:
+ *   apply (default)  --check with the version's own patch set, and --apply if
+ *                    every patch passes; otherwise a work order as --watch
+ *                    writes, and claude starts unpatched
+ *   warn             one line on stderr
+ * A build whose work order is newer than the binary is not checked again.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const { PROJECT_DIR, readPatchMetadata } = require('./shared');
+const { log, emitJson } = require('./output');
+
+const SHIM_MARKER = '# claude-patching launcher shim';
+
+// ============ Launch ============
+
+function warn(message) {
+  process.stderr.write(`claude-patching: ${message}\n`);
+}
+
+/**
+ * Bring the install up to date if it isn't a binary the ledger knows.
+ * @param {string} installType - "bare" or "native"
+ */
+function checkBeforeLaunch(installType) {
+  const { detectInstalls } = require('./detectors');
+  const { getLedgerEntry, matchesEntry, recordApply } = require('./ledger');
+
+  const install = detectInstalls()[installType];
+  if (!install) {
+    warn(`no ${installType} install detected — starting claude as is`);
+    return;
+  }
+
+  const entry = getLedgerEntry(install.path);
+  if (entry && matchesEntry(install.path, entry)) return;
+
+  // Already patched: record it rather than treat it as a new build
+  const { readTargetJs } = require('./patch-runner');
+  const js = readTargetJs(install.path);
+  const meta = readPatchMetadata(js);
+  if (meta) {
+    if (entry) {
+      warn(`${installType} ${install.version} changed since it was patched — run node ${path.join(PROJECT_DIR, 'claude-patching.js')} --verify`);
+    } else {
+      recordApply(install, Buffer.from(js, 'utf8'), (meta.patches || []).map(p => p.id));
+    }
+    return;
+  }
+
+  const { loadUserConfig } = require('./user-config');
+  const mode = loadUserConfig().shim || 'apply';
+  const hint = `node ${path.join(PROJECT_DIR, 'claude-patching.js')} --${installType} --apply`;
+  if (mode === 'warn') {
+    warn(`${installType} ${install.version} is not a build claude-patching applied — run ${hint}`);
+    return;
+  }
+
+  const { workOrderPath, writeWorkOrder } = require('./watch');
+  const orderPath = workOrderPath(install);
+  if (fs.existsSync(orderPath) && fs.statSync(orderPath).mtimeMs > fs.statSync(install.path).mtimeMs) {
+    warn(`${installType} ${install.version} is unpatched — see ${orderPath}`);
+    return;
+  }
+
+  const { selectPatchSet } = require('./all-versions');
+  const { applyPatches } = require('./patch-runner');
+  const patchSet = selectPatchSet(install.version, false, null);
+  if (!patchSet.patchVersion) {
+    writeWorkOrder(install, patchSet, null, 'no patch set for this version');
+    warn(`no patches for ${installType} ${install.version} yet — starting unpatched (${orderPath})`);
+    return;
+  }
+
+  warn(`new ${installType} build ${install.version} — checking patches...`);
+  const check = applyPatches(install, true, null, { quiet: true });
+  if (!check.success) {
+    writeWorkOrder(install, patchSet, check, 'check failed');
+    warn(`✗ ${check.failed.length} patch(es) no longer match — starting unpatched (${orderPath})`);
+    return;
+  }
+
+  const result = applyPatches(install, false, null, { quiet: true, strict: true });
+  if (result.success) {
+    warn(`✓ applied ${result.passed.length} patches`);
+  } else {
+    warn(`✗ apply failed (${result.error || 'see --check'}) — starting unpatched; run ${hint}`);
+  }
+}
+
+/**
+ * Shim entry point: run the check, then print the command to exec.
+ * @param {string} installType
+ * @param {string} realCommand - The `claude` the shim stands in front of
+ */
+function main(installType, realCommand) {
+  // stdout carries the command for the shim; everything else (JSON events
+  // when launched from inside Claude Code, stray logs) goes to stderr
+  const writeStdout = process.stdout.write.bind(process.stdout);
+  process.stdout.write = (chunk, ...rest) => process.stderr.write(chunk, ...rest);
+  try {
+    checkBeforeLaunch(installType);
+  } catch (err) {
+    warn(`${err.message.split('\n')[0]} — starting claude as is`);
+  } finally {
+    process.stdout.write = writeStdout;
+  }
+  writeStdout(`${realCommand}\n`);
+}
+
+// ============ Install ============
+
+/**
+ * The first `claude` on PATH that isn't a shim of ours; for native, the
+ * installer's symlink when PATH has none.
+ * @param {string} installType
+ * @returns {string|null}
+ */
+function findRealCommand(installType) {
+  for (const dir of (process.env.PATH || '').split(path.delimiter).filter(Boolean)) {
+    const candidate = path.join(dir, 'claude');
+    try {
+      fs.accessSync(candidate, fs.constants.X_OK);
+      if (!isShim(candidate)) return candidate;
+    } catch {}
+  }
+  if (installType === 'native') {
+    const { SYMLINK_PATH } = require('./detectors/native-versions-dir');
+    if (fs.existsSync(SYMLINK_PATH) && !isShim(SYMLINK_PATH)) return SYMLINK_PATH;
+  }
+  return null;
+}
+
+function isShim(filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf8').slice(0, 200).includes(SHIM_MARKER);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * A writable PATH directory under $HOME that comes before `beforeDir`
+ * @returns {string|null}
+ */
+function pickShimDir(beforeDir) {
+  const home = os.homedir();
+  for (const dir of (process.env.PATH || '').split(path.delimiter).filter(Boolean)) {
+    if (path.resolve(dir) === path.resolve(beforeDir)) return null;
+    if (!path.resolve(dir).startsWith(home + path.sep)) continue;
+    try {
+      fs.accessSync(dir, fs.constants.W_OK);
+      return dir;
+    } catch {}
+  }
+  return null;
+}
+
+function shellQuote(value) {
+  return `'${value.replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Write the shim in front of the `claude` on PATH.
+ * @param {object} install - Installation info (its type is what the shim checks)
+ * @param {object} [options]
+ * @param {string} [options.dir] - Put the shim here instead of picking a PATH dir
+ * @returns {{ success: boolean, shimPath?: string, realCommand?: string, onPath?: boolean, error?: string }}
+ */
+function installShim(install, options = {}) {
+  const realCommand = findRealCommand(install.type);
+  if (!realCommand) {
+    return { success: false, error: 'No claude on PATH to put the shim in front of' };
+  }
+
+  const fallbackDir = path.join(os.homedir(), '.local/share/claude-patching/bin');
+  const dir = options.dir || pickShimDir(path.dirname(realCommand)) || fallbackDir;
+  const shimPath = path.join(dir, 'claude');
+  if (path.resolve(shimPath) === path.resolve(realCommand)) {
+    return { success: false, error: `${shimPath} is the real claude — pick a directory earlier on PATH` };
+  }
+  if (fs.existsSync(shimPath) && !isShim(shimPath)) {
+    return { success: false, error: `${shimPath} exists and isn't a claude-patching shim — not overwriting it` };
+  }
+
+  const node = [process.execPath, ...process.execArgv].map(shellQuote).join(' ');
+  const script = [
+    '#!/bin/sh',
+    SHIM_MARKER,
+    `# Checks the ${install.type} install before starting ${realCommand}`,
+    `real=$(${node} ${shellQuote(path.join(__dirname, 'shim.js'))} ${install.type} ${shellQuote(realCommand)}) || real=${shellQuote(realCommand)}`,
+    'exec "$real" "$@"',
+    '',
+  ].join('\n');
+
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(shimPath, script, { mode: 0o755 });
+    fs.chmodSync(shimPath, 0o755);
+  } catch (err) {
+    return { success: false, error: `Failed to write ${shimPath}: ${err.message}` };
+  }
+
+  const pathDirs = (process.env.PATH || '').split(path.delimiter).map(d => path.resolve(d));
+  const onPath = pathDirs.includes(path.resolve(dir))
+    && pathDirs.indexOf(path.resolve(dir)) < pathDirs.indexOf(path.resolve(path.dirname(realCommand)));
+
+  log(`✓ Wrote ${shimPath}`);
+  log(`  Checks the ${install.type} install, then runs ${realCommand}`);
+  if (!onPath) {
+    log(`  ⚠ ${dir} has to come before ${path.dirname(realCommand)} on PATH:`);
+    log(`      export PATH="${dir}:$PATH"`);
+  }
+  log(`  Remove: rm ${shimPath}`);
+  emitJson({ type: 'result', status: 'success', shimPath, realCommand, onPath });
+  return { success: true, shimPath, realCommand, onPath };
+}
+
+module.exports = {
+  installShim,
+  checkBeforeLaunch,
+};
+
+if (require.main === module) {
+  main(process.argv[2], process.argv[3]);
+}
@@ -8,15 +8,19 @@ const path = require('path');
 const {
   PROJECT_DIR,
   readPatchMetadata,
-  isPatched,
   extractVersion,
+  isElfFile,
   formatBytes,
   safeStats,
   listRecentBaks,
 } = require('./shared');
 
 const { isJsonMode, emitJson } = require('./output');
-const { extractJsFromBinaryToTemp } = require('./patch-runner');
+const { readTargetJs } = require('./patch-runner');
+const { listJournals, describeJournal, resumeHint } = require('./apply-journal');
+const { listDetectors } = require('./detectors');
+const { listArchive } = require('./archive');
+const { readExecArgv } = require('./exec-argv');
 
 /**
  * Get workspace artifact info (version, size, modification date)
@@ -62,44 +66,113 @@ function getArtifactInfo(type) {
   return result;
 }
 
+/**
+ * Human-readable line for a leftover journal (lib/apply-journal.js)
+ * @param {{ file: string, journal: object|null, error?: string }} entry - From listJournals()
+ * @returns {string}
+ */
+function formatJournalWarning({ journal, error }) {
+  if (error) return `⚠ Apply journal unreadable: ${error}`;
+  const target = { type: journal.installType, path: journal.target };
+  return `⚠ Apply ${describeJournal(journal)} — run ${resumeHint(target, 'resume')} or ${resumeHint(target, 'abort')}`;
+}
+
+/**
+ * Patch metadata of an install, or why it couldn't be read
+ * @returns {{ meta: object|null, error?: string }}
+ */
+function readInstallMeta(install) {
+  try {
+    return { meta: readPatchMetadata(readTargetJs(install.path)) };
+  } catch (err) {
+    return { meta: null, error: err.message?.includes('node-lief') ? 'node-lief not installed' : 'unable to read' };
+  }
+}
+
+/**
+ * Compile-time execArgv of a Bun binary and of its .bak (the build's own),
+ * or null for plain JS or when unreadable
+ * @returns {{ current: string, buildDefault: string|null }|null}
+ */
+function readInstallExecArgv(install) {
+  if (!isElfFile(install.path)) return null;
+  try {
+    const backupPath = install.path + '.bak';
+    return {
+      current: readExecArgv(install.path),
+      buildDefault: fs.existsSync(backupPath) ? readExecArgv(backupPath) : null,
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Tags after an install's heading: how it was found and whether a bare
+ * --bare/--native picks it
+ */
+function installTags(install, installs) {
+  const tags = [];
+  if (install.detector) tags.push(`via ${install.detector}`);
+  if (install.active) tags.push('active');
+  if (install.detector && installs[install.type] === install) tags.push(`default for --${install.type}`);
+  return tags;
+}
+
+/**
+ * One line for the bundle archive, if there is one
+ */
+function printArchive() {
+  const archived = listArchive();
+  if (archived.length === 0) return;
+  console.log(`Archived builds (--check --archived <version>):`);
+  console.log(`  ${archived.map(a => `${a.version} (${a.types.join(', ')})`).join(', ')}\n`);
+}
+
 /**
  * Print status of all detected installations
- * @param {{ bare: object|null, native: object|null }} installs
+ * @param {{ bare: object|null, native: object|null, all: object[] }} installs - From detectInstalls(), or just the --path target in `all`
  */
 function printStatus(installs) {
+  const journals = listJournals();
+  const journalFor = (install) => journals.find(j => j.journal?.target === install.path);
+  const orphanJournals = journals.filter(j => !installs.all.some(i => i.path === j.journal?.target));
+
   // JSON mode: output structured object
   if (isJsonMode) {
-    const status = { type: 'status', installs: {}, artifacts: {} };
+    // installs.bare/native: what a bare --bare/--native picks; installs.all: every install found
+    const status = { type: 'status', installs: { all: [] }, artifacts: {}, journals: [], archive: listArchive() };
 
-    for (const type of ['bare', 'native']) {
-      const install = installs[type];
-      if (!install) continue;
+    for (const { file, journal, error } of journals) {
+      status.journals.push(error
+        ? { file, error }
+        : { file, target: journal.target, installType: journal.installType, phase: journal.phase, done: journal.done, patches: journal.patches.map(p => p.id), startedAt: journal.startedAt });
+    }
 
+    for (const install of installs.all) {
       const info = {
+        type: install.type,
         version: install.version,
         path: install.path,
+        detector: install.detector ?? null,
+        active: install.active ?? null,
+        default: installs[install.type] === install,
         patches: null,
         appliedAt: null,
       };
 
-      try {
-        const extracted = extractJsFromBinaryToTemp(install.path);
-        const content = fs.readFileSync(extracted.tempPath, 'utf8');
-        fs.unlinkSync(extracted.tempPath);
-        const meta = readPatchMetadata(content);
-        if (meta) {
-          info.patches = meta.patches.map(p => p.id);
-          info.appliedAt = meta.appliedAt;
-        }
-      } catch (err) {
-        info.error = err.message?.includes('node-lief')
-          ? 'node-lief not installed'
-          : 'unable to read';
+      const { meta, error } = readInstallMeta(install);
+      if (meta) {
+        info.patches = meta.patches.map(p => p.id);
+        info.appliedAt = meta.appliedAt;
       }
+      if (error) info.error = error;
+      info.execArgv = readInstallExecArgv(install);
 
-      info.baks = install ? listRecentBaks(type, install.path).map(b => `${b.name} (${b.sizeMB} MB)`) : [];
-      status.installs[type] = info;
-      status.artifacts[type] = getArtifactInfo(type);
+      info.baks = listRecentBaks(install.type, install.path).map(b => `${b.name} (${b.sizeMB} MB)`);
+      status.installs.all.push(info);
+      if (info.default) status.installs[install.type] = info;
+      if (!status.artifacts[install.type]) status.artifacts[install.type] = getArtifactInfo(install.type);
     }
 
     emitJson(status);
@@ -109,66 +182,81 @@ function printStatus(installs) {
   // Human mode: formatted text
   console.log(`\nDetected Installations:\n`);
 
-  if (!installs.bare && !installs.native) {
+  // A journal can outlive the install it was patching
+  for (const entry of orphanJournals) {
+    const where = entry.journal ? entry.journal.target : path.basename(entry.file);
+    console.log(`  ${where}:\n    ${formatJournalWarning(entry)}\n`);
+  }
+
+  if (installs.all.length === 0) {
     console.log('  No Claude Code installations found.\n');
-    console.log('  Expected locations:');
-    console.log('    bare:   ~/.local/share/pnpm/bin/claude (pnpm wrapper)');
-    console.log('    native: ~/.local/bin/claude (symlink to Bun binary)');
+    console.log('  Looked for:');
+    for (const detector of listDetectors()) {
+      console.log(`    ${detector.type.padEnd(7)} ${detector.id}: ${detector.description}`);
+    }
+    console.log('\n  Anything else: --path <binary or cli.js>\n');
+    printArchive();
     return;
   }
 
-  for (const type of ['bare', 'native']) {
-    const install = installs[type];
-    if (!install) continue;
-
-    const label = type === 'bare' ? 'bare (pnpm/npm wrapper)' : 'native (Bun binary)';
-    console.log(`  ${label}:`);
+  for (const install of installs.all) {
+    const label = !isElfFile(install.path) ? `${install.type} (plain cli.js)`
+      : install.type === 'bare' ? 'bare (pnpm/npm wrapper)' : 'native (Bun binary)';
+    const tags = installTags(install, installs);
+    console.log(`  ${label}${tags.length > 0 ? ` [${tags.join(', ')}]` : ''}:`);
     console.log(`    Version: ${install.version}`);
     console.log(`    Path: ${install.path}`);
 
-    // Check for patch metadata (extract JS from Bun binary for both types)
-    try {
-      const extracted = extractJsFromBinaryToTemp(install.path);
-      const content = fs.readFileSync(extracted.tempPath, 'utf8');
-      fs.unlinkSync(extracted.tempPath);
-      const meta = readPatchMetadata(content);
-      if (meta) {
-        console.log(`    Patches: ${meta.patches.map(p => p.id).join(', ')}`);
-        console.log(`    Applied: ${meta.appliedAt}`);
-      } else {
-        console.log(`    Patches: (none)`);
-      }
-    } catch (err) {
-      if (err.message?.includes('node-lief')) {
-        console.log(`    Patches: (requires node-lief — run npm install)`);
-      } else {
-        console.log(`    Patches: (unable to read)`);
-      }
+    const journal = journalFor(install);
+    if (journal) console.log(`    ${formatJournalWarning(journal)}`);
+
+    // Check for patch metadata (extracted from Bun binaries, read from cli.js)
+    const { meta, error } = readInstallMeta(install);
+    if (meta) {
+      console.log(`    Patches: ${meta.patches.map(p => p.id).join(', ')}`);
+      console.log(`    Applied: ${meta.appliedAt}`);
+    } else if (error === 'node-lief not installed') {
+      console.log(`    Patches: (requires node-lief — run npm install)`);
+    } else if (error) {
+      console.log(`    Patches: (unable to read)`);
+    } else {
+      console.log(`    Patches: (none)`);
     }
 
-    // Workspace artifacts
-    const artifacts = getArtifactInfo(type);
-    if (artifacts.original || artifacts.pretty) {
-      console.log(`    Artifacts:`);
-      for (const [suffix, info] of Object.entries(artifacts)) {
-        if (!info) continue;
-        const versionStr = info.version || '?';
-        const stale = info.version && info.version !== install.version;
-        const tag = stale ? ' ← STALE' : '';
-        console.log(`      ${suffix}: v${versionStr} (${formatBytes(info.size)}, ${info.mtime})${tag}`);
+    const execArgv = readInstallExecArgv(install);
+    if (execArgv && (execArgv.current || execArgv.buildDefault)) {
+      const edited = execArgv.buildDefault !== null && execArgv.buildDefault !== execArgv.current;
+      const shown = (argv) => argv || '(none)';
+      console.log(`    Exec argv: ${shown(execArgv.current)}${edited ? ` (build default: ${shown(execArgv.buildDefault)})` : ''}`);
+    }
+
+    // Workspace artifacts are per install type; show them under the default
+    if (installs[install.type] === install) {
+      const artifacts = getArtifactInfo(install.type);
+      if (artifacts.original || artifacts.pretty) {
+        console.log(`    Artifacts:`);
+        for (const [suffix, info] of Object.entries(artifacts)) {
+          if (!info) continue;
+          const versionStr = info.version || '?';
+          const stale = info.version && info.version !== install.version;
+          const tag = stale ? ' ← STALE' : '';
+          console.log(`      ${suffix}: v${versionStr} (${formatBytes(info.size)}, ${info.mtime})${tag}`);
+        }
+      } else {
+        console.log(`    Artifacts: (none — run --setup)`);
       }
-    } else {
-      console.log(`    Artifacts: (none — run --setup)`);
     }
 
     // .bak files (rollback points)
-    const baks = listRecentBaks(type, install.path);
+    const baks = listRecentBaks(install.type, install.path);
     if (baks.length > 0) {
       console.log(`    Backups: ${baks.map(b => `${b.name} (${b.sizeMB} MB)`).join(', ')}`);
     }
 
     console.log();
   }
+
+  printArchive();
 }
 
 module.exports = { printStatus };
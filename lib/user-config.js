@@ -0,0 +1,192 @@
+/**
+ * User config — per-machine patch selection layered over index.json.
+ *
+ * The index is committed and copied forward by --init, so personal choices
+ * ("no spinner here") live outside the repo in
+ * `~/.config/claude-patching/config.json` (honours $XDG_CONFIG_HOME):
+ *
+ *   {
+ *     "disabled": ["spinner", "auto-color"],
+ *     "extra": [
+ *       { "id": "my-patch", "file": "2.1.222/js-patches/patch-my-patch.js", "after": "prompt-slim" }
+ *     ],
+ *     "settings": { "spinner": { "chars": ["·", "✢", "✳"], "loop": false } },
+ *     "native": { "disabled": ["ghostty-term"] },
+ *     "bare": { "extra": [] },
+ *     "shim": "apply"
+ *   }
+ *
+ * - disabled: patch IDs to leave out
+ * - extra:    patches to add; an entry whose id is already in the index swaps
+ *             that entry's file in place. `after`/`before` position it.
+ * - settings: values for patches' declared config, keyed by patch ID
+ *             (validated against each patch's schema by the runner)
+ * - bare / native: the same keys, applied on top for that install type only
+ * - shim:     what the launcher shim (--install-shim) does with a binary not
+ *             in the ledger: "apply" (check, then apply if all pass; default)
+ *             or "warn" (one line on stderr)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const CONFIG_DIR = path.join(process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), 'claude-patching');
+const USER_CONFIG_PATH = path.join(CONFIG_DIR, 'config.json');
+const SHIM_MODES = ['apply', 'warn'];
+
+// ============ Loading ============
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check one `{disabled, extra}` block. Throws on shape errors.
+ * @param {object} block
+ * @param {string} where - Label for error messages
+ */
+function validateBlock(block, where) {
+  if (block.disabled !== undefined) {
+    if (!Array.isArray(block.disabled) || !block.disabled.every(id => typeof id === 'string')) {
+      throw new Error(`${where}.disabled must be an array of patch IDs`);
+    }
+  }
+  if (block.extra !== undefined) {
+    if (!Array.isArray(block.extra)) {
+      throw new Error(`${where}.extra must be an array of { id, file } entries`);
+    }
+    block.extra.forEach((entry, i) => {
+      if (!entry || typeof entry.id !== 'string' || typeof entry.file !== 'string') {
+        throw new Error(`${where}.extra[${i}] needs string "id" and "file" fields`);
+      }
+    });
+  }
+  if (block.settings !== undefined) {
+    if (!isPlainObject(block.settings)) {
+      throw new Error(`${where}.settings must be an object keyed by patch ID`);
+    }
+    for (const [id, values] of Object.entries(block.settings)) {
+      if (!isPlainObject(values)) {
+        throw new Error(`${where}.settings.${id} must be an object of setting values`);
+      }
+    }
+  }
+}
+
+/**
+ * Load the user config. A missing file is an empty config; a malformed one
+ * throws so a typo never silently re-enables a patch.
+ * @param {string} [configPath]
+ * @returns {{ disabled?: string[], extra?: object[], settings?: object, bare?: object, native?: object, shim?: string }}
+ */
+function loadUserConfig(configPath = USER_CONFIG_PATH) {
+  if (!fs.existsSync(configPath)) {
+    return {};
+  }
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Failed to parse ${configPath}: ${err.message}`);
+  }
+
+  if (!isPlainObject(config)) {
+    throw new Error(`${configPath}: expected a JSON object`);
+  }
+
+  try {
+    validateBlock(config, 'config');
+    if (config.shim !== undefined && !SHIM_MODES.includes(config.shim)) {
+      throw new Error(`config.shim must be one of ${SHIM_MODES.map(m => `"${m}"`).join(', ')}`);
+    }
+    for (const type of ['bare', 'native']) {
+      if (config[type] !== undefined) validateBlock(config[type], `config.${type}`);
+    }
+  } catch (err) {
+    throw new Error(`${configPath}: ${err.message}`);
+  }
+
+  return config;
+}
+
+// ============ Merging ============
+
+/**
+ * Insert or swap an extra entry into the patch list.
+ */
+function placeExtra(patches, entry) {
+  const { after, before, ...patch } = entry;
+  const existing = patches.findIndex(p => p.id === patch.id);
+  if (existing !== -1) patches.splice(existing, 1);
+
+  const anchorId = after || before;
+  const anchor = anchorId ? patches.findIndex(p => p.id === anchorId) : -1;
+  if (anchor !== -1) {
+    patches.splice(after ? anchor + 1 : anchor, 0, patch);
+  } else if (existing !== -1) {
+    patches.splice(existing, 0, patch);
+  } else {
+    patches.push(patch);
+  }
+}
+
+/**
+ * Merge the user config and one-off CLI selection over an index's patch list.
+ *
+ * `only` selects from the full list (index + extra), so an explicit
+ * `--only spinner` runs spinner even when the config disables it; `skip` is
+ * applied last.
+ *
+ * @param {Array<{id: string, file: string}>} patches - Patch list from index.json
+ * @param {string} installType - "bare" or "native"
+ * @param {object} config - From loadUserConfig()
+ * @param {{ only?: string[], skip?: string[] }} [selection]
+ * @returns {{ patches: Array<{id: string, file: string}>, excluded: Array<{id: string, reason: string}>, unknown: string[], settings: object }}
+ */
+function applyUserConfig(patches, installType, config, selection = {}) {
+  const typeBlock = config[installType] || {};
+  const disabled = new Set([...(config.disabled || []), ...(typeBlock.disabled || [])]);
+
+  const merged = patches.map(p => ({ ...p }));
+  for (const entry of [...(config.extra || []), ...(typeBlock.extra || [])]) {
+    placeExtra(merged, entry);
+  }
+
+  const known = new Set(merged.map(p => p.id));
+  const only = selection.only && selection.only.length > 0 ? new Set(selection.only) : null;
+  const skip = new Set(selection.skip || []);
+  const unknown = [...(only || []), ...skip].filter(id => !known.has(id));
+
+  const kept = [];
+  const excluded = [];
+  for (const patch of merged) {
+    if (only && !only.has(patch.id)) {
+      excluded.push({ id: patch.id, reason: 'not in --only' });
+    } else if (skip.has(patch.id)) {
+      excluded.push({ id: patch.id, reason: '--skip' });
+    } else if (!only && disabled.has(patch.id)) {
+      excluded.push({ id: patch.id, reason: 'disabled in user config' });
+    } else {
+      kept.push(patch);
+    }
+  }
+
+  // Per-patch settings: the install-type block overrides individual keys
+  const settings = {};
+  for (const block of [config.settings || {}, typeBlock.settings || {}]) {
+    for (const [id, values] of Object.entries(block)) {
+      settings[id] = { ...settings[id], ...values };
+    }
+  }
+
+  return { patches: kept, excluded, unknown, settings };
+}
+
+module.exports = {
+  USER_CONFIG_PATH,
+  SHIM_MODES,
+  loadUserConfig,
+  applyUserConfig,
+};
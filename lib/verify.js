@@ -0,0 +1,110 @@
+/**
+ * Verify command — check a patched install against the ledger --apply wrote
+ * (lib/ledger.js).
+ *
+ * States, and the exit code --verify gives for them (worst install wins):
+ *   clean     0  no patch marker in the JS
+ *   patched   0  patched as recorded: binary hash, JS hash and patch list all
+ *                match the ledger
+ *   modified  1  patched but modified: marker present, something differs
+ *   unknown   2  no ledger entry for a patched binary, or it can't be read
+ */
+
+const { readPatchMetadata, hashFile } = require('./shared');
+const { isJsonMode, emitJson } = require('./output');
+const { readTargetJs } = require('./patch-runner');
+const { getLedgerEntry, hashBuffer } = require('./ledger');
+
+const STATES = {
+  clean: { label: 'clean', exitCode: 0 },
+  patched: { label: 'patched as recorded', exitCode: 0 },
+  modified: { label: 'patched but modified', exitCode: 1 },
+  unknown: { label: 'unknown state', exitCode: 2 },
+};
+
+// ============ Verification ============
+
+/**
+ * Re-hash the live binary, re-extract its JS and compare both, and the
+ * patch list in the marker, with the ledger.
+ * @param {object} install - Installation info
+ * @returns {{ target: string, path: string, version: string, state: string, patches: string[]|null, reasons: string[] }}
+ */
+function verifyInstall(install) {
+  const report = { target: install.type, path: install.path, version: install.version, state: 'unknown', patches: null, reasons: [] };
+
+  let entry;
+  try {
+    entry = getLedgerEntry(install.path);
+  } catch (err) {
+    report.reasons.push(err.message);
+    return report;
+  }
+
+  let jsHash;
+  let meta;
+  try {
+    const js = readTargetJs(install.path);
+    jsHash = hashBuffer(Buffer.from(js, 'utf8'));
+    meta = readPatchMetadata(js);
+  } catch (err) {
+    report.reasons.push(`extraction failed: ${err.message.split('\n')[0]}`);
+    return report;
+  }
+
+  if (!meta) {
+    report.state = 'clean';
+    if (entry) report.reasons.push('ledger still has an entry from an earlier apply (restored or reinstalled since)');
+    return report;
+  }
+
+  report.patches = meta.patches.map(p => p.id);
+  if (!entry) {
+    report.reasons.push('patch marker present but no ledger entry (patched before the ledger existed, or by another tool)');
+    return report;
+  }
+
+  if (hashFile(install.path) !== entry.binaryHash) {
+    report.reasons.push('binary hash differs from the one recorded at apply');
+  }
+  if (jsHash !== entry.jsHash) {
+    report.reasons.push('JS hash differs from the one recorded at apply');
+  }
+  const recorded = entry.patches.join(',');
+  if (report.patches.join(',') !== recorded) {
+    report.reasons.push(`patch list differs: recorded ${recorded || '(none)'}, marker has ${report.patches.join(',') || '(none)'}`);
+  }
+  report.state = report.reasons.length === 0 ? 'patched' : 'modified';
+  return report;
+}
+
+/**
+ * Verify every given install and print the result.
+ * @param {object[]} targets - Installation info objects
+ * @returns {number} Exit code for the worst state
+ */
+function runVerify(targets) {
+  let exitCode = 0;
+  for (const install of targets) {
+    const report = verifyInstall(install);
+    const state = STATES[report.state];
+    exitCode = Math.max(exitCode, state.exitCode);
+
+    if (isJsonMode) {
+      emitJson({ type: 'verify', ...report, label: state.label });
+      continue;
+    }
+    const mark = state.exitCode === 0 ? '✓' : '✗';
+    console.log(`${mark} ${install.type} ${install.version}: ${state.label}`);
+    console.log(`    Path: ${install.path}`);
+    if (report.patches) console.log(`    Patches: ${report.patches.join(', ') || '(none)'}`);
+    for (const reason of report.reasons) console.log(`    ${reason}`);
+  }
+  return exitCode;
+}
+
+module.exports = {
+  STATES,
+  verifyInstall,
+  runVerify,
+};
@@ -0,0 +1,333 @@
+/**
+ * Watch mode — re-apply patches after Claude Code updates itself.
+ *
+ * --watch keeps an fs.watch on every directory the install detectors name
+ * (lib/detectors/, `watchPaths()`), and after a quiet period re-detects the
+ * installs. A default target (the active native build, the first bare
+ * install) whose JS has no patch marker is new: it gets a --check, and only
+ * when every patch passes with the version's own patch set, an --apply.
+ * Otherwise, or if the strict --apply fails after all, the binary is left
+ * alone and a work order is written for the port.
+ *
+ * Everything that happens is appended to `watch-log.ndjson` in the
+ * workspace, one JSON object per line:
+ *
+ *   {"time":"2026-10-19T10:00:00.000Z","event":"check","target":"native","version":"2.1.223",...}
+ *
+ * Events: start, detected, check, apply, work_order, error, stop.
+ *
+ * --install-watcher writes a systemd user unit that runs --watch.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { spawnSync } = require('child_process');
+
+const { PROJECT_DIR, isPatched } = require('./shared');
+const { isJsonMode, emitJson, log } = require('./output');
+const { applyPatches, readTargetJs, buildSummary } = require('./patch-runner');
+const { detectInstalls, listWatchPaths } = require('./detectors');
+const { selectPatchSet } = require('./all-versions');
+
+const WATCH_LOG_PATH = path.join(PROJECT_DIR, 'watch-log.ndjson');
+const DEBOUNCE_MS = 5000;
+const UNIT_NAME = 'claude-patching-watch.service';
+
+// ============ Log ============
+
+/**
+ * Append one event to the NDJSON log and show it.
+ * @param {string} event
+ * @param {object} fields
+ */
+function record(event, fields = {}) {
+  const entry = { time: new Date().toISOString(), event, ...fields };
+  try {
+    fs.appendFileSync(WATCH_LOG_PATH, JSON.stringify(entry) + '\n');
+  } catch { /* the console line below still shows it */ }
+
+  if (isJsonMode) {
+    emitJson({ type: 'watch', ...entry });
+    return;
+  }
+  const what = fields.target ? `${fields.target} ${fields.version}` : '';
+  const detail = fields.message ? ` — ${fields.message}` : '';
+  log(`[${entry.time}] ${event}${what ? ` ${what}` : ''}${detail}`);
+}
+
+// ============ Work Orders ============
+
+/**
+ * @param {object} install - Installation info
+ * @returns {string}
+ */
+function workOrderPath(install) {
+  return path.join(PROJECT_DIR, `work-order.${install.type}.${install.version}.json`);
+}
+
+/**
+ * Write what a port of this build needs: the failed check, one record per
+ * broken patch (same shape as --port's work order), and the next command.
+ * @returns {string} File written
+ */
+function writeWorkOrder(install, patchSet, check, reason) {
+  const { buildWorkOrders } = require('./port');
+  const filePath = workOrderPath(install);
+  const order = {
+    createdAt: new Date().toISOString(),
+    target: install.type,
+    path: install.path,
+    version: install.version,
+    patchVersion: patchSet.patchVersion,
+    patchSource: patchSet.source,
+    reason,
+    summary: check ? buildSummary(check, check.total) : null,
+    // Broken patches are looked up in the patch set that was checked
+    orders: check ? buildWorkOrders({ ...install, version: patchSet.patchVersion }, check, null) : [],
+    next: `node claude-patching.js --${install.type} --port`,
+  };
+  fs.writeFileSync(filePath, JSON.stringify(order, null, 2) + '\n');
+  return filePath;
+}
+
+// ============ Scan ============
+
+/**
+ * Size and mtime of a target, so a build that already failed isn't checked
+ * again on every event. A reinstall changes both.
+ */
+function fileKey(filePath) {
+  try {
+    const stat = fs.statSync(filePath);
+    return `${filePath}:${stat.size}:${stat.mtimeMs}`;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check and, if clean, apply one target that has no patch marker.
+ * @param {object} install - Installation info
+ * @param {Set<string>} handled - fileKey()s already dealt with this session
+ */
+function processTarget(install, handled) {
+  const key = fileKey(install.path);
+  if (!key || handled.has(key)) return;
+  const fields = { target: install.type, version: install.version, path: install.path };
+
+  let content;
+  try {
+    content = readTargetJs(install.path);
+  } catch (err) {
+    // Mid-update the file can be half-written; the next event retries
+    record('error', { ...fields, message: `unreadable: ${err.message.split('\n')[0]}` });
+    return;
+  }
+  if (isPatched(content)) return;
+
+  handled.add(key);
+  record('detected', { ...fields, message: 'unpatched build' });
+
+  const patchSet = selectPatchSet(install.version, true, null);
+  if (!patchSet.patchVersion) {
+    const file = writeWorkOrder(install, patchSet, null, 'no patch set for this version');
+    record('work_order', { ...fields, message: `no patches for ${install.version}`, file });
+    return;
+  }
+
+  const check = applyPatches(install, true, patchSet.source === 'own' ? null : patchSet.patchVersion, { quiet: true });
+  const summary = buildSummary(check, check.total);
+  record('check', { ...fields, patchVersion: patchSet.patchVersion, patchSource: patchSet.source, ...summary, message: `${check.passed.length}/${check.total} passed with ${patchSet.patchVersion}` });
+
+  // Only a version's own patch set is ever applied (same rule as --apply)
+  if (!check.success || patchSet.source !== 'own') {
+    const reason = !check.success ? 'check failed' : `no patches for ${install.version} (checked with ${patchSet.patchVersion})`;
+    const file = writeWorkOrder(install, patchSet, check, reason);
+    record('work_order', { ...fields, message: `${reason} — binary left alone`, file });
+    return;
+  }
+
+  const result = applyPatches(install, false, null, { quiet: true, strict: true });
+  record('apply', {
+    ...fields,
+    success: result.success,
+    ...buildSummary(result, result.total),
+    message: result.success ? `${result.passed.length} patches applied` : `failed: ${result.error || 'see --check'}`,
+  });
+  if (!result.success) {
+    const file = writeWorkOrder(install, patchSet, result, 'apply failed');
+    record('work_order', { ...fields, message: 'apply failed — binary left alone', file });
+  }
+  handled.add(fileKey(install.path));
+}
+
+/**
+ * One pass: re-detect and process the default targets.
+ * @param {Set<string>} handled
+ * @param {string|null} installType - Only this type (--bare/--native)
+ */
+function scan(handled, installType) {
+  const installs = detectInstalls();
+  const targets = [installs.native, installs.bare]
+    .filter(Boolean)
+    .filter(i => !installType || i.type === installType);
+  for (const install of targets) {
+    try {
+      processTarget(install, handled);
+    } catch (err) {
+      record('error', { target: install.type, version: install.version, path: install.path, message: err.message });
+    }
+  }
+}
+
+// ============ Watch Loop ============
+
+/**
+ * Watch until SIGINT/SIGTERM (or one pass with `once`).
+ * @param {object} [options]
+ * @param {string} [options.installType] - Only watch this install type
+ * @param {boolean} [options.once] - Scan once and return
+ * @param {number} [options.debounceMs] - Quiet period before a scan
+ */
+function runWatch(options = {}) {
+  const installType = options.installType || null;
+  const debounceMs = options.debounceMs ?? DEBOUNCE_MS;
+  const handled = new Set();
+
+  if (options.once) {
+    scan(handled, installType);
+    return;
+  }
+
+  const watchers = new Map();
+  let timer = null;
+  let busy = false;
+  let pending = false;
+
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = setTimeout(runScan, debounceMs);
+  };
+
+  // An update can create the directories we want (first pnpm install, a
+  // new version dir), so the watch list is refreshed after every pass
+  const refreshWatchers = () => {
+    for (const dir of listWatchPaths()) {
+      if (watchers.has(dir)) continue;
+      try {
+        const watcher = fs.watch(dir, schedule);
+        watcher.on('error', () => {
+          watcher.close();
+          watchers.delete(dir);
+        });
+        watchers.set(dir, watcher);
+      } catch { /* gone again; picked up on the next pass */ }
+    }
+  };
+
+  function runScan() {
+    if (busy) {
+      pending = true;
+      return;
+    }
+    busy = true;
+    scan(handled, installType);
+    refreshWatchers();
+    busy = false;
+    if (pending) {
+      pending = false;
+      schedule();
+    }
+  }
+
+  refreshWatchers();
+  record('start', { paths: [...watchers.keys()], log: WATCH_LOG_PATH, message: `watching ${watchers.size} director${watchers.size === 1 ? 'y' : 'ies'}` });
+  runScan();
+
+  const stop = (signal) => {
+    clearTimeout(timer);
+    for (const watcher of watchers.values()) watcher.close();
+    record('stop', { message: signal });
+    process.exit(0);
+  };
+  process.on('SIGINT', () => stop('SIGINT'));
+  process.on('SIGTERM', () => stop('SIGTERM'));
+}
+
+// ============ Watcher Service ============
+
+/**
+ * Write a systemd user unit that runs --watch, and enable it when systemctl
+ * is there. The detectors' environment (custom pnpm/npm/Bun homes) is baked
+ * in, since a user service doesn't see the login shell's.
+ * @param {object} [options]
+ * @param {string} [options.installType] - Passed on as --bare/--native
+ * @returns {{ success: boolean, unitPath: string, enabled: boolean, error?: string }}
+ */
+function installWatcher(options = {}) {
+  const configHome = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  const unitPath = path.join(configHome, 'systemd/user', UNIT_NAME);
+
+  const execArgs = [
+    process.execPath,
+    ...process.execArgv,
+    path.join(PROJECT_DIR, 'claude-patching.js'),
+    ...(options.installType ? [`--${options.installType}`] : []),
+    '--watch',
+  ];
+  const envLines = ['PNPM_HOME', 'NPM_CONFIG_PREFIX', 'BUN_INSTALL', 'XDG_CONFIG_HOME']
+    .filter(name => process.env[name])
+    .map(name => `Environment=${name}=${process.env[name]}`);
+
+  const unit = [
+    '[Unit]',
+    'Description=Re-apply claude-patching patches after Claude Code updates',
+    '',
+    '[Service]',
+    `ExecStart=${execArgs.map(a => (/\s/.test(a) ? `"${a}"` : a)).join(' ')}`,
+    `WorkingDirectory=${PROJECT_DIR}`,
+    ...envLines,
+    'Restart=on-failure',
+    'RestartSec=30',
+    '',
+    '[Install]',
+    'WantedBy=default.target',
+    '',
+  ].join('\n');
+
+  try {
+    fs.mkdirSync(path.dirname(unitPath), { recursive: true });
+    fs.writeFileSync(unitPath, unit);
+  } catch (err) {
+    return { success: false, unitPath, enabled: false, error: `Failed to write ${unitPath}: ${err.message}` };
+  }
+  log(`✓ Wrote ${unitPath}`);
+
+  const systemctl = (...args) => spawnSync('systemctl', ['--user', ...args], { encoding: 'utf8', timeout: 30000 });
+  const reload = systemctl('daemon-reload');
+  const enable = reload.status === 0 ? systemctl('enable', '--now', UNIT_NAME) : reload;
+  const enabled = enable.status === 0;
+
+  if (enabled) {
+    log(`✓ Enabled and started ${UNIT_NAME}`);
+    log(`  Log: ${WATCH_LOG_PATH}`);
+    log(`  Stop: systemctl --user disable --now ${UNIT_NAME}`);
+  } else {
+    const why = enable.error ? enable.error.message : (enable.stderr || '').trim();
+    log(`⚠ Could not enable it through systemctl${why ? ` (${why})` : ''}. Enable it by hand:`);
+    log(`    systemctl --user daemon-reload && systemctl --user enable --now ${UNIT_NAME}`);
+    log(`  Without systemd, start this from your session's autostart instead:`);
+    log(`    ${execArgs.join(' ')}`);
+  }
+  emitJson({ type: 'result', status: 'success', unitPath, enabled });
+  return { success: true, unitPath, enabled };
+}
+
+module.exports = {
+  WATCH_LOG_PATH,
+  workOrderPath,
+  writeWorkOrder,
+  runWatch,
+  installWatcher,
+};
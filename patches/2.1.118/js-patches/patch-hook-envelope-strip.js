@@ -23,52 +23,25 @@
  *   node patch-hook-envelope-strip.js --check <cli.js path>
  */
 
-const fs = require('fs');
-const output = require('../../../lib/output');
-
-const args = process.argv.slice(2);
-const dryRun = args[0] === '--check';
-const targetPath = dryRun ? args[1] : args[0];
-
-if (!targetPath) {
-  output.error('Usage: node patch-hook-envelope-strip.js [--check] <cli.js path>');
-  process.exit(1);
-}
-
-let content;
-try {
-  content = fs.readFileSync(targetPath, 'utf8');
-} catch (err) {
-  output.error(`Failed to read ${targetPath}`, [err.message]);
-  process.exit(1);
-}
-
-// Match the hook_success template literal. Capture the attachment-object var
-// (`H` in current builds) with a backreference to guarantee both ${...}
-// interpolations reference the same identifier.
-const pattern = /`\$\{([$\w]+)\.hookName\} hook success: \$\{\1\.content\}`/;
-
-const match = content.match(pattern);
-
-if (!match) {
-  output.error('Could not find hook_success template literal');
-  process.exit(1);
+const { definePatch } = require('../../../lib/patch-module');
+
+function run(content, ctx) {
+  // Match the hook_success template literal. Capture the attachment-object var
+  // (`H` in current builds) with a backreference to guarantee both ${...}
+  // interpolations reference the same identifier.
+  const pattern = /`\$\{([$\w]+)\.hookName\} hook success: \$\{\1\.content\}`/;
+
+  content = ctx.replaceOnce(content, pattern, (m, v) => {
+    ctx.discovery('hook_success template', m, { 'attachment var': v });
+    return '`${' + v + '.content}`';
+  }, { label: 'hook_success template literal' });
+
+  if (ctx.dryRun) {
+    ctx.result('dry_run', 'hook-envelope-strip: 1/1 patch verified');
+  } else {
+    ctx.result('success', 'hook-envelope-strip: 1/1 patch applied');
+  }
+  return content;
 }
 
-const varName = match[1];
-output.discovery('hook_success template', match[0], { 'attachment var': varName });
-
-content = content.replace(pattern, (_m, v) => '`${' + v + '.content}`');
-
-output.modification(
-  'strip hook envelope',
-  match[0],
-  '`${' + varName + '.content}`'
-);
-
-if (dryRun) {
-  output.result('dry_run', 'hook-envelope-strip: 1/1 patch verified');
-} else {
-  fs.writeFileSync(targetPath, content, 'utf8');
-  output.result('success', 'hook-envelope-strip: 1/1 patch applied');
-}
+module.exports = definePatch(module, { run });
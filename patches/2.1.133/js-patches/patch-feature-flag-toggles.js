@@ -21,80 +21,48 @@
  *   node patch-feature-flag-toggles.js --check <cli.js path>  (dry run)
  */
 
-const fs = require('fs');
-const output = require('../../../lib/output');
+const { definePatch } = require('../../../lib/patch-module');
 
-const args = process.argv.slice(2);
-const dryRun = args[0] === '--check';
-const targetPath = dryRun ? args[1] : args[0];
+function run(content, ctx) {
+  // Flag definitions: name, human label, expected occurrence count (a different
+  // count fails the patch — a new call site may need a different value)
+  // enable: default-off flags to turn on (FN("name",!1) → !0)
+  const enableFlags = [
+    { name: 'tengu_edit_minimalanchor_jrn', label: 'edit minimal anchor',       expected: 1 },
+  ];
 
-if (!targetPath) {
-  output.error('Usage: node patch-feature-flag-toggles.js [--check] <cli.js path>');
-  process.exit(1);
-}
-
-let content;
-try {
-  content = fs.readFileSync(targetPath, 'utf8');
-} catch (err) {
-  output.error(`Failed to read ${targetPath}`, [err.message]);
-  process.exit(1);
-}
-
-// Flag definitions: name, human label, expected occurrence count (advisory)
-// enable: default-off flags to turn on (FN("name",!1) → !0)
-const enableFlags = [
-  { name: 'tengu_edit_minimalanchor_jrn', label: 'edit minimal anchor',       expected: 1 },
-];
-
-let totalPatched = 0;
-const allFlags = [
-  ...enableFlags.map(f => ({ ...f, from: '!1', to: '!0' })),
-];
-
-for (const flag of allFlags) {
-  const pattern = new RegExp(`([$\\w]+)\\("${flag.name}",${flag.from.replace(/!/g, '\\!')}\\)`, 'g');
-  const matches = [...content.matchAll(pattern)];
+  let totalPatched = 0;
+  const allFlags = [
+    ...enableFlags.map(f => ({ ...f, from: '!1', to: '!0' })),
+  ];
 
-  if (matches.length === 0) {
-    output.error(`Could not find feature flag: ${flag.name}`, [
-      `Expected FN("${flag.name}",${flag.from}) pattern`,
-      'This might be an unsupported Claude Code version'
-    ]);
-    process.exit(1);
-  }
-
-  const fnName = matches[0][1];
+  for (const flag of allFlags) {
+    const pattern = new RegExp(`([$\\w]+)\\("${flag.name}",${flag.from.replace(/!/g, '\\!')}\\)`);
+    let fnName = null;
 
-  output.discovery(flag.label, flag.name, {
-    'flag function': fnName,
-    'occurrences': matches.length,
-    'expected': flag.expected
-  });
+    content = ctx.replaceOnce(content, pattern, (m, fn) => {
+      fnName ??= fn;
+      return flag.to;
+    }, {
+      label: `${flag.label} (${flag.name})`,
+      expect: flag.expected,
+      details: [
+        `Expected FN("${flag.name}",${flag.from}) pattern`,
+        'This might be an unsupported Claude Code version'
+      ],
+    });
+    totalPatched += flag.expected;
 
-  if (matches.length !== flag.expected) {
-    output.info(`Note: expected ${flag.expected} occurrences of ${flag.name}, found ${matches.length}`);
+    ctx.discovery(flag.label, flag.name, { 'flag function': fnName });
   }
 
-  content = content.replace(pattern, () => flag.to);
-  totalPatched += matches.length;
-
-  for (const m of matches) {
-    output.modification(`${flag.label} (${flag.name})`, m[0], flag.to);
+  if (ctx.dryRun) {
+    ctx.result('dry_run', `All ${allFlags.length} flags found (${totalPatched} total replacements)`);
+  } else {
+    ctx.result('success', `Toggled ${allFlags.length} feature flags (${totalPatched} replacements)`);
+    ctx.info('Enabled: edit minimal anchor');
   }
+  return content;
 }
 
-if (dryRun) {
-  output.result('dry_run', `All ${allFlags.length} flags found (${totalPatched} total replacements)`);
-  process.exit(0);
-}
-
-try {
-  fs.writeFileSync(targetPath, content);
-  output.result('success', `Toggled ${allFlags.length} feature flags (${totalPatched} replacements) in ${targetPath}`);
-  output.info('Enabled: edit minimal anchor');
-  output.info('Restart Claude Code to apply changes.');
-} catch (err) {
-  output.error('Failed to write patched file', [err.message]);
-  process.exit(1);
-}
+module.exports = definePatch(module, { run });
@@ -46,84 +46,54 @@
  *   node patch-auto-color.js --check <cli.js path>
  */
 
-const fs = require('fs');
-const output = require('../../../lib/output');
-
-const args = process.argv.slice(2);
-const dryRun = args[0] === '--check';
-const targetPath = dryRun ? args[1] : args[0];
-
-if (!targetPath) {
-  output.error('Usage: node patch-auto-color.js [--check] <cli.js path>');
-  process.exit(1);
-}
-
-let content;
-try {
-  content = fs.readFileSync(targetPath, 'utf8');
-} catch (err) {
-  output.error(`Failed to read ${targetPath}`, [err.message]);
-  process.exit(1);
+const { definePatch } = require('../../../lib/patch-module');
+
+function run(content, ctx) {
+  // ── Discovery: palette array via the toThemeColor helper ─────────────────
+  //
+  // function Ou8(H,$="cyan_FOR_SUBAGENTS_ONLY"){return H&&d3.includes(H)?g2[H]:$}
+  // The "cyan_FOR_SUBAGENTS_ONLY" default is a stable string anchor; capture the
+  // palette identifier (group 1).
+
+  const palettePattern = /function [$\w]+\([$\w]+,[$\w]+="cyan_FOR_SUBAGENTS_ONLY"\)\{return [$\w]+&&([$\w]+)\.includes\([$\w]+\)\?[$\w]+\[[$\w]+\]:[$\w]+\}/;
+  const [, paletteVar] = ctx.matchOnce(content, palettePattern, {
+    label: 'toThemeColor helper (palette array source)',
+    details: [
+      'Expected: function Ou8(H,$="cyan_FOR_SUBAGENTS_ONLY"){return H&&d3.includes(H)?g2[H]:$}',
+      'This might be an unsupported Claude Code version'
+    ],
+  });
+  ctx.discovery('palette array', paletteVar);
+
+  // ── Patch: terminal return null of the banner hook (Mu8) ─────────────────
+  //
+  // if(q)return{text:q,bgColor:Ou8(j?.color,"promptBorder")};return null}
+  //   group1 = agent var (q), group2 = toThemeColor helper (Ou8)
+
+  const sitePattern = /(if\([$\w]+\)return\{text:[$\w]+,bgColor:([$\w]+)\([$\w]+\?\.color,"promptBorder"\)\};)return null\}/;
+  const randomPick =
+    `(globalThis.__autoColorBanner||` +
+    `(globalThis.__autoColorBanner=${paletteVar}[Math.floor(Math.random()*${paletteVar}.length)]))`;
+
+  content = ctx.replaceOnce(content, sitePattern, (_m, agentFallback, toThemeColor) => {
+    ctx.discovery('toThemeColor helper', toThemeColor);
+    return `${agentFallback}return{text:"",bgColor:${toThemeColor}(${randomPick})}}`;
+  }, {
+    label: 'banner-hook terminal return (Mu8)',
+    details: [
+      'Expected: if(q)return{text:q,bgColor:Ou8(j?.color,"promptBorder")};return null}',
+      'This might be an unsupported Claude Code version'
+    ],
+  });
+
+  // ── Result ───────────────────────────────────────────────────────────────
+
+  if (ctx.dryRun) {
+    ctx.result('dry_run', 'auto-color: 1/1 patches verified');
+  } else {
+    ctx.result('success', 'auto-color: 1/1 patches applied');
+  }
+  return content;
 }
 
-// ── Discovery: palette array via the toThemeColor helper ─────────────────
-//
-// function Ou8(H,$="cyan_FOR_SUBAGENTS_ONLY"){return H&&d3.includes(H)?g2[H]:$}
-// The "cyan_FOR_SUBAGENTS_ONLY" default is a stable string anchor; capture the
-// palette identifier (group 1).
-
-const palettePattern = /function [$\w]+\([$\w]+,[$\w]+="cyan_FOR_SUBAGENTS_ONLY"\)\{return [$\w]+&&([$\w]+)\.includes\([$\w]+\)\?[$\w]+\[[$\w]+\]:[$\w]+\}/;
-const paletteMatch = content.match(palettePattern);
-
-if (!paletteMatch) {
-  output.error('Could not find toThemeColor helper (palette array source)', [
-    'Expected: function Ou8(H,$="cyan_FOR_SUBAGENTS_ONLY"){return H&&d3.includes(H)?g2[H]:$}',
-    'This might be an unsupported Claude Code version'
-  ]);
-  process.exit(1);
-}
-
-const paletteVar = paletteMatch[1];
-output.discovery('palette array', paletteVar);
-
-// ── Patch: terminal return null of the banner hook (Mu8) ─────────────────
-//
-// if(q)return{text:q,bgColor:Ou8(j?.color,"promptBorder")};return null}
-//   group1 = agent var (q), group2 = toThemeColor helper (Ou8)
-
-const sitePattern = /(if\([$\w]+\)return\{text:[$\w]+,bgColor:([$\w]+)\([$\w]+\?\.color,"promptBorder"\)\};)return null\}/;
-const siteMatch = content.match(sitePattern);
-
-if (!siteMatch) {
-  output.error('Could not find banner-hook terminal return (Mu8)', [
-    'Expected: if(q)return{text:q,bgColor:Ou8(j?.color,"promptBorder")};return null}',
-    'This might be an unsupported Claude Code version'
-  ]);
-  process.exit(1);
-}
-
-const agentFallback = siteMatch[1];
-const toThemeColor = siteMatch[2];
-
-output.discovery('toThemeColor helper', toThemeColor);
-output.discovery('banner anchor', siteMatch[0].slice(0, 80) + '...');
-
-const randomPick =
-  `(globalThis.__autoColorBanner||` +
-  `(globalThis.__autoColorBanner=${paletteVar}[Math.floor(Math.random()*${paletteVar}.length)]))`;
-
-const siteOld = siteMatch[0];
-const siteNew = `${agentFallback}return{text:"",bgColor:${toThemeColor}(${randomPick})}}`;
-
-content = content.replace(siteOld, () => siteNew);
-
-output.modification('Mu8: random color banner for plain sessions', siteOld, siteNew);
-
-// ── Write ────────────────────────────────────────────────────────────────
-
-if (dryRun) {
-  output.result('dry_run', 'auto-color: 1/1 patches verified');
-} else {
-  fs.writeFileSync(targetPath, content, 'utf8');
-  output.result('success', 'auto-color: 1/1 patches applied');
-}
+module.exports = definePatch(module, { run });
@@ -46,89 +46,61 @@
  *   node patch-disable-bundled-skills.js --check <cli.js path>
  */
 
-const fs = require('fs');
-const output = require('../../../lib/output');
-
-const args = process.argv.slice(2);
-const dryRun = args[0] === '--check';
-const targetPath = dryRun ? args[1] : args[0];
-
-if (!targetPath) {
-  output.error('Usage: node patch-disable-bundled-skills.js [--check] <cli.js path>');
-  process.exit(1);
-}
-
-let content;
-try {
-  content = fs.readFileSync(targetPath, 'utf8');
-} catch (err) {
-  output.error(`Failed to read ${targetPath}`, [err.message]);
-  process.exit(1);
-}
-
-// Match the bundled-skill registrar by its unique head: a function whose
-// first statement destructures `files` off the parameter
-//   function Mz(H){let{files:$}=H,...
-// Captures:
-//   $1 = function name (Mz)
-//   $2 = parameter name (H)
-const pattern = /function ([\w$]+)\(([\w$]+)\)\{let\{files:[\w$]+\}=\2,/;
-
-const match = content.match(pattern);
-
-if (!match) {
-  output.error('Could not find bundled-skill registrar (Mz)', [
-    'Expected: function X(H){let{files:$}=H,...',
-    'The skill registration structure may have changed',
-  ]);
-  process.exit(1);
+const { definePatch } = require('../../../lib/patch-module');
+
+function run(content, ctx) {
+  // Match the bundled-skill registrar by its unique head: a function whose
+  // first statement destructures `files` off the parameter
+  //   function Mz(H){let{files:$}=H,...
+  // Captures:
+  //   $1 = function name (Mz)
+  //   $2 = parameter name (H)
+  const pattern = /function ([\w$]+)\(([\w$]+)\)\{let\{files:[\w$]+\}=\2,/;
+
+  const [original, fnName, param] = ctx.matchOnce(content, pattern, {
+    label: 'bundled-skill registrar (Mz)',
+    details: [
+      'Expected: function X(H){let{files:$}=H,...',
+      'The skill registration structure may have changed',
+    ],
+  });
+
+  // Already-patched marker
+  if (content.includes('globalThis.__disabledBundledSkills')) {
+    ctx.result('dry_run', 'bundled-skill registrar already patched with disable list');
+    return content;
+  }
+
+  ctx.discovery('bundled-skill registrar', fnName, {
+    parameter: param,
+    'env var': 'CLAUDE_CODE_DISABLED_BUNDLED_SKILLS',
+    sentinel: '* disables all bundled skills',
+  });
+
+  // Lazy-init the disable set once into globalThis. The sentinel "*" stores
+  // boolean true (disable everything); otherwise a Set of trimmed names. Unset
+  // env yields an empty Set, so the guard never fires.
+  const injection =
+    `if(globalThis.__disabledBundledSkills===void 0){` +
+      `let _e=process.env.CLAUDE_CODE_DISABLED_BUNDLED_SKILLS;` +
+      `globalThis.__disabledBundledSkills=_e?(_e.trim()==="*"?!0:new Set(_e.split(",").map((s)=>s.trim()))):new Set` +
+    `}` +
+    `if(globalThis.__disabledBundledSkills===!0||globalThis.__disabledBundledSkills.has(${param}.name))return;`;
+
+  // Re-emit the matched head with the guard inserted right after `){`.
+  const headEnd = `function ${fnName}(${param}){`;
+  const replacement = headEnd + injection + original.slice(headEnd.length);
+
+  content = ctx.replaceOnce(content, pattern, replacement, { label: 'skill registrar' });
+
+  if (ctx.dryRun) {
+    ctx.result('dry_run', `Bundled-skill registrar found (${fnName}) — ready to patch`);
+  } else {
+    ctx.result('success', `Patched bundled-skill registrar (${fnName})`);
+    ctx.info("Set CLAUDE_CODE_DISABLED_BUNDLED_SKILLS to a comma-separated list of bundled skill names");
+    ctx.info("Use '*' to disable all bundled skills at once");
+  }
+  return content;
 }
 
-const [original, fnName, param] = match;
-
-// Already-patched marker
-if (content.includes('globalThis.__disabledBundledSkills')) {
-  output.result('dry_run', 'bundled-skill registrar already patched with disable list');
-  process.exit(0);
-}
-
-output.discovery('bundled-skill registrar', fnName, {
-  parameter: param,
-  'env var': 'CLAUDE_CODE_DISABLED_BUNDLED_SKILLS',
-  sentinel: '* disables all bundled skills',
-});
-
-// Lazy-init the disable set once into globalThis. The sentinel "*" stores
-// boolean true (disable everything); otherwise a Set of trimmed names. Unset
-// env yields an empty Set, so the guard never fires.
-const injection =
-  `if(globalThis.__disabledBundledSkills===void 0){` +
-    `let _e=process.env.CLAUDE_CODE_DISABLED_BUNDLED_SKILLS;` +
-    `globalThis.__disabledBundledSkills=_e?(_e.trim()==="*"?!0:new Set(_e.split(",").map((s)=>s.trim()))):new Set` +
-  `}` +
-  `if(globalThis.__disabledBundledSkills===!0||globalThis.__disabledBundledSkills.has(${param}.name))return;`;
-
-// Re-emit the matched head with the guard inserted right after `){`.
-const headEnd = `function ${fnName}(${param}){`;
-const replacement = headEnd + injection + original.slice(headEnd.length);
-
-output.modification('skill registrar', original, replacement);
-
-if (dryRun) {
-  output.result('dry_run', `Bundled-skill registrar found (${fnName}) — ready to patch`);
-  process.exit(0);
-}
-
-// Function replacer: minified identifiers and the `{files:$}` destructure
-// contain `$`, which would otherwise be read as replacement patterns.
-content = content.replace(original, () => replacement);
-
-try {
-  fs.writeFileSync(targetPath, content);
-  output.result('success', `Patched bundled-skill registrar (${fnName}) in ${targetPath}`);
-  output.info("Set CLAUDE_CODE_DISABLED_BUNDLED_SKILLS to a comma-separated list of bundled skill names");
-  output.info("Use '*' to disable all bundled skills at once");
-} catch (err) {
-  output.error('Failed to write patched file', [err.message]);
-  process.exit(1);
-}
+module.exports = definePatch(module, { run });
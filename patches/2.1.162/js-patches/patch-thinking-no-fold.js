@@ -47,98 +47,66 @@
  *   node patch-thinking-no-fold.js --check <cli.js path>
  */
 
-const fs = require('fs');
-const output = require('../../../lib/output');
+const { definePatch } = require('../../../lib/patch-module');
 
-const args = process.argv.slice(2);
-const dryRun = args[0] === '--check';
-const targetPath = dryRun ? args[1] : args[0];
+function run(content, ctx) {
+  // Pattern: the loop's standalone-flush idiom immediately preceding the
+  // thinking-fold clause, followed by the clause itself. Anchoring on the
+  // preceding `else if(pred(loopVar))flush(),out.push(loopVar);` lets us capture
+  // the flush helper + output array by name rather than hardcoding them.
+  //
+  // Captures:
+  //   1 predFn      preceding-branch predicate fn  (e.g. nk4)
+  //   2 loopVar     per-message loop var           (e.g. f)
+  //   3 flushFn     group-flush helper             (e.g. z)
+  //   4 outArr      output array                   (e.g. q)
+  //   5 fVar        thinking-extract result var    (e.g. O)
+  //   6 groupVar    accumulating group            (e.g. K)
+  //   7 lastTsVar   previous-timestamp var         (e.g. A)
+  //   8 mVar        delta-ms temp                  (e.g. M)
+  //   9 budgetConst Math.min cap                   (e.g. Yn6)
+  const pattern = new RegExp(
+    'else if\\(([$\\w]+)\\(([$\\w]+)\\)\\)([$\\w]+)\\(\\),([$\\w]+)\\.push\\(\\2\\);' +
+    'else if\\(([$\\w]+)!==void 0\\)\\{' +
+    'if\\(([$\\w]+)\\.latestThinkingSummary=\\5\\.text\\.trim\\(\\)\\.replace\\(\\/\\\\s\\+\\/g," "\\),' +
+    '([$\\w]+)!==void 0\\)\\{' +
+    'let ([$\\w]+)=Date\\.parse\\(\\2\\.timestamp\\)-Date\\.parse\\(\\7\\);' +
+    'if\\(Number\\.isFinite\\(\\8\\)&&\\8>0\\)\\6\\.thoughtForMs\\+=Math\\.min\\(\\8,([$\\w]+)\\)' +
+    '\\}\\6\\.messages\\.push\\(\\5\\.message\\)\\}'
+  );
 
-if (!targetPath) {
-  output.error('Usage: node patch-thinking-no-fold.js [--check] <cli.js path>');
-  process.exit(1);
-}
-
-let content;
-try {
-  content = fs.readFileSync(targetPath, 'utf8');
-} catch (err) {
-  output.error(`Failed to read ${targetPath}`, [err.message]);
-  process.exit(1);
-}
-
-// Pattern: the loop's standalone-flush idiom immediately preceding the
-// thinking-fold clause, followed by the clause itself. Anchoring on the
-// preceding `else if(pred(loopVar))flush(),out.push(loopVar);` lets us capture
-// the flush helper + output array by name rather than hardcoding them.
-//
-// Captures:
-//   1 predFn      preceding-branch predicate fn  (e.g. nk4)
-//   2 loopVar     per-message loop var           (e.g. f)
-//   3 flushFn     group-flush helper             (e.g. z)
-//   4 outArr      output array                   (e.g. q)
-//   5 fVar        thinking-extract result var    (e.g. O)
-//   6 groupVar    accumulating group            (e.g. K)
-//   7 lastTsVar   previous-timestamp var         (e.g. A)
-//   8 mVar        delta-ms temp                  (e.g. M)
-//   9 budgetConst Math.min cap                   (e.g. Yn6)
-const pattern = new RegExp(
-  'else if\\(([$\\w]+)\\(([$\\w]+)\\)\\)([$\\w]+)\\(\\),([$\\w]+)\\.push\\(\\2\\);' +
-  'else if\\(([$\\w]+)!==void 0\\)\\{' +
-  'if\\(([$\\w]+)\\.latestThinkingSummary=\\5\\.text\\.trim\\(\\)\\.replace\\(\\/\\\\s\\+\\/g," "\\),' +
-  '([$\\w]+)!==void 0\\)\\{' +
-  'let ([$\\w]+)=Date\\.parse\\(\\2\\.timestamp\\)-Date\\.parse\\(\\7\\);' +
-  'if\\(Number\\.isFinite\\(\\8\\)&&\\8>0\\)\\6\\.thoughtForMs\\+=Math\\.min\\(\\8,([$\\w]+)\\)' +
-  '\\}\\6\\.messages\\.push\\(\\5\\.message\\)\\}'
-);
-
-const match = content.match(pattern);
-
-if (!match) {
-  output.error('Could not find thinking-fold clause', [
-    'Expected: else if(pred(f))flush(),q.push(f);else if(O!==void 0){if(K.latestThinkingSummary=O.text...){...}K.messages.push(O.message)}',
-    'The transcript grouper may have been restructured',
-  ]);
-  process.exit(1);
-}
-
-const [original, predFn, loopVar, flushFn, outArr, fVar] = match;
-
-// Reproduce the preceding flush idiom verbatim, then replace the thinking
-// clause with the same flush-then-standalone-push pattern the loop already
-// uses for non-grouped messages.
-const replacement =
-  `else if(${predFn}(${loopVar}))${flushFn}(),${outArr}.push(${loopVar});` +
-  `else if(${fVar}!==void 0){${flushFn}(),${outArr}.push(${loopVar})}`;
+  const [original, predFn, loopVar, flushFn, outArr, fVar] = ctx.matchOnce(content, pattern, {
+    label: 'thinking-fold clause',
+    details: [
+      'Expected: else if(pred(f))flush(),q.push(f);else if(O!==void 0){if(K.latestThinkingSummary=O.text...){...}K.messages.push(O.message)}',
+      'The transcript grouper may have been restructured',
+    ],
+  });
 
-output.discovery('thinking-fold clause', original.slice(0, 80) + '...', {
-  'flush helper': `${flushFn}()`,
-  'output array': outArr,
-  'thinking var': fVar,
-  'loop var': loopVar,
-});
+  // Reproduce the preceding flush idiom verbatim, then replace the thinking
+  // clause with the same flush-then-standalone-push pattern the loop already
+  // uses for non-grouped messages.
+  const replacement =
+    `else if(${predFn}(${loopVar}))${flushFn}(),${outArr}.push(${loopVar});` +
+    `else if(${fVar}!==void 0){${flushFn}(),${outArr}.push(${loopVar})}`;
 
-output.modification('replace fold with flush + standalone push',
-  original.slice(0, 80) + '...',
-  replacement,
-);
+  ctx.discovery('thinking-fold clause', original.slice(0, 80) + '...', {
+    'flush helper': `${flushFn}()`,
+    'output array': outArr,
+    'thinking var': fVar,
+    'loop var': loopVar,
+  });
 
-const patched = content.replace(original, replacement);
+  const patched = ctx.replaceOnce(content, pattern, replacement, {
+    label: 'replace fold with flush + standalone push',
+  });
 
-if (patched === content) {
-  output.error('Patch had no effect');
-  process.exit(1);
+  if (ctx.dryRun) {
+    ctx.result('dry_run', 'thinking-no-fold patch ready');
+  } else {
+    ctx.result('success', 'thinking-no-fold applied');
+  }
+  return patched;
 }
 
-if (dryRun) {
-  output.result('dry_run', 'thinking-no-fold patch ready');
-  process.exit(0);
-}
-
-try {
-  fs.writeFileSync(targetPath, patched);
-  output.result('success', `thinking-no-fold applied to ${targetPath}`);
-} catch (err) {
-  output.error('Failed to write patched file', [err.message]);
-  process.exit(1);
-}
+module.exports = definePatch(module, { run });
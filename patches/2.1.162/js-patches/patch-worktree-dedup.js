@@ -48,142 +48,100 @@
  *   node patch-worktree-dedup.js --check <cli.js path>
  */
 
-const fs = require('fs');
-const output = require('../../../lib/output');
-
-const args = process.argv.slice(2);
-const dryRun = args[0] === '--check';
-const targetPath = dryRun ? args[1] : args[0];
-
-if (!targetPath) {
-  output.error('Usage: node patch-worktree-dedup.js [--check] <cli.js path>');
-  process.exit(1);
-}
-
-let content;
-try {
-  content = fs.readFileSync(targetPath, 'utf8');
-} catch (err) {
-  output.error(`Failed to read ${targetPath}`, [err.message]);
-  process.exit(1);
-}
-
-let patchCount = 0;
-
-// ── Site 1: qW return — content-dedup memory files, last-wins ────────────
-//
-// Anchor: end of memoized getMemoryFiles, `}}return q})});function next()`.
-// The q array items have `.content` as a string (set directly when each
-// file is pushed in qW), so we compare against the string directly.
-
-const site1Pattern = /(\}\}return ([$\w]+)\}\)\}\);)(function [$\w]+\(\))/;
-const site1Match = content.match(site1Pattern);
-
-if (!site1Match) {
-  output.error('Could not find session-start return pattern (site 1)');
-  process.exit(1);
-}
-
-const qVar = site1Match[2];
-const nextFn = site1Match[3];
-
-output.discovery('site 1 anchor', site1Match[0].slice(0, 80) + '...');
-output.discovery('memory-files variable', qVar);
-
-const site1Dedup =
-  `(function(_arr){` +
-    `let _s=new Set(),_o=[];` +
-    `for(let _i=_arr.length-1;_i>=0;_i--){` +
-      `let _c=_arr[_i].content;` +
-      `if(typeof _c==="string"){if(_s.has(_c))continue;_s.add(_c)}` +
-      `_o.unshift(_arr[_i])` +
+const { definePatch, PatchError } = require('../../../lib/patch-module');
+
+function run(content, ctx) {
+  let patchCount = 0;
+
+  // ── Site 1: qW return — content-dedup memory files, last-wins ────────────
+  //
+  // Anchor: end of memoized getMemoryFiles, `}}return q})});function next()`.
+  // The q array items have `.content` as a string (set directly when each
+  // file is pushed in qW), so we compare against the string directly.
+
+  const site1Pattern = /(\}\}return ([$\w]+)\}\)\}\);)(function [$\w]+\(\))/;
+  const [, , qVar] = ctx.matchOnce(content, site1Pattern, { label: 'session-start return pattern (site 1)' });
+
+  ctx.discovery('memory-files variable', qVar);
+
+  const site1Dedup =
+    `(function(_arr){` +
+      `let _s=new Set(),_o=[];` +
+      `for(let _i=_arr.length-1;_i>=0;_i--){` +
+        `let _c=_arr[_i].content;` +
+        `if(typeof _c==="string"){if(_s.has(_c))continue;_s.add(_c)}` +
+        `_o.unshift(_arr[_i])` +
+      `}` +
+      `globalThis.__instrContents=_s;` +
+      `return _o` +
+    `})(${qVar})`;
+
+  content = ctx.replaceOnce(content, site1Pattern, (_m, _old, _q, nextFn) => `}}return ${site1Dedup}})});${nextFn}`, {
+    label: 'site 1: qW post-pass content dedup (nearest-wins)',
+  });
+  patchCount++;
+
+  // ── Site 2: uD4 return — content-dedup K, seeded by session-start Set ────
+  //
+  // Anchor: the cwdLevelDirs for-loop body + catch + return at the end of
+  // uD4. Bundle shape (deminified-ish):
+  //
+  //   for(let M of O){
+  //     let j=(await b06(M,H,_)).filter((w)=>!f||w.type!=="Project"&&w.type!=="Local");
+  //     K.push(...Y08(j,$,H))
+  //   }}catch(_){SH(_)}return K}
+  //
+  // The cwdLevelDirs helper (was b06; renamed to aN6 in 2.1.162 when the
+  // uD4 loop split into two helpers) and the wrapper (was Y08, now Jv8) are
+  // captured as identifiers so the pattern adapts to minifier renames.
+  //
+  // K items come from the wrapper with shape `{type:"nested_memory", path, content:z, displayPath}`
+  // where `z` is the file object and `z.content` is the actual content string.
+  // The dedup is injected right before `return K`, after the catch handler.
+
+  const site2Pattern = /for\(let ([$\w]+) of ([$\w]+)\)\{let ([$\w]+)=\(await [$\w]+\(\1,[^)]+\)\)\.filter\([^}]+\);([$\w]+)\.push\(\.\.\.[$\w]+\(\3,[^)]+\)\)\}\}catch\(([$\w]+)\)\{[$\w]+\(\5\)\}return \4\}/;
+  const [site2Old, , , , kVar] = ctx.matchOnce(content, site2Pattern, {
+    label: 'cwdLevelDirs loop + return pattern (site 2)',
+    details: [
+      'Expected: for(let M of Y){let w=(await aN6(M,...)).filter(...);K.push(...Jv8(w,...))}}catch(_){yH(_)}return K}',
+      'This might be an unsupported Claude Code version',
+    ],
+  });
+
+  ctx.discovery('K accumulator', kVar);
+
+  const site2Dedup =
+    `let _seen=new Set(globalThis.__instrContents||[]),_out=[];` +
+    `for(let _i=${kVar}.length-1;_i>=0;_i--){` +
+      `let _c=${kVar}[_i].content&&${kVar}[_i].content.content;` +
+      `if(typeof _c==="string"){if(_seen.has(_c))continue;_seen.add(_c)}` +
+      `_out.unshift(${kVar}[_i])` +
     `}` +
-    `globalThis.__instrContents=_s;` +
-    `return _o` +
-  `})(${qVar})`;
-
-const site1Old = site1Match[1];
-const site1New = `}}return ${site1Dedup}})});`;
-
-content = content.replace(site1Old, site1New);
-patchCount++;
-
-output.modification('site 1: qW post-pass content dedup (nearest-wins)', site1Old, site1New);
-
-// ── Site 2: uD4 return — content-dedup K, seeded by session-start Set ────
-//
-// Anchor: the cwdLevelDirs for-loop body + catch + return at the end of
-// uD4. Bundle shape (deminified-ish):
-//
-//   for(let M of O){
-//     let j=(await b06(M,H,_)).filter((w)=>!f||w.type!=="Project"&&w.type!=="Local");
-//     K.push(...Y08(j,$,H))
-//   }}catch(_){SH(_)}return K}
-//
-// The cwdLevelDirs helper (was b06; renamed to aN6 in 2.1.162 when the
-// uD4 loop split into two helpers) and the wrapper (was Y08, now Jv8) are
-// captured as identifiers so the pattern adapts to minifier renames.
-//
-// K items come from the wrapper with shape `{type:"nested_memory", path, content:z, displayPath}`
-// where `z` is the file object and `z.content` is the actual content string.
-// The dedup is injected right before `return K`, after the catch handler.
-
-const site2Pattern = /for\(let ([$\w]+) of ([$\w]+)\)\{let ([$\w]+)=\(await [$\w]+\(\1,[^)]+\)\)\.filter\([^}]+\);([$\w]+)\.push\(\.\.\.[$\w]+\(\3,[^)]+\)\)\}\}catch\(([$\w]+)\)\{[$\w]+\(\5\)\}return \4\}/;
-const site2Match = content.match(site2Pattern);
-
-if (!site2Match) {
-  output.error('Could not find cwdLevelDirs loop + return pattern (site 2)', [
-    'Expected: for(let M of Y){let w=(await aN6(M,...)).filter(...);K.push(...Jv8(w,...))}}catch(_){yH(_)}return K}',
-    'This might be an unsupported Claude Code version'
-  ]);
-  process.exit(1);
-}
-
-const mVar = site2Match[1];
-const oVar = site2Match[2];
-const jVar = site2Match[3];
-const kVar = site2Match[4];
-const errVar = site2Match[5];
-
-output.discovery('site 2 anchor', site2Match[0].slice(0, 100) + '...');
-output.discovery('K accumulator', kVar);
-
-const site2Dedup =
-  `let _seen=new Set(globalThis.__instrContents||[]),_out=[];` +
-  `for(let _i=${kVar}.length-1;_i>=0;_i--){` +
-    `let _c=${kVar}[_i].content&&${kVar}[_i].content.content;` +
-    `if(typeof _c==="string"){if(_seen.has(_c))continue;_seen.add(_c)}` +
-    `_out.unshift(${kVar}[_i])` +
-  `}` +
-  `${kVar}=_out;`;
-
-const site2Old = site2Match[0];
-const returnTail = `}return ${kVar}}`;
-if (!site2Old.endsWith(returnTail)) {
-  output.error('site 2 match did not end with expected return tail', [returnTail]);
-  process.exit(1);
-}
-const site2New = site2Old.slice(0, -returnTail.length) + `}${site2Dedup}return ${kVar}}`;
-
-content = content.replace(site2Old, site2New);
-patchCount++;
-
-output.modification(
-  'site 2: uD4 post-pass content dedup (nearest-wins)',
-  site2Old.slice(0, 120) + '...',
-  site2New.slice(0, 200) + '...'
-);
-
-// ── Write ────────────────────────────────────────────────────────────────
-
-if (patchCount !== 2) {
-  output.error(`Expected 2 patches, got ${patchCount}`);
-  process.exit(1);
+    `${kVar}=_out;`;
+
+  const returnTail = `}return ${kVar}}`;
+  if (!site2Old.endsWith(returnTail)) {
+    throw new PatchError('site 2 match did not end with expected return tail', [returnTail]);
+  }
+  const site2New = site2Old.slice(0, -returnTail.length) + `}${site2Dedup}return ${kVar}}`;
+
+  content = ctx.replaceOnce(content, site2Pattern, site2New, {
+    label: 'site 2: uD4 post-pass content dedup (nearest-wins)',
+  });
+  patchCount++;
+
+  // ── Result ───────────────────────────────────────────────────────────────
+
+  if (patchCount !== 2) {
+    throw new PatchError(`Expected 2 patches, got ${patchCount}`);
+  }
+
+  if (ctx.dryRun) {
+    ctx.result('dry_run', `worktree-dedup: ${patchCount}/2 patches verified`);
+  } else {
+    ctx.result('success', `worktree-dedup: ${patchCount}/2 patches applied`);
+  }
+  return content;
 }
 
-if (dryRun) {
-  output.result('dry_run', `worktree-dedup: ${patchCount}/2 patches verified`);
-} else {
-  fs.writeFileSync(targetPath, content, 'utf8');
-  output.result('success', `worktree-dedup: ${patchCount}/2 patches applied`);
-}
+module.exports = definePatch(module, { run });
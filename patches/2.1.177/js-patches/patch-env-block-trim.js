@@ -43,139 +43,75 @@
  * a backreference, so no identifier is hardcoded.
  */
 
-const fs = require('fs');
-const output = require('../../../lib/output');
-
-const args = process.argv.slice(2);
-const dryRun = args[0] === '--check';
-const targetPath = dryRun ? args[1] : args[0];
-
-if (!targetPath) {
-  console.error('Usage: node patch-env-block-trim.js [--check] <cli.js path>');
-  process.exit(1);
-}
-
-let content;
-try {
-  content = fs.readFileSync(targetPath, 'utf8');
-} catch (err) {
-  console.error(`Failed to read ${targetPath}:`, err.message);
-  process.exit(1);
-}
-
-let patchedContent = content;
-let patchCount = 0;
-const missed = [];
-
-// ============================================================
-// PATCH 1: Drop Platform + Shell lines
-// ============================================================
-// Matches `Platform: ${h$.platform}`,t5q(), leaving the following
-// `OS Version: ...` element attached to its preceding separator comma.
-
-output.section('Platform + Shell lines', { index: 1 });
-{
-  const platformShellPattern = /`Platform: \$\{([$\w]+)\.platform\}`,([$\w]+)\(\),/g;
-  const matches = [...patchedContent.matchAll(platformShellPattern)];
-
-  if (matches.length > 0) {
-    output.discovery('platform/shell fragment', `${matches.length} site(s)`, {
-      'Platform object var': matches[0][1],
-      'Shell helper fn': matches[0][2],
-      'Sites': matches.length
+const { definePatch } = require('../../../lib/patch-module');
+
+function run(content, ctx) {
+  let patchedContent = content;
+  let patchCount = 0;
+
+  // ============================================================
+  // PATCH 1: Drop Platform + Shell lines
+  // ============================================================
+  // Matches `Platform: ${h$.platform}`,t5q(), leaving the following
+  // `OS Version: ...` element attached to its preceding separator comma.
+
+  ctx.section('Platform + Shell lines', { index: 1 });
+  {
+    const platformShellPattern = /`Platform: \$\{([$\w]+)\.platform\}`,([$\w]+)\(\),/;
+    patchedContent = ctx.replaceOnce(patchedContent, platformShellPattern, '', {
+      label: 'Platform + Shell fragment',
+      expect: 2,
+      details: ['May already be patched or pattern changed'],
     });
-    output.modification('env block', 'Platform: ${...}, Shell: ${$SHELL}', '(removed — OS Version covers platform; Bash tool always runs bash/zsh)');
-
-    patchedContent = patchedContent.replace(platformShellPattern, '');
-    patchCount += matches.length;
-  } else {
-    output.warning('Could not find Platform + Shell fragment', [
-      'May already be patched or pattern changed'
-    ]);
-    missed.push('platform-shell');
+    patchCount += 2;
   }
-}
 
-// ============================================================
-// PATCH 2: Drop IDE-integration filler line
-// ============================================================
-// Removes the string element plus its trailing comma. In both builders the
-// element is followed by `,$?null:<fast mode>`, so the fast-mode element
-// re-binds to the preceding separator cleanly.
-
-output.section('IDE integration line', { index: 2 });
-{
-  const ideLinePattern = /"Claude Code is available as a CLI in the terminal, desktop app \(Mac\/Windows\), web app \(claude\.ai\/code\), and IDE extensions \(VS Code, JetBrains\)\.",/g;
-  const matches = [...patchedContent.matchAll(ideLinePattern)];
-
-  if (matches.length > 0) {
-    output.discovery('IDE filler line', `${matches.length} site(s)`, {
-      'Sites': matches.length
+  // ============================================================
+  // PATCH 2: Drop IDE-integration filler line
+  // ============================================================
+  // Removes the string element plus its trailing comma. In both builders the
+  // element is followed by `,$?null:<fast mode>`, so the fast-mode element
+  // re-binds to the preceding separator cleanly.
+
+  ctx.section('IDE integration line', { index: 2 });
+  {
+    const ideLinePattern = /"Claude Code is available as a CLI in the terminal, desktop app \(Mac\/Windows\), web app \(claude\.ai\/code\), and IDE extensions \(VS Code, JetBrains\)\.",/;
+    patchedContent = ctx.replaceOnce(patchedContent, ideLinePattern, '', {
+      label: 'IDE integration line',
+      expect: 2,
+      details: ['May already be patched or pattern changed'],
     });
-    output.modification('env block', 'Claude Code is available as a CLI ... (VS Code, JetBrains).', '(removed — static filler)');
-
-    patchedContent = patchedContent.replace(ideLinePattern, '');
-    patchCount += matches.length;
-  } else {
-    output.warning('Could not find IDE integration line', [
-      'May already be patched or pattern changed'
-    ]);
-    missed.push('ide-line');
+    patchCount += 2;
   }
-}
-
-// ============================================================
-// PATCH 3: Reword "Assistant knowledge cutoff" → "Your knowledge cutoff"
-// ============================================================
-// Voice coherence with the surrounding second-person env bullets. Matches the
-// phrase plus its trailing `${...}` template token (captured + reused), so all
-// three builder sites are caught regardless of how each opens its template.
-
-output.section('Assistant → Your cutoff reword', { index: 3 });
-{
-  const cutoffPattern = /Assistant knowledge cutoff is (\$\{[$\w]+\}\.)/g;
-  const matches = [...patchedContent.matchAll(cutoffPattern)];
 
-  if (matches.length > 0) {
-    output.discovery('cutoff line', `${matches.length} site(s)`, {
-      'Sites': matches.length
+  // ============================================================
+  // PATCH 3: Reword "Assistant knowledge cutoff" → "Your knowledge cutoff"
+  // ============================================================
+  // Voice coherence with the surrounding second-person env bullets. Matches the
+  // phrase plus its trailing `${...}` template token (captured + reused), so all
+  // three builder sites are caught regardless of how each opens its template.
+
+  ctx.section('Assistant → Your cutoff reword', { index: 3 });
+  {
+    const cutoffPattern = /Assistant knowledge cutoff is (\$\{[$\w]+\}\.)/;
+    patchedContent = ctx.replaceOnce(patchedContent, cutoffPattern, (_m, token) => `Your knowledge cutoff is ${token}`, {
+      label: 'Assistant knowledge cutoff line',
+      expect: 3,
+      details: ['May already be patched or pattern changed'],
     });
-    output.modification('env block', 'Assistant knowledge cutoff is ${X}.', 'Your knowledge cutoff is ${X}.');
-
-    patchedContent = patchedContent.replace(cutoffPattern, 'Your knowledge cutoff is $1');
-    patchCount += matches.length;
-  } else {
-    output.warning('Could not find Assistant knowledge cutoff line', [
-      'May already be patched or pattern changed'
-    ]);
-    missed.push('cutoff-line');
+    patchCount += 3;
   }
-}
 
-// ============================================================
-// Apply changes
-// ============================================================
+  // ============================================================
+  // Result
+  // ============================================================
 
-if (missed.length > 0) {
-  output.result('failure', `Could not find pattern(s) for: ${missed.join(', ')}`);
-  process.exit(1);
-}
-
-if (patchCount === 0) {
-  output.result('failure', 'No patches applied');
-  process.exit(1);
-}
-
-if (dryRun) {
-  output.result('dry_run', `${patchCount} edit(s) would be applied`);
-  process.exit(0);
+  if (ctx.dryRun) {
+    ctx.result('dry_run', `${patchCount} edit(s) would be applied`);
+  } else {
+    ctx.result('success', `Applied ${patchCount} edit(s)`);
+  }
+  return patchedContent;
 }
 
-try {
-  fs.writeFileSync(targetPath, patchedContent);
-  output.result('success', `Applied ${patchCount} edit(s) to ${targetPath}`);
-  output.info('Restart Claude Code to apply changes.');
-} catch (err) {
-  output.error(`Failed to write patched file: ${err.message}`);
-  process.exit(1);
-}
+module.exports = definePatch(module, { run });
@@ -21,172 +21,136 @@
  *   node patch-spinner.js --check <cli.js path>  (dry run)
  */
 
-const fs = require('fs');
-const output = require('../../../lib/output');
+const { definePatch, PatchError } = require('../../../lib/patch-module');
 
 // ============================================================
-// CONFIGURATION - Edit this to customize your spinner
+// CONFIGURATION - defaults; override per machine via the user config
+// `settings.spinner` or `--set spinner.chars=...`
 // ============================================================
 
-const SPINNER_CHARS = ["·","·","✧","✦","✧","·"];
-
-// Animation mode:
-//   false = mirror (default): cycles forward then backward
-//   true  = loop: cycles forward continuously
-const LOOP_MODE = true;
+const config = {
+  chars: {
+    type: 'string[]',
+    default: ["·","·","✧","✦","✧","·"],
+    description: 'Spinner frames, in order',
+  },
+  // Animation mode:
+  //   false = mirror (CC default): cycles forward then backward
+  //   true  = loop: cycles forward continuously
+  loop: {
+    type: 'boolean',
+    default: true,
+    description: 'Loop frames instead of mirroring them',
+  },
+};
 
 // ============================================================
 // PATCH IMPLEMENTATION
 // ============================================================
 
-const args = process.argv.slice(2);
-const dryRun = args[0] === '--check';
-const targetPath = dryRun ? args[1] : args[0];
-
-if (!targetPath) {
-  output.error('Usage: node patch-spinner.js [--check] <cli.js path>');
-  process.exit(1);
-}
-
-let content;
-try {
-  content = fs.readFileSync(targetPath, 'utf8');
-} catch (err) {
-  output.error(`Failed to read ${targetPath}`, [err.message]);
-  process.exit(1);
-}
+function run(content, ctx) {
+  const { chars: SPINNER_CHARS, loop: LOOP_MODE } = ctx.config;
+
+  // Pattern for 2.1.92+ memoized spinner function:
+  // Native: VAR=MEMO(()=>{if(ghostty)return[...];return[...]},()=>process.env.TERM)
+  // Bare:   VAR=MEMO(()=>{if(ghostty)return[...];return process.platform==="darwin"?[...]:[...]},()=>process.env.TERM)
+  // The darwin three-way is optional. MEMO is captured as group 2.
+  const memoizedPattern = /([$\w]+)=([$\w]+)\(\(\)=>\{if\(process\.env\.TERM==="xterm-ghostty"\)return\["[^"]*(?:","[^"]*)*"\];return ?(?:process\.platform==="darwin"\?\["[^"]*(?:","[^"]*)*"\]:)?\["[^"]*(?:","[^"]*)*"\]\},\(\)=>process\.env\.TERM\)/;
+
+  // Pattern for already-patched (simple assignment):
+  // VAR=MEMO(()=>{return[...]},()=>process.env.TERM)
+  const patchedPattern = /([$\w]+)=([$\w]+)\(\(\)=>\{return(\["[^"]*(?:","[^"]*)*"\])\},\(\)=>process\.env\.TERM\)/;
+
+  // Either form may be absent, but neither may appear twice
+  const probe = { expect: { min: 0, max: 1 } };
+  let pattern = memoizedPattern;
+  let match = ctx.matchOnce(content, memoizedPattern, { ...probe, label: 'spinner function' });
+  let isRepatch = false;
+  let currentChars = null;
+
+  if (!match) {
+    // Try already-patched form
+    pattern = patchedPattern;
+    match = ctx.matchOnce(content, patchedPattern, { ...probe, label: 'patched spinner function' });
+    if (match) {
+      isRepatch = true;
+      try { currentChars = JSON.parse(match[3]); } catch {}
+    }
+  }
 
-// Pattern for 2.1.92+ memoized spinner function:
-// Native: VAR=MEMO(()=>{if(ghostty)return[...];return[...]},()=>process.env.TERM)
-// Bare:   VAR=MEMO(()=>{if(ghostty)return[...];return process.platform==="darwin"?[...]:[...]},()=>process.env.TERM)
-// The darwin three-way is optional. MEMO is captured as group 2.
-const memoizedPattern = /([$\w]+)=([$\w]+)\(\(\)=>\{if\(process\.env\.TERM==="xterm-ghostty"\)return\["[^"]*(?:","[^"]*)*"\];return ?(?:process\.platform==="darwin"\?\["[^"]*(?:","[^"]*)*"\]:)?\["[^"]*(?:","[^"]*)*"\]\},\(\)=>process\.env\.TERM\)/;
-
-// Pattern for already-patched (simple assignment):
-// VAR=MEMO(()=>{return[...]},()=>process.env.TERM)
-const patchedPattern = /([$\w]+)=([$\w]+)\(\(\)=>\{return(\["[^"]*(?:","[^"]*)*"\])\},\(\)=>process\.env\.TERM\)/;
-
-let match = content.match(memoizedPattern);
-let isRepatch = false;
-let currentChars = null;
-let memoName = null;
-
-if (!match) {
-  // Try already-patched form
-  match = content.match(patchedPattern);
-  if (match) {
-    isRepatch = true;
-    memoName = match[2];
-    try { currentChars = JSON.parse(match[3]); } catch {}
+  // Fallback: try the old standalone function pattern (pre-2.1.92)
+  if (!match) {
+    const standalonePattern = /function ([$\w]+)\(\)\{if\(process\.env\.TERM==="xterm-ghostty"\)return\["[^"]+(?:","[^"]+)*"\];return\["[^"]+(?:","[^"]+)*"\]\}/;
+    match = content.match(standalonePattern);
+    if (match) {
+      // Old format — delegate to the 2.1.19 patch
+      throw new PatchError('Found old-style spinner function (pre-2.1.92)', [
+        'Use 2.1.19/patch-spinner.js for this version'
+      ]);
+    }
   }
-}
-if (match && !memoName) {
-  memoName = match[2];
-}
 
-// Fallback: try the old standalone function pattern (pre-2.1.92)
-if (!match) {
-  const standalonePattern = /function ([$\w]+)\(\)\{if\(process\.env\.TERM==="xterm-ghostty"\)return\["[^"]+(?:","[^"]+)*"\];return\["[^"]+(?:","[^"]+)*"\]\}/;
-  match = content.match(standalonePattern);
-  if (match) {
-    // Old format — delegate to the 2.1.19 patch
-    output.error('Found old-style spinner function (pre-2.1.92)', [
-      'Use 2.1.19/patch-spinner.js for this version'
+  if (!match) {
+    throw new PatchError('Could not find spinner function pattern', [
+      'Expected: VAR=MEMO(()=>{if(process.env.TERM==="xterm-ghostty")return[...];return[...]},()=>process.env.TERM)',
+      'This might be an unsupported Claude Code version'
     ]);
-    process.exit(1);
   }
-}
 
-if (!match) {
-  output.error('Could not find spinner function pattern', [
-    'Expected: VAR=MEMO(()=>{if(process.env.TERM==="xterm-ghostty")return[...];return[...]},()=>process.env.TERM)',
-    'This might be an unsupported Claude Code version'
-  ]);
-  process.exit(1);
-}
-
-const varName = match[1];
+  const [, varName, memoName] = match;
 
-if (isRepatch) {
-  output.discovery('spinner function', varName, { 'Status': 'already patched', 'Current chars': currentChars?.join(' ') || 'unknown' });
-} else {
-  output.discovery('spinner function', varName, { 'Status': 'original' });
-  output.info(`Original: ${match[0].slice(0, 120)}...`);
-}
-
-// Build replacement — keep the memoizer wrapper but simplify the body.
-//
-// 2.1.186 encoding fix: emit each frame char as a JS escape sequence
-// (\xNN / \uNNNN) rather than a literal UTF-8 char. The stock spinner used
-// escapes ("\xB7","✳",...) for exactly this reason — a render path in
-// 2.1.186 reads the embedded module source as single-byte, so a literal
-// multi-byte char like "·" (U+00B7 = C2 B7) renders as mojibake "Â·" and
-// "✧" (U+2727 = E2 9C A7) as "â§". Pure-ASCII escapes decode to the right
-// code point regardless of how the source bytes are read.
-const escapeChar = (ch) =>
-  Array.from(ch)
-    .map((cp) => {
-      const code = cp.codePointAt(0);
-      if (code <= 0x7f) return cp; // plain ASCII stays literal
-      if (code <= 0xff) return '\\x' + code.toString(16).toUpperCase().padStart(2, '0');
-      return '\\u' + code.toString(16).toUpperCase().padStart(4, '0');
-    })
-    .join('');
-const charsArrayLit = '[' + SPINNER_CHARS.map((c) => '"' + escapeChar(c) + '"').join(',') + ']';
-const replacement = `${varName}=${memoName}(()=>{return${charsArrayLit}},()=>process.env.TERM)`;
-
-output.modification('spinner chars', match[0].slice(0, 120) + '...', replacement);
-output.info(`Spinner sequence: ${SPINNER_CHARS.join(' ')}`);
-
-// Find mirror array constructions: VAR1=SPINNERFUNC(),VAR2=[...VAR1,...[...VAR1].reverse()]
-let mirrorMatches = [];
-if (LOOP_MODE && !isRepatch) {
-  const escapedVar = varName.replace(/\$/g, '\\$');
-  const mirrorPattern = new RegExp(
-    `([$\\w]+)=${escapedVar}\\(\\),([$\\w]+)=\\[\\.\\.\\.\\1,\\.\\.\\.\\[\\.\\.\\.\\1\\]\\.reverse\\(\\)\\]`,
-    'g'
-  );
-
-  let m;
-  while ((m = mirrorPattern.exec(content)) !== null) {
-    mirrorMatches.push({
-      full: m[0],
-      baseVar: m[1],
-      arrayVar: m[2]
-    });
+  if (isRepatch) {
+    ctx.discovery('spinner function', varName, { 'Status': 'already patched', 'Current chars': currentChars?.join(' ') || 'unknown' });
+  } else {
+    ctx.discovery('spinner function', varName, { 'Status': 'original' });
+    ctx.info(`Original: ${match[0].slice(0, 120)}...`);
   }
 
-  if (mirrorMatches.length > 0) {
-    output.discovery('mirror patterns', `${mirrorMatches.length} found`);
-    for (let i = 0; i < mirrorMatches.length; i++) {
-      const mm = mirrorMatches[i];
-      const before = `${mm.baseVar}=${varName}(),${mm.arrayVar}=[...${mm.baseVar},...[...${mm.baseVar}].reverse()]`;
-      const after = `${mm.baseVar}=${varName}(),${mm.arrayVar}=[...${mm.baseVar}]`;
-      output.modification(`mirror ${i}`, before, after);
-    }
+  // Build replacement — keep the memoizer wrapper but simplify the body.
+  //
+  // 2.1.186 encoding fix: emit each frame char as a JS escape sequence
+  // (\xNN / \uNNNN) rather than a literal UTF-8 char. The stock spinner used
+  // escapes ("\xB7","✳",...) for exactly this reason — a render path in
+  // 2.1.186 reads the embedded module source as single-byte, so a literal
+  // multi-byte char like "·" (U+00B7 = C2 B7) renders as mojibake "Â·" and
+  // "✧" (U+2727 = E2 9C A7) as "â§". Pure-ASCII escapes decode to the right
+  // code point regardless of how the source bytes are read.
+  const escapeChar = (ch) =>
+    Array.from(ch)
+      .map((cp) => {
+        const code = cp.codePointAt(0);
+        if (code <= 0x7f) return cp; // plain ASCII stays literal
+        if (code <= 0xff) return '\\x' + code.toString(16).toUpperCase().padStart(2, '0');
+        return '\\u' + code.toString(16).toUpperCase().padStart(4, '0');
+      })
+      .join('');
+  const charsArrayLit = '[' + SPINNER_CHARS.map((c) => '"' + escapeChar(c) + '"').join(',') + ']';
+  const replacement = `${varName}=${memoName}(()=>{return${charsArrayLit}},()=>process.env.TERM)`;
+
+  let patchedContent = ctx.replaceOnce(content, pattern, replacement, { label: 'spinner chars' });
+  ctx.info(`Spinner sequence: ${SPINNER_CHARS.join(' ')}`);
+
+  // Drop mirror array constructions: VAR1=SPINNERFUNC(),VAR2=[...VAR1,...[...VAR1].reverse()]
+  if (LOOP_MODE && !isRepatch) {
+    const escapedVar = varName.replace(/\$/g, '\\$');
+    const mirrorPattern = new RegExp(
+      `([$\\w]+)=${escapedVar}\\(\\),([$\\w]+)=\\[\\.\\.\\.\\1,\\.\\.\\.\\[\\.\\.\\.\\1\\]\\.reverse\\(\\)\\]`
+    );
+
+    patchedContent = ctx.replaceOnce(
+      patchedContent,
+      mirrorPattern,
+      (_m, baseVar, arrayVar) => `${baseVar}=${varName}(),${arrayVar}=[...${baseVar}]`,
+      { label: 'mirror patterns', expect: { min: 0 } }
+    );
   }
-}
-
-if (dryRun) {
-  output.result('dry_run', 'Patch point found');
-  process.exit(0);
-}
 
-// Apply patches
-let patchedContent = content.replace(match[0], replacement);
-
-if (LOOP_MODE) {
-  for (const mm of mirrorMatches) {
-    const loopReplacement = `${mm.baseVar}=${varName}(),${mm.arrayVar}=[...${mm.baseVar}]`;
-    patchedContent = patchedContent.replace(mm.full, loopReplacement);
+  if (ctx.dryRun) {
+    ctx.result('dry_run', 'Patch point found');
+  } else {
+    ctx.result('success', 'Patched');
   }
+  return patchedContent;
 }
 
-try {
-  fs.writeFileSync(targetPath, patchedContent);
-  output.result('success', `Patched ${targetPath}`);
-  output.info('Restart Claude Code to see the new spinner.');
-} catch (err) {
-  output.error('Failed to write patched file', [err.message]);
-  process.exit(1);
-}
+module.exports = definePatch(module, { config, run });
@@ -41,312 +41,283 @@
  *   node patch-code-blocks.js --check <cli.js path>
  */
 
-const fs = require('fs');
-const output = require('../../../lib/output');
+const { definePatch, PatchError } = require('../../../lib/patch-module');
 
-const args = process.argv.slice(2);
-const dryRun = args[0] === '--check';
-const targetPath = dryRun ? args[1] : args[0];
+function run(content, ctx) {
+  // ============================================================
+  // Step 1: Discover hljs accessor (unchanged from 2.1.123)
+  // ============================================================
 
-if (!targetPath) {
-  output.error('Usage: node patch-code-blocks.js [--check] <cli.js path>');
-  process.exit(1);
-}
-
-let content;
-try {
-  content = fs.readFileSync(targetPath, 'utf8');
-} catch (err) {
-  output.error(`Failed to read ${targetPath}`, [err.message]);
-  process.exit(1);
-}
+  let hljsMode;
+  let syncGetter;
+  let cacherFn;
+  let hljsHighlight, hljsSupports;
 
-// ============================================================
-// Step 1: Discover hljs accessor (unchanged from 2.1.123)
-// ============================================================
-
-let hljsMode;
-let syncGetter;
-let cacherFn;
-let hljsHighlight, hljsSupports;
-
-const syncAnchorPattern = /syntaxHighlightingDisabled\?null:([$\w]+)\(\)/;
-const syncAnchorMatch = content.match(syncAnchorPattern);
-if (syncAnchorMatch) {
-  const candidateFn = syncAnchorMatch[1];
-  const getterDecl = new RegExp(`function ${candidateFn}\\(\\)\\{return ([$\\w]+)\\}`);
-  const getterMatch = content.match(getterDecl);
-  if (getterMatch) {
-    const moduleVar = getterMatch[1];
-    const escapedModuleVar = moduleVar.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    const assignPattern = new RegExp(`${escapedModuleVar}\\s*=\\s*\\{[^}]*highlight:[^}]*supportsLanguage:[^}]*\\}`);
-    if (assignPattern.test(content)) {
-      syncGetter = candidateFn;
-      hljsMode = 'sync';
-      output.discovery('hljs sync getter', syncGetter, {
-        'module var': moduleVar,
-        'anchor': 'syntaxHighlightingDisabled?null:' + syncGetter + '()',
-      });
+  const syncAnchorPattern = /syntaxHighlightingDisabled\?null:([$\w]+)\(\)/;
+  const syncAnchorMatch = ctx.matchOnce(content, syncAnchorPattern, {
+    label: 'hljs sync anchor',
+    expect: { min: 0, max: 1 },
+  });
+  if (syncAnchorMatch) {
+    const candidateFn = syncAnchorMatch[1];
+    const getterDecl = new RegExp(`function ${candidateFn}\\(\\)\\{return ([$\\w]+)\\}`);
+    const getterMatch = ctx.matchOnce(content, getterDecl, {
+      label: 'hljs getter declaration',
+      expect: { min: 0, max: 1 },
+    });
+    if (getterMatch) {
+      const moduleVar = getterMatch[1];
+      const escapedModuleVar = moduleVar.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const assignPattern = new RegExp(`${escapedModuleVar}\\s*=\\s*\\{[^}]*highlight:[^}]*supportsLanguage:[^}]*\\}`);
+      if (assignPattern.test(content)) {
+        syncGetter = candidateFn;
+        hljsMode = 'sync';
+        ctx.discovery('hljs sync getter', syncGetter, {
+          'module var': moduleVar,
+          'anchor': 'syntaxHighlightingDisabled?null:' + syncGetter + '()',
+        });
+      }
     }
   }
-}
 
-if (!hljsMode) {
-  const cacherPattern = /function ([$\w]+)\(\)\{return ([$\w]+)\?\?=([^,{}]+),\2\}/g;
-  for (const m of content.matchAll(cacherPattern)) {
-    const idx = m.index;
-    const context = content.slice(Math.max(0, idx - 1500), idx + m[0].length + 1500);
-    if (context.includes('highlight') && context.includes('supportsLanguage')) {
-      cacherFn = m[1];
-      hljsMode = 'cacher';
-      output.discovery('hljs cacher function', cacherFn, {
-        'cache var': m[2],
-        'resolver expr': m[3],
-      });
-      break;
+  if (!hljsMode) {
+    const cacherPattern = /function ([$\w]+)\(\)\{return ([$\w]+)\?\?=([^,{}]+),\2\}/g;
+    for (const m of content.matchAll(cacherPattern)) {
+      const idx = m.index;
+      const context = content.slice(Math.max(0, idx - 1500), idx + m[0].length + 1500);
+      if (context.includes('highlight') && context.includes('supportsLanguage')) {
+        cacherFn = m[1];
+        hljsMode = 'cacher';
+        ctx.discovery('hljs cacher function', cacherFn, {
+          'cache var': m[2],
+          'resolver expr': m[3],
+        });
+        break;
+      }
     }
   }
-}
 
-if (!hljsMode) {
-  const legacyPattern = /([$\w]+)=([$\w]+)\.highlight,([$\w]+)=\2\.supportsLanguage/;
-  const legacyMatch = content.match(legacyPattern);
-  if (legacyMatch) {
-    hljsHighlight = legacyMatch[1];
-    hljsSupports = legacyMatch[3];
-    hljsMode = 'legacy';
-    output.discovery('hljs variables (legacy)', `highlight=${hljsHighlight}, supportsLanguage=${hljsSupports}`);
+  if (!hljsMode) {
+    const legacyPattern = /([$\w]+)=([$\w]+)\.highlight,([$\w]+)=\2\.supportsLanguage/;
+    const legacyMatch = ctx.matchOnce(content, legacyPattern, {
+      label: 'hljs variables (legacy)',
+      expect: { min: 0, max: 1 },
+    });
+    if (legacyMatch) {
+      hljsHighlight = legacyMatch[1];
+      hljsSupports = legacyMatch[3];
+      hljsMode = 'legacy';
+      ctx.discovery('hljs variables (legacy)', `highlight=${hljsHighlight}, supportsLanguage=${hljsSupports}`);
+    }
   }
-}
-
-if (!hljsMode) {
-  output.error('Could not find hljs assignment pattern', [
-    'Expected (2.1.113+): syntaxHighlightingDisabled?null:GETTER() with function GETTER(){return VAR}',
-    'Expected (2.1.78+):  function X(){return Y??=Z,Y} near highlight/supportsLanguage',
-    'Expected (legacy):   VAR1 = H.highlight, VAR2 = H.supportsLanguage',
-    'The hljs import structure may have changed',
-  ]);
-  process.exit(1);
-}
-
-// ============================================================
-// Step 2: Discover the ANSI text component (unchanged)
-// ============================================================
 
-// 2.1.153: the hook call moved from `HOOK(12)` to `HOOK.c(N)` (React Compiler
-// memo-cache hook), and the destructure gained an extra `italic` field after
-// dimColor — tolerate any additional fields up to the closing brace.
-const ansiCompPattern = new RegExp(
-  '([$\\w]+)=([$\\w]+)(?:\\.default)?\\.memo\\(function\\(([$\\w]+)\\)\\{' +
-  'let ([$\\w]+)=[$\\w]+(?:\\.[$\\w]+)?\\(\\d+\\),' +
-  '\\{children:([$\\w]+),dimColor:([$\\w]+)(?:,[$\\w]+:[$\\w]+)*\\}=\\3;'
-);
-
-const ansiCompMatch = content.match(ansiCompPattern);
+  if (!hljsMode) {
+    throw new PatchError('Could not find hljs assignment pattern', [
+      'Expected (2.1.113+): syntaxHighlightingDisabled?null:GETTER() with function GETTER(){return VAR}',
+      'Expected (2.1.78+):  function X(){return Y??=Z,Y} near highlight/supportsLanguage',
+      'Expected (legacy):   VAR1 = H.highlight, VAR2 = H.supportsLanguage',
+      'The hljs import structure may have changed',
+    ]);
+  }
 
-if (!ansiCompMatch) {
-  output.error('Could not find ANSI text component pattern', [
-    'Expected: VAR = REACT[.default].memo(function(P){ let C = HOOK(12), {children:X, dimColor:Y} = P; ...',
-    'The ANSI text component structure may have changed',
-  ]);
-  process.exit(1);
-}
+  // ============================================================
+  // Step 2: Discover the ANSI text component (unchanged)
+  // ============================================================
 
-const [, ansiComp] = ansiCompMatch;
-output.discovery('ANSI text component', ansiComp);
+  // 2.1.153: the hook call moved from `HOOK(12)` to `HOOK.c(N)` (React Compiler
+  // memo-cache hook), and the destructure gained an extra `italic` field after
+  // dimColor — tolerate any additional fields up to the closing brace.
+  const ansiCompPattern = new RegExp(
+    '([$\\w]+)=([$\\w]+)(?:\\.default)?\\.memo\\(function\\(([$\\w]+)\\)\\{' +
+    'let ([$\\w]+)=[$\\w]+(?:\\.[$\\w]+)?\\(\\d+\\),' +
+    '\\{children:([$\\w]+),dimColor:([$\\w]+)(?:,[$\\w]+:[$\\w]+)*\\}=\\3;'
+  );
 
-// ============================================================
-// Step 3: Patch the user message wrapper (2.1.139 memo-cache form)
-//
-// We match one large span: from the guard through `return G_VAR}` (end of
-// the function body). All `$[N]` slot numbers are matched as digits since
-// the bundler assigns them deterministically but the absolute slot index
-// depends on what precedes — we don't care about the numbers, only the
-// shape.
-// ============================================================
+  const [, ansiComp] = ctx.matchOnce(content, ansiCompPattern, {
+    label: 'ANSI text component pattern',
+    details: [
+      'Expected: VAR = REACT[.default].memo(function(P){ let C = HOOK(12), {children:X, dimColor:Y} = P; ...',
+      'The ANSI text component structure may have changed',
+    ],
+  });
+  ctx.discovery('ANSI text component', ansiComp);
 
-// 2.1.209 (hljs 11 render rework): the wrapper reshaped again. The guard's
-// return is now brace-wrapped — `if(!GUARD){return ERR(Error("...")),null}` —
-// the scalar props line switched `let`→`const` and dropped its trailing W_VAR
-// declaration, and W_VAR is now declared separately as `let W;` at the head of
-// the vyf memo block. The text-source `let X=Y;` still precedes the guard and
-// is left untouched (the match begins at the guard). Group numbering is
-// unchanged from the 2.1.186 form.
-const wrapperPattern = new RegExp(
-  // Guard line (brace-wrapped): if(!GUARD){return ERR(Error("...")),null}
-  'if\\(!([$\\w]+)\\)\\{return ([$\\w]+)\\(Error\\("No content found in user prompt message"\\)\\),null\\}' +
-  // const MARG=MARGSRC?1:0,BG=BRIEF?void 0:"userMessageBackground",PAD=BRIEF?0:1,TS=BRIEF?TSVAR:void 0;
-  'const ([$\\w]+)=([$\\w]+)\\?1:0,' +
-    '([$\\w]+)=([$\\w]+)\\?void 0:"userMessageBackground",' +
-    '([$\\w]+)=\\6\\?0:1,' +
-    '([$\\w]+)=\\6\\?([$\\w]+):void 0;' +
-  // Groups so far: 1=guard, 2=err, 3=marg, 4=margSrc, 5=bg, 6=brief,
-  //                7=pad, 8=ts, 9=tsSrc.
-  // let W_VAR;if(t[N]!==X||t[N]!==TS||t[N]!==BRIEF) W_VAR=RUNTIME.jsx(VYF,{text:X,useBriefLayout:BRIEF,timestamp:TS}),t[N]=X,t[N]=TS,t[N]=BRIEF,t[N]=W_VAR;else W_VAR=t[N];
-  // New groups: 10=wVar, 11=textSrc(X), 12=runtime, 13=vyf.
-  'let ([$\\w]+);' +
-  'if\\([$\\w]+\\[\\d+\\]!==([$\\w]+)\\|\\|[$\\w]+\\[\\d+\\]!==\\8\\|\\|[$\\w]+\\[\\d+\\]!==\\6\\)' +
-    '\\10=([$\\w]+)\\.jsx\\(([$\\w]+),\\{' +
-      'text:\\11,useBriefLayout:\\6,timestamp:\\8' +
-    '\\}\\),[$\\w]+\\[\\d+\\]=\\11,[$\\w]+\\[\\d+\\]=\\8,[$\\w]+\\[\\d+\\]=\\6,[$\\w]+\\[\\d+\\]=\\10;' +
-  'else \\10=[$\\w]+\\[\\d+\\];' +
-  // let G_VAR;if(t[N]!==MARG||t[N]!==BG||t[N]!==PAD||t[N]!==W_VAR) G_VAR=RUNTIME.jsx(BOX,{flexDirection:"column",marginTop:MARG,backgroundColor:BG,paddingRight:PAD,children:W_VAR}),...;else G_VAR=t[N];return G_VAR}
-  // New groups: 14=gVar, 15=box.
-  'let ([$\\w]+);' +
-  'if\\([$\\w]+\\[\\d+\\]!==\\3\\|\\|[$\\w]+\\[\\d+\\]!==\\5\\|\\|[$\\w]+\\[\\d+\\]!==\\7\\|\\|[$\\w]+\\[\\d+\\]!==\\10\\)' +
-    '\\14=\\12\\.jsx\\(([$\\w]+),\\{' +
-      'flexDirection:"column",marginTop:\\3,backgroundColor:\\5,paddingRight:\\7,children:\\10' +
-    '\\}\\),[$\\w]+\\[\\d+\\]=\\3,[$\\w]+\\[\\d+\\]=\\5,[$\\w]+\\[\\d+\\]=\\7,[$\\w]+\\[\\d+\\]=\\10,[$\\w]+\\[\\d+\\]=\\14;' +
-  'else \\14=[$\\w]+\\[\\d+\\];' +
-  'return \\14\\}'
-);
+  // ============================================================
+  // Step 3: Patch the user message wrapper (2.1.139 memo-cache form)
+  //
+  // We match one large span: from the guard through `return G_VAR}` (end of
+  // the function body). All `$[N]` slot numbers are matched as digits since
+  // the bundler assigns them deterministically but the absolute slot index
+  // depends on what precedes — we don't care about the numbers, only the
+  // shape.
+  // ============================================================
 
-const wrapperMatch = content.match(wrapperPattern);
+  // 2.1.209 (hljs 11 render rework): the wrapper reshaped again. The guard's
+  // return is now brace-wrapped — `if(!GUARD){return ERR(Error("...")),null}` —
+  // the scalar props line switched `let`→`const` and dropped its trailing W_VAR
+  // declaration, and W_VAR is now declared separately as `let W;` at the head of
+  // the vyf memo block. The text-source `let X=Y;` still precedes the guard and
+  // is left untouched (the match begins at the guard). Group numbering is
+  // unchanged from the 2.1.186 form.
+  const wrapperPattern = new RegExp(
+    // Guard line (brace-wrapped): if(!GUARD){return ERR(Error("...")),null}
+    'if\\(!([$\\w]+)\\)\\{return ([$\\w]+)\\(Error\\("No content found in user prompt message"\\)\\),null\\}' +
+    // const MARG=MARGSRC?1:0,BG=BRIEF?void 0:"userMessageBackground",PAD=BRIEF?0:1,TS=BRIEF?TSVAR:void 0;
+    'const ([$\\w]+)=([$\\w]+)\\?1:0,' +
+      '([$\\w]+)=([$\\w]+)\\?void 0:"userMessageBackground",' +
+      '([$\\w]+)=\\6\\?0:1,' +
+      '([$\\w]+)=\\6\\?([$\\w]+):void 0;' +
+    // Groups so far: 1=guard, 2=err, 3=marg, 4=margSrc, 5=bg, 6=brief,
+    //                7=pad, 8=ts, 9=tsSrc.
+    // let W_VAR;if(t[N]!==X||t[N]!==TS||t[N]!==BRIEF) W_VAR=RUNTIME.jsx(VYF,{text:X,useBriefLayout:BRIEF,timestamp:TS}),t[N]=X,t[N]=TS,t[N]=BRIEF,t[N]=W_VAR;else W_VAR=t[N];
+    // New groups: 10=wVar, 11=textSrc(X), 12=runtime, 13=vyf.
+    'let ([$\\w]+);' +
+    'if\\([$\\w]+\\[\\d+\\]!==([$\\w]+)\\|\\|[$\\w]+\\[\\d+\\]!==\\8\\|\\|[$\\w]+\\[\\d+\\]!==\\6\\)' +
+      '\\10=([$\\w]+)\\.jsx\\(([$\\w]+),\\{' +
+        'text:\\11,useBriefLayout:\\6,timestamp:\\8' +
+      '\\}\\),[$\\w]+\\[\\d+\\]=\\11,[$\\w]+\\[\\d+\\]=\\8,[$\\w]+\\[\\d+\\]=\\6,[$\\w]+\\[\\d+\\]=\\10;' +
+    'else \\10=[$\\w]+\\[\\d+\\];' +
+    // let G_VAR;if(t[N]!==MARG||t[N]!==BG||t[N]!==PAD||t[N]!==W_VAR) G_VAR=RUNTIME.jsx(BOX,{flexDirection:"column",marginTop:MARG,backgroundColor:BG,paddingRight:PAD,children:W_VAR}),...;else G_VAR=t[N];return G_VAR}
+    // New groups: 14=gVar, 15=box.
+    'let ([$\\w]+);' +
+    'if\\([$\\w]+\\[\\d+\\]!==\\3\\|\\|[$\\w]+\\[\\d+\\]!==\\5\\|\\|[$\\w]+\\[\\d+\\]!==\\7\\|\\|[$\\w]+\\[\\d+\\]!==\\10\\)' +
+      '\\14=\\12\\.jsx\\(([$\\w]+),\\{' +
+        'flexDirection:"column",marginTop:\\3,backgroundColor:\\5,paddingRight:\\7,children:\\10' +
+      '\\}\\),[$\\w]+\\[\\d+\\]=\\3,[$\\w]+\\[\\d+\\]=\\5,[$\\w]+\\[\\d+\\]=\\7,[$\\w]+\\[\\d+\\]=\\10,[$\\w]+\\[\\d+\\]=\\14;' +
+    'else \\14=[$\\w]+\\[\\d+\\];' +
+    'return \\14\\}'
+  );
 
-if (!wrapperMatch) {
-  output.error('Could not find user message wrapper pattern (2.1.139 memo-cache form)', [
-    'Expected: guard, then three-block memo-cache structure ending in `return G}`',
-    'The wrapper structure may have changed again',
-  ]);
-  process.exit(1);
-}
+  const wrapperMatch = ctx.matchOnce(content, wrapperPattern, {
+    label: 'user message wrapper pattern (2.1.139 memo-cache form)',
+    details: [
+      'Expected: guard, then three-block memo-cache structure ending in `return G}`',
+      'The wrapper structure may have changed again',
+    ],
+  });
 
-// Groups: 1=guard, 2=err, 3=margin, 4=marginSrc, 5=bg, 6=brief, 7=pad, 8=ts,
-//         9=tsSrc, 10=wVar, 11=textSrcX, 12=react, 13=vyf, 14=gVar, 15=box.
-const matched      = wrapperMatch[0];
-const guardVar     = wrapperMatch[1];
-const errorFn      = wrapperMatch[2];
-const marginSrc    = wrapperMatch[4];
-const briefVar     = wrapperMatch[6];
-const tsSourceVar  = wrapperMatch[9];
-const textSrcVar   = wrapperMatch[11];
-const reactVar     = wrapperMatch[12];
-const vyfComp      = wrapperMatch[13];
-const boxComp      = wrapperMatch[15];
+  // Groups: 1=guard, 2=err, 3=margin, 4=marginSrc, 5=bg, 6=brief, 7=pad, 8=ts,
+  //         9=tsSrc, 10=wVar, 11=textSrcX, 12=react, 13=vyf, 14=gVar, 15=box.
+  const matched      = wrapperMatch[0];
+  const guardVar     = wrapperMatch[1];
+  const errorFn      = wrapperMatch[2];
+  const marginSrc    = wrapperMatch[4];
+  const briefVar     = wrapperMatch[6];
+  const tsSourceVar  = wrapperMatch[9];
+  const textSrcVar   = wrapperMatch[11];
+  const reactVar     = wrapperMatch[12];
+  const vyfComp      = wrapperMatch[13];
+  const boxComp      = wrapperMatch[15];
 
-output.discovery('user message wrapper (memo-cache)', matched.slice(0, 80) + '...', {
-  'guard var': guardVar,
-  'error fn': errorFn,
-  'margin src': marginSrc,
-  'brief var': briefVar,
-  'ts src': tsSourceVar,
-  'text source': textSrcVar,
-  'React var': reactVar,
-  'vyf component': vyfComp,
-  'box component': boxComp,
-  'hljs mode': hljsMode,
-});
+  ctx.discovery('user message wrapper (memo-cache)', matched.slice(0, 80) + '...', {
+    'guard var': guardVar,
+    'error fn': errorFn,
+    'margin src': marginSrc,
+    'brief var': briefVar,
+    'ts src': tsSourceVar,
+    'text source': textSrcVar,
+    'React var': reactVar,
+    'vyf component': vyfComp,
+    'box component': boxComp,
+    'hljs mode': hljsMode,
+  });
 
-// JSX runtime: single child goes in props.children (jsx), a static array of
-// children goes in props.children too (jsxs). `key` is the 3rd positional arg.
-const JSX = `${reactVar}.jsx`;
-const JSXS = `${reactVar}.jsxs`;
+  // JSX runtime: single child goes in props.children (jsx), a static array of
+  // children goes in props.children too (jsxs). `key` is the 3rd positional arg.
+  const JSX = `${reactVar}.jsx`;
+  const JSXS = `${reactVar}.jsxs`;
 
-// Build hljs init + access code per mode.
-let hljsInit, hljsAccess, hljsHighlightCall, hljsSupportsCall, hljsGuard;
+  // Build hljs init + access code per mode.
+  let hljsInit, hljsAccess, hljsHighlightCall, hljsSupportsCall, hljsGuard;
 
-if (hljsMode === 'sync') {
-  hljsInit = '';
-  hljsAccess = `var _hljs=${syncGetter}();`;
-  hljsHighlightCall = '_hljs.highlight';
-  hljsSupportsCall = '_hljs.supportsLanguage';
-  hljsGuard = '_hljs';
-} else if (hljsMode === 'cacher') {
-  hljsInit =
-    `if(!globalThis.__hljs){try{${cacherFn}().then(function(r){globalThis.__hljs=r})}catch{}}`;
-  hljsAccess = 'var _hljs=globalThis.__hljs;';
-  hljsHighlightCall = '_hljs.highlight';
-  hljsSupportsCall = '_hljs.supportsLanguage';
-  hljsGuard = '_hljs';
-} else {
-  hljsInit = '';
-  hljsAccess = '';
-  hljsHighlightCall = hljsHighlight;
-  hljsSupportsCall = hljsSupports;
-  hljsGuard = hljsHighlight;
-}
+  if (hljsMode === 'sync') {
+    hljsInit = '';
+    hljsAccess = `var _hljs=${syncGetter}();`;
+    hljsHighlightCall = '_hljs.highlight';
+    hljsSupportsCall = '_hljs.supportsLanguage';
+    hljsGuard = '_hljs';
+  } else if (hljsMode === 'cacher') {
+    hljsInit =
+      `if(!globalThis.__hljs){try{${cacherFn}().then(function(r){globalThis.__hljs=r})}catch{}}`;
+    hljsAccess = 'var _hljs=globalThis.__hljs;';
+    hljsHighlightCall = '_hljs.highlight';
+    hljsSupportsCall = '_hljs.supportsLanguage';
+    hljsGuard = '_hljs';
+  } else {
+    hljsInit = '';
+    hljsAccess = '';
+    hljsHighlightCall = hljsHighlight;
+    hljsSupportsCall = hljsSupports;
+    hljsGuard = hljsHighlight;
+  }
 
-// The replacement preserves the guard, then forks on whether textSrcVar is a
-// string (normal case — apply code-block split) or an object (head/tail
-// summary — fall back to original vyf render). In both branches we end with
-// `return BOX(flexDirection:"column",marginTop,backgroundColor,paddingRight,
-// children)`, bypassing the $[N] memo slots entirely.
-const wrapperReplacement =
-  hljsInit +
-  `if(!${guardVar})return ${errorFn}(Error("No content found in user prompt message")),null;` +
-  // Common scalar props
-  `var _mt=${marginSrc}?1:0,` +
-  `_bg=${briefVar}?void 0:"userMessageBackground",` +
-  `_pr=${briefVar}?0:1,` +
-  `_ts=${briefVar}?${tsSourceVar}:void 0;` +
-  // Branch on text-source shape
-  `if(typeof ${textSrcVar}!=="string"){` +
-    `return ${JSX}(${boxComp},{flexDirection:"column",marginTop:_mt,backgroundColor:_bg,paddingRight:_pr,children:` +
-      `${JSX}(${vyfComp},{text:${textSrcVar},useBriefLayout:${briefVar},timestamp:_ts})})` +
-  `}` +
-  // String case — split into fenced/plain parts
-  `var _parts=(function(_t){` +
-    `var _re=/\`\`\`(\\w*)\\n([\\s\\S]*?)\`\`\`/g,_a=[],_l=0,_m;` +
-    `while((_m=_re.exec(_t))!==null){` +
-      `if(_m.index>_l)_a.push({t:"x",c:_t.slice(_l,_m.index)});` +
-      `_a.push({t:"c",c:_m[2],g:_m[1]||""});` +
-      `_l=_m.index+_m[0].length` +
+  // The replacement preserves the guard, then forks on whether textSrcVar is a
+  // string (normal case — apply code-block split) or an object (head/tail
+  // summary — fall back to original vyf render). In both branches we end with
+  // `return BOX(flexDirection:"column",marginTop,backgroundColor,paddingRight,
+  // children)`, bypassing the $[N] memo slots entirely.
+  const wrapperReplacement =
+    hljsInit +
+    `if(!${guardVar})return ${errorFn}(Error("No content found in user prompt message")),null;` +
+    // Common scalar props
+    `var _mt=${marginSrc}?1:0,` +
+    `_bg=${briefVar}?void 0:"userMessageBackground",` +
+    `_pr=${briefVar}?0:1,` +
+    `_ts=${briefVar}?${tsSourceVar}:void 0;` +
+    // Branch on text-source shape
+    `if(typeof ${textSrcVar}!=="string"){` +
+      `return ${JSX}(${boxComp},{flexDirection:"column",marginTop:_mt,backgroundColor:_bg,paddingRight:_pr,children:` +
+        `${JSX}(${vyfComp},{text:${textSrcVar},useBriefLayout:${briefVar},timestamp:_ts})})` +
     `}` +
-    `if(_l<_t.length)_a.push({t:"x",c:_t.slice(_l)});` +
-    `if(_a.length===0)_a.push({t:"x",c:_t});` +
-    `return _a` +
-  `})(${textSrcVar});` +
-  `var _hasCode=_parts.some(function(_e){return _e.t==="c"});` +
-  `var _ch;` +
-  `if(!_hasCode){` +
-    `_ch=${JSX}(${vyfComp},{text:${textSrcVar},useBriefLayout:${briefVar},timestamp:_ts})` +
-  `}else{` +
-    hljsAccess +
-    `var _first=!0;` +
-    `_ch=_parts.map(function(_e,_i){` +
-      `if(_e.t==="x"){` +
-        `if(_first){_first=!1;return ${JSX}(${vyfComp},{text:_e.c,useBriefLayout:${briefVar},timestamp:_ts},"t"+_i)}` +
-        `return ${JSX}(${vyfComp},{text:_e.c,useBriefLayout:${briefVar}},"t"+_i)` +
-      `}else{` +
-        `var _opts={};` +
-        `if(_e.g&&${hljsGuard}&&${hljsSupportsCall}(_e.g))_opts={language:_e.g};` +
-        `var _hl=${hljsGuard}?${hljsHighlightCall}(_e.c,_opts):_e.c;` +
-        `var _fence="\`\`\`"+(_e.g||"");` +
-        `return ${JSXS}(${boxComp},{flexDirection:"column",paddingLeft:2,children:[` +
-          `${JSX}(${ansiComp},{dimColor:!0,children:_fence}),` +
-          `${JSX}(${ansiComp},{children:_hl}),` +
-          `${JSX}(${ansiComp},{dimColor:!0,children:"\`\`\`"})]},"c"+_i)` +
+    // String case — split into fenced/plain parts
+    `var _parts=(function(_t){` +
+      `var _re=/\`\`\`(\\w*)\\n([\\s\\S]*?)\`\`\`/g,_a=[],_l=0,_m;` +
+      `while((_m=_re.exec(_t))!==null){` +
+        `if(_m.index>_l)_a.push({t:"x",c:_t.slice(_l,_m.index)});` +
+        `_a.push({t:"c",c:_m[2],g:_m[1]||""});` +
+        `_l=_m.index+_m[0].length` +
       `}` +
-    `})` +
-  `}` +
-  `return ${JSX}(${boxComp},{flexDirection:"column",marginTop:_mt,backgroundColor:_bg,paddingRight:_pr,children:_ch})}`;
-
-output.modification('user message wrapper',
-  matched.slice(0, 80) + '...',
-  wrapperReplacement.slice(0, 80) + '...',
-);
-
-// ============================================================
-// Apply
-// ============================================================
+      `if(_l<_t.length)_a.push({t:"x",c:_t.slice(_l)});` +
+      `if(_a.length===0)_a.push({t:"x",c:_t});` +
+      `return _a` +
+    `})(${textSrcVar});` +
+    `var _hasCode=_parts.some(function(_e){return _e.t==="c"});` +
+    `var _ch;` +
+    `if(!_hasCode){` +
+      `_ch=${JSX}(${vyfComp},{text:${textSrcVar},useBriefLayout:${briefVar},timestamp:_ts})` +
+    `}else{` +
+      hljsAccess +
+      `var _first=!0;` +
+      `_ch=_parts.map(function(_e,_i){` +
+        `if(_e.t==="x"){` +
+          `if(_first){_first=!1;return ${JSX}(${vyfComp},{text:_e.c,useBriefLayout:${briefVar},timestamp:_ts},"t"+_i)}` +
+          `return ${JSX}(${vyfComp},{text:_e.c,useBriefLayout:${briefVar}},"t"+_i)` +
+        `}else{` +
+          `var _opts={};` +
+          `if(_e.g&&${hljsGuard}&&${hljsSupportsCall}(_e.g))_opts={language:_e.g};` +
+          `var _hl=${hljsGuard}?${hljsHighlightCall}(_e.c,_opts):_e.c;` +
+          `var _fence="\`\`\`"+(_e.g||"");` +
+          `return ${JSXS}(${boxComp},{flexDirection:"column",paddingLeft:2,children:[` +
+            `${JSX}(${ansiComp},{dimColor:!0,children:_fence}),` +
+            `${JSX}(${ansiComp},{children:_hl}),` +
+            `${JSX}(${ansiComp},{dimColor:!0,children:"\`\`\`"})]},"c"+_i)` +
+        `}` +
+      `})` +
+    `}` +
+    `return ${JSX}(${boxComp},{flexDirection:"column",marginTop:_mt,backgroundColor:_bg,paddingRight:_pr,children:_ch})}`;
 
-if (dryRun) {
-  output.result('dry_run', `Code blocks patch ready (3 steps: hljs [${hljsMode}], ANSI, wrapper [memo-cache])`);
-  process.exit(0);
-}
+  // ============================================================
+  // Apply
+  // ============================================================
 
-let patched = content;
-patched = patched.replace(matched, () => wrapperReplacement);
+  const patched = ctx.replaceOnce(content, wrapperPattern, wrapperReplacement, { label: 'user message wrapper' });
 
-if (patched === content) {
-  output.error('Patch had no effect');
-  process.exit(1);
+  if (ctx.dryRun) {
+    ctx.result('dry_run', `Code blocks patch ready (3 steps: hljs [${hljsMode}], ANSI, wrapper [memo-cache])`);
+  } else {
+    ctx.result('success', `Patched code blocks (hljs mode: ${hljsMode}, wrapper: memo-cache)`);
+  }
+  return patched;
 }
 
-try {
-  fs.writeFileSync(targetPath, patched);
-  output.result('success', `Patched code blocks in ${targetPath} (hljs mode: ${hljsMode}, wrapper: memo-cache)`);
-} catch (err) {
-  output.error('Failed to write patched file', [err.message]);
-  process.exit(1);
-}
+module.exports = definePatch(module, { run });
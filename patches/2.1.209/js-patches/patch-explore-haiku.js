@@ -29,61 +29,35 @@
  *   node patch-explore-haiku.js --check <cli.js path>  (dry run)
  */
 
-const fs = require('fs');
-const output = require('../../../lib/output');
-
-const args = process.argv.slice(2);
-const dryRun = args[0] === '--check';
-const targetPath = dryRun ? args[1] : args[0];
-
-if (!targetPath) {
-  output.error('Usage: node patch-explore-haiku.js [--check] <cli.js path>');
-  process.exit(1);
-}
-
-let content;
-try {
-  content = fs.readFileSync(targetPath, 'utf8');
-} catch (err) {
-  output.error(`Failed to read ${targetPath}`, [err.message]);
-  process.exit(1);
-}
-
-// Match the Explore agent definition through its model field. Non-greedy across
-// the intervening props (whenToUse, disallowedTools, source, baseDir); `[^}]`
-// keeps us inside the single object literal, so we can't skip into a later one.
-const pattern = /(agentType:"Explore",[^}]*?model:)"inherit"/;
-const match = content.match(pattern);
-
-if (!match) {
-  output.error('Could not find Explore agent model field', [
-    'Expected: agentType:"Explore",...,model:"inherit"',
-    'The built-in agent definition shape may have changed, or Explore may already be pinned'
-  ]);
-  process.exit(1);
+const { definePatch } = require('../../../lib/patch-module');
+
+function run(content, ctx) {
+  // Match the Explore agent definition through its model field. Non-greedy across
+  // the intervening props (whenToUse, disallowedTools, source, baseDir); `[^}]`
+  // keeps us inside the single object literal, so we can't skip into a later one.
+  const pattern = /(agentType:"Explore",[^}]*?model:)"inherit"/;
+
+  content = ctx.replaceOnce(content, pattern, (_m, head) => {
+    ctx.discovery('Explore agent model', 'inherit', {
+      'target': 'haiku',
+      'anchor': 'agentType:"Explore"'
+    });
+    return `${head}"haiku"`;
+  }, {
+    label: 'Explore agent model field',
+    details: [
+      'Expected: agentType:"Explore",...,model:"inherit"',
+      'The built-in agent definition shape may have changed, or Explore may already be pinned'
+    ],
+  });
+
+  if (ctx.dryRun) {
+    ctx.result('dry_run', 'Explore agent model field found — ready to pin to haiku');
+  } else {
+    ctx.result('success', 'Pinned Explore agent to haiku');
+    ctx.info('The Explore subagent will run on haiku again.');
+  }
+  return content;
 }
 
-output.discovery('Explore agent model', 'inherit', {
-  'target': 'haiku',
-  'anchor': 'agentType:"Explore"'
-});
-
-const replacement = `${match[1]}"haiku"`;
-
-output.modification('Explore agent model', 'model:"inherit"', 'model:"haiku"');
-
-if (dryRun) {
-  output.result('dry_run', 'Explore agent model field found — ready to pin to haiku');
-  process.exit(0);
-}
-
-content = content.replace(match[0], () => replacement);
-
-try {
-  fs.writeFileSync(targetPath, content);
-  output.result('success', `Pinned Explore agent to haiku in ${targetPath}`);
-  output.info('Restart Claude Code — the Explore subagent will run on haiku again.');
-} catch (err) {
-  output.error('Failed to write patched file', [err.message]);
-  process.exit(1);
-}
+module.exports = definePatch(module, { run });
@@ -35,68 +35,42 @@
  *   node patch-flag-env-override.js --check <cli.js path>
  */
 
-const fs = require('fs');
-const output = require('../../../lib/output');
+const { definePatch } = require('../../../lib/patch-module');
 
-const args = process.argv.slice(2);
-const dryRun = args[0] === '--check';
-const targetPath = dryRun ? args[1] : args[0];
+function run(content, ctx) {
+  // Match the dead-code override getter:
+  //   function X(){if(Y)return Z;return Y=!0,Z;
+  // X = getter fn, Y = parsed guard, Z = override map (null in public build)
+  const pattern = /function ([\w$]+)\(\)\{if\(([\w$]+)\)return ([\w$]+);return \2=!0,\3;/;
+  const [, fnName, guardVar, mapVar] = ctx.matchOnce(content, pattern, {
+    label: 'flag override getter function',
+    details: [
+      'Expected: function X(){if(Y)return Z;return Y=!0,Z;',
+      'The GrowthBook override map getter may have changed structure'
+    ],
+  });
 
-if (!targetPath) {
-  output.error('Usage: node patch-flag-env-override.js [--check] <cli.js path>');
-  process.exit(1);
-}
-
-let content;
-try {
-  content = fs.readFileSync(targetPath, 'utf8');
-} catch (err) {
-  output.error(`Failed to read ${targetPath}`, [err.message]);
-  process.exit(1);
-}
-
-// Match the dead-code override getter:
-//   function X(){if(Y)return Z;return Y=!0,Z;
-// X = getter fn, Y = parsed guard, Z = override map (null in public build)
-const pattern = /function ([\w$]+)\(\)\{if\(([\w$]+)\)return ([\w$]+);return \2=!0,\3;/;
-const match = content.match(pattern);
-
-if (!match) {
-  output.error('Could not find flag override getter function', [
-    'Expected: function X(){if(Y)return Z;return Y=!0,Z;',
-    'The GrowthBook override map getter may have changed structure'
-  ]);
-  process.exit(1);
-}
-
-const [original, fnName, guardVar, mapVar] = match;
-
-output.discovery('flag override getter', fnName, {
-  'guard variable': guardVar,
-  'map variable': mapVar,
-  'env vars': 'CLAUDE_CODE_FLAG_OVERRIDES, CLAUDE_INTERNAL_FC_OVERRIDES'
-});
+  ctx.discovery('flag override getter', fnName, {
+    'guard variable': guardVar,
+    'map variable': mapVar,
+    'env vars': 'CLAUDE_CODE_FLAG_OVERRIDES, CLAUDE_INTERNAL_FC_OVERRIDES'
+  });
 
-// Flip the guard once, parse env var into the map, return it. The original
-// dead parse tail after this point stays unreachable and harmless.
-// try/catch silently ignores bad JSON — flags fall through to GrowthBook.
-const replacement = `function ${fnName}(){if(${guardVar})return ${mapVar};${guardVar}=!0;try{let _e=process.env.CLAUDE_CODE_FLAG_OVERRIDES||process.env.CLAUDE_INTERNAL_FC_OVERRIDES;if(_e)${mapVar}=JSON.parse(_e)}catch{}return ${mapVar};`;
+  // Flip the guard once, parse env var into the map, return it. The original
+  // dead parse tail after this point stays unreachable and harmless.
+  // try/catch silently ignores bad JSON — flags fall through to GrowthBook.
+  const replacement = `function ${fnName}(){if(${guardVar})return ${mapVar};${guardVar}=!0;try{let _e=process.env.CLAUDE_CODE_FLAG_OVERRIDES||process.env.CLAUDE_INTERNAL_FC_OVERRIDES;if(_e)${mapVar}=JSON.parse(_e)}catch{}return ${mapVar};`;
 
-output.modification('flag override getter', original, replacement);
+  content = ctx.replaceOnce(content, pattern, replacement, { label: 'flag override getter' });
 
-if (dryRun) {
-  output.result('dry_run', 'Flag override getter found — ready to patch');
-  process.exit(0);
+  if (ctx.dryRun) {
+    ctx.result('dry_run', 'Flag override getter found — ready to patch');
+  } else {
+    ctx.result('success', `Patched flag override getter (${fnName})`);
+    ctx.info('Set CLAUDE_CODE_FLAG_OVERRIDES=\'{"flag_name":value}\' to override any feature flag');
+    ctx.info('Example: CLAUDE_CODE_FLAG_OVERRIDES=\'{"tengu_kairos_cron":true}\' claude');
+  }
+  return content;
 }
 
-content = content.replace(original, replacement);
-
-try {
-  fs.writeFileSync(targetPath, content);
-  output.result('success', `Patched flag override getter (${fnName}) in ${targetPath}`);
-  output.info('Set CLAUDE_CODE_FLAG_OVERRIDES=\'{"flag_name":value}\' to override any feature flag');
-  output.info('Example: CLAUDE_CODE_FLAG_OVERRIDES=\'{"tengu_kairos_cron":true}\' claude');
-} catch (err) {
-  output.error('Failed to write patched file', [err.message]);
-  process.exit(1);
-}
+module.exports = definePatch(module, { run });
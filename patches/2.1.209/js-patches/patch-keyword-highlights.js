@@ -41,12 +41,15 @@
  *   node patch-keyword-highlights.js --check <cli.js path>
  */
 
-const fs = require('fs');
-const output = require('../../../lib/output');
+const { definePatch } = require('../../../lib/patch-module');
 
 // ============================================================
 // CONFIGURATION — keyword → style mapping
 //
+// These are the defaults. Override per machine via the user config
+// `settings["keyword-highlights"]` (e.g. a whole `keywords` table) or
+// `--set keyword-highlights.codeStyle='{"color":"#88C0D0"}'`.
+//
 // Nord-inspired palette (https://www.nordtheme.com/)
 // ============================================================
 //
@@ -63,21 +66,21 @@ const output = require('../../../lib/output');
 // shimmer: glimmer sweep animation in the input box (optional)
 //
 // Inline code: `backtick` spans are detected automatically.
-// CODE_STYLE controls the content color, DELIM_STYLE the backtick chars.
+// codeStyle controls the content color, delimStyle the backtick chars.
 //
 // Markdown formatting: **bold**, *italic* / _italic_, ~~strikethrough~~ detected.
 // _italic_ uses alnum boundaries (won't trigger on snake_case identifiers).
 // Content gets text effects only (no color change). Delimiters get dim styling.
 
-const CODE_STYLE = { color: "#7ABED9" };           // soft steel cyan (Nord frost neighbor)
-const DELIM_STYLE = { color: "#4C566A" };           // Nord comment gray (subtle)
+const DEFAULT_CODE_STYLE = { color: "#7ABED9" };           // soft steel cyan (Nord frost neighbor)
+const DEFAULT_DELIM_STYLE = { color: "#4C566A" };           // Nord comment gray (subtle)
 
 // Markdown formatting — effect-only styles (no color, just text decoration)
-const MD_BOLD_STYLE = { bold: true };
-const MD_ITALIC_STYLE = { italic: true };
-const MD_STRIKE_STYLE = { strikethrough: true };
+const DEFAULT_MD_BOLD_STYLE = { bold: true };
+const DEFAULT_MD_ITALIC_STYLE = { italic: true };
+const DEFAULT_MD_STRIKE_STYLE = { strikethrough: true };
 
-const KEYWORD_STYLES = {
+const DEFAULT_KEYWORD_STYLES = {
   // ═══ POP — shimmer + effects ═══
   // Shimmer colors need high contrast from base (~+70 on secondary channels)
   // to be visible as the 3-char glow sweeps across
@@ -111,478 +114,445 @@ const KEYWORD_STYLES = {
   "document": { color: "#A3BE8C",  italic: true },
 };
 
+const config = {
+  keywords:   { type: 'object', default: DEFAULT_KEYWORD_STYLES, description: 'Keyword → style table (replaces the defaults)' },
+  codeStyle:  { type: 'object', default: DEFAULT_CODE_STYLE, description: 'Inline code content style' },
+  delimStyle: { type: 'object', default: DEFAULT_DELIM_STYLE, description: 'Inline code backtick style' },
+  mdBold:     { type: 'object', default: DEFAULT_MD_BOLD_STYLE, description: '**bold** content style' },
+  mdItalic:   { type: 'object', default: DEFAULT_MD_ITALIC_STYLE, description: '*italic* content style' },
+  mdStrike:   { type: 'object', default: DEFAULT_MD_STRIKE_STYLE, description: '~~strikethrough~~ content style' },
+};
+
 // ============================================================
 // PATCH IMPLEMENTATION
 // ============================================================
 
-const args = process.argv.slice(2);
-const dryRun = args[0] === '--check';
-const targetPath = dryRun ? args[1] : args[0];
-
-if (!targetPath) {
-  output.error('Usage: node patch-keyword-highlights.js [--check] <cli.js path>');
-  process.exit(1);
-}
-
-let content;
-try {
-  content = fs.readFileSync(targetPath, 'utf8');
-} catch (err) {
-  output.error(`Failed to read ${targetPath}`, [err.message]);
-  process.exit(1);
-}
-
-// Build the regex alternation from config + "ultrathink"
-const customWords = Object.keys(KEYWORD_STYLES);
-const allPatterns = ['ultrathink']; // ultrathink is always exact match
-
-// Build lookup structures: _HS for exact/array, _HP for prefix
-const hsEntries = {};  // direct word → style (O(1) lookup)
-const hpEntries = {};  // prefix keyword → style (startsWith fallback)
-
-for (const [word, cfg] of Object.entries(KEYWORD_STYLES)) {
-  // Strip match from injected style (build-time metadata only)
-  const style = { ...cfg };
-  delete style.match;
-
-  if (Array.isArray(cfg.match)) {
-    // Array mode: base word + explicit variants, all exact
-    allPatterns.push(word, ...cfg.match);
-    hsEntries[word] = style;
-    for (const v of cfg.match) hsEntries[v] = style;
-  } else if (cfg.match === 'exact') {
-    // Exact mode: literal keyword only
-    allPatterns.push(word);
-    hsEntries[word] = style;
-  } else {
-    // Default: prefix mode — keyword + alphanumeric suffix (excludes underscore
-    // so "claude_test" highlights just "claude", not the whole snake_case token)
-    allPatterns.push(word + '[a-zA-Z0-9]*');
-    hpEntries[word] = style;
+function run(content, ctx) {
+  const {
+    keywords: KEYWORD_STYLES,
+    codeStyle: CODE_STYLE,
+    delimStyle: DELIM_STYLE,
+    mdBold: MD_BOLD_STYLE,
+    mdItalic: MD_ITALIC_STYLE,
+    mdStrike: MD_STRIKE_STYLE,
+  } = ctx.config;
+
+  // Build the regex alternation from config + "ultrathink"
+  const customWords = Object.keys(KEYWORD_STYLES);
+  const allPatterns = ['ultrathink']; // ultrathink is always exact match
+
+  // Build lookup structures: _HS for exact/array, _HP for prefix
+  const hsEntries = {};  // direct word → style (O(1) lookup)
+  const hpEntries = {};  // prefix keyword → style (startsWith fallback)
+
+  for (const [word, cfg] of Object.entries(KEYWORD_STYLES)) {
+    // Strip match from injected style (build-time metadata only)
+    const style = { ...cfg };
+    delete style.match;
+
+    if (Array.isArray(cfg.match)) {
+      // Array mode: base word + explicit variants, all exact
+      allPatterns.push(word, ...cfg.match);
+      hsEntries[word] = style;
+      for (const v of cfg.match) hsEntries[v] = style;
+    } else if (cfg.match === 'exact') {
+      // Exact mode: literal keyword only
+      allPatterns.push(word);
+      hsEntries[word] = style;
+    } else {
+      // Default: prefix mode — keyword + alphanumeric suffix (excludes underscore
+      // so "claude_test" highlights just "claude", not the whole snake_case token)
+      allPatterns.push(word + '[a-zA-Z0-9]*');
+      hpEntries[word] = style;
+    }
   }
-}
-
-// Sort by base length descending (strip suffix quantifier for comparison)
-allPatterns.sort((a, b) => b.replace(/\[a-zA-Z0-9\]\*$/, '').length - a.replace(/\[a-zA-Z0-9\]\*$/, '').length);
-const wordPattern = allPatterns.join('|');
-
-// Serialize lookup structures for injection
-const hsJson = JSON.stringify(hsEntries);
-const hpJson = JSON.stringify(hpEntries);
-const codeStyleJson = JSON.stringify(CODE_STYLE);
-const delimStyleJson = JSON.stringify(DELIM_STYLE);
-const mdBoldJson = JSON.stringify(MD_BOLD_STYLE);
-const mdItalicJson = JSON.stringify(MD_ITALIC_STYLE);
-const mdStrikeJson = JSON.stringify(MD_STRIKE_STYLE);
-
-// ============================================================
-// Step 1: Replace the match-finder function (n41 / j9$)
-//
-// Original: finds /\bultrathink\b/gi matches, returns [{word,start,end}]
-// Patched:  finds all keywords + inline code spans + markdown formatting,
-//           returns [{word,start,end,style}] where style is the entry
-//           from KEYWORD_STYLES (or null for ultrathink).
-//
-//           Priority order (higher clips around lower):
-//             1. Keywords — always on top
-//             2. Inline `code` — clips around keywords
-//             3. Markdown **bold** / *italic* / ~~strike~~ — clips around
-//                keywords, skips regions covered by code spans
-// ============================================================
-
-const fnPattern = new RegExp(
-  'function ([$\\w]+)\\(([$\\w]+)\\)\\{' +
-  'let ([$\\w]+)=\\[\\],' +
-  '([$\\w]+)=\\2\\.matchAll\\(/\\\\bultrathink\\\\b/gi\\);' +
-  'for\\(let ([$\\w]+) of \\4\\)' +
-  'if\\(\\5\\.index!==void 0\\)\\3\\.push\\(\\{' +
-  'word:\\5\\[0\\],' +
-  'start:\\5\\.index,' +
-  'end:\\5\\.index\\+\\5\\[0\\]\\.length' +
-  '\\}\\);' +
-  'return \\3\\}'
-);
-
-const fnMatch = content.match(fnPattern);
-
-if (!fnMatch) {
-  output.error('Could not find match-finder function pattern', [
-    'Expected: function NAME(ARG){let R=[],M=ARG.matchAll(/\\bultrathink\\b/gi);...}',
-    'The ultrathink detection structure may have changed',
-  ]);
-  process.exit(1);
-}
-
-const [fnOriginal, fnName, argName, resultVar, matchVar, iterVar] = fnMatch;
-
-output.discovery('match-finder function', fnName + '()', {
-  'arg': argName,
-  'result var': resultVar,
-});
-
-const fnReplacement =
-  `function ${fnName}(${argName}){` +
-  `var _HS=${hsJson},` +
-  `_HP=${hpJson},` +
-  `_CS=${codeStyleJson},` +
-  `_DS=${delimStyleJson},` +
-  `_MB=${mdBoldJson},` +
-  `_MI=${mdItalicJson},` +
-  `_MS=${mdStrikeJson};` +
-  `function _HL(w){var s=_HS[w];if(s)return s;for(var k in _HP)if(w.startsWith(k))return _HP[k];return null}` +
-  `let ${resultVar}=[],` +
-  `${matchVar}=${argName}.matchAll(/(?<![a-zA-Z0-9])(${wordPattern})(?![a-zA-Z0-9])/gi);` +
-  `for(let ${iterVar} of ${matchVar})` +
-  `if(${iterVar}.index!==void 0)${resultVar}.push({` +
-  `word:${iterVar}[0],` +
-  `start:${iterVar}.index,` +
-  `end:${iterVar}.index+${iterVar}[0].length,` +
-  `style:_HL(${iterVar}[0].toLowerCase())||null` +
-  `});` +
-  // Inline code span detection — track ranges for markdown overlap exclusion
-  `var _cR=[],_cr=/\`([^\`\\n]+)\`/g,_cm;` +
-  `while((_cm=_cr.exec(${argName}))!==null){` +
-  `var _s=_cm.index,_e=_s+_cm[0].length,_cs=_s+1,_ce=_e-1;` +
-  `_cR.push({s:_s,e:_e});` +
-  // Always render backtick delimiters (dim)
-  `${resultVar}.push({word:"\`",start:_s,end:_s+1,style:_DS});` +
-  `${resultVar}.push({word:"\`",start:_e-1,end:_e,style:_DS});` +
-  // Collect keyword matches overlapping the content region, sorted by start
-  `var _ov=${resultVar}.filter(function(r){return r.start<_ce&&r.end>_cs})` +
-  `.sort(function(a,b){return a.start-b.start});` +
-  // Fill code-styled segments in the gaps between keywords
-  `var _pos=_cs;` +
-  `for(var _k=0;_k<_ov.length;_k++){` +
-  `if(_ov[_k].start>_pos)${resultVar}.push({word:${argName}.slice(_pos,_ov[_k].start),start:_pos,end:_ov[_k].start,style:_CS});` +
-  `_pos=Math.max(_pos,_ov[_k].end)}` +
-  `if(_pos<_ce)${resultVar}.push({word:${argName}.slice(_pos,_ce),start:_pos,end:_ce,style:_CS})` +
-  `}` +
-  // Markdown formatting: **bold**, *italic*, _italic_, ~~strikethrough~~
-  // Combined regex with alternation priority: bold > *italic* > _italic_ > strikethrough
-  // _italic_ uses alnum boundaries to avoid triggering on snake_case
-  // Skips matches that overlap code spans
-  `var _mr=/\\*\\*([^*\\n]+)\\*\\*|\\*([^*\\n]+?)\\*|(?<![a-zA-Z0-9])_([^_\\n]+?)_(?![a-zA-Z0-9])|~~([^~\\n]+)~~/g,_mm;` +
-  `while((_mm=_mr.exec(${argName}))!==null){` +
-  `var _s=_mm.index,_e=_s+_mm[0].length;` +
-  // Skip if overlapping any code span
-  `if(_cR.some(function(c){return _s<c.e&&_e>c.s}))continue;` +
-  // Determine delimiter length and style based on which group matched
-  `var _dl,_st;` +
-  `if(_mm[1]!==void 0){_dl=2;_st=_MB}` +
-  `else if(_mm[2]!==void 0||_mm[3]!==void 0){_dl=1;_st=_MI}` +
-  `else{_dl=2;_st=_MS}` +
-  `var _cs=_s+_dl,_ce=_e-_dl;` +
-  // Delimiter segments (dim)
-  `${resultVar}.push({word:${argName}.slice(_s,_cs),start:_s,end:_cs,style:_DS});` +
-  `${resultVar}.push({word:${argName}.slice(_ce,_e),start:_ce,end:_e,style:_DS});` +
-  // Clip content around keyword overlaps (same logic as code spans)
-  `var _ov=${resultVar}.filter(function(r){return r.start<_ce&&r.end>_cs&&r.style!==_DS})` +
-  `.sort(function(a,b){return a.start-b.start});` +
-  `var _pos=_cs;` +
-  `for(var _k=0;_k<_ov.length;_k++){` +
-  `if(_ov[_k].start>_pos)${resultVar}.push({word:${argName}.slice(_pos,_ov[_k].start),start:_pos,end:_ov[_k].start,style:_st});` +
-  `_pos=Math.max(_pos,_ov[_k].end)}` +
-  `if(_pos<_ce)${resultVar}.push({word:${argName}.slice(_pos,_ce),start:_pos,end:_ce,style:_st})` +
-  `}` +
-  // Sort all matches by start position for the Vyf renderer
-  `${resultVar}.sort(function(a,b){return a.start-b.start});` +
-  `return ${resultVar}}`;
-
-output.modification('match-finder function', fnOriginal.slice(0, 80) + '...', fnReplacement.slice(0, 80) + '...');
-
-// ============================================================
-// Step 2: Replace the input box highlight builder loop
-//
-// Adds bold/italic/underline/strikethrough to the highlight span
-// so the text line renderer (Step 5) can pass them through to <T>.
-// ============================================================
-
-const inputPattern = new RegExp(
-  'for\\(let ([$\\w]+) of ([$\\w]+)\\)' +
-  'for\\(let ([$\\w]+)=\\1\\.start;\\3<\\1\\.end;\\3\\+\\+\\)' +
-  '([$\\w]+)\\.push\\(\\{' +
-  'start:\\3,' +
-  'end:\\3\\+1,' +
-  'color:([$\\w]+)\\(\\3-\\1\\.start\\),' +
-  'shimmerColor:\\5\\(\\3-\\1\\.start,!0\\),' +
-  'priority:10' +
-  '\\}\\)'
-);
-
-const inputMatch = content.match(inputPattern);
-
-if (!inputMatch) {
-  output.error('Could not find input box highlight loop', [
-    'Expected: for(let X of G)for(let Y=X.start;Y<X.end;Y++)R.push({...color:PH(Y-X.start),...})',
-    'The input highlight builder structure may have changed',
-  ]);
-  process.exit(1);
-}
-
-const [inputOriginal, matchIterVar, matchArrayVar, charIdxVar, pushTarget, colorFn] = inputMatch;
-
-output.discovery('input highlight loop', inputOriginal.slice(0, 60) + '...', {
-  'match iter': matchIterVar,
-  'match array': matchArrayVar,
-  'color fn': colorFn,
-});
-
-const inputReplacement =
-  `for(let ${matchIterVar} of ${matchArrayVar})` +
-  `for(let ${charIdxVar}=${matchIterVar}.start;${charIdxVar}<${matchIterVar}.end;${charIdxVar}++){` +
-  `let _s=${matchIterVar}.style,_o=${charIdxVar}-${matchIterVar}.start;` +
-  `${pushTarget}.push({start:${charIdxVar},end:${charIdxVar}+1,` +
-  `color:_s?_s.colors?_s.colors[_o%_s.colors.length]:_s.color:${colorFn}(_o),` +
-  `shimmerColor:_s?_s.shimmer?_s.colors?_s.shimmerColors[_o%_s.shimmerColors.length]:_s.shimmerColor:void 0:${colorFn}(_o,!0),` +
-  `bold:_s?.bold,italic:_s?.italic,underline:_s?.underline,strikethrough:_s?.strikethrough,` +
-  `priority:10})}`;
-
-output.modification('input highlight loop',
-  inputOriginal.slice(0, 60) + '...',
-  inputReplacement.slice(0, 60) + '...',
-);
-
-// ============================================================
-// Step 3: Replace the message history rainbow loop
-//
-// Adds bold/italic/underline/strikethrough to the per-char <T> elements.
-// ============================================================
-
-// 2.1.186 (JSX runtime): key moved to the 3rd jsx arg, char moved into
-// props.children:
-//   for(let c=l.start;c<l.end;c++)i.push(yS.jsx(w,{color:u9(c-l.start),children:n[c]},`rb-${c}`))
-const historyPattern = new RegExp(
-  'for\\(let ([$\\w]+)=([$\\w]+)\\.start;\\1<\\2\\.end;\\1\\+\\+\\)' +
-  '([$\\w]+)\\.push\\(([$\\w]+)\\.jsx\\(([$\\w]+),' +
-  '\\{color:([$\\w]+)\\(\\1-\\2\\.start\\),children:([$\\w]+)\\[\\1\\]\\}' +
-  ',`rb-\\$\\{\\1\\}`\\)\\)'
-);
-
-const historyMatch = content.match(historyPattern);
-
-if (!historyMatch) {
-  output.error('Could not find message history rainbow loop', [
-    'Expected: for(let M=J.start;M<J.end;M++)_.push(R.jsx(T,{color:PH(M-J.start),children:K[M]},`rb-${M}`))',
-    'The message history renderer structure may have changed',
-  ]);
-  process.exit(1);
-}
-
-const [histOriginal, hCharIdx, hMatchObj, hPushArr, hReact, hTextComp, hColorFn, hTextVar] = historyMatch;
-
-output.discovery('message history loop', histOriginal.slice(0, 60) + '...', {
-  'React var': hReact,
-  'Text component': hTextComp,
-  'color fn': hColorFn,
-  'text var': hTextVar,
-});
-
-const histReplacement =
-  `for(let ${hCharIdx}=${hMatchObj}.start;${hCharIdx}<${hMatchObj}.end;${hCharIdx}++){` +
-  `let _s=${hMatchObj}.style,_o=${hCharIdx}-${hMatchObj}.start;` +
-  `${hPushArr}.push(${hReact}.jsx(${hTextComp},` +
-  `{color:_s?_s.colors?_s.colors[_o%_s.colors.length]:_s.color:${hColorFn}(_o),` +
-  `bold:_s?.bold,italic:_s?.italic,underline:_s?.underline,strikethrough:_s?.strikethrough,` +
-  `children:${hTextVar}[${hCharIdx}]},` +
-  `\`rb-\${${hCharIdx}}\`))}`;
-
-output.modification('message history loop',
-  histOriginal.slice(0, 60) + '...',
-  histReplacement.slice(0, 60) + '...',
-);
 
-// ============================================================
-// Step 4: Filter notification trigger to ultrathink only
-//
-// Two known forms:
-//   ≤2.1.85: if(!ARR.length||!GATE())return;NOTIFY({key:"ultrathink-active"
-//    2.1.86: if(ARR.length&&GATE())NOTIFY({key:"ultrathink-active"
-//
-// Both are semantically equivalent (De Morgan's transform). The
-// replacement ensures only ultrathink matches (style===null) fire.
-// ============================================================
-
-// Form A (≤2.1.85): early-return guard
-const notifPatternA = new RegExp(
-  'if\\(!([$\\w]+)\\.length\\|\\|!([$\\w]+)\\(\\)\\)return;([$\\w]+)\\(\\{key:"ultrathink-active"'
-);
-// Form B (2.1.86+): positive conditional
-const notifPatternB = new RegExp(
-  'if\\(([$\\w]+)\\.length&&([$\\w]+)\\(\\)\\)([$\\w]+)\\(\\{key:"ultrathink-active"'
-);
-
-let notifMatch = content.match(notifPatternA);
-let notifForm = 'A';
-
-if (!notifMatch) {
-  notifMatch = content.match(notifPatternB);
-  notifForm = 'B';
-}
-
-if (!notifMatch) {
-  output.error('Could not find notification trigger pattern', [
-    'Expected form A: if(!ARR.length||!GATE())return;NOTIFY({key:"ultrathink-active"',
-    'Expected form B: if(ARR.length&&GATE())NOTIFY({key:"ultrathink-active"',
-    'The notification trigger structure may have changed',
-  ]);
-  process.exit(1);
-}
-
-const [notifOriginal, notifArrayVar, notifGateVar, notifFnVar] = notifMatch;
-
-output.discovery('notification trigger', notifOriginal.slice(0, 60) + '...', {
-  'match array': notifArrayVar,
-  'gate fn': notifGateVar,
-  'form': notifForm,
-});
-
-// Build replacement matching the detected form
-let notifReplacement;
-if (notifForm === 'A') {
-  // Guard style: if no ultrathink matches or gate off, return
-  notifReplacement = `if(!${notifArrayVar}.some(m=>!m.style)||!${notifGateVar}())return;${notifFnVar}({key:"ultrathink-active"`;
-} else {
-  // Conditional style: only fire if ultrathink matches AND gate on
-  notifReplacement = `if(${notifArrayVar}.some(m=>!m.style)&&${notifGateVar}())${notifFnVar}({key:"ultrathink-active"`;
-}
-
-output.modification('notification trigger',
-  notifOriginal.slice(0, 60) + '...',
-  notifReplacement.slice(0, 60) + '...',
-);
-
-// ============================================================
-// Step 5: Text line renderer — pass bold/italic/underline/strikethrough
-//
-// The text line renderer has two branches we modify + one we add:
-//
-// a) Shimmer path: wraps OQ6 chars in <T key={L}>
-//    → add bold/italic/underline/strikethrough to the wrapper
-//
-// b) Default path: <T key={N} color={V.highlight?.color} dimColor={...} inverse={...}>
-//    → add bold/italic/underline/strikethrough props
-//
-// c) NEW — Effect-only path: no color, but has text effects
-//    → catches markdown formatting (bold/italic/strikethrough without color)
-//    → renders <T> with effects, wrapping aq component
-//
-// 2.1.83 pattern (both branches, contiguous):
-//   if(k.highlight?.shimmerColor&&k.highlight.color)return R.createElement(T,{key:N},
-//     k.text.split("").map((h,R)=>R.createElement(tWH,{key:R,char:h,index:k.start+R,
-//     glimmerIndex:X,messageColor:k.highlight.color,shimmerColor:k.highlight.shimmerColor})));
-//   return R.createElement(T,{key:N,color:k.highlight?.color,dimColor:k.highlight?.dimColor,
-//     inverse:k.highlight?.inverse},R.createElement(x9,null,k.text))
-//
-// Key 2.1.83 change: color path lost its if(V.highlight?.color) guard — now
-// unconditional `return`. Added dimColor + inverse props.
-// ============================================================
-
-// 2.1.186 (JSX runtime): keys moved to the 3rd jsx arg, children moved into
-// props. Both branches now share the trailing key var (I):
-//   if(k.highlight?.shimmerColor&&k.highlight.color)return Qwe.jsx(w,{children:
-//     k.text.split("").map((x,R)=>Qwe.jsx(TUe,{char:x,index:k.start+R,glimmerIndex:b,
-//     messageColor:k.highlight.color,shimmerColor:k.highlight.shimmerColor},R))},I);
-//   return Qwe.jsx(w,{color:k.highlight?.color,dimColor:k.highlight?.dimColor,
-//     inverse:k.highlight?.inverse,children:Qwe.jsx(nd,{children:k.text})},I)
-// 2.1.209 (hljs 11 render rework): the shimmer branch's return is now
-// brace-wrapped — `if(...){return ...}` instead of `if(...)return ...;`. Only
-// the opening `{` after the guard and the closing `}` before the default
-// `return` differ; captures are unchanged.
-const renderPattern = new RegExp(
-  'if\\(([$\\w]+)\\.highlight\\?\\.shimmerColor&&\\1\\.highlight\\.color\\)\\{' +
-  'return ([$\\w]+)\\.jsx\\(([$\\w]+),\\{children:' +
-  '\\1\\.text\\.split\\(""\\)\\.map\\(\\(([$\\w]+),([$\\w]+)\\)=>' +
-  '\\2\\.jsx\\(([$\\w]+),\\{char:\\4,index:\\1\\.start\\+\\5,' +
-  'glimmerIndex:([$\\w]+),messageColor:\\1\\.highlight\\.color,' +
-  'shimmerColor:\\1\\.highlight\\.shimmerColor\\},\\5\\)\\)\\},([$\\w]+)\\)\\}' +
-  'return \\2\\.jsx\\(\\3,\\{' +
-  'color:\\1\\.highlight\\?\\.color,' +
-  'dimColor:\\1\\.highlight\\?\\.dimColor,' +
-  'inverse:\\1\\.highlight\\?\\.inverse,children:' +
-  '\\2\\.jsx\\(([$\\w]+),\\{children:\\1\\.text\\}\\)\\},\\8\\)'
-);
-
-const renderMatch = content.match(renderPattern);
-
-if (!renderMatch) {
-  output.error('Could not find text line renderer pattern', [
-    'Expected: if(V.highlight?.shimmerColor&&...)...return R.jsx(T,{...,children:R.jsx(AQ,{children:V.text})},KEY)',
-    'The text line renderer structure may have changed',
-  ]);
-  process.exit(1);
-}
-
-const [renderOriginal, rSpanVar, rReactVar, rTextComp2, rCharVar, rIdxVar, rOQ6Comp, rGlimmerVar, rKeyVar, rAqComp] = renderMatch;
-
-output.discovery('text line renderer', renderOriginal.slice(0, 60) + '...', {
-  'span var': rSpanVar,
-  'React var': rReactVar,
-  'OQ6 component': rOQ6Comp,
-});
-
-// In the shimmer path, add bold/italic/underline/strikethrough to the outer <T> wrapper.
-// In the color/default path, add bold/italic/underline/strikethrough.
-// NEW: effect-only path for markdown formatting (no color, just text decoration).
-// Text styles on the outer <T> cascade to inner children in Ink.
-const h = rSpanVar;  // shorthand
-// JSX runtime form: children in props, key as the 3rd jsx arg.
-const renderReplacement =
-  // (a) Shimmer path — add all four text effects
-  `if(${h}.highlight?.shimmerColor&&${h}.highlight.color)` +
-  `return ${rReactVar}.jsx(${rTextComp2},{` +
-  `bold:${h}.highlight.bold,italic:${h}.highlight.italic,underline:${h}.highlight.underline,strikethrough:${h}.highlight.strikethrough,` +
-  `children:${h}.text.split("").map((${rCharVar},${rIdxVar})=>` +
-  `${rReactVar}.jsx(${rOQ6Comp},{char:${rCharVar},index:${h}.start+${rIdxVar},` +
-  `glimmerIndex:${rGlimmerVar},messageColor:${h}.highlight.color,` +
-  `shimmerColor:${h}.highlight.shimmerColor},${rIdxVar}))},${rKeyVar});` +
-  // (b) Color path — add all four text effects, keep dimColor/inverse
-  `if(${h}.highlight?.color)` +
-  `return ${rReactVar}.jsx(${rTextComp2},{color:${h}.highlight.color,` +
-  `dimColor:${h}.highlight?.dimColor,inverse:${h}.highlight?.inverse,` +
-  `bold:${h}.highlight.bold,italic:${h}.highlight.italic,underline:${h}.highlight.underline,strikethrough:${h}.highlight.strikethrough,` +
-  `children:${rReactVar}.jsx(${rAqComp},{children:${h}.text})},${rKeyVar});` +
-  // (c) Effect-only path — markdown formatting with no color
-  `if(${h}.highlight&&(${h}.highlight.bold||${h}.highlight.italic||${h}.highlight.underline||${h}.highlight.strikethrough))` +
-  `return ${rReactVar}.jsx(${rTextComp2},{` +
-  `bold:${h}.highlight.bold,italic:${h}.highlight.italic,underline:${h}.highlight.underline,strikethrough:${h}.highlight.strikethrough,` +
-  `children:${rReactVar}.jsx(${rAqComp},{children:${h}.text})},${rKeyVar});` +
-  // (d) Default — preserve original dimColor/inverse behavior for non-highlighted spans
-  `return ${rReactVar}.jsx(${rTextComp2},{` +
-  `color:${h}.highlight?.color,dimColor:${h}.highlight?.dimColor,inverse:${h}.highlight?.inverse,` +
-  `children:${rReactVar}.jsx(${rAqComp},{children:${h}.text})},${rKeyVar})`;
-
-output.modification('text line renderer',
-  renderOriginal.slice(0, 60) + '...',
-  renderReplacement.slice(0, 60) + '...',
-);
-
-// ============================================================
-// Apply
-// ============================================================
+  // Sort by base length descending (strip suffix quantifier for comparison)
+  allPatterns.sort((a, b) => b.replace(/\[a-zA-Z0-9\]\*$/, '').length - a.replace(/\[a-zA-Z0-9\]\*$/, '').length);
+  const wordPattern = allPatterns.join('|');
+
+  // Serialize lookup structures for injection
+  const hsJson = JSON.stringify(hsEntries);
+  const hpJson = JSON.stringify(hpEntries);
+  const codeStyleJson = JSON.stringify(CODE_STYLE);
+  const delimStyleJson = JSON.stringify(DELIM_STYLE);
+  const mdBoldJson = JSON.stringify(MD_BOLD_STYLE);
+  const mdItalicJson = JSON.stringify(MD_ITALIC_STYLE);
+  const mdStrikeJson = JSON.stringify(MD_STRIKE_STYLE);
+
+  // ============================================================
+  // Step 1: Replace the match-finder function (n41 / j9$)
+  //
+  // Original: finds /\bultrathink\b/gi matches, returns [{word,start,end}]
+  // Patched:  finds all keywords + inline code spans + markdown formatting,
+  //           returns [{word,start,end,style}] where style is the entry
+  //           from KEYWORD_STYLES (or null for ultrathink).
+  //
+  //           Priority order (higher clips around lower):
+  //             1. Keywords — always on top
+  //             2. Inline `code` — clips around keywords
+  //             3. Markdown **bold** / *italic* / ~~strike~~ — clips around
+  //                keywords, skips regions covered by code spans
+  // ============================================================
+
+  const fnPattern = new RegExp(
+    'function ([$\\w]+)\\(([$\\w]+)\\)\\{' +
+    'let ([$\\w]+)=\\[\\],' +
+    '([$\\w]+)=\\2\\.matchAll\\(/\\\\bultrathink\\\\b/gi\\);' +
+    'for\\(let ([$\\w]+) of \\4\\)' +
+    'if\\(\\5\\.index!==void 0\\)\\3\\.push\\(\\{' +
+    'word:\\5\\[0\\],' +
+    'start:\\5\\.index,' +
+    'end:\\5\\.index\\+\\5\\[0\\]\\.length' +
+    '\\}\\);' +
+    'return \\3\\}'
+  );
+
+  const fnMatch = ctx.matchOnce(content, fnPattern, {
+    label: 'match-finder function pattern',
+    details: [
+      'Expected: function NAME(ARG){let R=[],M=ARG.matchAll(/\\bultrathink\\b/gi);...}',
+      'The ultrathink detection structure may have changed',
+    ],
+  });
+
+  const [, fnName, argName, resultVar, matchVar, iterVar] = fnMatch;
+
+  ctx.discovery('match-finder function', fnName + '()', {
+    'arg': argName,
+    'result var': resultVar,
+  });
+
+  const fnReplacement =
+    `function ${fnName}(${argName}){` +
+    `var _HS=${hsJson},` +
+    `_HP=${hpJson},` +
+    `_CS=${codeStyleJson},` +
+    `_DS=${delimStyleJson},` +
+    `_MB=${mdBoldJson},` +
+    `_MI=${mdItalicJson},` +
+    `_MS=${mdStrikeJson};` +
+    `function _HL(w){var s=_HS[w];if(s)return s;for(var k in _HP)if(w.startsWith(k))return _HP[k];return null}` +
+    `let ${resultVar}=[],` +
+    `${matchVar}=${argName}.matchAll(/(?<![a-zA-Z0-9])(${wordPattern})(?![a-zA-Z0-9])/gi);` +
+    `for(let ${iterVar} of ${matchVar})` +
+    `if(${iterVar}.index!==void 0)${resultVar}.push({` +
+    `word:${iterVar}[0],` +
+    `start:${iterVar}.index,` +
+    `end:${iterVar}.index+${iterVar}[0].length,` +
+    `style:_HL(${iterVar}[0].toLowerCase())||null` +
+    `});` +
+    // Inline code span detection — track ranges for markdown overlap exclusion
+    `var _cR=[],_cr=/\`([^\`\\n]+)\`/g,_cm;` +
+    `while((_cm=_cr.exec(${argName}))!==null){` +
+    `var _s=_cm.index,_e=_s+_cm[0].length,_cs=_s+1,_ce=_e-1;` +
+    `_cR.push({s:_s,e:_e});` +
+    // Always render backtick delimiters (dim)
+    `${resultVar}.push({word:"\`",start:_s,end:_s+1,style:_DS});` +
+    `${resultVar}.push({word:"\`",start:_e-1,end:_e,style:_DS});` +
+    // Collect keyword matches overlapping the content region, sorted by start
+    `var _ov=${resultVar}.filter(function(r){return r.start<_ce&&r.end>_cs})` +
+    `.sort(function(a,b){return a.start-b.start});` +
+    // Fill code-styled segments in the gaps between keywords
+    `var _pos=_cs;` +
+    `for(var _k=0;_k<_ov.length;_k++){` +
+    `if(_ov[_k].start>_pos)${resultVar}.push({word:${argName}.slice(_pos,_ov[_k].start),start:_pos,end:_ov[_k].start,style:_CS});` +
+    `_pos=Math.max(_pos,_ov[_k].end)}` +
+    `if(_pos<_ce)${resultVar}.push({word:${argName}.slice(_pos,_ce),start:_pos,end:_ce,style:_CS})` +
+    `}` +
+    // Markdown formatting: **bold**, *italic*, _italic_, ~~strikethrough~~
+    // Combined regex with alternation priority: bold > *italic* > _italic_ > strikethrough
+    // _italic_ uses alnum boundaries to avoid triggering on snake_case
+    // Skips matches that overlap code spans
+    `var _mr=/\\*\\*([^*\\n]+)\\*\\*|\\*([^*\\n]+?)\\*|(?<![a-zA-Z0-9])_([^_\\n]+?)_(?![a-zA-Z0-9])|~~([^~\\n]+)~~/g,_mm;` +
+    `while((_mm=_mr.exec(${argName}))!==null){` +
+    `var _s=_mm.index,_e=_s+_mm[0].length;` +
+    // Skip if overlapping any code span
+    `if(_cR.some(function(c){return _s<c.e&&_e>c.s}))continue;` +
+    // Determine delimiter length and style based on which group matched
+    `var _dl,_st;` +
+    `if(_mm[1]!==void 0){_dl=2;_st=_MB}` +
+    `else if(_mm[2]!==void 0||_mm[3]!==void 0){_dl=1;_st=_MI}` +
+    `else{_dl=2;_st=_MS}` +
+    `var _cs=_s+_dl,_ce=_e-_dl;` +
+    // Delimiter segments (dim)
+    `${resultVar}.push({word:${argName}.slice(_s,_cs),start:_s,end:_cs,style:_DS});` +
+    `${resultVar}.push({word:${argName}.slice(_ce,_e),start:_ce,end:_e,style:_DS});` +
+    // Clip content around keyword overlaps (same logic as code spans)
+    `var _ov=${resultVar}.filter(function(r){return r.start<_ce&&r.end>_cs&&r.style!==_DS})` +
+    `.sort(function(a,b){return a.start-b.start});` +
+    `var _pos=_cs;` +
+    `for(var _k=0;_k<_ov.length;_k++){` +
+    `if(_ov[_k].start>_pos)${resultVar}.push({word:${argName}.slice(_pos,_ov[_k].start),start:_pos,end:_ov[_k].start,style:_st});` +
+    `_pos=Math.max(_pos,_ov[_k].end)}` +
+    `if(_pos<_ce)${resultVar}.push({word:${argName}.slice(_pos,_ce),start:_pos,end:_ce,style:_st})` +
+    `}` +
+    // Sort all matches by start position for the Vyf renderer
+    `${resultVar}.sort(function(a,b){return a.start-b.start});` +
+    `return ${resultVar}}`;
+
+  // ============================================================
+  // Step 2: Replace the input box highlight builder loop
+  //
+  // Adds bold/italic/underline/strikethrough to the highlight span
+  // so the text line renderer (Step 5) can pass them through to <T>.
+  // ============================================================
+
+  const inputPattern = new RegExp(
+    'for\\(let ([$\\w]+) of ([$\\w]+)\\)' +
+    'for\\(let ([$\\w]+)=\\1\\.start;\\3<\\1\\.end;\\3\\+\\+\\)' +
+    '([$\\w]+)\\.push\\(\\{' +
+    'start:\\3,' +
+    'end:\\3\\+1,' +
+    'color:([$\\w]+)\\(\\3-\\1\\.start\\),' +
+    'shimmerColor:\\5\\(\\3-\\1\\.start,!0\\),' +
+    'priority:10' +
+    '\\}\\)'
+  );
+
+  const inputMatch = ctx.matchOnce(content, inputPattern, {
+    label: 'input box highlight loop',
+    details: [
+      'Expected: for(let X of G)for(let Y=X.start;Y<X.end;Y++)R.push({...color:PH(Y-X.start),...})',
+      'The input highlight builder structure may have changed',
+    ],
+  });
+
+  const [inputOriginal, matchIterVar, matchArrayVar, charIdxVar, pushTarget, colorFn] = inputMatch;
+
+  ctx.discovery('input highlight loop', inputOriginal.slice(0, 60) + '...', {
+    'match iter': matchIterVar,
+    'match array': matchArrayVar,
+    'color fn': colorFn,
+  });
+
+  const inputReplacement =
+    `for(let ${matchIterVar} of ${matchArrayVar})` +
+    `for(let ${charIdxVar}=${matchIterVar}.start;${charIdxVar}<${matchIterVar}.end;${charIdxVar}++){` +
+    `let _s=${matchIterVar}.style,_o=${charIdxVar}-${matchIterVar}.start;` +
+    `${pushTarget}.push({start:${charIdxVar},end:${charIdxVar}+1,` +
+    `color:_s?_s.colors?_s.colors[_o%_s.colors.length]:_s.color:${colorFn}(_o),` +
+    `shimmerColor:_s?_s.shimmer?_s.colors?_s.shimmerColors[_o%_s.shimmerColors.length]:_s.shimmerColor:void 0:${colorFn}(_o,!0),` +
+    `bold:_s?.bold,italic:_s?.italic,underline:_s?.underline,strikethrough:_s?.strikethrough,` +
+    `priority:10})}`;
+
+  // ============================================================
+  // Step 3: Replace the message history rainbow loop
+  //
+  // Adds bold/italic/underline/strikethrough to the per-char <T> elements.
+  // ============================================================
+
+  // 2.1.186 (JSX runtime): key moved to the 3rd jsx arg, char moved into
+  // props.children:
+  //   for(let c=l.start;c<l.end;c++)i.push(yS.jsx(w,{color:u9(c-l.start),children:n[c]},`rb-${c}`))
+  const historyPattern = new RegExp(
+    'for\\(let ([$\\w]+)=([$\\w]+)\\.start;\\1<\\2\\.end;\\1\\+\\+\\)' +
+    '([$\\w]+)\\.push\\(([$\\w]+)\\.jsx\\(([$\\w]+),' +
+    '\\{color:([$\\w]+)\\(\\1-\\2\\.start\\),children:([$\\w]+)\\[\\1\\]\\}' +
+    ',`rb-\\$\\{\\1\\}`\\)\\)'
+  );
+
+  const historyMatch = ctx.matchOnce(content, historyPattern, {
+    label: 'message history rainbow loop',
+    details: [
+      'Expected: for(let M=J.start;M<J.end;M++)_.push(R.jsx(T,{color:PH(M-J.start),children:K[M]},`rb-${M}`))',
+      'The message history renderer structure may have changed',
+    ],
+  });
+
+  const [histOriginal, hCharIdx, hMatchObj, hPushArr, hReact, hTextComp, hColorFn, hTextVar] = historyMatch;
+
+  ctx.discovery('message history loop', histOriginal.slice(0, 60) + '...', {
+    'React var': hReact,
+    'Text component': hTextComp,
+    'color fn': hColorFn,
+    'text var': hTextVar,
+  });
+
+  const histReplacement =
+    `for(let ${hCharIdx}=${hMatchObj}.start;${hCharIdx}<${hMatchObj}.end;${hCharIdx}++){` +
+    `let _s=${hMatchObj}.style,_o=${hCharIdx}-${hMatchObj}.start;` +
+    `${hPushArr}.push(${hReact}.jsx(${hTextComp},` +
+    `{color:_s?_s.colors?_s.colors[_o%_s.colors.length]:_s.color:${hColorFn}(_o),` +
+    `bold:_s?.bold,italic:_s?.italic,underline:_s?.underline,strikethrough:_s?.strikethrough,` +
+    `children:${hTextVar}[${hCharIdx}]},` +
+    `\`rb-\${${hCharIdx}}\`))}`;
+
+  // ============================================================
+  // Step 4: Filter notification trigger to ultrathink only
+  //
+  // Two known forms:
+  //   ≤2.1.85: if(!ARR.length||!GATE())return;NOTIFY({key:"ultrathink-active"
+  //    2.1.86: if(ARR.length&&GATE())NOTIFY({key:"ultrathink-active"
+  //
+  // Both are semantically equivalent (De Morgan's transform). The
+  // replacement ensures only ultrathink matches (style===null) fire.
+  // ============================================================
+
+  // Form A (≤2.1.85): early-return guard
+  const notifPatternA = new RegExp(
+    'if\\(!([$\\w]+)\\.length\\|\\|!([$\\w]+)\\(\\)\\)return;([$\\w]+)\\(\\{key:"ultrathink-active"'
+  );
+  // Form B (2.1.86+): positive conditional
+  const notifPatternB = new RegExp(
+    'if\\(([$\\w]+)\\.length&&([$\\w]+)\\(\\)\\)([$\\w]+)\\(\\{key:"ultrathink-active"'
+  );
+
+  let notifPattern = notifPatternA;
+  let notifForm = 'A';
+  let notifMatch = ctx.matchOnce(content, notifPatternA, {
+    label: 'notification trigger (form A)',
+    expect: { min: 0, max: 1 },
+  });
+
+  if (!notifMatch) {
+    notifPattern = notifPatternB;
+    notifForm = 'B';
+    notifMatch = ctx.matchOnce(content, notifPatternB, {
+      label: 'notification trigger pattern',
+      details: [
+        'Expected form A: if(!ARR.length||!GATE())return;NOTIFY({key:"ultrathink-active"',
+        'Expected form B: if(ARR.length&&GATE())NOTIFY({key:"ultrathink-active"',
+        'The notification trigger structure may have changed',
+      ],
+    });
+  }
 
-const totalSteps = 5;
+  const [notifOriginal, notifArrayVar, notifGateVar, notifFnVar] = notifMatch;
 
-if (dryRun) {
-  output.result('dry_run', `Keyword highlights patch ready (${totalSteps} changes, ${customWords.length} custom keywords, ${allPatterns.length} patterns, markdown formatting)`);
-  process.exit(0);
-}
+  ctx.discovery('notification trigger', notifOriginal.slice(0, 60) + '...', {
+    'match array': notifArrayVar,
+    'gate fn': notifGateVar,
+    'form': notifForm,
+  });
 
-let patched = content;
-patched = patched.replace(fnMatch[0], () => fnReplacement);
-patched = patched.replace(inputMatch[0], () => inputReplacement);
-patched = patched.replace(historyMatch[0], () => histReplacement);
-patched = patched.replace(notifMatch[0], () => notifReplacement);
-patched = patched.replace(renderMatch[0], () => renderReplacement);
+  // Build replacement matching the detected form
+  let notifReplacement;
+  if (notifForm === 'A') {
+    // Guard style: if no ultrathink matches or gate off, return
+    notifReplacement = `if(!${notifArrayVar}.some(m=>!m.style)||!${notifGateVar}())return;${notifFnVar}({key:"ultrathink-active"`;
+  } else {
+    // Conditional style: only fire if ultrathink matches AND gate on
+    notifReplacement = `if(${notifArrayVar}.some(m=>!m.style)&&${notifGateVar}())${notifFnVar}({key:"ultrathink-active"`;
+  }
 
-if (patched === content) {
-  output.error('Patches had no effect');
-  process.exit(1);
+  // ============================================================
+  // Step 5: Text line renderer — pass bold/italic/underline/strikethrough
+  //
+  // The text line renderer has two branches we modify + one we add:
+  //
+  // a) Shimmer path: wraps OQ6 chars in <T key={L}>
+  //    → add bold/italic/underline/strikethrough to the wrapper
+  //
+  // b) Default path: <T key={N} color={V.highlight?.color} dimColor={...} inverse={...}>
+  //    → add bold/italic/underline/strikethrough props
+  //
+  // c) NEW — Effect-only path: no color, but has text effects
+  //    → catches markdown formatting (bold/italic/strikethrough without color)
+  //    → renders <T> with effects, wrapping aq component
+  //
+  // 2.1.83 pattern (both branches, contiguous):
+  //   if(k.highlight?.shimmerColor&&k.highlight.color)return R.createElement(T,{key:N},
+  //     k.text.split("").map((h,R)=>R.createElement(tWH,{key:R,char:h,index:k.start+R,
+  //     glimmerIndex:X,messageColor:k.highlight.color,shimmerColor:k.highlight.shimmerColor})));
+  //   return R.createElement(T,{key:N,color:k.highlight?.color,dimColor:k.highlight?.dimColor,
+  //     inverse:k.highlight?.inverse},R.createElement(x9,null,k.text))
+  //
+  // Key 2.1.83 change: color path lost its if(V.highlight?.color) guard — now
+  // unconditional `return`. Added dimColor + inverse props.
+  // ============================================================
+
+  // 2.1.186 (JSX runtime): keys moved to the 3rd jsx arg, children moved into
+  // props. Both branches now share the trailing key var (I):
+  //   if(k.highlight?.shimmerColor&&k.highlight.color)return Qwe.jsx(w,{children:
+  //     k.text.split("").map((x,R)=>Qwe.jsx(TUe,{char:x,index:k.start+R,glimmerIndex:b,
+  //     messageColor:k.highlight.color,shimmerColor:k.highlight.shimmerColor},R))},I);
+  //   return Qwe.jsx(w,{color:k.highlight?.color,dimColor:k.highlight?.dimColor,
+  //     inverse:k.highlight?.inverse,children:Qwe.jsx(nd,{children:k.text})},I)
+  // 2.1.209 (hljs 11 render rework): the shimmer branch's return is now
+  // brace-wrapped — `if(...){return ...}` instead of `if(...)return ...;`. Only
+  // the opening `{` after the guard and the closing `}` before the default
+  // `return` differ; captures are unchanged.
+  const renderPattern = new RegExp(
+    'if\\(([$\\w]+)\\.highlight\\?\\.shimmerColor&&\\1\\.highlight\\.color\\)\\{' +
+    'return ([$\\w]+)\\.jsx\\(([$\\w]+),\\{children:' +
+    '\\1\\.text\\.split\\(""\\)\\.map\\(\\(([$\\w]+),([$\\w]+)\\)=>' +
+    '\\2\\.jsx\\(([$\\w]+),\\{char:\\4,index:\\1\\.start\\+\\5,' +
+    'glimmerIndex:([$\\w]+),messageColor:\\1\\.highlight\\.color,' +
+    'shimmerColor:\\1\\.highlight\\.shimmerColor\\},\\5\\)\\)\\},([$\\w]+)\\)\\}' +
+    'return \\2\\.jsx\\(\\3,\\{' +
+    'color:\\1\\.highlight\\?\\.color,' +
+    'dimColor:\\1\\.highlight\\?\\.dimColor,' +
+    'inverse:\\1\\.highlight\\?\\.inverse,children:' +
+    '\\2\\.jsx\\(([$\\w]+),\\{children:\\1\\.text\\}\\)\\},\\8\\)'
+  );
+
+  const renderMatch = ctx.matchOnce(content, renderPattern, {
+    label: 'text line renderer pattern',
+    details: [
+      'Expected: if(V.highlight?.shimmerColor&&...)...return R.jsx(T,{...,children:R.jsx(AQ,{children:V.text})},KEY)',
+      'The text line renderer structure may have changed',
+    ],
+  });
+
+  const [renderOriginal, rSpanVar, rReactVar, rTextComp2, rCharVar, rIdxVar, rOQ6Comp, rGlimmerVar, rKeyVar, rAqComp] = renderMatch;
+
+  ctx.discovery('text line renderer', renderOriginal.slice(0, 60) + '...', {
+    'span var': rSpanVar,
+    'React var': rReactVar,
+    'OQ6 component': rOQ6Comp,
+  });
+
+  // In the shimmer path, add bold/italic/underline/strikethrough to the outer <T> wrapper.
+  // In the color/default path, add bold/italic/underline/strikethrough.
+  // NEW: effect-only path for markdown formatting (no color, just text decoration).
+  // Text styles on the outer <T> cascade to inner children in Ink.
+  const h = rSpanVar;  // shorthand
+  // JSX runtime form: children in props, key as the 3rd jsx arg.
+  const renderReplacement =
+    // (a) Shimmer path — add all four text effects
+    `if(${h}.highlight?.shimmerColor&&${h}.highlight.color)` +
+    `return ${rReactVar}.jsx(${rTextComp2},{` +
+    `bold:${h}.highlight.bold,italic:${h}.highlight.italic,underline:${h}.highlight.underline,strikethrough:${h}.highlight.strikethrough,` +
+    `children:${h}.text.split("").map((${rCharVar},${rIdxVar})=>` +
+    `${rReactVar}.jsx(${rOQ6Comp},{char:${rCharVar},index:${h}.start+${rIdxVar},` +
+    `glimmerIndex:${rGlimmerVar},messageColor:${h}.highlight.color,` +
+    `shimmerColor:${h}.highlight.shimmerColor},${rIdxVar}))},${rKeyVar});` +
+    // (b) Color path — add all four text effects, keep dimColor/inverse
+    `if(${h}.highlight?.color)` +
+    `return ${rReactVar}.jsx(${rTextComp2},{color:${h}.highlight.color,` +
+    `dimColor:${h}.highlight?.dimColor,inverse:${h}.highlight?.inverse,` +
+    `bold:${h}.highlight.bold,italic:${h}.highlight.italic,underline:${h}.highlight.underline,strikethrough:${h}.highlight.strikethrough,` +
+    `children:${rReactVar}.jsx(${rAqComp},{children:${h}.text})},${rKeyVar});` +
+    // (c) Effect-only path — markdown formatting with no color
+    `if(${h}.highlight&&(${h}.highlight.bold||${h}.highlight.italic||${h}.highlight.underline||${h}.highlight.strikethrough))` +
+    `return ${rReactVar}.jsx(${rTextComp2},{` +
+    `bold:${h}.highlight.bold,italic:${h}.highlight.italic,underline:${h}.highlight.underline,strikethrough:${h}.highlight.strikethrough,` +
+    `children:${rReactVar}.jsx(${rAqComp},{children:${h}.text})},${rKeyVar});` +
+    // (d) Default — preserve original dimColor/inverse behavior for non-highlighted spans
+    `return ${rReactVar}.jsx(${rTextComp2},{` +
+    `color:${h}.highlight?.color,dimColor:${h}.highlight?.dimColor,inverse:${h}.highlight?.inverse,` +
+    `children:${rReactVar}.jsx(${rAqComp},{children:${h}.text})},${rKeyVar})`;
+
+  // ============================================================
+  // Apply
+  // ============================================================
+
+  const totalSteps = 5;
+
+  let patched = content;
+  patched = ctx.replaceOnce(patched, fnPattern, fnReplacement, { label: 'match-finder function' });
+  patched = ctx.replaceOnce(patched, inputPattern, inputReplacement, { label: 'input highlight loop' });
+  patched = ctx.replaceOnce(patched, historyPattern, histReplacement, { label: 'message history loop' });
+  patched = ctx.replaceOnce(patched, notifPattern, notifReplacement, { label: 'notification trigger' });
+  patched = ctx.replaceOnce(patched, renderPattern, renderReplacement, { label: 'text line renderer' });
+
+  if (ctx.dryRun) {
+    ctx.result('dry_run', `Keyword highlights patch ready (${totalSteps} changes, ${customWords.length} custom keywords, ${allPatterns.length} patterns, markdown formatting)`);
+  } else {
+    ctx.result('success', `Patched keyword highlights (${totalSteps} changes, ${customWords.length} custom keywords, markdown formatting)`);
+  }
+  return patched;
 }
 
-try {
-  fs.writeFileSync(targetPath, patched);
-  output.result('success', `Patched keyword highlights in ${targetPath} (${totalSteps} changes, ${customWords.length} custom keywords, markdown formatting)`);
-} catch (err) {
-  output.error('Failed to write patched file', [err.message]);
-  process.exit(1);
-}
+module.exports = definePatch(module, { config, run });
@@ -35,69 +35,41 @@
  *   CLAUDE_CODE_NESTED_SUBAGENTS=1 claude
  */
 
-const fs = require('fs');
-const output = require('../../../lib/output');
+const { definePatch } = require('../../../lib/patch-module');
 
-const args = process.argv.slice(2);
-const dryRun = args[0] === '--check';
-const targetPath = dryRun ? args[1] : args[0];
+function run(content, ctx) {
+  // Anchor on the unique depth-cap throw. Capture the depth var + cap constant +
+  // error fn so we survive minifier renames.
+  //   DEPTH >= CAP)throw ERRFN("subagent_launch","subagent_depth_cap")
+  const pattern = /([$\w]+)>=([$\w]+)\)throw ([$\w]+)\("subagent_launch","subagent_depth_cap"\)/;
+  const [original, depthVar, capVar, errFn] = ctx.matchOnce(content, pattern, {
+    label: 'subagent depth-cap gate',
+    details: [
+      'Expected: DEPTH>=CAP)throw ERRFN("subagent_launch","subagent_depth_cap")',
+      'The subagent nesting guard may have changed structure'
+    ],
+  });
 
-if (!targetPath) {
-  output.error('Usage: node patch-subagent-nesting-knob.js [--check] <cli.js path>');
-  process.exit(1);
-}
-
-let content;
-try {
-  content = fs.readFileSync(targetPath, 'utf8');
-} catch (err) {
-  output.error(`Failed to read ${targetPath}`, [err.message]);
-  process.exit(1);
-}
-
-// Anchor on the unique depth-cap throw. Capture the depth var + cap constant +
-// error fn so we survive minifier renames.
-//   DEPTH >= CAP)throw ERRFN("subagent_launch","subagent_depth_cap")
-const pattern = /([$\w]+)>=([$\w]+)\)throw ([$\w]+)\("subagent_launch","subagent_depth_cap"\)/;
-const match = content.match(pattern);
-
-if (!match) {
-  output.error('Could not find subagent depth-cap gate', [
-    'Expected: DEPTH>=CAP)throw ERRFN("subagent_launch","subagent_depth_cap")',
-    'The subagent nesting guard may have changed structure'
-  ]);
-  process.exit(1);
-}
-
-const [original, depthVar, capVar, errFn] = match;
-
-output.discovery('subagent depth-cap gate', original.slice(0, 60) + '...', {
-  'depth var': depthVar,
-  'cap const': capVar,
-  'error fn': errFn,
-  'env knob': 'CLAUDE_CODE_NESTED_SUBAGENTS'
-});
+  ctx.discovery('subagent depth-cap gate', original.slice(0, 60) + '...', {
+    'depth var': depthVar,
+    'cap const': capVar,
+    'error fn': errFn,
+    'env knob': 'CLAUDE_CODE_NESTED_SUBAGENTS'
+  });
 
-// Effective cap = env ? CAP : 1. Default off → subagents (depth>=1) cannot nest.
-const replacement =
-  `${depthVar}>=(process.env.CLAUDE_CODE_NESTED_SUBAGENTS?${capVar}:1))throw ${errFn}("subagent_launch","subagent_depth_cap")`;
+  // Effective cap = env ? CAP : 1. Default off → subagents (depth>=1) cannot nest.
+  const replacement =
+    `${depthVar}>=(process.env.CLAUDE_CODE_NESTED_SUBAGENTS?${capVar}:1))throw ${errFn}("subagent_launch","subagent_depth_cap")`;
 
-output.modification('subagent nesting knob',
-  `if(${depthVar}>=${capVar})throw …`,
-  `if(${depthVar}>=(env?${capVar}:1))throw … (default cap 1)`);
+  content = ctx.replaceOnce(content, pattern, replacement, { label: 'subagent nesting knob' });
 
-if (dryRun) {
-  output.result('dry_run', 'Subagent depth-cap gate found — ready to gate behind CLAUDE_CODE_NESTED_SUBAGENTS');
-  process.exit(0);
+  if (ctx.dryRun) {
+    ctx.result('dry_run', 'Subagent depth-cap gate found — ready to gate behind CLAUDE_CODE_NESTED_SUBAGENTS');
+  } else {
+    ctx.result('success', 'Gated subagent nesting behind CLAUDE_CODE_NESTED_SUBAGENTS');
+    ctx.info('Default: subagents cannot spawn subagents. Set CLAUDE_CODE_NESTED_SUBAGENTS=1 to allow up to 5-deep nesting.');
+  }
+  return content;
 }
 
-content = content.replace(original, () => replacement);
-
-try {
-  fs.writeFileSync(targetPath, content);
-  output.result('success', `Gated subagent nesting behind CLAUDE_CODE_NESTED_SUBAGENTS in ${targetPath}`);
-  output.info('Default: subagents cannot spawn subagents. Set CLAUDE_CODE_NESTED_SUBAGENTS=1 to allow up to 5-deep nesting.');
-} catch (err) {
-  output.error('Failed to write patched file', [err.message]);
-  process.exit(1);
-}
+module.exports = definePatch(module, { run });
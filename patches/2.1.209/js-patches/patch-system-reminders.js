@@ -21,211 +21,245 @@
  *     `content:H.snippet===""?<empty>:<with-snippet>`,isMeta:!0` ternary form.
  */
 
-const fs = require('fs');
-const output = require('../../../lib/output');
+const { definePatch, PatchError } = require('../../../lib/patch-module');
 
 // ============================================================
-// CONFIGURATION
+// CONFIGURATION - defaults; override via `settings["system-reminders"]`
+// in the user config or `--set system-reminders.task=concise`
 // ============================================================
 
-const TASK_REMINDER = 'remove';
-const CONCISE_TASK_REMINDER = 'Use $1/$2 for task tracking where applicable.';
-
-const FILE_MODIFIED_REMINDER = 'concise';
-const CONCISE_FILE_MODIFIED = 'Note: $1 was changed outside of your edits. Read the file before making further changes.';
+const MODES = ['keep', 'remove', 'concise'];
+
+const config = {
+  task: {
+    type: 'string',
+    choices: MODES,
+    default: 'remove',
+    description: 'Task tools reminder',
+  },
+  taskText: {
+    type: 'string',
+    default: 'Use $1/$2 for task tracking where applicable.',
+    description: 'Concise task reminder ($1/$2 = task tool names)',
+  },
+  fileModified: {
+    type: 'string',
+    choices: MODES,
+    default: 'concise',
+    description: 'File modified outside of edits reminder',
+  },
+  fileModifiedText: {
+    type: 'string',
+    default: 'Note: $1 was changed outside of your edits. Read the file before making further changes.',
+    description: 'Concise file modification reminder ($1 = filename)',
+  },
+};
 
 // ============================================================
 // PATCH IMPLEMENTATION
 // ============================================================
 
-const args = process.argv.slice(2);
-const dryRun = args[0] === '--check';
-const targetPath = dryRun ? args[1] : args[0];
-
-if (!targetPath) {
-  console.error('Usage: node patch-system-reminders.js [--check] <cli.js path>');
-  process.exit(1);
+// The *Text settings go into a template literal in the bundle. A backslash,
+// backtick or `${` would break out of it, and a non-ASCII char fails the
+// runner's encoding check, so they are escaped (ASCII escapes decode to the
+// same text at run time).
+function templateText(text) {
+  return Array.from(text)
+    .map((ch) => {
+      const code = ch.codePointAt(0);
+      if (ch === '\\' || ch === '`') return '\\' + ch;
+      if (code <= 0x7f) return ch;
+      const hex = code.toString(16).toUpperCase();
+      if (code <= 0xff) return '\\x' + hex.padStart(2, '0');
+      if (code <= 0xffff) return '\\u' + hex.padStart(4, '0');
+      return '\\u{' + hex + '}';
+    })
+    .join('')
+    .replace(/\$\{/g, '\\${');
 }
 
-let content;
-try {
-  content = fs.readFileSync(targetPath, 'utf8');
-} catch (err) {
-  console.error(`Failed to read ${targetPath}:`, err.message);
-  process.exit(1);
-}
+function run(content, ctx) {
+  const {
+    task: TASK_REMINDER,
+    taskText: CONCISE_TASK_REMINDER,
+    fileModified: FILE_MODIFIED_REMINDER,
+    fileModifiedText: CONCISE_FILE_MODIFIED,
+  } = ctx.config;
+
+  let patchedContent = content;
+  let patchCount = 0;
+  // Sites are probed with expect {min:0, max:1}: a missing one is collected
+  // here and reported together at the end, a duplicated one fails outright
+  const missed = [];
+
+  // ============================================================
+  // PATCH 1: Malware reminder on file reads (REMOVED UPSTREAM in 2.1.126)
+  // ============================================================
+
+  ctx.section('Malware reminder', { index: 1 });
+  {
+    // The original "Whenever you read a file..." template literal was dropped
+    // upstream. If a future version reintroduces something similar, this probe
+    // will surface it; otherwise we record skipped and move on.
+    const malwarePresent = /<system-reminder>\\nWhenever you read a file/.test(patchedContent)
+      || /Whenever you read a file[^`]+code behavior/.test(patchedContent);
+
+    if (malwarePresent) {
+      ctx.warning('Malware reminder reappeared upstream', [
+        'Pattern matched — patch logic needs an update'
+      ]);
+      missed.push('malware');
+    } else {
+      ctx.info('Malware reminder absent upstream — nothing to do');
+    }
+  }
 
-let patchedContent = content;
-let patchCount = 0;
-const missed = [];
+  // ============================================================
+  // PATCH 2: Task reminder
+  // ============================================================
 
-// ============================================================
-// PATCH 1: Malware reminder on file reads (REMOVED UPSTREAM in 2.1.126)
-// ============================================================
+  if (TASK_REMINDER !== 'keep') {
+    ctx.section('Task reminder', { index: 2 });
 
-output.section('Malware reminder', { index: 1 });
-{
-  // The original "Whenever you read a file..." template literal was dropped
-  // upstream. If a future version reintroduces something similar, this probe
-  // will surface it; otherwise we record skipped and move on.
-  const malwarePresent = /<system-reminder>\\nWhenever you read a file/.test(patchedContent)
-    || /Whenever you read a file[^`]+code behavior/.test(patchedContent);
-
-  if (malwarePresent) {
-    output.warning('Malware reminder reappeared upstream', [
-      'Pattern matched — patch logic needs an update'
-    ]);
-    missed.push('malware');
-  } else {
-    output.info('Malware reminder absent upstream — nothing to do');
-  }
-}
+    if (TASK_REMINDER === 'remove') {
+      // 2.1.209: the gate gained a second condition — if(!MR()||vJ())return[]
+      // (was a single if(!X())return[]). Match both gate fns; rest of the body
+      // is unchanged.
+      const taskCasePattern = /case"task_reminder":\{if\(!([$\w]+)\(\)\|\|[$\w]+\(\)\)return\[\];let ([$\w]+)=[$\w]+\.content\.map\(\([$\w]+\)=>`[^`]*`\)\.join\(`\n`\),([$\w]+)=`The task tools haven't been used recently\.[^`]+ignore if not applicable\.\n`;if\(\2\.length>0\)\3\+=`[^`]+`;return ([$\w]+)\(\[([$\w]+)\(\{content:\3,isMeta:!0\}\)\]\)\}/;
 
-// ============================================================
-// PATCH 2: Task reminder
-// ============================================================
+      const taskMatch = ctx.matchOnce(patchedContent, taskCasePattern, {
+        label: 'task reminder case',
+        expect: { min: 0, max: 1 },
+      });
 
-if (TASK_REMINDER !== 'keep') {
-  output.section('Task reminder', { index: 2 });
+      if (taskMatch) {
+        ctx.discovery('task reminder case', 'task_reminder', {
+          'Gate fn': taskMatch[1],
+          'List var': taskMatch[2],
+          'Text var': taskMatch[3],
+          'Original length': taskMatch[0].length + ' chars'
+        });
+        ctx.info('Config: task = remove (full case body replaced)');
+
+        const replacement = `case"task_reminder":return [];`;
+        ctx.info(`New length: ${replacement.length} chars`);
+
+        patchedContent = ctx.replaceOnce(patchedContent, taskCasePattern, replacement, { label: 'task reminder case' });
+        patchCount++;
+      } else {
+        ctx.warning('Could not find task reminder case pattern', [
+          'May already be patched or pattern changed'
+        ]);
+        missed.push('task');
+      }
+    } else {
+      const taskReminderPattern = /([$\w]+)=`The task tools haven't been used recently\.[^`]*\$\{([$\w]+)\}[^`]*\$\{([$\w]+)\}[^`]*ignore if not applicable\.\n`/;
 
-  if (TASK_REMINDER === 'remove') {
-    // 2.1.209: the gate gained a second condition — if(!MR()||vJ())return[]
-    // (was a single if(!X())return[]). Match both gate fns; rest of the body
-    // is unchanged.
-    const taskCasePattern = /case"task_reminder":\{if\(!([$\w]+)\(\)\|\|[$\w]+\(\)\)return\[\];let ([$\w]+)=[$\w]+\.content\.map\(\([$\w]+\)=>`[^`]*`\)\.join\(`\n`\),([$\w]+)=`The task tools haven't been used recently\.[^`]+ignore if not applicable\.\n`;if\(\2\.length>0\)\3\+=`[^`]+`;return ([$\w]+)\(\[([$\w]+)\(\{content:\3,isMeta:!0\}\)\]\)\}/;
+      const taskMatch = ctx.matchOnce(patchedContent, taskReminderPattern, {
+        label: 'task reminder variable',
+        expect: { min: 0, max: 1 },
+      });
 
-    const taskMatch = patchedContent.match(taskCasePattern);
+      if (taskMatch) {
+        const assignVar = taskMatch[1];
+        const tool1Var = taskMatch[2];
+        const tool2Var = taskMatch[3];
+
+        ctx.discovery('task reminder variable', assignVar, {
+          'Tool placeholders': `\${${tool1Var}}, \${${tool2Var}}`,
+          'Original length': taskMatch[0].length + ' chars'
+        });
+
+        const conciseText = templateText(CONCISE_TASK_REMINDER)
+          .replace('$1', '${' + tool1Var + '}')
+          .replace('$2', '${' + tool2Var + '}');
+        const replacement = `${assignVar}=\`${conciseText}\n\``;
+
+        ctx.info('Config: task = concise');
+        ctx.info(`New length: ${replacement.length} chars`);
+
+        patchedContent = ctx.replaceOnce(patchedContent, taskReminderPattern, replacement, { label: 'task reminder text' });
+        patchCount++;
+      } else {
+        ctx.warning('Could not find task reminder pattern', [
+          'May already be patched or pattern changed'
+        ]);
+        missed.push('task');
+      }
+    }
+  }
 
-    if (taskMatch) {
-      output.discovery('task reminder case', 'task_reminder', {
-        'Gate fn': taskMatch[1],
-        'List var': taskMatch[2],
-        'Text var': taskMatch[3],
-        'Original length': taskMatch[0].length + ' chars'
-      });
-      output.info('Config: TASK_REMINDER = remove (full case body replaced)');
+  // ============================================================
+  // PATCH 3: File modification reminder (2.1.126 ternary form)
+  // ============================================================
 
-      const replacement = `case"task_reminder":return [];`;
-      output.info(`New length: ${replacement.length} chars`);
+  if (FILE_MODIFIED_REMINDER !== 'keep') {
+    ctx.section('File modification reminder', { index: 3 });
 
-      patchedContent = patchedContent.replace(taskMatch[0], replacement);
-      patchCount++;
-    } else {
-      output.warning('Could not find task reminder case pattern', [
-        'May already be patched or pattern changed'
-      ]);
-      missed.push('task');
-    }
-  } else {
-    const taskReminderPattern = /([$\w]+)=`The task tools haven't been used recently\.[^`]*\$\{([$\w]+)\}[^`]*\$\{([$\w]+)\}[^`]*ignore if not applicable\.\n`/;
+    // 2.1.126 structure:
+    //   edited_text_file:(H)=>WRAPPER([HELPER({content:H.snippet===""?
+    //     `Note: ${H.filename} was modified, ...The diff was omitted because...`
+    //     :`Note: ${H.filename} was modified, ...${H.snippet}`,isMeta:!0})]),
+    // We backreference the arg name across both branches to ensure cohesion.
+    const fileModifiedPattern = /edited_text_file:\(([$\w]+)\)=>([$\w]+)\(\[([$\w]+)\(\{content:\1\.snippet===""\?`Note: \$\{\1\.filename\} was modified[^`]+`:`Note: \$\{\1\.filename\} was modified[^`]+\$\{\1\.snippet\}`,isMeta:!0\}\)\]\),/;
 
-    const taskMatch = patchedContent.match(taskReminderPattern);
+    const fileModMatch = ctx.matchOnce(patchedContent, fileModifiedPattern, {
+      label: 'file modification dispatch',
+      expect: { min: 0, max: 1 },
+    });
 
-    if (taskMatch) {
-      const assignVar = taskMatch[1];
-      const tool1Var = taskMatch[2];
-      const tool2Var = taskMatch[3];
+    if (fileModMatch) {
+      const argVar = fileModMatch[1];
+      const wrapperFn = fileModMatch[2];
+      const helperFn = fileModMatch[3];
 
-      output.discovery('task reminder variable', assignVar, {
-        'Tool placeholders': `\${${tool1Var}}, \${${tool2Var}}`,
-        'Original length': taskMatch[0].length + ' chars'
+      ctx.discovery('file modification dispatch', 'edited_text_file', {
+        'Argument variable': argVar,
+        'Wrapper function': wrapperFn,
+        'Helper function': helperFn,
+        'Original length': fileModMatch[0].length + ' chars'
       });
 
-      const conciseText = CONCISE_TASK_REMINDER
-        .replace('$1', '${' + tool1Var + '}')
-        .replace('$2', '${' + tool2Var + '}');
-      const replacement = `${assignVar}=\`${conciseText}\n\``;
+      let replacement;
+      if (FILE_MODIFIED_REMINDER === 'remove') {
+        replacement = `edited_text_file:()=>[],`;
+        ctx.info('Config: fileModified = remove');
+      } else {
+        const conciseText = templateText(CONCISE_FILE_MODIFIED).replace('$1', '${' + argVar + '.filename}');
+        replacement = `edited_text_file:(${argVar})=>${wrapperFn}([${helperFn}({content:\`${conciseText}\`,isMeta:!0})]),`;
+        ctx.info('Config: fileModified = concise');
+      }
 
-      output.info('Config: TASK_REMINDER = concise');
-      output.modification('task reminder text', 'The task tools haven\'t been used recently...', conciseText);
-      output.info(`New length: ${replacement.length} chars`);
+      ctx.info(`New length: ${replacement.length} chars`);
 
-      patchedContent = patchedContent.replace(taskMatch[0], replacement);
+      patchedContent = ctx.replaceOnce(patchedContent, fileModifiedPattern, replacement, { label: 'file modification reminder' });
       patchCount++;
     } else {
-      output.warning('Could not find task reminder pattern', [
+      ctx.warning('Could not find file modification reminder pattern', [
         'May already be patched or pattern changed'
       ]);
-      missed.push('task');
+      missed.push('file-modified');
     }
   }
-}
-
-// ============================================================
-// PATCH 3: File modification reminder (2.1.126 ternary form)
-// ============================================================
-
-if (FILE_MODIFIED_REMINDER !== 'keep') {
-  output.section('File modification reminder', { index: 3 });
 
-  // 2.1.126 structure:
-  //   edited_text_file:(H)=>WRAPPER([HELPER({content:H.snippet===""?
-  //     `Note: ${H.filename} was modified, ...The diff was omitted because...`
-  //     :`Note: ${H.filename} was modified, ...${H.snippet}`,isMeta:!0})]),
-  // We backreference the arg name across both branches to ensure cohesion.
-  const fileModifiedPattern = /edited_text_file:\(([$\w]+)\)=>([$\w]+)\(\[([$\w]+)\(\{content:\1\.snippet===""\?`Note: \$\{\1\.filename\} was modified[^`]+`:`Note: \$\{\1\.filename\} was modified[^`]+\$\{\1\.snippet\}`,isMeta:!0\}\)\]\),/;
+  // ============================================================
+  // Result
+  // ============================================================
 
-  const fileModMatch = patchedContent.match(fileModifiedPattern);
-
-  if (fileModMatch) {
-    const argVar = fileModMatch[1];
-    const wrapperFn = fileModMatch[2];
-    const helperFn = fileModMatch[3];
-
-    output.discovery('file modification dispatch', 'edited_text_file', {
-      'Argument variable': argVar,
-      'Wrapper function': wrapperFn,
-      'Helper function': helperFn,
-      'Original length': fileModMatch[0].length + ' chars'
-    });
-
-    let replacement;
-    if (FILE_MODIFIED_REMINDER === 'remove') {
-      replacement = `edited_text_file:()=>[],`;
-      output.info('Config: FILE_MODIFIED_REMINDER = remove');
-    } else {
-      const conciseText = CONCISE_FILE_MODIFIED.replace('$1', '${' + argVar + '.filename}');
-      replacement = `edited_text_file:(${argVar})=>${wrapperFn}([${helperFn}({content:\`${conciseText}\`,isMeta:!0})]),`;
-      output.info('Config: FILE_MODIFIED_REMINDER = concise');
-      output.modification('file modification reminder', 'Note: ${filename} was modified... (ternary)', conciseText);
-    }
+  if (missed.length > 0) {
+    throw new PatchError(`Could not find pattern(s) for: ${missed.join(', ')}`);
+  }
 
-    output.info(`New length: ${replacement.length} chars`);
+  if (patchCount === 0) {
+    throw new PatchError('No patches applied - all sub-patches configured as keep');
+  }
 
-    patchedContent = patchedContent.replace(fileModMatch[0], replacement);
-    patchCount++;
+  if (ctx.dryRun) {
+    ctx.result('dry_run', `${patchCount} patch(es) would be applied`);
   } else {
-    output.warning('Could not find file modification reminder pattern', [
-      'May already be patched or pattern changed'
-    ]);
-    missed.push('file-modified');
+    ctx.result('success', `Applied ${patchCount} patch(es)`);
   }
+  return patchedContent;
 }
 
-// ============================================================
-// Apply changes
-// ============================================================
-
-if (missed.length > 0) {
-  output.result('failure', `Could not find pattern(s) for: ${missed.join(', ')}`);
-  process.exit(1);
-}
-
-if (patchCount === 0) {
-  output.result('failure', 'No patches applied - all sub-patches configured as keep');
-  process.exit(1);
-}
-
-if (dryRun) {
-  output.result('dry_run', `${patchCount} patch(es) would be applied`);
-  process.exit(0);
-}
-
-try {
-  fs.writeFileSync(targetPath, patchedContent);
-  output.result('success', `Applied ${patchCount} patch(es) to ${targetPath}`);
-  output.info('Restart Claude Code to apply changes.');
-} catch (err) {
-  output.error(`Failed to write patched file: ${err.message}`);
-  process.exit(1);
-}
+module.exports = definePatch(module, { config, run });
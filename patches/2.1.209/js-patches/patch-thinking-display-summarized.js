@@ -41,101 +41,66 @@
  *   node patch-thinking-display-summarized.js --check <cli.js path>
  */
 
-const fs = require('fs');
-const output = require('../../../lib/output');
-
-const args = process.argv.slice(2);
-const dryRun = args[0] === '--check';
-const targetPath = dryRun ? args[1] : args[0];
-
-if (!targetPath) {
-  output.error('Usage: node patch-thinking-display-summarized.js [--check] <cli.js path>');
-  process.exit(1);
-}
-
-let content;
-try {
-  content = fs.readFileSync(targetPath, 'utf8');
-} catch (err) {
-  output.error(`Failed to read ${targetPath}`, [err.message]);
-  process.exit(1);
+const { definePatch, PatchError } = require('../../../lib/patch-module');
+
+function run(content, ctx) {
+  let patchCount = 0;
+
+  // ── Site 1: drop the ovi() gate on the interactive display default ──
+  // Minified (inside the wrc resolver):
+  //   if(!t)return ovi()?"summarized":void 0
+  // Generalized:
+  //   if(!<isNonInteractive>)return <settingsGate>()?"summarized":void 0
+  const site1 = /if\(!([$\w]+)\)return ([$\w]+)\(\)\?"summarized":void 0/;
+  const [s1Original, nonInteractiveVar, settingFn] = ctx.matchOnce(content, site1, {
+    label: 'session-start display gate',
+    details: [
+      'Expected: if(!isNonInteractive)return SETTING()?"summarized":void 0',
+      'The thinking-config builder may have changed shape',
+    ],
+  });
+  const s1Replacement = `if(!${nonInteractiveVar})return"summarized"`;
+
+  ctx.discovery('session-start display gate', s1Original, {
+    'isNonInteractive var': nonInteractiveVar,
+    'setting fn': settingFn,
+  });
+
+  content = ctx.replaceOnce(content, site1, s1Replacement, { label: 'drop showThinkingSummaries gate' });
+  patchCount++;
+
+  // ── Site 2: SDK rebuild path — default HH to "summarized" when undefined ──
+  // Minified shape:
+  //   <out>=<cfg>.thinkingConfig&&<cfg>.thinkingConfig.type!=="disabled"?<cfg>.thinkingConfig.display:void 0
+  const site2 = /([$\w]+)=([$\w]+)\.thinkingConfig&&\2\.thinkingConfig\.type!=="disabled"\?\2\.thinkingConfig\.display:void 0/;
+  const [s2Original, outVar, cfgHolder] = ctx.matchOnce(content, site2, {
+    label: 'SDK rebuild display read (site 2)',
+    details: [
+      'Expected: VAR=VAR.thinkingConfig&&VAR.thinkingConfig.type!=="disabled"?VAR.thinkingConfig.display:void 0',
+    ],
+  });
+  const s2Replacement = `${outVar}=${cfgHolder}.thinkingConfig&&${cfgHolder}.thinkingConfig.type!=="disabled"?${cfgHolder}.thinkingConfig.display??"summarized":void 0`;
+
+  ctx.discovery('SDK rebuild display read', s2Original, {
+    'display var': outVar,
+    'config holder': cfgHolder,
+  });
+
+  content = ctx.replaceOnce(content, site2, s2Replacement, { label: 'SDK rebuild display default' });
+  patchCount++;
+
+  // ── Result ──
+
+  if (patchCount !== 2) {
+    throw new PatchError(`Expected 2 patches, got ${patchCount}`);
+  }
+
+  if (ctx.dryRun) {
+    ctx.result('dry_run', `thinking-display-summarized: ${patchCount}/2 patches verified`);
+  } else {
+    ctx.result('success', `thinking-display-summarized: ${patchCount}/2 patches applied`);
+  }
+  return content;
 }
 
-let patchCount = 0;
-
-// ── Site 1: drop the ovi() gate on the interactive display default ──
-// Minified (inside the wrc resolver):
-//   if(!t)return ovi()?"summarized":void 0
-// Generalized:
-//   if(!<isNonInteractive>)return <settingsGate>()?"summarized":void 0
-const site1 = /if\(!([$\w]+)\)return ([$\w]+)\(\)\?"summarized":void 0/;
-const m1 = content.match(site1);
-
-if (!m1) {
-  output.error('Could not find session-start display gate', [
-    'Expected: if(!isNonInteractive)return SETTING()?"summarized":void 0',
-    'The thinking-config builder may have changed shape',
-  ]);
-  process.exit(1);
-}
-
-const [s1Original, nonInteractiveVar, settingFn] = m1;
-const s1Replacement = `if(!${nonInteractiveVar})return"summarized"`;
-
-output.discovery('session-start display gate', s1Original, {
-  'isNonInteractive var': nonInteractiveVar,
-  'setting fn': settingFn,
-});
-
-output.modification('drop showThinkingSummaries gate', s1Original, s1Replacement);
-
-content = content.replace(s1Original, s1Replacement);
-patchCount++;
-
-// ── Site 2: SDK rebuild path — default HH to "summarized" when undefined ──
-// Minified shape:
-//   <out>=<cfg>.thinkingConfig&&<cfg>.thinkingConfig.type!=="disabled"?<cfg>.thinkingConfig.display:void 0
-const site2 = /([$\w]+)=([$\w]+)\.thinkingConfig&&\2\.thinkingConfig\.type!=="disabled"\?\2\.thinkingConfig\.display:void 0/;
-const m2 = content.match(site2);
-
-if (!m2) {
-  output.error('Could not find SDK rebuild display read (site 2)', [
-    'Expected: VAR=VAR.thinkingConfig&&VAR.thinkingConfig.type!=="disabled"?VAR.thinkingConfig.display:void 0',
-  ]);
-  process.exit(1);
-}
-
-const [s2Original, outVar, cfgHolder] = m2;
-const s2Replacement = `${outVar}=${cfgHolder}.thinkingConfig&&${cfgHolder}.thinkingConfig.type!=="disabled"?${cfgHolder}.thinkingConfig.display??"summarized":void 0`;
-
-output.discovery('SDK rebuild display read', s2Original, {
-  'display var': outVar,
-  'config holder': cfgHolder,
-});
-
-output.modification('SDK rebuild display default',
-  `${cfgHolder}.thinkingConfig.display`,
-  `${cfgHolder}.thinkingConfig.display ?? "summarized"`);
-
-content = content.replace(s2Original, s2Replacement);
-patchCount++;
-
-// ── Write ──
-
-if (patchCount !== 2) {
-  output.error(`Expected 2 patches, got ${patchCount}`);
-  process.exit(1);
-}
-
-if (dryRun) {
-  output.result('dry_run', `thinking-display-summarized: ${patchCount}/2 patches verified`);
-  process.exit(0);
-}
-
-try {
-  fs.writeFileSync(targetPath, content);
-  output.result('success', `thinking-display-summarized: ${patchCount}/2 patches applied`);
-} catch (err) {
-  output.error('Failed to write patched file', [err.message]);
-  process.exit(1);
-}
+module.exports = definePatch(module, { run });
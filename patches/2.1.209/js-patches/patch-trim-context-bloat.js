@@ -36,101 +36,59 @@
  *   node patch-trim-context-bloat.js --check <cli.js path>
  */
 
-const fs = require('fs');
-const output = require('../../../lib/output');
-
-const args = process.argv.slice(2);
-const dryRun = args[0] === '--check';
-const targetPath = dryRun ? args[1] : args[0];
-
-if (!targetPath) {
-  output.error('Usage: node patch-trim-context-bloat.js [--check] <cli.js path>');
-  process.exit(1);
-}
-
-let content;
-try {
-  content = fs.readFileSync(targetPath, 'utf8');
-} catch (err) {
-  output.error(`Failed to read ${targetPath}`, [err.message]);
-  process.exit(1);
-}
-
-let patchCount = 0;
-const EXPECTED = 3;
-
-// ── Patch 1a: strip the userEmail spread from user_context ──
-// Form (2.1.177):
-//   ,...K&&{userEmail:`The user's email address is ${K}.`}
-// Removed surgically — the following ,..._&&{attachedProject:_} and the
-// preceding ...q&&{claudeMd:q} are left untouched.
-
-const siteEmail = /,\.\.\.[$\w]+&&\{userEmail:`The user's email address is \$\{[$\w]+\}\.`\}/;
-const mEmail = content.match(siteEmail);
-
-if (!mEmail) {
-  output.error('Could not find userEmail spread in user_context');
-  process.exit(1);
-}
-
-output.discovery('userEmail spread', mEmail[0].slice(0, 80) + '...');
-content = content.replace(siteEmail, () => '');
-patchCount++;
-output.modification('strip userEmail', mEmail[0], '<removed>');
-
-// ── Patch 1b: strip the currentDate field (tail of the user_context object) ──
-//   2.1.209 form: ,currentDate:`Today's date is ${A3e()}.`
-// currentDate is the last field before the object's closing brace, so removing
-// the comma-prefixed entry leaves a well-formed object.
-//
-// 2.1.209 change: currentDate flipped from a call form (`Fn(Fn())`) to a
-// template literal (`` `Today's date is ${Fn()}.` ``). Match the literal.
-
-const siteDate = /,currentDate:`Today's date is \$\{[$\w]+\(\)\}\.`/;
-const mDate = content.match(siteDate);
-
-if (!mDate) {
-  output.error('Could not find currentDate field in user_context');
-  process.exit(1);
-}
-
-output.discovery('currentDate field', mDate[0]);
-content = content.replace(siteDate, () => '');
-patchCount++;
-output.modification('strip currentDate', mDate[0], '<removed>');
-
-// ── Patch 2: null out the model-family paragraph ──
-// The paragraph is an array element wrapped in backticks. The array is
-// filtered with .filter((M) => M !== null), so replacing the template
-// literal with the identifier `null` drops it from the output cleanly.
-
-const site2 = /`The most recent Claude models are.*?default to the latest and most capable Claude models\.`/;
-const m2 = content.match(site2);
-
-if (!m2) {
-  output.error('Could not find model family marketing paragraph');
-  process.exit(1);
-}
-
-output.discovery('model family paragraph', m2[0].slice(0, 80) + '...');
-// Use (null) not bare null: the paragraph now sits at `return`...`` (a memoized
-// helper), so a bare `null` would weld onto the keyword as `returnnull` — a
-// single undefined identifier that passes node --check but throws at runtime.
-// The parens keep it valid after a keyword, a comma, or as an array element.
-content = content.replace(site2, () => '(null)');
-patchCount++;
-output.modification('null out model family paragraph', m2[0].slice(0, 80) + '...', '(null)');
-
-// ── Write ──
-
-if (patchCount !== EXPECTED) {
-  output.error(`Expected ${EXPECTED} patches, got ${patchCount}`);
-  process.exit(1);
+const { definePatch, PatchError } = require('../../../lib/patch-module');
+
+function run(content, ctx) {
+  let patchCount = 0;
+  const EXPECTED = 3;
+
+  // ── Patch 1a: strip the userEmail spread from user_context ──
+  // Form (2.1.177):
+  //   ,...K&&{userEmail:`The user's email address is ${K}.`}
+  // Removed surgically — the following ,..._&&{attachedProject:_} and the
+  // preceding ...q&&{claudeMd:q} are left untouched.
+
+  const siteEmail = /,\.\.\.[$\w]+&&\{userEmail:`The user's email address is \$\{[$\w]+\}\.`\}/;
+  content = ctx.replaceOnce(content, siteEmail, '', { label: 'userEmail spread in user_context' });
+  patchCount++;
+
+  // ── Patch 1b: strip the currentDate field (tail of the user_context object) ──
+  //   2.1.209 form: ,currentDate:`Today's date is ${A3e()}.`
+  // currentDate is the last field before the object's closing brace, so removing
+  // the comma-prefixed entry leaves a well-formed object.
+  //
+  // 2.1.209 change: currentDate flipped from a call form (`Fn(Fn())`) to a
+  // template literal (`` `Today's date is ${Fn()}.` ``). Match the literal.
+
+  const siteDate = /,currentDate:`Today's date is \$\{[$\w]+\(\)\}\.`/;
+  content = ctx.replaceOnce(content, siteDate, '', { label: 'currentDate field in user_context' });
+  patchCount++;
+
+  // ── Patch 2: null out the model-family paragraph ──
+  // The paragraph is an array element wrapped in backticks. The array is
+  // filtered with .filter((M) => M !== null), so replacing the template
+  // literal with the identifier `null` drops it from the output cleanly.
+
+  const site2 = /`The most recent Claude models are.*?default to the latest and most capable Claude models\.`/;
+  // Use (null) not bare null: the paragraph now sits at `return`...`` (a memoized
+  // helper), so a bare `null` would weld onto the keyword as `returnnull` — a
+  // single undefined identifier that passes node --check but throws at runtime.
+  // The parens keep it valid after a keyword, a comma, or as an array element.
+  content = ctx.replaceOnce(content, site2, '(null)', { label: 'model family marketing paragraph' });
+  patchCount++;
+
+  // ── Result ─
+
+  if (patchCount !== EXPECTED) {
+    throw new PatchError(`Expected ${EXPECTED} patches, got ${patchCount}`);
+  }
+
+  if (ctx.dryRun) {
+    ctx.result('dry_run', `trim-context-bloat: ${patchCount}/${EXPECTED} patches verified`);
+  } else {
+    ctx.result('success', `trim-context-bloat: ${patchCount}/${EXPECTED} patches applied`);
+  }
+  return content;
 }
 
-if (dryRun) {
-  output.result('dry_run', `trim-context-bloat: ${patchCount}/${EXPECTED} patches verified`);
-} else {
-  fs.writeFileSync(targetPath, content, 'utf8');
-  output.result('success', `trim-context-bloat: ${patchCount}/${EXPECTED} patches applied`);
-}
+module.exports = definePatch(module, { run });
@@ -44,255 +44,186 @@
  *   node patch-cron-visibility.js --check <cli.js path>
  */
 
-const fs = require('fs');
-const output = require('../../../lib/output');
-
-const args = process.argv.slice(2);
-const dryRun = args[0] === '--check';
-const targetPath = dryRun ? args[1] : args[0];
-
-if (!targetPath) {
-  output.error('Usage: node patch-cron-visibility.js [--check] <cli.js path>');
-  process.exit(1);
-}
-
-let content;
-try {
-  content = fs.readFileSync(targetPath, 'utf8');
-} catch (err) {
-  output.error(`Failed to read ${targetPath}`, [err.message]);
-  process.exit(1);
-}
-
-// ============================================================
-// Step 1: Mark cron queue items with _cronFire:!0
-//
-// Both scheduler creation sites (REPL loop + React hook) push
-// queue items unique to cron. Add _cronFire:!0 as a marker for
-// the NQ$ consumer to detect.
-//
-// 2.1.197 change: the queue item no longer pairs isMeta:!0 with
-// workload: directly — isMeta:!0 now precedes skipSlashCommands,
-// and the cron-unique tail is `modelScheduledOrigin:!0,workload:iot`
-// (iot is the cron-workload const). Anchor the marker on that tail
-// instead; inject _cronFire:!0 just ahead of it.
-//
-// 2.1.219 change: a `wakeupSource:VAR` prop was inserted between
-// `modelScheduledOrigin:!0` and `workload:`, so the old tail no longer
-// exists. Both cron sites now read
-// `modelScheduledOrigin:!0,wakeupSource:VAR,workload:MJt`. Re-anchor on
-// the stable `modelScheduledOrigin:!0,wakeupSource:` prefix (exactly 2
-// occurrences — REPL loop + React hook); inject _cronFire:!0 ahead of it.
-// ============================================================
-
-const markerFind = 'modelScheduledOrigin:!0,wakeupSource:';
-const markerReplace = '_cronFire:!0,modelScheduledOrigin:!0,wakeupSource:';
-
-const markerCount = (content.match(new RegExp(markerFind.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g')) || []).length;
-
-if (markerCount === 0) {
-  output.error('Could not find cron queue item pattern', [
-    'Expected: modelScheduledOrigin:!0,workload:VAR in onFire callbacks',
-    'The cron scheduler structure may have changed',
-  ]);
-  process.exit(1);
-}
-
-output.discovery('cron queue markers', `${markerCount} occurrence(s)`, {
-  pattern: markerFind,
-  expected: '2 (REPL loop + React hook)',
-});
-
-if (markerCount !== 2) {
-  output.warning(`Expected 2 cron queue markers, found ${markerCount}`);
-}
-
-let patched = content.replaceAll(markerFind, markerReplace);
-output.modification('cron queue marker', markerFind, markerReplace);
-
-// ============================================================
-// Step 2: Clear isMeta for _cronFire items in the React TUI
-// queue consumer (NQ$ call)
-//
-// Unique pattern (1 occurrence):
-//   isMeta:g.isMeta,skipAttachments:!U
-//
-// Replace with:
-//   isMeta:g._cronFire?void 0:g.isMeta,skipAttachments:!U
-//
-// When _cronFire is set: isMeta → void 0 (falsy) → U_f() shows
-// When _cronFire is not set: isMeta → g.isMeta (original) → no change
-// ============================================================
-
-// Build the pattern dynamically to handle different variable names
-const nqPattern = /isMeta:([$\w]+)\.isMeta,skipAttachments:!([$\w]+)/;
-const nqMatch = patched.match(nqPattern);
-
-if (!nqMatch) {
-  output.error('Could not find React TUI NQ$ isMeta pass-through', [
-    'Expected: isMeta:VAR.isMeta,skipAttachments:!VAR',
-    'The React queue consumer structure may have changed',
-  ]);
-  process.exit(1);
-}
-
-const [nqOriginal, itemVarNQ, boolVar] = nqMatch;
-const nqReplacement = `isMeta:${itemVarNQ}._cronFire?void 0:${itemVarNQ}.isMeta,skipAttachments:!${boolVar}`;
-
-output.discovery('React TUI NQ$ call', nqOriginal, {
-  'queue item var': itemVarNQ,
-});
-
-// Use function replacer to avoid $ corruption in minified identifiers
-patched = patched.replace(nqPattern, () => nqReplacement);
-
-output.modification('NQ$ isMeta conditional',
-  nqOriginal,
-  nqReplacement,
-);
-
-// ============================================================
-// Step 3: Prefix the input text for _cronFire items in NQ$
-//
-// 2.1.83: preExpansionInput inserted between input and mode.
-// 2.1.153: suppressWorkflowKeyword inserted between preExpansionInput and mode,
-//          so we no longer anchor on `,mode:` and only match the two leading
-//          props (input + preExpansionInput); the rest of the arg object is
-//          left untouched.
-// Unique pattern (1 occurrence):
-//   input:p.value,preExpansionInput:p.preExpansionValue
-//
-// Replace with:
-//   input:p._cronFire?"⏰ CronJob: "+p.value:p.value,preExpansionInput:p.preExpansionValue
-// ============================================================
-
-const inputPattern = /input:([$\w]+)\.value,preExpansionInput:\1\.preExpansionValue/;
-const inputMatch = patched.match(inputPattern);
-
-if (!inputMatch) {
-  output.error('Could not find NQ$ input:value pass-through', [
-    'Expected: input:VAR.value,preExpansionInput:VAR.preExpansionValue',
-    'The React queue consumer structure may have changed',
-  ]);
-  process.exit(1);
-}
-
-const [inputOriginal, inputVar] = inputMatch;
-const inputReplacement = `input:${inputVar}._cronFire?"\\u23F0 CronJob: "+${inputVar}.value:${inputVar}.value,preExpansionInput:${inputVar}.preExpansionValue`;
-
-output.discovery('NQ$ input pass-through', inputOriginal, {
-  'queue item var': inputVar,
-});
-
-patched = patched.replace(inputPattern, () => inputReplacement);
-
-output.modification('NQ$ input prefix',
-  inputOriginal,
-  inputReplacement,
-);
-
-// ============================================================
-// Step 4: Render ⏰-prefixed text with bold styling in bUD
-//
-// bUD is the user message text renderer. The simple path (no
-// rainbow brackets) creates: <Text color="text">{text}</Text>
-//
-// 2.1.80+: The renderer uses React memo cache (compiler output).
-// The text element creation is now an if/else memo slot:
-//   if($[21]!==A)j=T7.createElement(E,{color:"text"},A),$[21]=A,$[22]=j;else j=$[22]
-//
-// Unique pattern (1 occurrence): createElement with {color:"text"}
-// taking a single variable child, inside a memo-cache if/else.
-//
-// Pre-2.1.80 fallback: let VAR=REACT.createElement(TEXT,{color:"text"},VAR)
-//
-// Replace the text child with a conditional: if text starts
-// with ⏰, render [<Text bold>{prefix}</Text>, rest] as
-// children inside the existing <Text color="text">.
-// ============================================================
-
-// 2.1.186 memo-cache pattern (automatic JSX runtime — createElement → .jsx,
-// child moved into props as `children:`):
-//   if(CACHE[SLOT1]!==TEXTVAR)ELEM=RUNTIME.jsx(TEXT,{color:"text",children:TEXTVAR}),
-//   CACHE[SLOT1]=TEXTVAR,CACHE[SLOT2]=ELEM;else ELEM=CACHE[SLOT2]
-// CACHE is `t` in 2.1.186 (was `$`/`K` in older versions) — generalized.
-const renderPattern = new RegExp(
-  'if\\(([$\\w]+)\\[(\\d+)\\]!==([$\\w]+)\\)' +              // if(CACHE[SLOT1]!==TEXTVAR) — groups 1,2,3
-  '([$\\w]+)=([$\\w]+)\\.jsx\\(' +                          // ELEM=RUNTIME.jsx( — groups 4,5
-  '([$\\w]+),\\{color:"text",children:\\3\\}\\),' +         // TEXT,{color:"text",children:TEXTVAR}) — group 6
-  '\\1\\[\\2\\]=\\3,' +                                     // CACHE[SLOT1]=TEXTVAR
-  '\\1\\[(\\d+)\\]=\\4;' +                                  // CACHE[SLOT2]=ELEM — group 7
-  'else \\4=\\1\\[\\7\\]',                                  // else ELEM=CACHE[SLOT2]
-  'g'
-);
-
-// Multiple matches exist (bash path, user message path, on bare also spinner path).
-// The true bUD text renderer is the one anchored by a preceding
-// `color:"bashBorder"` element within ~300 chars — bashBorder renders the
-// bash command `! ` prefix that always sits immediately before the bUD text.
-let renderMatch = null;
-for (const m of patched.matchAll(renderPattern)) {
-  const preceding = patched.slice(Math.max(0, m.index - 300), m.index);
-  if (preceding.includes('color:"bashBorder"')) {
-    renderMatch = m;
-    break;
+const { definePatch } = require('../../../lib/patch-module');
+
+function run(content, ctx) {
+  // ============================================================
+  // Step 1: Mark cron queue items with _cronFire:!0
+  //
+  // Both scheduler creation sites (REPL loop + React hook) push
+  // queue items unique to cron. Add _cronFire:!0 as a marker for
+  // the NQ$ consumer to detect.
+  //
+  // 2.1.197 change: the queue item no longer pairs isMeta:!0 with
+  // workload: directly — isMeta:!0 now precedes skipSlashCommands,
+  // and the cron-unique tail is `modelScheduledOrigin:!0,workload:iot`
+  // (iot is the cron-workload const). Anchor the marker on that tail
+  // instead; inject _cronFire:!0 just ahead of it.
+  //
+  // 2.1.219 change: a `wakeupSource:VAR` prop was inserted between
+  // `modelScheduledOrigin:!0` and `workload:`, so the old tail no longer
+  // exists. Both cron sites now read
+  // `modelScheduledOrigin:!0,wakeupSource:VAR,workload:MJt`. Re-anchor on
+  // the stable `modelScheduledOrigin:!0,wakeupSource:` prefix (exactly 2
+  // occurrences — REPL loop + React hook); inject _cronFire:!0 ahead of it.
+  // ============================================================
+
+  const markerFind = 'modelScheduledOrigin:!0,wakeupSource:';
+  const markerReplace = '_cronFire:!0,modelScheduledOrigin:!0,wakeupSource:';
+
+  // REPL loop + React hook
+  const markerCount = 2;
+
+  let patched = ctx.replaceOnce(content, markerFind, markerReplace, {
+    label: 'cron queue item pattern',
+    expect: markerCount,
+    details: [
+      'Expected: modelScheduledOrigin:!0,wakeupSource:VAR in onFire callbacks (REPL loop + React hook)',
+      'The cron scheduler structure may have changed',
+    ],
+  });
+
+  // ============================================================
+  // Step 2: Clear isMeta for _cronFire items in the React TUI
+  // queue consumer (NQ$ call)
+  //
+  // Unique pattern (1 occurrence):
+  //   isMeta:g.isMeta,skipAttachments:!U
+  //
+  // Replace with:
+  //   isMeta:g._cronFire?void 0:g.isMeta,skipAttachments:!U
+  //
+  // When _cronFire is set: isMeta → void 0 (falsy) → U_f() shows
+  // When _cronFire is not set: isMeta → g.isMeta (original) → no change
+  // ============================================================
+
+  // Build the pattern dynamically to handle different variable names
+  const nqPattern = /isMeta:([$\w]+)\.isMeta,skipAttachments:!([$\w]+)/;
+  patched = ctx.replaceOnce(patched, nqPattern, (nqOriginal, itemVarNQ, boolVar) => {
+    ctx.discovery('React TUI NQ$ call', nqOriginal, {
+      'queue item var': itemVarNQ,
+    });
+    return `isMeta:${itemVarNQ}._cronFire?void 0:${itemVarNQ}.isMeta,skipAttachments:!${boolVar}`;
+  }, {
+    label: 'React TUI NQ$ isMeta pass-through',
+    details: [
+      'Expected: isMeta:VAR.isMeta,skipAttachments:!VAR',
+      'The React queue consumer structure may have changed',
+    ],
+  });
+
+  // ============================================================
+  // Step 3: Prefix the input text for _cronFire items in NQ$
+  //
+  // 2.1.83: preExpansionInput inserted between input and mode.
+  // 2.1.153: suppressWorkflowKeyword inserted between preExpansionInput and mode,
+  //          so we no longer anchor on `,mode:` and only match the two leading
+  //          props (input + preExpansionInput); the rest of the arg object is
+  //          left untouched.
+  // Unique pattern (1 occurrence):
+  //   input:p.value,preExpansionInput:p.preExpansionValue
+  //
+  // Replace with:
+  //   input:p._cronFire?"⏰ CronJob: "+p.value:p.value,preExpansionInput:p.preExpansionValue
+  // ============================================================
+
+  const inputPattern = /input:([$\w]+)\.value,preExpansionInput:\1\.preExpansionValue/;
+  patched = ctx.replaceOnce(patched, inputPattern, (inputOriginal, inputVar) => {
+    ctx.discovery('NQ$ input pass-through', inputOriginal, {
+      'queue item var': inputVar,
+    });
+    return `input:${inputVar}._cronFire?"\\u23F0 CronJob: "+${inputVar}.value:${inputVar}.value,preExpansionInput:${inputVar}.preExpansionValue`;
+  }, {
+    label: 'NQ$ input:value pass-through',
+    details: [
+      'Expected: input:VAR.value,preExpansionInput:VAR.preExpansionValue',
+      'The React queue consumer structure may have changed',
+    ],
+  });
+
+  // ============================================================
+  // Step 4: Render ⏰-prefixed text with bold styling in bUD
+  //
+  // bUD is the user message text renderer. The simple path (no
+  // rainbow brackets) creates: <Text color="text">{text}</Text>
+  //
+  // 2.1.80+: The renderer uses React memo cache (compiler output).
+  // The text element creation is now an if/else memo slot:
+  //   if($[21]!==A)j=T7.createElement(E,{color:"text"},A),$[21]=A,$[22]=j;else j=$[22]
+  //
+  // Unique pattern (1 occurrence): createElement with {color:"text"}
+  // taking a single variable child, inside a memo-cache if/else.
+  //
+  // Pre-2.1.80 fallback: let VAR=REACT.createElement(TEXT,{color:"text"},VAR)
+  //
+  // Replace the text child with a conditional: if text starts
+  // with ⏰, render [<Text bold>{prefix}</Text>, rest] as
+  // children inside the existing <Text color="text">.
+  // ============================================================
+
+  // 2.1.186 memo-cache pattern (automatic JSX runtime — createElement → .jsx,
+  // child moved into props as `children:`):
+  //   if(CACHE[SLOT1]!==TEXTVAR)ELEM=RUNTIME.jsx(TEXT,{color:"text",children:TEXTVAR}),
+  //   CACHE[SLOT1]=TEXTVAR,CACHE[SLOT2]=ELEM;else ELEM=CACHE[SLOT2]
+  // CACHE is `t` in 2.1.186 (was `$`/`K` in older versions) — generalized.
+  const renderPattern = new RegExp(
+    'if\\(([$\\w]+)\\[(\\d+)\\]!==([$\\w]+)\\)' +              // if(CACHE[SLOT1]!==TEXTVAR) — groups 1,2,3
+    '([$\\w]+)=([$\\w]+)\\.jsx\\(' +                          // ELEM=RUNTIME.jsx( — groups 4,5
+    '([$\\w]+),\\{color:"text",children:\\3\\}\\),' +         // TEXT,{color:"text",children:TEXTVAR}) — group 6
+    '\\1\\[\\2\\]=\\3,' +                                     // CACHE[SLOT1]=TEXTVAR
+    '\\1\\[(\\d+)\\]=\\4;' +                                  // CACHE[SLOT2]=ELEM — group 7
+    'else \\4=\\1\\[\\7\\]'                                   // else ELEM=CACHE[SLOT2]
+  );
+
+  // Multiple matches exist (bash path, user message path, on bare also spinner path).
+  // The true bUD text renderer is the one anchored by a preceding
+  // `color:"bashBorder"` element within ~300 chars — bashBorder renders the
+  // bash command `! ` prefix that always sits immediately before the bUD text.
+  const afterBashBorder = (m, text) => text.slice(Math.max(0, m.index - 300), m.index).includes('color:"bashBorder"');
+
+  const [renderOriginal, cacheVar, slot1, textVar, elemVar, reactVar, textComp, slot2] = ctx.matchOnce(patched, renderPattern, {
+    label: 'bUD text render pattern',
+    where: afterBashBorder,
+    details: [
+      'Expected: if(CACHE[N]!==A)j=R.jsx(T,{color:"text",children:A}),CACHE[N]=A,CACHE[M]=j;else j=CACHE[M]',
+      '(preceded within ~300 chars by color:"bashBorder" — the bash prefix element)',
+      'The user message text renderer structure may have changed',
+    ],
+  });
+
+  // Replace the text child with a conditional bold prefix (JSX runtime form:
+  // child lives in props.children, nested element key is the 3rd jsx arg).
+  const renderReplacement =
+    `if(${cacheVar}[${slot1}]!==${textVar})` +
+    `${elemVar}=${reactVar}.jsx(${textComp},{color:"text",children:` +
+    `${textVar}[0]=="\\u23F0"?` +
+    `[${reactVar}.jsx(${textComp},{bold:!0,children:${textVar}.slice(0,11)},"cp"),${textVar}.slice(11)]:` +
+    `${textVar}}),` +
+    `${cacheVar}[${slot1}]=${textVar},` +
+    `${cacheVar}[${slot2}]=${elemVar};` +
+    `else ${elemVar}=${cacheVar}[${slot2}]`;
+
+  ctx.discovery('bUD text renderer (memo-cache)', renderOriginal.slice(0, 80) + '...', {
+    'React var': reactVar,
+    'Text component': textComp,
+    'text var': textVar,
+    'cache var': cacheVar,
+    'memo slots': `${slot1}, ${slot2}`,
+  });
+
+  patched = ctx.replaceOnce(patched, renderPattern, renderReplacement, {
+    label: 'bUD cron prefix styling',
+    where: afterBashBorder,
+  });
+
+  const totalChanges = markerCount + 3; // markers + isMeta + input + render
+
+  if (ctx.dryRun) {
+    ctx.result('dry_run', `Cron visibility patch ready (${totalChanges} changes)`);
+  } else {
+    ctx.result('success', `Patched cron visibility (${totalChanges} changes)`);
   }
+  return patched;
 }
 
-if (!renderMatch) {
-  output.error('Could not find bUD text render pattern', [
-    'Expected: if(CACHE[N]!==A)j=R.jsx(T,{color:"text",children:A}),CACHE[N]=A,CACHE[M]=j;else j=CACHE[M]',
-    '(preceded within ~300 chars by color:"bashBorder" — the bash prefix element)',
-    'The user message text renderer structure may have changed',
-  ]);
-  process.exit(1);
-}
-
-const [renderOriginal, cacheVar, slot1, textVar, elemVar, reactVar, textComp, slot2] = renderMatch;
-
-// Replace the text child with a conditional bold prefix (JSX runtime form:
-// child lives in props.children, nested element key is the 3rd jsx arg).
-const renderReplacement =
-  `if(${cacheVar}[${slot1}]!==${textVar})` +
-  `${elemVar}=${reactVar}.jsx(${textComp},{color:"text",children:` +
-  `${textVar}[0]=="\\u23F0"?` +
-  `[${reactVar}.jsx(${textComp},{bold:!0,children:${textVar}.slice(0,11)},"cp"),${textVar}.slice(11)]:` +
-  `${textVar}}),` +
-  `${cacheVar}[${slot1}]=${textVar},` +
-  `${cacheVar}[${slot2}]=${elemVar};` +
-  `else ${elemVar}=${cacheVar}[${slot2}]`;
-
-output.discovery('bUD text renderer (memo-cache)', renderOriginal.slice(0, 80) + '...', {
-  'React var': reactVar,
-  'Text component': textComp,
-  'text var': textVar,
-  'cache var': cacheVar,
-  'memo slots': `${slot1}, ${slot2}`,
-});
-
-patched = patched.replace(renderMatch[0], () => renderReplacement);
-
-output.modification('bUD cron prefix styling',
-  renderOriginal.slice(0, 80) + '...',
-  renderReplacement.slice(0, 80) + '...',
-);
-
-if (patched === content) {
-  output.error('Patches had no effect');
-  process.exit(1);
-}
-
-const totalChanges = markerCount + 3; // markers + isMeta + input + render
-
-if (dryRun) {
-  output.result('dry_run', `Cron visibility patch ready (${totalChanges} changes)`);
-  process.exit(0);
-}
-
-try {
-  fs.writeFileSync(targetPath, patched);
-  output.result('success', `Patched cron visibility in ${targetPath} (${totalChanges} changes)`);
-} catch (err) {
-  output.error('Failed to write patched file', [err.message]);
-  process.exit(1);
-}
+module.exports = definePatch(module, { run });
@@ -42,90 +42,62 @@
  *   node patch-disable-skills.js --check <cli.js path>
  */
 
-const fs = require('fs');
-const output = require('../../../lib/output');
-
-const args = process.argv.slice(2);
-const dryRun = args[0] === '--check';
-const targetPath = dryRun ? args[1] : args[0];
-
-if (!targetPath) {
-  output.error('Usage: node patch-disable-skills.js [--check] <cli.js path>');
-  process.exit(1);
-}
-
-let content;
-try {
-  content = fs.readFileSync(targetPath, 'utf8');
-} catch (err) {
-  output.error(`Failed to read ${targetPath}`, [err.message]);
-  process.exit(1);
-}
-
-// Match the merged-command-list assignment inside RC8, anchored on the
-// distinctive double-wrapped `<outer>(<inner>([...spread,...,...call()]))`
-// flatten followed immediately by `);return `. Only one site in the bundle
-// matches.
-// Captures:
-//   $1 = list variable name (l)
-//   $2 = outer helper name (NM_ — renamed per version)
-//   $3 = inner flatten helper name (M7 — renamed per version)
-//   $4 = the full array literal, re-emitted verbatim
-const pattern = /([\w$]+)=([\w$]+)\(([\w$]+)\((\[(?:\.\.\.[\w$]+(?:\(\))?,)+\.\.\.[\w$]+(?:\(\))?\])\)\);return /;
-
-const match = content.match(pattern);
-
-if (!match) {
-  output.error('Could not find merged command/skill list (RC8 flatten)', [
-    'Expected: l=NM_(M7([...a,...b,...,...z()]));return ...',
-    'The command-loader merge structure may have changed',
-  ]);
-  process.exit(1);
+const { definePatch } = require('../../../lib/patch-module');
+
+function run(content, ctx) {
+  // Match the merged-command-list assignment inside RC8, anchored on the
+  // distinctive double-wrapped `<outer>(<inner>([...spread,...,...call()]))`
+  // flatten followed immediately by `);return `. Only one site in the bundle
+  // matches.
+  // Captures:
+  //   $1 = list variable name (l)
+  //   $2 = outer helper name (NM_ — renamed per version)
+  //   $3 = inner flatten helper name (M7 — renamed per version)
+  //   $4 = the full array literal, re-emitted verbatim
+  const pattern = /([\w$]+)=([\w$]+)\(([\w$]+)\((\[(?:\.\.\.[\w$]+(?:\(\))?,)+\.\.\.[\w$]+(?:\(\))?\])\)\);return /;
+
+  const [, listVar, outerHelper, innerHelper, arrLiteral] = ctx.matchOnce(content, pattern, {
+    label: 'merged command/skill list (RC8 flatten)',
+    details: [
+      'Expected: l=NM_(M7([...a,...b,...,...z()]));return ...',
+      'The command-loader merge structure may have changed',
+    ],
+  });
+
+  // Already-patched marker
+  if (content.includes('globalThis.__disabledSkills')) {
+    ctx.result('dry_run', 'command list already patched with session skill filter');
+    return content;
+  }
+
+  ctx.discovery('merged command/skill list', listVar, {
+    helper: `${outerHelper}(${innerHelper}(...))`,
+    'env var': 'CLAUDE_CODE_DISABLED_SKILLS',
+  });
+
+  // Lazy-init the disable Set once into globalThis (trimmed, empties dropped).
+  // Filter the merged list by command name. Unset/empty env => empty Set =>
+  // the size check short-circuits and the list is untouched.
+  const filter =
+    `if(globalThis.__disabledSkills===void 0){` +
+      `let _e=process.env.CLAUDE_CODE_DISABLED_SKILLS;` +
+      `globalThis.__disabledSkills=_e?new Set(_e.split(",").map((s)=>s.trim()).filter(Boolean)):new Set` +
+    `}` +
+    `if(globalThis.__disabledSkills.size)${listVar}=${listVar}.filter((c)=>!globalThis.__disabledSkills.has(c.name));`;
+
+  // Re-emit `l=<outer>(<inner>([...]));` + filter + `return ` (splice between ;
+  // and return, keeping the preceding comma-let declaration intact).
+  const replacement = `${listVar}=${outerHelper}(${innerHelper}(${arrLiteral}));${filter}return `;
+
+  content = ctx.replaceOnce(content, pattern, replacement, { label: 'command list filter' });
+
+  if (ctx.dryRun) {
+    ctx.result('dry_run', `Merged command list found (${listVar}) — ready to patch`);
+  } else {
+    ctx.result('success', `Patched merged command list (${listVar})`);
+    ctx.info('Set CLAUDE_CODE_DISABLED_SKILLS to a comma-separated list of skill names to hide this session');
+  }
+  return content;
 }
 
-const [original, listVar, outerHelper, innerHelper, arrLiteral] = match;
-
-// Already-patched marker
-if (content.includes('globalThis.__disabledSkills')) {
-  output.result('dry_run', 'command list already patched with session skill filter');
-  process.exit(0);
-}
-
-output.discovery('merged command/skill list', listVar, {
-  helper: `${outerHelper}(${innerHelper}(...))`,
-  'env var': 'CLAUDE_CODE_DISABLED_SKILLS',
-});
-
-// Lazy-init the disable Set once into globalThis (trimmed, empties dropped).
-// Filter the merged list by command name. Unset/empty env => empty Set =>
-// the size check short-circuits and the list is untouched.
-const filter =
-  `if(globalThis.__disabledSkills===void 0){` +
-    `let _e=process.env.CLAUDE_CODE_DISABLED_SKILLS;` +
-    `globalThis.__disabledSkills=_e?new Set(_e.split(",").map((s)=>s.trim()).filter(Boolean)):new Set` +
-  `}` +
-  `if(globalThis.__disabledSkills.size)${listVar}=${listVar}.filter((c)=>!globalThis.__disabledSkills.has(c.name));`;
-
-// Re-emit `l=<outer>(<inner>([...]));` + filter + `return ` (splice between ;
-// and return, keeping the preceding comma-let declaration intact).
-const replacement = `${listVar}=${outerHelper}(${innerHelper}(${arrLiteral}));${filter}return `;
-
-output.modification('command list filter', original, replacement);
-
-if (dryRun) {
-  output.result('dry_run', `Merged command list found (${listVar}) — ready to patch`);
-  process.exit(0);
-}
-
-// Function replacer: minified identifiers contain `$`, which would otherwise
-// be read as replacement patterns ($&, $1, ...).
-content = content.replace(original, () => replacement);
-
-try {
-  fs.writeFileSync(targetPath, content);
-  output.result('success', `Patched merged command list (${listVar}) in ${targetPath}`);
-  output.info('Set CLAUDE_CODE_DISABLED_SKILLS to a comma-separated list of skill names to hide this session');
-} catch (err) {
-  output.error('Failed to write patched file', [err.message]);
-  process.exit(1);
-}
+module.exports = definePatch(module, { run });
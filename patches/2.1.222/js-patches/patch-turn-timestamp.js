@@ -24,80 +24,49 @@
  *   node patch-turn-timestamp.js --check <cli.js path>  (dry run)
  */
 
-const fs = require('fs');
-const output = require('../../../lib/output');
+const { definePatch, PatchError } = require('../../../lib/patch-module');
 
-const args = process.argv.slice(2);
-const dryRun = args[0] === '--check';
-const targetPath = dryRun ? args[1] : args[0];
+function run(content, ctx) {
+  let patchCount = 0;
+  const EXPECTED_PATCHES = 1;
 
-if (!targetPath) {
-  output.error('Usage: node patch-turn-timestamp.js [--check] <cli.js path>');
-  process.exit(1);
-}
-
-let content;
-try {
-  content = fs.readFileSync(targetPath, 'utf8');
-} catch (err) {
-  output.error(`Failed to read ${targetPath}`, [err.message]);
-  process.exit(1);
-}
-
-let patchCount = 0;
-const EXPECTED_PATCHES = 1;
-
-// ── Capture: the turn_duration message variable ──
-// `,FPf=IOe.budgetLimit!==void 0` — unique to KNa's render scope. The captured
-// identifier is the message object carrying `.timestamp` (and `.durationMs`).
-const msgPattern = /([$\w]+)\.budgetLimit!==void 0/;
-const msgMatch = content.match(msgPattern);
-
-if (!msgMatch) {
+  // ── Capture: the turn_duration message variable ──
+  // `,FPf=IOe.budgetLimit!==void 0` — unique to KNa's render scope. The captured
+  // identifier is the message object carrying `.timestamp` (and `.durationMs`).
+  const msgPattern = /([$\w]+)\.budgetLimit!==void 0/;
   // Expected: `,FPf=IOe.budgetLimit!==void 0` in component KNa
-  output.error('Could not find turn_duration message variable (budgetLimit anchor)');
-  process.exit(1);
-}
+  const [, msg] = ctx.matchOnce(content, msgPattern, {
+    label: 'turn_duration message variable (budgetLimit anchor)',
+  });
+  ctx.discovery('message variable', msg);
 
-const msg = msgMatch[1];
-output.discovery('message variable', msg, [msgMatch[0]]);
+  // ── Patch Point: append timestamp to the "<verb> for <elapsed>" children ──
+  // Match: children:`${verb} for ${elapsed}` — capture up to (not incl.) the
+  // closing backtick, then splice in a nested `${msg.timestamp ? ...}` interp.
+  const childrenPattern = /(children:`\$\{[$\w]+\} for \$\{[$\w]+\})`/;
 
-// ── Patch Point: append timestamp to the "<verb> for <elapsed>" children ──
-// Match: children:`${verb} for ${elapsed}` — capture up to (not incl.) the
-// closing backtick, then splice in a nested `${msg.timestamp ? ...}` interp.
-const childrenPattern = /(children:`\$\{[$\w]+\} for \$\{[$\w]+\})`/;
-const childrenMatch = content.match(childrenPattern);
+  // Nested template literal — safe inside the outer `${...}` interpolation.
+  // Guarded so a missing timestamp never renders "Invalid Date".
+  const inject =
+    '${' + msg + '.timestamp?` [${new Date(' + msg + '.timestamp).toLocaleString("sv-SE")}]`:""}';
 
-if (!childrenMatch) {
   // Expected: children:`${OPf} for ${NPf}` inside Eo.jsx(y,{dimColor:!0,...})
-  output.error('Could not find completed-turn children template (verb/elapsed line)');
-  process.exit(1);
+  content = ctx.replaceOnce(content, childrenPattern, (_m, head) => head + inject + '`', {
+    label: 'completed-turn children template (verb/elapsed line)',
+  });
+  patchCount++;
+
+  // ── Result ──
+  if (patchCount !== EXPECTED_PATCHES) {
+    throw new PatchError(`Expected ${EXPECTED_PATCHES} patches, got ${patchCount}`);
+  }
+
+  if (ctx.dryRun) {
+    ctx.result('dry_run', `turn-timestamp: ${patchCount}/${EXPECTED_PATCHES} patches verified`);
+  } else {
+    ctx.result('success', `turn-timestamp: ${patchCount}/${EXPECTED_PATCHES} patches applied`);
+  }
+  return content;
 }
 
-output.discovery('children line', childrenMatch[0]);
-
-// Nested template literal — safe inside the outer `${...}` interpolation.
-// Guarded so a missing timestamp never renders "Invalid Date".
-const inject =
-  '${' + msg + '.timestamp?` [${new Date(' + msg + '.timestamp).toLocaleString("sv-SE")}]`:""}';
-
-const before = childrenMatch[0];
-const after = childrenMatch[1] + inject + '`';
-
-content = content.replace(childrenPattern, () => after);
-patchCount++;
-
-output.modification('append turn-end timestamp', before, after);
-
-// ── Write ──
-if (patchCount !== EXPECTED_PATCHES) {
-  output.error(`Expected ${EXPECTED_PATCHES} patches, got ${patchCount}`);
-  process.exit(1);
-}
-
-if (dryRun) {
-  output.result('dry_run', `turn-timestamp: ${patchCount}/${EXPECTED_PATCHES} patches verified`);
-} else {
-  fs.writeFileSync(targetPath, content, 'utf8');
-  output.result('success', `turn-timestamp: ${patchCount}/${EXPECTED_PATCHES} patches applied`);
-}
+module.exports = definePatch(module, { run });
@@ -13,8 +13,9 @@
 
 const fs = require('fs');
 const path = require('path');
-const output = require('../../lib/output');
+const { definePatch, PatchError, countMatches } = require('../../lib/patch-module');
 const { extractVersion } = require('../../lib/shared');
+const { createEditMap } = require('../../lib/edit-ranges');
 const {
   parsePatchList, hasLocalPromptPatches, localPromptDir,
 } = require('../../lib/prompt-baseline');
@@ -307,168 +308,177 @@ function loadPatchPair(version, fileId) {
 // Main
 // ============================================================
 
-const args = process.argv.slice(2);
-const dryRun = args[0] === '--check';
-const targetPath = dryRun ? args[1] : args[0];
-
-if (!targetPath) {
-  output.error('Usage: node patch-prompt-slim.js [--check] <cli.js path>');
-  process.exit(1);
-}
-
-let content;
-try {
-  content = fs.readFileSync(targetPath, 'utf8');
-} catch (err) {
-  output.error(`Failed to read ${targetPath}`, [err.message]);
-  process.exit(1);
-}
-
-const version = extractVersion(content);
-if (!version) {
-  output.error('Could not detect Claude Code version from target file');
-  process.exit(1);
-}
-
-if (!hasLocalPromptPatches(version)) {
-  output.error(`No prompt patches for v${version}`, [
-    `Checked: ${localPromptDir(version)}`,
-    'Run --init to populate prompt patches for this version',
-  ]);
-  process.exit(1);
-}
-
-// Load patch list
-let patches;
-try {
-  patches = parsePatchList(version);
-} catch (err) {
-  output.error('Failed to parse patch list', [err.message]);
-  process.exit(1);
-}
-
-// Apply patches
-const originalContent = content;  // snapshot before any modifications
-let appliedCount = 0;
-let skippedCount = 0;
-let totalSaved = 0;
-const results = [];
-const appliedPatchFinds = [];  // track applied patches for chained casualty detection
-
-for (const { name, file } of patches) {
-  const pair = loadPatchPair(version, file);
-  if (!pair) {
-    results.push({ name, file, status: 'skip', reason: 'files not found' });
-    skippedCount++;
-    continue;
+function run(content, ctx) {
+  const version = extractVersion(content);
+  if (!version) {
+    throw new PatchError('Could not detect Claude Code version from target file');
   }
 
-  const { find, replace } = pair;
+  if (!hasLocalPromptPatches(version)) {
+    throw new PatchError(`No prompt patches for v${version}`, [
+      `Checked: ${localPromptDir(version)}`,
+      'Run --init to populate prompt patches for this version',
+    ]);
+  }
 
-  // Build regex and native variants.
-  //
-  // The replacement is escaped unconditionally — it is what gets written into
-  // the bundle, so it must always be in `\uXXXX` form. Gating that on
-  // `findNative !== find` (as this once did) leaves raw UTF-8 in the output
-  // whenever the find side is pure ASCII: silent mojibake, no syntax error.
-  // Only the FIND side needs a literal-vs-escaped fallback pair.
-  const replaceEscaped = escapeNonAscii(replace);
-  const findNative = toNativeEscapes(find);
+  // Load patch list
+  let patches;
+  try {
+    patches = parsePatchList(version);
+  } catch (err) {
+    throw new PatchError('Failed to parse patch list', [err.message]);
+  }
 
-  const regexPatch = createRegexPatch(find, replaceEscaped);
-  const regexPatchNative = (findNative !== find) ? createRegexPatch(findNative, replaceEscaped) : null;
+  // Apply patches
+  const originalContent = content;  // snapshot before any modifications
+  let appliedCount = 0;
+  let skippedCount = 0;
+  let totalSaved = 0;
+  const results = [];
+  const appliedPatchFinds = [];  // track applied patches for chained casualty detection
+  const editMap = createEditMap();  // per-pair ranges in input coordinates, for overlap reporting
+
+  for (const { name, file } of patches) {
+    const pair = loadPatchPair(version, file);
+    if (!pair) {
+      results.push({ name, file, status: 'skip', reason: 'files not found' });
+      skippedCount++;
+      continue;
+    }
 
-  let applied = false;
-  let method = '';
+    const { find, replace } = pair;
+
+    // Build regex and native variants.
+    //
+    // The replacement is escaped unconditionally — it is what gets written into
+    // the bundle, so it must always be in `\uXXXX` form. Gating that on
+    // `findNative !== find` (as this once did) leaves raw UTF-8 in the output
+    // whenever the find side is pure ASCII: silent mojibake, no syntax error.
+    // Only the FIND side needs a literal-vs-escaped fallback pair.
+    const replaceEscaped = escapeNonAscii(replace);
+    const findNative = toNativeEscapes(find);
+
+    const regexPatch = createRegexPatch(find, replaceEscaped);
+    const regexPatchNative = (findNative !== find) ? createRegexPatch(findNative, replaceEscaped) : null;
+
+    let applied = false;
+    let method = '';
+    let matchStart = -1;
+    let matchLength = 0;
+    const lengthBefore = content.length;
+
+    // A find that occurs more than once is skipped, not applied to whichever
+    // copy comes first. Count the first form that matches at all, in the same
+    // order the apply below tries them.
+    const forms = regexPatch
+      ? [regexPatch.regex, regexPatchNative && regexPatchNative.regex]
+      : [find, findNative !== find && findNative];
+    const matchCount = forms.filter(Boolean).map(f => countMatches(content, f)).find(n => n > 0) || 0;
+    if (matchCount > 1) {
+      skippedCount++;
+      results.push({ name, file, status: 'skip', reason: 'ambiguous', diag: { count: matchCount } });
+      continue;
+    }
 
-  // Always apply in memory (even dry run) so chained patches can find v1 output
-  if (regexPatch) {
-    if (regexPatch.regex.test(content)) {
-      content = content.replace(regexPatch.regex, regexPatch.replace);
-      method = `regex, ${regexPatch.varCount} vars`;
+    // Always apply in memory (even dry run) so chained patches can find v1 output
+    if (regexPatch) {
+      const m = regexPatch.regex.exec(content);
+      const mNative = !m && regexPatchNative ? regexPatchNative.regex.exec(content) : null;
+      if (m) {
+        content = content.replace(regexPatch.regex, regexPatch.replace);
+        method = `regex, ${regexPatch.varCount} vars`;
+        applied = true;
+      } else if (mNative) {
+        content = content.replace(regexPatchNative.regex, regexPatchNative.replace);
+        method = `regex+native, ${regexPatchNative.varCount} vars`;
+        applied = true;
+      }
+      const hit = m || mNative;
+      if (hit) {
+        matchStart = hit.index;
+        matchLength = hit[0].length;
+      }
+    } else if (content.includes(find)) {
+      matchStart = content.indexOf(find);
+      matchLength = find.length;
+      content = content.replace(find, replaceEscaped);
+      method = 'string';
       applied = true;
-    } else if (regexPatchNative && regexPatchNative.regex.test(content)) {
-      content = content.replace(regexPatchNative.regex, regexPatchNative.replace);
-      method = `regex+native, ${regexPatchNative.varCount} vars`;
+    } else if (findNative !== find && content.includes(findNative)) {
+      matchStart = content.indexOf(findNative);
+      matchLength = findNative.length;
+      content = content.replace(findNative, replaceEscaped);
+      method = 'string+native';
       applied = true;
     }
-  } else if (content.includes(find)) {
-    content = content.replace(find, replaceEscaped);
-    method = 'string';
-    applied = true;
-  } else if (findNative !== find && content.includes(findNative)) {
-    content = content.replace(findNative, replaceEscaped);
-    method = 'string+native';
-    applied = true;
-  }
 
-  if (applied) {
-    const saved = find.length - replaceEscaped.length;
-    totalSaved += saved;
-    appliedCount++;
-    appliedPatchFinds.push({ name, file, find });
-    results.push({ name, file, status: 'ok', method, saved });
-  } else {
-    skippedCount++;
-    const diag = diagnoseFailure(find, content, originalContent, appliedPatchFinds);
-    results.push({ name, file, status: 'skip', reason: diag.reason, diag: diag.details });
+    if (applied) {
+      const newLength = matchLength + content.length - lengthBefore;
+      ctx.recordEdit(file, editMap.record(matchStart, matchStart + matchLength, newLength));
+      const saved = find.length - replaceEscaped.length;
+      totalSaved += saved;
+      appliedCount++;
+      appliedPatchFinds.push({ name, file, find });
+      results.push({ name, file, status: 'ok', method, saved });
+    } else {
+      skippedCount++;
+      const diag = diagnoseFailure(find, content, originalContent, appliedPatchFinds);
+      results.push({ name, file, status: 'skip', reason: diag.reason, diag: diag.details });
+    }
   }
-}
 
-// Write if not dry run
-if (!dryRun && appliedCount > 0) {
-  fs.writeFileSync(targetPath, content);
-}
+  // Output
+  const skipped = results.filter(r => r.status === 'skip');
 
-// Output
-const mode = dryRun ? 'check' : 'apply';
-const skipped = results.filter(r => r.status === 'skip');
-
-if (appliedCount === 0) {
-  output.error(`prompt-slim: No patches matched (v${version}, ${patches.length} patches)`, [
-    'System prompt text may have changed in this version',
-    ...skipped.slice(0, 5).map(s => `  ${s.file}: ${s.reason}`),
-  ]);
-  process.exit(1);
-}
+  if (appliedCount === 0) {
+    throw new PatchError(`prompt-slim: No patches matched (v${version}, ${patches.length} patches)`, [
+      'System prompt text may have changed in this version',
+      ...skipped.slice(0, 5).map(s => `  ${s.file}: ${s.reason}`),
+    ]);
+  }
 
-const summary = `prompt-slim (v${version}): ${appliedCount}/${patches.length} patches, ~${totalSaved.toLocaleString()} chars saved`;
-
-// Per-skip diagnostics (match %, line, patch-vs-bundle context) — the detail
-// needed to actually re-fit each diverged pair.
-const skipDetails = skipped.map(s => {
-  let line = `${s.file}: ${s.reason}`;
-  if (s.diag) {
-    if (s.reason === 'chained') {
-      line += ` (consumed by ${s.diag.consumed_by})`;
-    } else if (s.reason === 'diverged') {
-      line += ` (${s.diag.match_pct}% match, line ${s.diag.line})`;
-      line += `\n    patch: ${s.diag.patch_ctx}`;
-      line += `\n    bundle: ${s.diag.bundle_ctx}`;
-    } else if (s.reason === 'not found') {
-      line += ` — ${s.diag.hint}`;
+  const summary = `prompt-slim (v${version}): ${appliedCount}/${patches.length} patches, ~${totalSaved.toLocaleString()} chars saved`;
+
+  // Per-skip diagnostics (match %, line, patch-vs-bundle context) — the detail
+  // needed to actually re-fit each diverged pair.
+  const skipDetails = skipped.map(s => {
+    let line = `${s.file}: ${s.reason}`;
+    if (s.diag) {
+      if (s.reason === 'chained') {
+        line += ` (consumed by ${s.diag.consumed_by})`;
+      } else if (s.reason === 'diverged') {
+        line += ` (${s.diag.match_pct}% match, line ${s.diag.line})`;
+        line += `\n    patch: ${s.diag.patch_ctx}`;
+        line += `\n    bundle: ${s.diag.bundle_ctx}`;
+      } else if (s.reason === 'ambiguous') {
+        line += ` (matched ${s.diag.count} times, expected 1 — make the find unique)`;
+      } else if (s.reason === 'not found') {
+        line += ` — ${s.diag.hint}`;
+      }
     }
+    return line;
+  });
+
+  // Honesty gate: on --check (dry run), any drift — fewer applied than the full
+  // set — is a FAILURE, not a pass. A partial prompt-slim means diverged prompt
+  // text that must be re-fitted (via the upgrade-prompt-patches skill) before the
+  // port is complete; letting it exit 0 would report a dishonest green. Emitted as
+  // the lead error so it heads the port work order. --apply stays lenient (applies
+  // the pairs that match, warns on the rest) so a partial set is still usable.
+  if (ctx.dryRun && appliedCount < patches.length) {
+    throw new PatchError(
+      `prompt-slim drift: ${appliedCount}/${patches.length} prompt patches (${skippedCount} diverged) — port not complete`,
+      ['Fix the diverged pairs with the upgrade-prompt-patches skill, then re-check', ...skipDetails]
+    );
+  }
+
+  // Full --check, or any --apply: warn on skips (lenient), then report success.
+  if (skippedCount > 0) {
+    ctx.warning(`${skippedCount} prompt patches skipped`, skipDetails);
   }
-  return line;
-});
-
-// Honesty gate: on --check (dry run), any drift — fewer applied than the full
-// set — is a FAILURE, not a pass. A partial prompt-slim means diverged prompt
-// text that must be re-fitted (via the upgrade-prompt-patches skill) before the
-// port is complete; letting it exit 0 would report a dishonest green. Emitted as
-// the lead error so it heads the port work order. --apply stays lenient (applies
-// the pairs that match, warns on the rest) so a partial set is still usable.
-if (dryRun && appliedCount < patches.length) {
-  output.error(
-    `prompt-slim drift: ${appliedCount}/${patches.length} prompt patches (${skippedCount} diverged) — port not complete`,
-    ['Fix the diverged pairs with the upgrade-prompt-patches skill, then re-check', ...skipDetails]
-  );
-  process.exit(1);
-}
 
-// Full --check, or any --apply: warn on skips (lenient), then report success.
-if (skippedCount > 0) {
-  output.warning(`${skippedCount} prompt patches skipped`, skipDetails);
+  ctx.result(ctx.dryRun ? 'dry_run' : 'success', summary);
+  return content;
 }
 
-output.result(dryRun ? 'dry_run' : 'success', summary);
+module.exports = definePatch(module, { run });
@@ -16,6 +16,7 @@
  *
  * Input: the .pretty (js-beautified) file — generated by --setup. Minified input
  * also works; only the per-var `lines` become uninformative (everything on line 1).
+ * That includes an archived build (archive/<version>/<type>.js.gz), gzip and all.
  * Output: NDJSON — one JSON object per line, last line is the summary.
  * Inventory files (--save) are plain JSON, suitable for --diff in a later run.
  *
@@ -26,6 +27,7 @@
 'use strict';
 
 const fs = require('fs');
+const zlib = require('zlib');
 
 // ---------------------------------------------------------------------------
 // Argument parsing (mirrors scan-feature-flags.js)
@@ -64,7 +66,9 @@ function emit(obj) {
 
 let content;
 try {
-  content = fs.readFileSync(targetPath, 'utf8');
+  // archive/<version>/<type>.js.gz (--setup) is read as is
+  const raw = fs.readFileSync(targetPath);
+  content = (targetPath.endsWith('.gz') ? zlib.gunzipSync(raw) : raw).toString('utf8');
 } catch (err) {
   emit({ type: 'error', message: `Cannot read ${targetPath}: ${err.message}` });
   process.exit(1);
@@ -12,7 +12,8 @@
  *   node scan-feature-flags.js <.pretty> --diff <prev-inventory.json># Diff vs previous
  *   node scan-feature-flags.js <.pretty> --save <out.json> --diff <prev.json>  # Both
  *
- * Input: the .pretty (js-beautified) file — generated by --setup.
+ * Input: the .pretty (js-beautified) file — generated by --setup — or an archived
+ * build (archive/<version>/<type>.js.gz), to scan a version that is no longer installed.
  * Output: NDJSON — one JSON object per line, last line is the summary.
  * Inventory files (--save) are plain JSON, suitable for --diff in a later run.
  *
@@ -23,6 +24,7 @@
 'use strict';
 
 const fs = require('fs');
+const zlib = require('zlib');
 
 // ---------------------------------------------------------------------------
 // Argument parsing
@@ -61,7 +63,9 @@ function emit(obj) {
 
 let content;
 try {
-  content = fs.readFileSync(targetPath, 'utf8');
+  // archive/<version>/<type>.js.gz (--setup) is read as is
+  const raw = fs.readFileSync(targetPath);
+  content = (targetPath.endsWith('.gz') ? zlib.gunzipSync(raw) : raw).toString('utf8');
 } catch (err) {
   emit({ type: 'error', message: `Cannot read ${targetPath}: ${err.message}` });
   process.exit(1);
@@ -0,0 +1,230 @@
+/**
+ * The repack self-test cases (lib/selftest-repack.js) on a synthetic Bun
+ * binary of each format, so both are covered without an installed build:
+ *   overlay   [ELF][data][OFFSETS][TRAILER][totalByteCount]     (≤2.1.81)
+ *   section   [ELF with .bun = [totalByteCount][data][OFFSETS][TRAILER]]  (2.1.83+)
+ *
+ * Each binary holds an entry point with bytecode, a worker module and an
+ * execArgv. Needs node-lief, as --selftest-repack does.
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const { buildCases, readLayout, compareRepack } = require('../lib/selftest-repack');
+const { getBunBinary } = require('../lib/bundle-cache');
+
+const BUN_TRAILER = Buffer.from('\n---- Bun! ----\n');
+const SIZEOF_MODULE = 36;
+
+// Past the 1 MB extractClaudeJs expects of a real entry point
+const ENTRY_JS = Buffer.from(
+  'var VERSION = "9.9.9", greeting = "héllo ✓";\n' +
+  'function noop() { return 0; }\n'.repeat(36000),
+  'utf8'
+);
+const WORKER_JS = Buffer.from('self.onmessage = (e) => postMessage(e.data);\n');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-patching-test-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// ============ Synthetic binaries ============
+
+/**
+ * Bun data ([data][OFFSETS][TRAILER]) for an entry point with bytecode, a
+ * worker and an execArgv, plus the totalByteCount that goes with it
+ * @returns {{ bunData: Buffer, totalByteCount: Buffer }}
+ */
+function buildBunData() {
+  const parts = [];
+  let size = 0;
+  // Each string NUL-terminated, as Bun writes them
+  const add = (bytes) => {
+    const pointer = { offset: size, length: bytes.length };
+    parts.push(bytes, Buffer.alloc(1));
+    size += bytes.length + 1;
+    return pointer;
+  };
+  const none = { offset: 0, length: 0 };
+
+  const modules = [
+    {
+      name: add(Buffer.from('/$bunfs/root/src/entrypoints/cli.js')),
+      contents: add(ENTRY_JS),
+      bytecode: add(Buffer.alloc(800, 0xbc)),
+    },
+    {
+      name: add(Buffer.from('/$bunfs/root/worker.js')),
+      contents: add(WORKER_JS),
+      bytecode: none,
+    },
+  ];
+  const table = Buffer.alloc(modules.length * SIZEOF_MODULE);
+  modules.forEach((module, i) => {
+    const at = i * SIZEOF_MODULE;
+    [module.name, module.contents, none, module.bytecode].forEach((pointer, field) => {
+      table.writeUInt32LE(pointer.offset, at + field * 8);
+      table.writeUInt32LE(pointer.length, at + field * 8 + 4);
+    });
+    table.writeUInt8(1, at + 33); // loader: js
+    table.writeUInt8(1, at + 34); // moduleFormat: esm
+  });
+  const modulesPtr = add(table);
+  const argvPtr = add(Buffer.from('--smol'));
+
+  const offsets = Buffer.alloc(32);
+  offsets.writeBigUInt64LE(BigInt(size), 0);
+  offsets.writeUInt32LE(modulesPtr.offset, 8);
+  offsets.writeUInt32LE(modulesPtr.length, 12);
+  offsets.writeUInt32LE(0, 16); // entryPointId
+  offsets.writeUInt32LE(argvPtr.offset, 20);
+  offsets.writeUInt32LE(argvPtr.length, 24);
+
+  const bunData = Buffer.concat([...parts, offsets, BUN_TRAILER]);
+  const totalByteCount = Buffer.alloc(8);
+  totalByteCount.writeBigUInt64LE(BigInt(bunData.length + 8));
+  return { bunData, totalByteCount };
+}
+
+/**
+ * A minimal x86-64 ELF: one PT_LOAD over the headers and sections, a
+ * .shstrtab, the given sections, and anything in overlay after it all
+ * @param {{ name: string, content: Buffer }[]} sections
+ * @param {Buffer} [overlay]
+ * @returns {Buffer}
+ */
+function buildElf(sections, overlay = Buffer.alloc(0)) {
+  const EHDR = 64;
+  const PHDR = 56;
+  const SHDR = 64;
+  const all = [{ name: '.shstrtab', content: null }, ...sections];
+
+  const names = [Buffer.alloc(1)];
+  let nameSize = 1;
+  for (const section of all) {
+    section.nameOffset = nameSize;
+    names.push(Buffer.from(section.name + '\0'));
+    nameSize += section.name.length + 1;
+  }
+  all[0].content = Buffer.concat(names);
+
+  const body = [];
+  let size = EHDR + PHDR;
+  const align = () => {
+    const pad = (8 - (size % 8)) % 8;
+    body.push(Buffer.alloc(pad));
+    size += pad;
+  };
+  for (const section of all) {
+    align();
+    section.offset = size;
+    body.push(section.content);
+    size += section.content.length;
+  }
+  align();
+  const shoff = size;
+  const shnum = all.length + 1;
+
+  const sectionHeaders = Buffer.alloc(SHDR * shnum);
+  all.forEach((section, i) => {
+    const at = (i + 1) * SHDR;
+    sectionHeaders.writeUInt32LE(section.nameOffset, at);
+    sectionHeaders.writeUInt32LE(i === 0 ? 3 : 1, at + 4); // SHT_STRTAB, SHT_PROGBITS
+    sectionHeaders.writeBigUInt64LE(BigInt(section.offset), at + 24);
+    sectionHeaders.writeBigUInt64LE(BigInt(section.content.length), at + 32);
+    sectionHeaders.writeBigUInt64LE(1n, at + 48);
+  });
+  const end = shoff + sectionHeaders.length;
+
+  const header = Buffer.alloc(EHDR);
+  Buffer.from([0x7f, 0x45, 0x4c, 0x46, 2, 1, 1]).copy(header); // ELF64, little-endian
+  header.writeUInt16LE(2, 16); // ET_EXEC
+  header.writeUInt16LE(0x3e, 18); // x86-64
+  header.writeUInt32LE(1, 20);
+  header.writeBigUInt64LE(BigInt(EHDR), 32); // e_phoff
+  header.writeBigUInt64LE(BigInt(shoff), 40);
+  header.writeUInt16LE(EHDR, 52);
+  header.writeUInt16LE(PHDR, 54);
+  header.writeUInt16LE(1, 56); // e_phnum
+  header.writeUInt16LE(SHDR, 58);
+  header.writeUInt16LE(shnum, 60);
+  header.writeUInt16LE(1, 62); // e_shstrndx
+
+  const programHeader = Buffer.alloc(PHDR);
+  programHeader.writeUInt32LE(1, 0); // PT_LOAD
+  programHeader.writeUInt32LE(5, 4); // R+X
+  programHeader.writeBigUInt64LE(0x400000n, 16);
+  programHeader.writeBigUInt64LE(0x400000n, 24);
+  programHeader.writeBigUInt64LE(BigInt(end), 32);
+  programHeader.writeBigUInt64LE(BigInt(end), 40);
+  programHeader.writeBigUInt64LE(0x1000n, 48);
+
+  return Buffer.concat([header, programHeader, ...body, sectionHeaders, overlay]);
+}
+
+/**
+ * Write a synthetic Bun binary in the given format
+ * @param {'overlay'|'section'} format
+ * @returns {string} Its path
+ */
+function writeBinary(format) {
+  const { bunData, totalByteCount } = buildBunData();
+  const file = format === 'overlay'
+    ? buildElf([], Buffer.concat([bunData, totalByteCount]))
+    : buildElf([{ name: '.bun', content: Buffer.concat([totalByteCount, bunData]) }]);
+  const binaryPath = path.join(dir, format);
+  fs.writeFileSync(binaryPath, file, { mode: 0o755 });
+  return binaryPath;
+}
+
+// ============ Tests ============
+
+for (const format of ['overlay', 'section']) {
+  test(`${format}: every case round-trips through the repacker`, () => {
+    const binaryPath = writeBinary(format);
+    const original = readLayout(binaryPath);
+    const originalFile = fs.readFileSync(binaryPath);
+    const js = getBunBinary().extractClaudeJs(binaryPath);
+    assert.equal(original.format, format);
+    assert.equal(original.modules.length, 2);
+    assert.ok(js.equals(ENTRY_JS));
+
+    const cases = buildCases(js);
+    assert.deepEqual(cases.map(c => c.id), ['unchanged', 'shrink', 'non-ascii', 'grow']);
+
+    for (const testCase of cases) {
+      const outPath = path.join(dir, `${format}-${testCase.id}`);
+      if (testCase.refused) {
+        assert.throws(() => getBunBinary().repackWithModifiedJs(binaryPath, testCase.js, outPath), /larger than original/);
+        assert.equal(fs.existsSync(outPath), false, `${testCase.id} left output behind`);
+        continue;
+      }
+
+      getBunBinary().repackWithModifiedJs(binaryPath, testCase.js, outPath);
+      const { problems, identical, changedBytes } = compareRepack(original, originalFile, outPath, testCase.js);
+      assert.deepEqual(problems, [], testCase.id);
+      // The entry point's bytecode pointer is dropped even when the JS is the same
+      assert.equal(identical, false, testCase.id);
+      assert.ok(changedBytes > 0, testCase.id);
+    }
+  });
+
+  test(`${format}: a byte changed outside the entry point is reported`, () => {
+    const binaryPath = writeBinary(format);
+    const original = readLayout(binaryPath);
+    const originalFile = fs.readFileSync(binaryPath);
+    const outPath = path.join(dir, `${format}-stray`);
+
+    getBunBinary().repackWithModifiedJs(binaryPath, ENTRY_JS, outPath);
+    const repacked = fs.readFileSync(outPath);
+    repacked[repacked.indexOf(WORKER_JS)] ^= 0x20;
+    fs.writeFileSync(outPath, repacked);
+
+    const { problems } = compareRepack(original, originalFile, outPath, ENTRY_JS);
+    assert.equal(problems.length, 1, problems.join('; '));
+    assert.match(problems[0], /1 byte\(s\) changed outside the entry point/);
+  });
+}